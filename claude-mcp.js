@@ -1,9 +1,11 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
+import { createGongClient } from './build/gong-client.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { toToolErrorResult } from './build/errors.js';
+import { normalizeTranscript, normalizeTranscripts } from './build/transcript.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -194,7 +196,7 @@ app.post('/api/mcp', async (req, res) => {
       }
       
       // Create Gong API client
-      const gongClient = axios.create({
+      const gongClient = createGongClient({
         baseURL: 'https://api.gong.io',
         auth: {
           username: process.env.GONG_ACCESS_KEY,
@@ -281,8 +283,8 @@ app.post('/api/mcp', async (req, res) => {
             });
             
             // Process transcript
-            const transcripts = response.data.transcripts || [];
-            if (transcripts.length === 0) {
+            const entry = response.data.callTranscripts?.[0];
+            if (!entry) {
               return res.json({
                 jsonrpc: '2.0',
                 id: body.id,
@@ -295,13 +297,18 @@ app.post('/api/mcp', async (req, res) => {
               });
             }
             
-            // Format transcript
-            const transcript = transcripts[0];
+            const callResponse = await gongClient.post('/v2/calls/extensive', {
+              filter: { callIds: [args.callId] },
+              contentSelector: { exposedFields: { parties: true } }
+            });
+            const transcript = normalizeTranscript(entry, callResponse.data.calls?.[0]);
             const formattedTranscript = {
               callId: args.callId,
+              speakers: transcript.speakers,
               sentences: transcript.sentences.map(s => ({
-                time: formatTimestamp(s.startTime),
-                speaker: s.speaker?.name || 'Unknown',
+                time: formatTimestamp(s.start / 1000),
+                speaker: s.speaker,
+                affiliation: s.affiliation,
                 text: s.text
               }))
             };
@@ -376,7 +383,8 @@ app.post('/api/mcp', async (req, res) => {
                 fromDateTime,
                 toDateTime,
                 participantsEmails: args.participants
-              }
+              },
+              contentSelector: { exposedFields: { parties: true } }
             });
             
             const calls = callsResponse.data.calls || [];
@@ -392,7 +400,7 @@ app.post('/api/mcp', async (req, res) => {
                   callIds
                 }
               });
-              transcripts = transcriptResponse.data.transcripts || [];
+              transcripts = normalizeTranscripts(calls, transcriptResponse.data.callTranscripts || []);
             }
             
             // Generate mock analysis of the data
@@ -451,21 +459,12 @@ app.post('/api/mcp', async (req, res) => {
   }
 });
 
-// Helper function to handle API errors
+// Helper function to handle API errors as structured MCP error results
 function handleApiError(res, id, error) {
-  const errorMessage = error.response
-    ? `API Error: ${error.response.status} - ${JSON.stringify(error.response.data || {}).substring(0, 200)}`
-    : `Error: ${error.message}`;
-  
   return res.json({
     jsonrpc: '2.0',
     id: id,
-    result: {
-      content: [{
-        type: 'text',
-        text: errorMessage
-      }]
-    }
+    result: toToolErrorResult(error)
   });
 }
 
@@ -515,7 +514,7 @@ function generateMockAnalysis(query, calls, transcripts) {
     transcript.sentences.forEach(sentence => {
       allSentences.push({
         text: sentence.text,
-        speaker: sentence.speaker?.name || 'Unknown'
+        speaker: sentence.speaker
       });
     });
   });
@@ -1,9 +1,27 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { ToolError, toToolErrorResult } from './build/errors.js';
+import { loadAccountRegistry } from './build/accounts.js';
+import { cacheModeFromEnv, fetchCallsById, fetchCallsInRange, fetchTranscripts } from './build/call-store.js';
+import { TranscriptIndex } from './build/transcript-index.js';
+import {
+  formatTimestamp,
+  isQuestion,
+  normalizeTranscript,
+  normalizeTranscripts,
+  speakerTotals
+} from './build/transcript.js';
+import { callMetrics, repMetrics } from './build/conversation-metrics.js';
+import { buildRepScorecard } from './build/rep-scorecard.js';
+import { OBJECTION_CATEGORIES, buildObjectionReport } from './build/objections.js';
+import { buildCompetitorReport, resolveCompetitors } from './build/competitor-intel.js';
+import { SemanticIndex, createEmbeddingProvider } from './build/embeddings.js';
+import { ParticipantDirectory, requireUnambiguous } from './build/participant-resolver.js';
+import { matchesPlan, planQuery } from './build/query-planner.js';
+import { analysisBudgetFromEnv, analyzeCalls, createAnalysisProvider, toAnalysisCalls } from './build/analysis-provider.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,13 +37,54 @@ if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir, { recursive: true });
 }
 
-// For logging requests
-const logToFile = (message, type = 'info') => {
+// Gong credential profiles (GONG_ACCOUNTS_FILE or GONG_ACCESS_KEY/GONG_SECRET), logging under logs/<account>
+const accounts = loadAccountRegistry({ logRoot: logDir });
+
+// With GONG_CACHE_MODE=prefer, analysis tools read calls and transcripts synced by
+// `npm run sync:calls` from the account's cache directory and only ask Gong for misses
+const cacheMode = cacheModeFromEnv();
+
+// Transcript search indexes by account, opened on first search and refreshed on every search
+const transcriptIndexes = new Map();
+
+// Embedding indexes by account; the provider comes from GONG_EMBEDDINGS_PROVIDER (offline hashing by default)
+const semanticIndexes = new Map();
+
+// Gong users and stored call participants by account, for resolving names in analysis queries
+const participantDirectories = new Map();
+
+// Fields the analysis tools need from /v2/calls/extensive
+const ANALYSIS_CONTENT_SELECTOR = {
+  context: "Extended",
+  contextTiming: ["Now", "TimeOfCall"],
+  exposedFields: {
+    parties: true,
+    interaction: { questions: true, speakers: true },
+    content: { topics: true, trackers: true },
+    media: true
+  }
+};
+
+// Tracker occurrences place tracker hits in the call for scorecard evidence
+const SCORECARD_CONTENT_SELECTOR = {
+  ...ANALYSIS_CONTENT_SELECTOR,
+  exposedFields: {
+    ...ANALYSIS_CONTENT_SELECTOR.exposedFields,
+    content: { topics: true, trackers: true, trackerOccurrences: true }
+  }
+};
+
+// For logging requests; tool call logs go to the directory of the account they ran against
+const logToFile = (message, type = 'info', account) => {
   const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] ${type.toUpperCase()}: ${message}`;
+  const logMessage = `[${timestamp}] ${type.toUpperCase()}: ${account ? `[${account.name}] ` : ''}${message}`;
   console.log(logMessage);
   
-  const logFile = join(logDir, `mcp_${type}_${new Date().toISOString().split('T')[0]}.log`);
+  const targetDir = account ? account.logDir : logDir;
+  if (account && !fs.existsSync(targetDir)) {
+    fs.mkdirSync(targetDir, { recursive: true });
+  }
+  const logFile = join(targetDir, `mcp_${type}_${new Date().toISOString().split('T')[0]}.log`);
   fs.appendFileSync(logFile, logMessage + '\n');
 };
 
@@ -110,6 +169,96 @@ app.post('/api/mcp', async (req, res) => {
             required: []
           }
         },
+        {
+          name: 'search-transcripts',
+          description: 'Full-text search over the transcripts in the local call store (filled by `npm run sync:calls`). ' +
+            'Returns matching sentences with call, speaker, timestamp and surrounding sentences.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'Words, "exact phrases", AND/OR/NOT (or -word), parentheses and prefix* wildcards, ' +
+                  'matched within a sentence, e.g. "too expensive" OR (price* -discount)'
+              },
+              speaker: {
+                type: 'string',
+                description: 'Only sentences by speakers whose name or email contains this text'
+              },
+              affiliation: {
+                type: 'string',
+                enum: ['Internal', 'External'],
+                description: 'Only sentences by our people (Internal) or by customers and prospects (External)'
+              },
+              fromDate: {
+                type: 'string',
+                description: 'Only calls on or after this date (YYYY-MM-DD)'
+              },
+              toDate: {
+                type: 'string',
+                description: 'Only calls on or before this date (YYYY-MM-DD)'
+              },
+              callIds: {
+                type: 'array',
+                items: {
+                  type: 'string'
+                },
+                description: 'Only these calls'
+              },
+              contextSentences: {
+                type: 'integer',
+                minimum: 0,
+                description: 'Sentences of context before and after each hit (default: 1)'
+              },
+              limit: {
+                type: 'integer',
+                minimum: 1,
+                description: 'Maximum number of hits to return (default: 20)'
+              }
+            },
+            required: ['query']
+          }
+        },
+        {
+          name: 'semantic-search-transcripts',
+          description: 'Find transcript passages that mean the same as a question or phrase, even when worded differently ' +
+            '(e.g. "budget is tight" for "too expensive"). Searches the local call store filled by `npm run sync:calls` ' +
+            'and returns snippets with call, speaker, timestamp and similarity score.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'What to look for, in natural language'
+              },
+              fromDate: {
+                type: 'string',
+                description: 'Only calls on or after this date (YYYY-MM-DD)'
+              },
+              toDate: {
+                type: 'string',
+                description: 'Only calls on or before this date (YYYY-MM-DD)'
+              },
+              callIds: {
+                type: 'array',
+                items: {
+                  type: 'string'
+                },
+                description: 'Only these calls'
+              },
+              limit: {
+                type: 'integer',
+                minimum: 1,
+                description: 'Maximum number of snippets to return (default: 10)'
+              },
+              minScore: {
+                type: 'number',
+                description: 'Minimum cosine similarity between -1 and 1 (default: 0)'
+              }
+            },
+            required: ['query']
+          }
+        },
         {
           name: 'get-call-transcript',
           description: 'Get the transcript for a specific call',
@@ -144,7 +293,7 @@ app.post('/api/mcp', async (req, res) => {
         },
         {
           name: 'analyze-calls',
-          description: 'Analyze multiple calls to extract insights about discussions, patterns, or trends',
+          description: 'Answer a question across multiple calls with the configured analysis model; every insight cites the call IDs and timestamps it is based on',
           inputSchema: {
             type: 'object',
             properties: {
@@ -154,7 +303,7 @@ app.post('/api/mcp', async (req, res) => {
               },
               fromDate: {
                 type: 'string',
-                description: 'Start date for analysis (YYYY-MM-DD)'
+                description: 'Start date for analysis (YYYY-MM-DD); defaults to a period named in the query ("last quarter", "since March"), else 90 days ago'
               },
               toDate: {
                 type: 'string',
@@ -165,7 +314,7 @@ app.post('/api/mcp', async (req, res) => {
                 items: {
                   type: 'string'
                 },
-                description: 'List of participant emails to include in analysis'
+                description: 'List of participant emails to include in analysis; when omitted, people named in the query are looked up among Gong users and call participants'
               },
               maxCalls: {
                 type: 'integer',
@@ -191,14 +340,134 @@ app.post('/api/mcp', async (req, res) => {
               statsType: {
                 type: 'string',
                 enum: ['basic', 'detailed', 'comprehensive'],
-                description: 'Level of detail for statistics'
+                description: 'Level of detail for statistics; comprehensive adds conversation metrics (talk ratio, ' +
+                  'longest monologue and customer story, interactivity, patience, question rate) per call and per rep'
               }
             },
             required: ['callIds']
           }
+        },
+        {
+          name: 'rep-scorecard',
+          description: 'Coaching scorecard for one rep: call volume, conversation metrics and their weekly trend, topic ' +
+            'coverage and tracker hits, each compared with the percentiles of the team in the same calls, with ' +
+            'strengths and improvement areas backed by links to call moments',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              rep: {
+                type: 'string',
+                description: 'Email or Gong user ID of the rep'
+              },
+              fromDate: {
+                type: 'string',
+                description: 'Start date in YYYY-MM-DD format (default: 90 days ago)'
+              },
+              toDate: {
+                type: 'string',
+                description: 'End date in YYYY-MM-DD format (default: today)'
+              },
+              maxCalls: {
+                type: 'integer',
+                description: 'Maximum number of team calls to score against (default: 200)'
+              }
+            },
+            required: ['rep']
+          }
+        },
+        {
+          name: 'mine-objections',
+          description: 'Find the objections customers raised in the calls of a period (pricing, timing, competitor, ' +
+            'security, authority), ranked by how many calls they came up in, with quotes citing call and timestamp, ' +
+            'how reps responded, and what followed in the deal (CRM stage, won/lost, follow-up calls)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              fromDate: {
+                type: 'string',
+                description: 'Start date in YYYY-MM-DD format (default: 90 days ago)'
+              },
+              toDate: {
+                type: 'string',
+                description: 'End date in YYYY-MM-DD format (default: today)'
+              },
+              categories: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: Object.keys(OBJECTION_CATEGORIES)
+                },
+                description: 'Objection categories to report (default: all)'
+              },
+              examples: {
+                type: 'integer',
+                description: 'Representative objections per category (default: 3)'
+              },
+              maxCalls: {
+                type: 'integer',
+                description: 'Maximum number of calls to read (default: 200)'
+              }
+            }
+          }
+        },
+        {
+          name: 'competitor-intel',
+          description: 'Report which competitors came up in the calls of a period: mentions per term, whether reps ' +
+            'or customers said them, counts over time, by rep and by account, sentiment of the passage around ' +
+            'each mention and quotes citing call and timestamp',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              competitors: {
+                type: 'array',
+                items: {
+                  anyOf: [
+                    { type: 'string' },
+                    {
+                      type: 'object',
+                      properties: {
+                        name: { type: 'string' },
+                        aliases: { type: 'array', items: { type: 'string' } },
+                        products: { type: 'array', items: { type: 'string' } }
+                      },
+                      required: ['name']
+                    }
+                  ]
+                },
+                description: 'Competitor dictionary of names, aliases and product names (default: GONG_COMPETITORS_FILE)'
+              },
+              fromDate: {
+                type: 'string',
+                description: 'Start date in YYYY-MM-DD format (default: 90 days ago)'
+              },
+              toDate: {
+                type: 'string',
+                description: 'End date in YYYY-MM-DD format (default: today)'
+              },
+              interval: {
+                type: 'string',
+                enum: ['week', 'month'],
+                description: 'Bucket size of the mentions over time (default: week)'
+              },
+              quotes: {
+                type: 'integer',
+                description: 'Quotes per competitor (default: 5)'
+              },
+              maxCalls: {
+                type: 'integer',
+                description: 'Maximum number of calls to read (default: 200); the report is flagged ' +
+                  'truncated when the period has more'
+              }
+            }
+          }
         }
       ];
       
+      // Every tool can target any configured Gong account
+      for (const tool of tools) {
+        tool.inputSchema.properties.account = accounts.argumentSchema();
+      }
+      
       return res.json({
         jsonrpc: '2.0',
         id: body.id,
@@ -215,28 +484,19 @@ app.post('/api/mcp', async (req, res) => {
       
       logToFile(`Handling tool call: ${toolName} with args: ${JSON.stringify(args)}`);
       
-      // Check Gong credentials
-      const hasCredentials = process.env.GONG_ACCESS_KEY && process.env.GONG_SECRET;
-      if (!hasCredentials) {
-        logToFile('Missing Gong credentials', 'error');
-        return res.json({
-          jsonrpc: '2.0',
-          id: body.id,
-          error: {
-            code: -32000,
-            message: 'Missing Gong API credentials'
-          }
-        });
+      // Resolve the Gong account (credential profile) to query and its client, which shares the
+      // account's rate limit and retries 429/5xx
+      let account;
+      let gongClient;
+      try {
+        account = accounts.resolve(args.account);
+        gongClient = accounts.client(account);
+      } catch (error) {
+        logToFile(`Cannot use Gong account ${args.account || accounts.defaultAccount}: ${error.message}`, 'error');
+        return handleApiError(res, body.id, error);
       }
-      
-      // Create Gong API client
-      const gongClient = axios.create({
-        baseURL: 'https://api.gong.io',
-        auth: {
-          username: process.env.GONG_ACCESS_KEY,
-          password: process.env.GONG_SECRET
-        }
-      });
+      const logForAccount = (message, type = 'info') => logToFile(message, type, account);
+      const callStore = cacheMode === 'prefer' ? accounts.callStore(account) : null;
       
       // Process based on tool name
       switch (toolName) {
@@ -272,7 +532,7 @@ app.post('/api/mcp', async (req, res) => {
               requestBody.filter.participantsEmails = args.participants;
             }
             
-            logToFile(`Calling Gong API: /v2/calls/extensive with filter: ${JSON.stringify(requestBody.filter)}`);
+            logForAccount(`Calling Gong API: /v2/calls/extensive with filter: ${JSON.stringify(requestBody.filter)}`);
             
             // Make API call to Gong
             const response = await gongClient.post('/v2/calls/extensive', requestBody);
@@ -289,7 +549,7 @@ app.post('/api/mcp', async (req, res) => {
               url: call.metaData.url || 'N/A'
             }));
             
-            logToFile(`Found ${calls.length} calls, returning ${results.length}`);
+            logForAccount(`Found ${calls.length} calls, returning ${results.length}`);
             
             return res.json({
               jsonrpc: '2.0',
@@ -308,26 +568,123 @@ app.post('/api/mcp', async (req, res) => {
               }
             });
           } catch (error) {
-            logToFile(`Error in search-calls: ${error.message}`, 'error');
+            logForAccount(`Error in search-calls: ${error.message}`, 'error');
             return handleApiError(res, body.id, error);
           }
         }
         
-        case 'get-call-transcript': {
+        case 'search-transcripts': {
           try {
-            // Get transcript for specific call
-            logToFile(`Fetching transcript for call ID: ${args.callId}`);
+            if (!args.query || !String(args.query).trim()) {
+              return handleApiError(res, body.id, new ToolError('validation', 'A search query is required', { parameterPath: 'query' }));
+            }
             
-            const response = await gongClient.post('/v2/calls/transcript', {
-              filter: {
-                callIds: [args.callId]
+            // Open the account's index, then pick up transcripts synced since the last search
+            const store = accounts.callStore(account);
+            let index = transcriptIndexes.get(account.name);
+            if (!index) {
+              index = TranscriptIndex.open(store);
+              transcriptIndexes.set(account.name, index);
+            } else {
+              index.refresh(store);
+            }
+            
+            const result = index.search(args.query, {
+              speaker: args.speaker,
+              affiliation: args.affiliation,
+              fromDateTime: args.fromDate ? `${args.fromDate}T00:00:00Z` : undefined,
+              toDateTime: args.toDate ? `${args.toDate}T23:59:59Z` : undefined,
+              callIds: args.callIds,
+              contextSentences: args.contextSentences,
+              limit: args.limit
+            });
+            
+            logForAccount(`Transcript search "${args.query}" found ${result.totalHits} hits in ${result.indexedCalls} calls`);
+            
+            return res.json({
+              jsonrpc: '2.0',
+              id: body.id,
+              result: {
+                content: [{
+                  type: 'text',
+                  text: JSON.stringify({
+                    query: args.query,
+                    totalHits: result.totalHits,
+                    showing: result.hits.length,
+                    indexedCalls: result.indexedCalls,
+                    ...(result.indexedCalls === 0
+                      ? { note: `No transcripts stored for account "${account.name}" yet; run \`npm run sync:calls -- --account=${account.name}\`` }
+                      : {}),
+                    hits: result.hits
+                  }, null, 2)
+                }]
+              }
+            });
+          } catch (error) {
+            logForAccount(`Error in search-transcripts: ${error.message}`, 'error');
+            return handleApiError(res, body.id, error);
+          }
+        }
+        
+        case 'semantic-search-transcripts': {
+          try {
+            if (!args.query || !String(args.query).trim()) {
+              return handleApiError(res, body.id, new ToolError('validation', 'A search query is required', { parameterPath: 'query' }));
+            }
+            
+            // Embed transcripts synced since the last search before ranking
+            const store = accounts.callStore(account);
+            let index = semanticIndexes.get(account.name);
+            if (!index) {
+              index = SemanticIndex.open(store.dir, createEmbeddingProvider());
+              semanticIndexes.set(account.name, index);
+            }
+            const embedded = await index.refresh(store);
+            if (embedded > 0) {
+              logForAccount(`Embedded ${embedded} new transcripts for semantic search`);
+            }
+            
+            const hits = await index.search(args.query, {
+              fromDateTime: args.fromDate ? `${args.fromDate}T00:00:00Z` : undefined,
+              toDateTime: args.toDate ? `${args.toDate}T23:59:59Z` : undefined,
+              callIds: args.callIds,
+              limit: args.limit,
+              minScore: args.minScore
+            });
+            
+            logForAccount(`Semantic search "${args.query}" returned ${hits.length} snippets from ${index.callCount} calls`);
+            
+            return res.json({
+              jsonrpc: '2.0',
+              id: body.id,
+              result: {
+                content: [{
+                  type: 'text',
+                  text: JSON.stringify({
+                    query: args.query,
+                    indexedCalls: index.callCount,
+                    ...(index.callCount === 0
+                      ? { note: `No transcripts stored for account "${account.name}" yet; run \`npm run sync:calls -- --account=${account.name}\`` }
+                      : {}),
+                    snippets: hits
+                  }, null, 2)
+                }]
               }
             });
+          } catch (error) {
+            logForAccount(`Error in semantic-search-transcripts: ${error.message}`, 'error');
+            return handleApiError(res, body.id, error);
+          }
+        }
+        
+        case 'get-call-transcript': {
+          try {
+            // Get transcript for specific call
+            logForAccount(`Fetching transcript for call ID: ${args.callId}`);
             
-            // Process transcript
-            const transcripts = response.data.transcripts || [];
-            if (transcripts.length === 0) {
-              logToFile(`No transcript found for call ID: ${args.callId}`, 'warn');
+            const [entry] = await fetchTranscripts(gongClient, callStore, [args.callId]);
+            if (!entry) {
+              logForAccount(`No transcript found for call ID: ${args.callId}`, 'warn');
               
               return res.json({
                 jsonrpc: '2.0',
@@ -341,20 +698,24 @@ app.post('/api/mcp', async (req, res) => {
               });
             }
             
-            // Format transcript
-            const transcript = transcripts[0];
+            const [call] = await fetchCallsById(gongClient, callStore, [args.callId], {
+              contentSelector: ANALYSIS_CONTENT_SELECTOR
+            });
+            const transcript = normalizeTranscript(entry, call);
             const formattedTranscript = {
               callId: args.callId,
-              title: transcript.title || 'Unknown',
-              duration: transcript.duration || 'Unknown',
+              title: call?.metaData?.title || 'Unknown',
+              duration: call?.metaData?.duration ? formatDuration(call.metaData.duration) : 'Unknown',
+              speakers: transcript.speakers,
               sentences: transcript.sentences.map(s => ({
-                time: formatTimestamp(s.startTime),
-                speaker: s.speaker?.name || 'Unknown',
+                time: formatTimestamp(s.start),
+                speaker: s.speaker,
+                affiliation: s.affiliation,
                 text: s.text
               }))
             };
             
-            logToFile(`Successfully retrieved transcript with ${formattedTranscript.sentences.length} sentences`);
+            logForAccount(`Successfully retrieved transcript with ${formattedTranscript.sentences.length} sentences`);
             
             return res.json({
               jsonrpc: '2.0',
@@ -367,7 +728,7 @@ app.post('/api/mcp', async (req, res) => {
               }
             });
           } catch (error) {
-            logToFile(`Error in get-call-transcript: ${error.message}`, 'error');
+            logForAccount(`Error in get-call-transcript: ${error.message}`, 'error');
             return handleApiError(res, body.id, error);
           }
         }
@@ -378,7 +739,7 @@ app.post('/api/mcp', async (req, res) => {
             const limit = args.limit ? `?limit=${args.limit}` : '';
             const cursor = args.cursor ? `${limit ? '&' : '?'}cursor=${args.cursor}` : '';
             
-            logToFile(`Fetching users list: /v2/users${limit}${cursor}`);
+            logForAccount(`Fetching users list: /v2/users${limit}${cursor}`);
             
             // Get users from Gong
             const response = await gongClient.get(`/v2/users${limit}${cursor}`);
@@ -392,7 +753,7 @@ app.post('/api/mcp', async (req, res) => {
               title: user.title || 'N/A'
             }));
             
-            logToFile(`Retrieved ${formattedUsers.length} users`);
+            logForAccount(`Retrieved ${formattedUsers.length} users`);
             
             return res.json({
               jsonrpc: '2.0',
@@ -410,44 +771,43 @@ app.post('/api/mcp', async (req, res) => {
               }
             });
           } catch (error) {
-            logToFile(`Error in list-users: ${error.message}`, 'error');
+            logForAccount(`Error in list-users: ${error.message}`, 'error');
             return handleApiError(res, body.id, error);
           }
         }
         
         case 'analyze-calls': {
           try {
-            // Build date range for analysis
-            const fromDate = args.fromDate || getDefaultFromDate();
-            const toDate = args.toDate || new Date().toISOString().split('T')[0];
             const maxCalls = args.maxCalls || 100;
             
-            // Format as ISO date strings
-            const fromDateTime = new Date(`${fromDate}T00:00:00Z`).toISOString();
-            const toDateTime = new Date(`${toDate}T23:59:59Z`).toISOString();
-            
-            logToFile(`Analyzing calls from ${fromDate} to ${toDate}, max: ${maxCalls}`);
+            // Plan the query: dates, people, roles, accounts, call types and topics it names.
+            // Explicit fromDate/toDate and participants win over the question.
+            let directory = participantDirectories.get(account.name);
+            if (!directory || directory.isStale()) {
+              directory = await ParticipantDirectory.load(gongClient, callStore);
+              participantDirectories.set(account.name, directory);
+            }
+            const plan = planQuery(args.query, {
+              timeRange: args.fromDate ? {
+                start: `${args.fromDate}T00:00:00Z`,
+                end: args.toDate ? `${args.toDate}T23:59:59Z` : undefined
+              } : undefined,
+              participants: args.participants,
+              directory
+            });
+            requireUnambiguous(plan);
+            logForAccount(`Query plan: ${plan.steps.join('; ')}`);
             
-            // First, get calls matching criteria
-            const callsResponse = await gongClient.post('/v2/calls/extensive', {
-              filter: {
-                fromDateTime,
-                toDateTime,
-                participantsEmails: args.participants
-              },
-              contentSelector: {
-                context: "Extended",
-                contextTiming: ["Now", "TimeOfCall"],
-                exposedFields: {
-                  interaction: { questions: true, speakers: true },
-                  content: { topics: true, trackers: true },
-                  media: true
-                }
-              }
+            // First, get calls matching the plan (from the call store where it has them); account
+            // and call type filters apply afterwards, so the record cap only holds without them
+            const postFiltered = plan.accounts.length > 0 || plan.callTypes.length > 0;
+            const { calls: fetchedCalls, fromCache } = await fetchCallsInRange(gongClient, callStore, plan.filter, {
+              contentSelector: ANALYSIS_CONTENT_SELECTOR,
+              maxRecords: postFiltered ? undefined : maxCalls
             });
+            const allCalls = fetchedCalls.filter(call => matchesPlan(call, plan));
             
-            const allCalls = callsResponse.data.calls || [];
-            logToFile(`Found ${allCalls.length} calls matching criteria`);
+            logForAccount(`Found ${allCalls.length} calls matching criteria (${fromCache} from cache)`);
             
             // Limit calls to analyze
             const calls = allCalls.slice(0, maxCalls);
@@ -455,31 +815,33 @@ app.post('/api/mcp', async (req, res) => {
             // Get call IDs for transcripts
             const callIds = calls.slice(0, Math.min(50, calls.length)).map(call => call.metaData.id);
             
-            // Then get transcripts for these calls
+            // Then get transcripts for these calls, unless the plan answers from metadata alone
             let transcripts = [];
-            if (callIds.length > 0) {
-              logToFile(`Fetching transcripts for ${callIds.length} calls`);
-              
-              const transcriptResponse = await gongClient.post('/v2/calls/transcript', {
-                filter: {
-                  callIds
-                }
-              });
+            if (plan.needsTranscripts && callIds.length > 0) {
+              logForAccount(`Fetching transcripts for ${callIds.length} calls`);
               
-              transcripts = transcriptResponse.data.transcripts || [];
-              logToFile(`Retrieved ${transcripts.length} transcripts`);
+              transcripts = await fetchTranscripts(gongClient, callStore, callIds);
+              logForAccount(`Retrieved ${transcripts.length} transcripts`);
             }
             
             // Extract statistics about the calls
             const callStats = extractCallStatistics(calls, transcripts);
             
-            // Generate analysis based on the query
-            const analysis = generateAnalysisForQuery(args.query, calls, transcripts, callStats);
+            // Answer the query with the configured model (GONG_ANALYSIS_PROVIDER), citing call moments;
+            // count and duration questions are answered by the statistics
+            const analysis = plan.needsTranscripts ? await analyzeCalls(
+              createAnalysisProvider(),
+              args.query,
+              toAnalysisCalls(calls, transcripts),
+              analysisBudgetFromEnv(),
+              logForAccount
+            ) : null;
             
             // Create final result
             const result = {
               query: args.query,
-              dateRange: { from: fromDate, to: toDate },
+              dateRange: { from: plan.timeRange.fromDateTime, to: plan.timeRange.toDateTime },
+              plan,
               callsFound: allCalls.length,
               callsAnalyzed: calls.length,
               transcriptsAnalyzed: transcripts.length,
@@ -488,9 +850,9 @@ app.post('/api/mcp', async (req, res) => {
             };
             
             // Log detailed results to file for debugging
-            const resultFile = join(logDir, `analysis_${Date.now()}.json`);
+            const resultFile = join(account.logDir, `analysis_${Date.now()}.json`);
             fs.writeFileSync(resultFile, JSON.stringify(result, null, 2));
-            logToFile(`Full analysis saved to ${resultFile}`);
+            logForAccount(`Full analysis saved to ${resultFile}`);
             
             return res.json({
               jsonrpc: '2.0',
@@ -503,7 +865,134 @@ app.post('/api/mcp', async (req, res) => {
               }
             });
           } catch (error) {
-            logToFile(`Error in analyze-calls: ${error.message}`, 'error');
+            logForAccount(`Error in analyze-calls: ${error.message}`, 'error');
+            return handleApiError(res, body.id, error);
+          }
+        }
+        
+        case 'rep-scorecard': {
+          try {
+            const fromDate = args.fromDate || getDefaultFromDate();
+            const toDate = args.toDate || new Date().toISOString().split('T')[0];
+            const maxCalls = args.maxCalls || 200;
+            logForAccount(`Building scorecard for ${args.rep} from ${fromDate} to ${toDate}`);
+            
+            // The whole team's calls of the period, so the rep is compared within the same data
+            const { calls, fromCache } = await fetchCallsInRange(gongClient, callStore, {
+              fromDateTime: `${fromDate}T00:00:00Z`,
+              toDateTime: `${toDate}T23:59:59Z`
+            }, {
+              contentSelector: SCORECARD_CONTENT_SELECTOR,
+              maxRecords: maxCalls
+            });
+            const scored = calls.slice(0, maxCalls);
+            const transcripts = scored.length > 0
+              ? await fetchTranscripts(gongClient, callStore, scored.map(call => call.metaData.id))
+              : [];
+            logForAccount(`Scoring against ${scored.length} calls (${fromCache} from cache), ${transcripts.length} transcripts`);
+            
+            const scorecard = buildRepScorecard(scored, transcripts, args.rep, { from: fromDate, to: toDate });
+            
+            return res.json({
+              jsonrpc: '2.0',
+              id: body.id,
+              result: {
+                content: [{
+                  type: 'text',
+                  text: JSON.stringify(scorecard, null, 2)
+                }]
+              }
+            });
+          } catch (error) {
+            logForAccount(`Error in rep-scorecard: ${error.message}`, 'error');
+            return handleApiError(res, body.id, error);
+          }
+        }
+        
+        case 'mine-objections': {
+          try {
+            const fromDate = args.fromDate || getDefaultFromDate();
+            const toDate = args.toDate || new Date().toISOString().split('T')[0];
+            const maxCalls = args.maxCalls || 200;
+            logForAccount(`Mining objections from ${fromDate} to ${toDate}`);
+            
+            // The CRM context of the calls tells what became of the deal after an objection
+            const { calls, fromCache } = await fetchCallsInRange(gongClient, callStore, {
+              fromDateTime: `${fromDate}T00:00:00Z`,
+              toDateTime: `${toDate}T23:59:59Z`
+            }, {
+              contentSelector: ANALYSIS_CONTENT_SELECTOR,
+              maxRecords: maxCalls
+            });
+            const mined = calls.slice(0, maxCalls);
+            const transcripts = mined.length > 0
+              ? await fetchTranscripts(gongClient, callStore, mined.map(call => call.metaData.id))
+              : [];
+            logForAccount(`Reading ${mined.length} calls (${fromCache} from cache), ${transcripts.length} transcripts`);
+            
+            const report = buildObjectionReport(mined, transcripts, {
+              period: { from: fromDate, to: toDate },
+              categories: args.categories,
+              examples: args.examples
+            });
+            
+            return res.json({
+              jsonrpc: '2.0',
+              id: body.id,
+              result: {
+                content: [{
+                  type: 'text',
+                  text: JSON.stringify(report, null, 2)
+                }]
+              }
+            });
+          } catch (error) {
+            logForAccount(`Error in mine-objections: ${error.message}`, 'error');
+            return handleApiError(res, body.id, error);
+          }
+        }
+        
+        case 'competitor-intel': {
+          try {
+            const competitors = resolveCompetitors(args.competitors);
+            const fromDate = args.fromDate || getDefaultFromDate();
+            const toDate = args.toDate || new Date().toISOString().split('T')[0];
+            const maxCalls = args.maxCalls || 200;
+            logForAccount(`Scanning calls from ${fromDate} to ${toDate} for ${competitors.length} competitors`);
+            
+            // One call more than scanned tells whether the period has more calls than maxCalls
+            const { calls, fromCache } = await fetchCallsInRange(gongClient, callStore, {
+              fromDateTime: `${fromDate}T00:00:00Z`,
+              toDateTime: `${toDate}T23:59:59Z`
+            }, {
+              contentSelector: ANALYSIS_CONTENT_SELECTOR,
+              maxRecords: maxCalls + 1
+            });
+            const scanned = calls.slice(0, maxCalls);
+            const transcripts = scanned.length > 0
+              ? await fetchTranscripts(gongClient, callStore, scanned.map(call => call.metaData.id))
+              : [];
+            logForAccount(`Reading ${scanned.length} calls (${fromCache} from cache), ${transcripts.length} transcripts`);
+            
+            const report = buildCompetitorReport(scanned, transcripts, competitors, {
+              period: { from: fromDate, to: toDate },
+              totalCalls: calls.length,
+              interval: args.interval,
+              quotes: args.quotes
+            });
+            
+            return res.json({
+              jsonrpc: '2.0',
+              id: body.id,
+              result: {
+                content: [{
+                  type: 'text',
+                  text: JSON.stringify(report, null, 2)
+                }]
+              }
+            });
+          } catch (error) {
+            logForAccount(`Error in competitor-intel: ${error.message}`, 'error');
             return handleApiError(res, body.id, error);
           }
         }
@@ -514,56 +1003,26 @@ app.post('/api/mcp', async (req, res) => {
             const statsType = args.statsType || 'basic';
             
             if (callIds.length === 0) {
-              return res.json({
-                jsonrpc: '2.0',
-                id: body.id,
-                result: {
-                  content: [{
-                    type: 'text',
-                    text: JSON.stringify({
-                      error: 'No call IDs provided'
-                    }, null, 2)
-                  }]
-                }
-              });
+              return handleApiError(res, body.id, new ToolError('validation', 'No call IDs provided', { parameterPath: 'callIds' }));
             }
             
-            logToFile(`Getting stats for ${callIds.length} calls, type: ${statsType}`);
+            logForAccount(`Getting stats for ${callIds.length} calls, type: ${statsType}`);
             
             // First get call details
-            const callsResponse = await gongClient.post('/v2/calls/extensive', {
-              filter: {
-                callIds: callIds
-              },
-              contentSelector: {
-                context: "Extended",
-                contextTiming: ["Now", "TimeOfCall"],
-                exposedFields: {
-                  interaction: { questions: true, speakers: true },
-                  content: { topics: true, trackers: true },
-                  media: true
-                }
-              }
+            const calls = await fetchCallsById(gongClient, callStore, callIds, {
+              contentSelector: ANALYSIS_CONTENT_SELECTOR
             });
             
-            const calls = callsResponse.data.calls || [];
-            
             // Then get transcripts if detailed stats requested
             let transcripts = [];
             if (statsType !== 'basic') {
-              const transcriptResponse = await gongClient.post('/v2/calls/transcript', {
-                filter: {
-                  callIds: callIds
-                }
-              });
-              
-              transcripts = transcriptResponse.data.transcripts || [];
+              transcripts = await fetchTranscripts(gongClient, callStore, callIds);
             }
             
             // Generate statistics
             const stats = generateCallStats(calls, transcripts, statsType);
             
-            logToFile(`Generated ${statsType} stats for ${calls.length} calls`);
+            logForAccount(`Generated ${statsType} stats for ${calls.length} calls`);
             
             return res.json({
               jsonrpc: '2.0',
@@ -576,7 +1035,7 @@ app.post('/api/mcp', async (req, res) => {
               }
             });
           } catch (error) {
-            logToFile(`Error in get-call-stats: ${error.message}`, 'error');
+            logForAccount(`Error in get-call-stats: ${error.message}`, 'error');
             return handleApiError(res, body.id, error);
           }
         }
@@ -618,21 +1077,12 @@ app.post('/api/mcp', async (req, res) => {
   }
 });
 
-// Helper function to handle API errors
+// Helper function to handle API errors as structured MCP error results
 function handleApiError(res, id, error) {
-  const errorMessage = error.response
-    ? `API Error: ${error.response.status} - ${JSON.stringify(error.response.data || {}).substring(0, 200)}`
-    : `Error: ${error.message}`;
-  
   return res.json({
     jsonrpc: '2.0',
     id: id,
-    result: {
-      content: [{
-        type: 'text',
-        text: errorMessage
-      }]
-    }
+    result: toToolErrorResult(error)
   });
 }
 
@@ -643,13 +1093,6 @@ function formatDuration(seconds) {
   return `${minutes}m ${remainingSeconds}s`;
 }
 
-// Helper function to format timestamp
-function formatTimestamp(seconds) {
-  const minutes = Math.floor(seconds / 60);
-  const remainingSeconds = Math.floor(seconds % 60);
-  return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
-}
-
 // Helper function to get default from date (90 days ago)
 function getDefaultFromDate() {
   const date = new Date();
@@ -689,41 +1132,21 @@ function extractCallStatistics(calls, transcripts) {
       role: participantRoles[name] || 'Unknown'
     }));
   
-  // Transcript statistics
-  let totalSentences = 0;
-  let totalQuestions = 0;
-  let speakerTalkTime = {};
-  
-  transcripts.forEach(transcript => {
-    const sentences = transcript.sentences || [];
-    totalSentences += sentences.length;
-    
-    sentences.forEach(sentence => {
-      // Count questions
-      if (sentence.text && sentence.text.trim().endsWith('?')) {
-        totalQuestions++;
-      }
-      
-      // Track speaker talk time
-      const speaker = sentence.speaker?.name || 'Unknown';
-      const duration = sentence.endTime - sentence.startTime;
-      
-      if (!speakerTalkTime[speaker]) {
-        speakerTalkTime[speaker] = 0;
-      }
-      
-      speakerTalkTime[speaker] += duration;
-    });
-  });
+  // Transcript statistics, with speakers resolved through the call parties
+  const speakers = speakerTotals(normalizeTranscripts(calls, transcripts));
+  const totalSentences = speakers.reduce((sum, speaker) => sum + speaker.sentences, 0);
+  const totalQuestions = speakers.reduce((sum, speaker) => sum + speaker.questions, 0);
   
-  // Sort speakers by talk time
-  const topSpeakers = Object.entries(speakerTalkTime)
-    .sort((a, b) => b[1] - a[1])
+  // Speakers by talk time
+  const topSpeakers = speakers
     .slice(0, 10)
-    .map(([name, time]) => ({
-      name,
-      talkTime: formatDuration(time),
-      talkTimeSeconds: time
+    .map(speaker => ({
+      name: speaker.name,
+      affiliation: speaker.affiliation,
+      talkTime: formatDuration(Math.round(speaker.talkMs / 1000)),
+      talkTimeSeconds: Math.round(speaker.talkMs / 1000),
+      talkPercent: speaker.talkPercent,
+      questions: speaker.questions
     }));
   
   return {
@@ -740,136 +1163,6 @@ function extractCallStatistics(calls, transcripts) {
   };
 }
 
-// Helper function to generate analysis based on query
-function generateAnalysisForQuery(query, calls, transcripts, stats) {
-  const queryLower = query.toLowerCase();
-  
-  // Extract relevant information from calls and transcripts
-  let insights = [];
-  let recommendations = [];
-  let commonTopics = [];
-  
-  // Check if the query is about a specific person
-  const isAboutPerson = /\b(kellan|john|sarah|michael|david|alex|lisa|kim|tom|robert)\b/i.test(queryLower);
-  const personName = queryLower.match(/\b(kellan|john|sarah|michael|david|alex|lisa|kim|tom|robert)\b/i)?.[0] || '';
-  
-  // Check if the query is about a specific role
-  const isAboutProductManagers = /\b(product manager|pm|product management)\b/i.test(queryLower);
-  const isAboutAE = /\b(ae|account executive|sales|account manager)\b/i.test(queryLower);
-  const isAboutEngineers = /\b(engineer|developer|engineering)\b/i.test(queryLower);
-  
-  // Check for specific analysis topics
-  const isAboutQuestions = /\b(question|ask|inquiry|inquire)\b/i.test(queryLower);
-  const isAboutObjections = /\b(objection|concern|worry|hesitation|pushback)\b/i.test(queryLower);
-  const isAboutTraining = /\b(training|improve|suggestion|tip|advice)\b/i.test(queryLower);
-  
-  // Person-specific analysis
-  if (isAboutPerson) {
-    // Find calls with this person
-    const personCalls = calls.filter(call => 
-      (call.metaData.participants || []).some(p => 
-        p.name && p.name.toLowerCase().includes(personName.toLowerCase())
-      )
-    );
-    
-    // Find transcripts with this person
-    const personTranscripts = transcripts.filter(transcript => 
-      transcript.sentences.some(s => 
-        s.speaker?.name && s.speaker.name.toLowerCase().includes(personName.toLowerCase())
-      )
-    );
-    
-    const personSentences = [];
-    personTranscripts.forEach(transcript => {
-      transcript.sentences.forEach(sentence => {
-        if (sentence.speaker?.name && sentence.speaker.name.toLowerCase().includes(personName.toLowerCase())) {
-          personSentences.push(sentence.text);
-        }
-      });
-    });
-    
-    // Generate insights
-    insights = [
-      `${capitalizeFirstLetter(personName)} participated in ${personCalls.length} calls in the selected time period`,
-      `Average call duration with ${capitalizeFirstLetter(personName)}: ${calculateAverageDuration(personCalls)} minutes`,
-      `${capitalizeFirstLetter(personName)} speaks for approximately ${calculateSpeakingPercentage(personTranscripts, personName)}% of the time in calls`
-    ];
-    
-    // Generate recommendations if training was requested
-    if (isAboutTraining) {
-      recommendations = [
-        `Suggest ${capitalizeFirstLetter(personName)} asks more discovery questions early in calls`,
-        `Recommend ${capitalizeFirstLetter(personName)} reduces technical jargon when speaking with non-technical clients`,
-        `Advise ${capitalizeFirstLetter(personName)} to spend more time on value proposition before discussing pricing`
-      ];
-    }
-    
-    // Common topics discussed
-    commonTopics = extractCommonTopics(personSentences);
-  }
-  // Role-specific analysis
-  else if (isAboutProductManagers) {
-    insights = [
-      "Product managers focus primarily on roadmap discussions (72% of calls)",
-      "Feature requests and prioritization are common topics (58% of calls)",
-      "Technical feasibility questions appear frequently when discussing new features"
-    ];
-    
-    commonTopics = ["Roadmap planning", "Feature requests", "Technical constraints", "User feedback", "Prioritization"];
-    
-    if (isAboutQuestions) {
-      recommendations = [
-        "Common PM questions are about timeline, resource allocation, and technical feasibility",
-        "PMs often ask about user feedback and usage metrics",
-        "Questions about integration capabilities are prevalent in 65% of PM calls"
-      ];
-    }
-  }
-  else if (isAboutAE) {
-    insights = [
-      "Account Executives spend an average of 42 minutes per customer call",
-      "Successful AEs let customers speak for 60-70% of the call duration",
-      "Top performing AEs ask 10+ open-ended discovery questions"
-    ];
-    
-    commonTopics = ["Pricing", "Implementation timeline", "Success metrics", "Competition", "ROI calculation"];
-    
-    if (isAboutTraining) {
-      recommendations = [
-        "Implement a structured discovery framework across the AE team",
-        "Create a library of effective objection handling responses",
-        "Develop role-play exercises focusing on pricing discussions"
-      ];
-    }
-  }
-  // General analysis
-  else {
-    insights = [
-      `Analyzed ${calls.length} calls with ${stats.callStats.totalSentences} total sentences`,
-      `Questions appear in ${stats.callStats.questionsPerCall} times per call on average`,
-      `Most active participant appears in ${stats.topParticipants[0]?.callCount || 0} calls`
-    ];
-    
-    commonTopics = ["Implementation", "Pricing", "Timeline", "Technical requirements", "Support"];
-    
-    if (isAboutObjections) {
-      recommendations = [
-        "Most common objections relate to pricing structure (45% of calls)",
-        "Integration complexity concerns appear in 32% of customer conversations",
-        "Timeline and resource commitment objections are prevalent in enterprise deals"
-      ];
-    }
-  }
-  
-  return {
-    insights,
-    recommendations,
-    commonTopics,
-    personSpecific: isAboutPerson ? personName : null,
-    roleSpecific: isAboutProductManagers ? "Product Manager" : isAboutAE ? "Account Executive" : isAboutEngineers ? "Engineer" : null
-  };
-}
-
 // Helper function to generate call statistics
 function generateCallStats(calls, transcripts, statsType) {
   // Basic stats for all types
@@ -919,26 +1212,15 @@ function generateCallStats(calls, transcripts, statsType) {
   });
   
   // Process transcripts if available
-  if (transcripts.length > 0) {
-    let totalSentences = 0;
-    let totalQuestions = 0;
-    
-    transcripts.forEach(transcript => {
-      const sentences = transcript.sentences || [];
-      totalSentences += sentences.length;
-      
-      sentences.forEach(sentence => {
-        if (sentence.text && sentence.text.trim().endsWith('?')) {
-          totalQuestions++;
-        }
-      });
-    });
+  const normalized = normalizeTranscripts(calls, transcripts);
+  if (normalized.length > 0) {
+    const totalSentences = normalized.reduce((sum, t) => sum + t.sentences.length, 0);
     
     detailedStats.transcriptStats.totalSentences = totalSentences;
-    detailedStats.transcriptStats.totalQuestions = totalQuestions;
-    detailedStats.transcriptStats.averageSentencesPerCall = transcripts.length > 0 
-      ? Math.round(totalSentences / transcripts.length) 
-      : 0;
+    detailedStats.transcriptStats.totalQuestions = normalized.reduce(
+      (sum, t) => sum + t.sentences.filter(sentence => isQuestion(sentence.text)).length, 0
+    );
+    detailedStats.transcriptStats.averageSentencesPerCall = Math.round(totalSentences / normalized.length);
   }
   
   // Return detailed stats if comprehensive wasn't requested
@@ -946,140 +1228,50 @@ function generateCallStats(calls, transcripts, statsType) {
     return detailedStats;
   }
   
-  // Add comprehensive stats
+  // Add comprehensive stats, with conversation metrics per call and per rep
+  const metrics = normalized.map(callMetrics);
   const comprehensiveStats = {
     ...detailedStats,
     speakerAnalysis: {},
     topQuestions: [],
-    topicAnalysis: {}
+    topicAnalysis: {},
+    conversationMetrics: {
+      calls: metrics,
+      reps: repMetrics(metrics)
+    }
   };
   
   // Analyze speaker patterns
-  transcripts.forEach(transcript => {
-    transcript.sentences.forEach(sentence => {
-      const speaker = sentence.speaker?.name || 'Unknown';
-      if (!comprehensiveStats.speakerAnalysis[speaker]) {
-        comprehensiveStats.speakerAnalysis[speaker] = {
-          sentenceCount: 0,
-          totalTime: 0,
-          questions: 0
-        };
-      }
-      
-      comprehensiveStats.speakerAnalysis[speaker].sentenceCount++;
-      comprehensiveStats.speakerAnalysis[speaker].totalTime += (sentence.endTime - sentence.startTime);
-      
-      if (sentence.text && sentence.text.trim().endsWith('?')) {
-        comprehensiveStats.speakerAnalysis[speaker].questions++;
-        comprehensiveStats.topQuestions.push({
-          speaker,
-          question: sentence.text
-        });
-      }
-    });
-  });
-  
-  // Sort and limit top questions
-  comprehensiveStats.topQuestions = comprehensiveStats.topQuestions
-    .slice(0, 10);
+  for (const speaker of speakerTotals(normalized)) {
+    const totalTime = Math.round(speaker.talkMs / 1000);
+    comprehensiveStats.speakerAnalysis[speaker.name] = {
+      affiliation: speaker.affiliation,
+      sentenceCount: speaker.sentences,
+      totalTime,
+      formattedTime: formatDuration(totalTime),
+      talkPercent: speaker.talkPercent,
+      questions: speaker.questions
+    };
+  }
   
-  // Format speaker times
-  Object.keys(comprehensiveStats.speakerAnalysis).forEach(speaker => {
-    comprehensiveStats.speakerAnalysis[speaker].formattedTime = 
-      formatDuration(comprehensiveStats.speakerAnalysis[speaker].totalTime);
-  });
+  // First questions asked, in call order
+  comprehensiveStats.topQuestions = normalized
+    .flatMap(t => t.sentences.filter(sentence => isQuestion(sentence.text)))
+    .slice(0, 10)
+    .map(sentence => ({ speaker: sentence.speaker, question: sentence.text }));
   
   return comprehensiveStats;
 }
 
-// Helper function to extract common topics from text
-function extractCommonTopics(sentences) {
-  // This is a simplified implementation
-  // In a real system, this would use NLP techniques
-  
-  const topics = {
-    "Pricing": 0,
-    "Implementation": 0,
-    "Timeline": 0,
-    "Technical details": 0,
-    "Support": 0,
-    "Integration": 0,
-    "Features": 0,
-    "Roadmap": 0,
-    "Competition": 0,
-    "ROI": 0
-  };
-  
-  const topicKeywords = {
-    "Pricing": ["price", "cost", "budget", "expensive", "discount", "pricing"],
-    "Implementation": ["implement", "deployment", "install", "setup", "configure"],
-    "Timeline": ["timeline", "schedule", "deadline", "date", "delivery", "when"],
-    "Technical details": ["technical", "architecture", "code", "api", "backend", "frontend"],
-    "Support": ["support", "help", "assistance", "ticket", "issue", "problem"],
-    "Integration": ["integrate", "integration", "connect", "api", "interface", "sync"],
-    "Features": ["feature", "functionality", "capability", "able to", "can it"],
-    "Roadmap": ["roadmap", "future", "coming", "release", "next version", "plan"],
-    "Competition": ["competitor", "alternative", "other solution", "vs", "compare"],
-    "ROI": ["roi", "return", "value", "benefit", "outcome", "result"]
-  };
-  
-  // Count mentions of topics
-  sentences.forEach(sentence => {
-    if (!sentence) return;
-    
-    const text = sentence.toLowerCase();
-    
-    Object.entries(topicKeywords).forEach(([topic, keywords]) => {
-      if (keywords.some(keyword => text.includes(keyword))) {
-        topics[topic]++;
-      }
-    });
-  });
-  
-  // Sort topics by frequency and return top 5
-  return Object.entries(topics)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([topic]) => topic);
-}
-
-// Helper function to calculate average duration
-function calculateAverageDuration(calls) {
-  if (calls.length === 0) return 0;
-  
-  const totalSeconds = calls.reduce((sum, call) => sum + call.metaData.duration, 0);
-  return Math.round(totalSeconds / 60 / calls.length);
-}
-
-// Helper function to calculate speaking percentage
-function calculateSpeakingPercentage(transcripts, personName) {
-  let totalTime = 0;
-  let personTime = 0;
-  
-  transcripts.forEach(transcript => {
-    transcript.sentences.forEach(sentence => {
-      const duration = sentence.endTime - sentence.startTime;
-      totalTime += duration;
-      
-      if (sentence.speaker?.name && sentence.speaker.name.toLowerCase().includes(personName.toLowerCase())) {
-        personTime += duration;
-      }
-    });
-  });
-  
-  return totalTime > 0 ? Math.round((personTime / totalTime) * 100) : 0;
-}
-
-// Helper function to capitalize first letter
-function capitalizeFirstLetter(string) {
-  return string.charAt(0).toUpperCase() + string.slice(1);
-}
-
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   logToFile(`Gong MCP Server for Claude running on port ${PORT}`);
   logToFile(`Health: http://localhost:${PORT}/health`);
   logToFile(`MCP: http://localhost:${PORT}/api/mcp`);
-  logToFile(`Environment check: GONG_ACCESS_KEY=${process.env.GONG_ACCESS_KEY ? 'Set' : 'Missing'}, GONG_SECRET=${process.env.GONG_SECRET ? 'Set' : 'Missing'}`);
+  for (const name of accounts.names) {
+    const account = accounts.resolve(name);
+    const status = account.oauth ? 'OAuth' : account.accessKey && account.secret ? 'credentials set' : 'credentials missing';
+    logToFile(`Gong account ${name}${name === accounts.defaultAccount ? ' (default)' : ''}: ${account.baseUrl}, ${status}`);
+  }
 });
\ No newline at end of file
@@ -1,9 +1,19 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
+import { createGongClient } from './build/gong-client.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { toToolErrorResult } from './build/errors.js';
+import {
+  formatTimestamp,
+  isQuestion,
+  normalizeTranscript,
+  normalizeTranscripts,
+  speakerTotals
+} from './build/transcript.js';
+import { callMetrics, repMetrics } from './build/conversation-metrics.js';
+import { buildObjectionReport } from './build/objections.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -191,7 +201,8 @@ app.post('/api/mcp', async (req, res) => {
               statsType: {
                 type: 'string',
                 enum: ['basic', 'detailed', 'comprehensive'],
-                description: 'Level of detail for statistics'
+                description: 'Level of detail for statistics; comprehensive adds conversation metrics (talk ratio, ' +
+                  'longest monologue and customer story, interactivity, patience, question rate) per call and per rep'
               }
             },
             required: ['callIds']
@@ -230,7 +241,7 @@ app.post('/api/mcp', async (req, res) => {
       }
       
       // Create Gong API client
-      const gongClient = axios.create({
+      const gongClient = createGongClient({
         baseURL: 'https://api.gong.io',
         auth: {
           username: process.env.GONG_ACCESS_KEY,
@@ -325,8 +336,8 @@ app.post('/api/mcp', async (req, res) => {
             });
             
             // Process transcript
-            const transcripts = response.data.transcripts || [];
-            if (transcripts.length === 0) {
+            const entry = response.data.callTranscripts?.[0];
+            if (!entry) {
               logToFile(`No transcript found for call ID: ${args.callId}`, 'warn');
               
               return res.json({
@@ -341,15 +352,21 @@ app.post('/api/mcp', async (req, res) => {
               });
             }
             
-            // Format transcript
-            const transcript = transcripts[0];
+            const callResponse = await gongClient.post('/v2/calls/extensive', {
+              filter: { callIds: [args.callId] },
+              contentSelector: { exposedFields: { parties: true } }
+            });
+            const call = callResponse.data.calls?.[0];
+            const transcript = normalizeTranscript(entry, call);
             const formattedTranscript = {
               callId: args.callId,
-              title: transcript.title || 'Unknown',
-              duration: transcript.duration || 'Unknown',
+              title: call?.metaData?.title || 'Unknown',
+              duration: call?.metaData?.duration ? formatDuration(call.metaData.duration) : 'Unknown',
+              speakers: transcript.speakers,
               sentences: transcript.sentences.map(s => ({
-                time: formatTimestamp(s.startTime),
-                speaker: s.speaker?.name || 'Unknown',
+                time: formatTimestamp(s.start),
+                speaker: s.speaker,
+                affiliation: s.affiliation,
                 text: s.text
               }))
             };
@@ -439,6 +456,7 @@ app.post('/api/mcp', async (req, res) => {
                 context: "Extended",
                 contextTiming: ["Now", "TimeOfCall"],
                 exposedFields: {
+                  parties: true,
                   interaction: { questions: true, speakers: true },
                   content: { topics: true, trackers: true },
                   media: true
@@ -466,7 +484,8 @@ app.post('/api/mcp', async (req, res) => {
                 }
               });
               
-              transcripts = transcriptResponse.data.transcripts || [];
+              // Speakers are resolved through the parties of the calls
+              transcripts = normalizeTranscripts(calls, transcriptResponse.data.callTranscripts || []);
               logToFile(`Retrieved ${transcripts.length} transcripts`);
             }
             
@@ -474,7 +493,10 @@ app.post('/api/mcp', async (req, res) => {
             const callStats = extractCallStatistics(calls, transcripts);
             
             // Generate analysis based on the query
-            const analysis = generateAnalysisForQuery(args.query, calls, transcripts, callStats);
+            const analysis = generateAnalysisForQuery(args.query, calls, transcripts, callStats, {
+              from: fromDate,
+              to: toDate
+            });
             
             // Create final result
             const result = {
@@ -539,6 +561,7 @@ app.post('/api/mcp', async (req, res) => {
                 context: "Extended",
                 contextTiming: ["Now", "TimeOfCall"],
                 exposedFields: {
+                  parties: true,
                   interaction: { questions: true, speakers: true },
                   content: { topics: true, trackers: true },
                   media: true
@@ -557,7 +580,7 @@ app.post('/api/mcp', async (req, res) => {
                 }
               });
               
-              transcripts = transcriptResponse.data.transcripts || [];
+              transcripts = normalizeTranscripts(calls, transcriptResponse.data.callTranscripts || []);
             }
             
             // Generate statistics
@@ -618,21 +641,12 @@ app.post('/api/mcp', async (req, res) => {
   }
 });
 
-// Helper function to handle API errors
+// Helper function to handle API errors as structured MCP error results
 function handleApiError(res, id, error) {
-  const errorMessage = error.response
-    ? `API Error: ${error.response.status} - ${JSON.stringify(error.response.data || {}).substring(0, 200)}`
-    : `Error: ${error.message}`;
-  
   return res.json({
     jsonrpc: '2.0',
     id: id,
-    result: {
-      content: [{
-        type: 'text',
-        text: errorMessage
-      }]
-    }
+    result: toToolErrorResult(error)
   });
 }
 
@@ -643,13 +657,6 @@ function formatDuration(seconds) {
   return `${minutes}m ${remainingSeconds}s`;
 }
 
-// Helper function to format timestamp
-function formatTimestamp(seconds) {
-  const minutes = Math.floor(seconds / 60);
-  const remainingSeconds = Math.floor(seconds % 60);
-  return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
-}
-
 // Helper function to get default from date (90 days ago)
 function getDefaultFromDate() {
   const date = new Date();
@@ -690,40 +697,20 @@ function extractCallStatistics(calls, transcripts) {
     }));
   
   // Transcript statistics
-  let totalSentences = 0;
-  let totalQuestions = 0;
-  let speakerTalkTime = {};
-  
-  transcripts.forEach(transcript => {
-    const sentences = transcript.sentences || [];
-    totalSentences += sentences.length;
-    
-    sentences.forEach(sentence => {
-      // Count questions
-      if (sentence.text && sentence.text.trim().endsWith('?')) {
-        totalQuestions++;
-      }
-      
-      // Track speaker talk time
-      const speaker = sentence.speaker?.name || 'Unknown';
-      const duration = sentence.endTime - sentence.startTime;
-      
-      if (!speakerTalkTime[speaker]) {
-        speakerTalkTime[speaker] = 0;
-      }
-      
-      speakerTalkTime[speaker] += duration;
-    });
-  });
+  const speakers = speakerTotals(transcripts);
+  const totalSentences = speakers.reduce((sum, speaker) => sum + speaker.sentences, 0);
+  const totalQuestions = speakers.reduce((sum, speaker) => sum + speaker.questions, 0);
   
-  // Sort speakers by talk time
-  const topSpeakers = Object.entries(speakerTalkTime)
-    .sort((a, b) => b[1] - a[1])
+  // Speakers by talk time
+  const topSpeakers = speakers
     .slice(0, 10)
-    .map(([name, time]) => ({
-      name,
-      talkTime: formatDuration(time),
-      talkTimeSeconds: time
+    .map(speaker => ({
+      name: speaker.name,
+      affiliation: speaker.affiliation,
+      talkTime: formatDuration(Math.round(speaker.talkMs / 1000)),
+      talkTimeSeconds: Math.round(speaker.talkMs / 1000),
+      talkPercent: speaker.talkPercent,
+      questions: speaker.questions
     }));
   
   return {
@@ -741,7 +728,7 @@ function extractCallStatistics(calls, transcripts) {
 }
 
 // Helper function to generate analysis based on query
-function generateAnalysisForQuery(query, calls, transcripts, stats) {
+function generateAnalysisForQuery(query, calls, transcripts, stats, period) {
   const queryLower = query.toLowerCase();
   
   // Extract relevant information from calls and transcripts
@@ -763,26 +750,27 @@ function generateAnalysisForQuery(query, calls, transcripts, stats) {
   const isAboutObjections = /\b(objection|concern|worry|hesitation|pushback)\b/i.test(queryLower);
   const isAboutTraining = /\b(training|improve|suggestion|tip|advice)\b/i.test(queryLower);
   
+  // Objections raised by the customers in the transcripts, ranked by category
+  const objections = isAboutObjections ? buildObjectionReport(calls, transcripts, { period }) : null;
+  
   // Person-specific analysis
   if (isAboutPerson) {
     // Find calls with this person
     const personCalls = calls.filter(call => 
-      (call.metaData.participants || []).some(p => 
+      (call.parties || []).some(p => 
         p.name && p.name.toLowerCase().includes(personName.toLowerCase())
       )
     );
     
     // Find transcripts with this person
     const personTranscripts = transcripts.filter(transcript => 
-      transcript.sentences.some(s => 
-        s.speaker?.name && s.speaker.name.toLowerCase().includes(personName.toLowerCase())
-      )
+      transcript.sentences.some(s => s.speaker.toLowerCase().includes(personName.toLowerCase()))
     );
     
     const personSentences = [];
     personTranscripts.forEach(transcript => {
       transcript.sentences.forEach(sentence => {
-        if (sentence.speaker?.name && sentence.speaker.name.toLowerCase().includes(personName.toLowerCase())) {
+        if (sentence.speaker.toLowerCase().includes(personName.toLowerCase())) {
           personSentences.push(sentence.text);
         }
       });
@@ -852,12 +840,11 @@ function generateAnalysisForQuery(query, calls, transcripts, stats) {
     
     commonTopics = ["Implementation", "Pricing", "Timeline", "Technical requirements", "Support"];
     
-    if (isAboutObjections) {
-      recommendations = [
-        "Most common objections relate to pricing structure (45% of calls)",
-        "Integration complexity concerns appear in 32% of customer conversations",
-        "Timeline and resource commitment objections are prevalent in enterprise deals"
-      ];
+    if (objections) {
+      recommendations = objections.categories.map(category =>
+        `${category.label} objections came up in ${category.callShare}% of calls; reps answered ` +
+        `${category.responses.answered} of ${category.objections}, ${category.responses.askedQuestion} with a question`
+      );
     }
   }
   
@@ -865,6 +852,7 @@ function generateAnalysisForQuery(query, calls, transcripts, stats) {
     insights,
     recommendations,
     commonTopics,
+    objections,
     personSpecific: isAboutPerson ? personName : null,
     roleSpecific: isAboutProductManagers ? "Product Manager" : isAboutAE ? "Account Executive" : isAboutEngineers ? "Engineer" : null
   };
@@ -920,25 +908,13 @@ function generateCallStats(calls, transcripts, statsType) {
   
   // Process transcripts if available
   if (transcripts.length > 0) {
-    let totalSentences = 0;
-    let totalQuestions = 0;
-    
-    transcripts.forEach(transcript => {
-      const sentences = transcript.sentences || [];
-      totalSentences += sentences.length;
-      
-      sentences.forEach(sentence => {
-        if (sentence.text && sentence.text.trim().endsWith('?')) {
-          totalQuestions++;
-        }
-      });
-    });
+    const totalSentences = transcripts.reduce((sum, t) => sum + t.sentences.length, 0);
     
     detailedStats.transcriptStats.totalSentences = totalSentences;
-    detailedStats.transcriptStats.totalQuestions = totalQuestions;
-    detailedStats.transcriptStats.averageSentencesPerCall = transcripts.length > 0 
-      ? Math.round(totalSentences / transcripts.length) 
-      : 0;
+    detailedStats.transcriptStats.totalQuestions = transcripts.reduce(
+      (sum, t) => sum + t.sentences.filter(sentence => isQuestion(sentence.text)).length, 0
+    );
+    detailedStats.transcriptStats.averageSentencesPerCall = Math.round(totalSentences / transcripts.length);
   }
   
   // Return detailed stats if comprehensive wasn't requested
@@ -946,48 +922,37 @@ function generateCallStats(calls, transcripts, statsType) {
     return detailedStats;
   }
   
-  // Add comprehensive stats
+  // Add comprehensive stats, with conversation metrics per call and per rep
+  const metrics = transcripts.map(callMetrics);
   const comprehensiveStats = {
     ...detailedStats,
     speakerAnalysis: {},
     topQuestions: [],
-    topicAnalysis: {}
+    topicAnalysis: {},
+    conversationMetrics: {
+      calls: metrics,
+      reps: repMetrics(metrics)
+    }
   };
   
   // Analyze speaker patterns
-  transcripts.forEach(transcript => {
-    transcript.sentences.forEach(sentence => {
-      const speaker = sentence.speaker?.name || 'Unknown';
-      if (!comprehensiveStats.speakerAnalysis[speaker]) {
-        comprehensiveStats.speakerAnalysis[speaker] = {
-          sentenceCount: 0,
-          totalTime: 0,
-          questions: 0
-        };
-      }
-      
-      comprehensiveStats.speakerAnalysis[speaker].sentenceCount++;
-      comprehensiveStats.speakerAnalysis[speaker].totalTime += (sentence.endTime - sentence.startTime);
-      
-      if (sentence.text && sentence.text.trim().endsWith('?')) {
-        comprehensiveStats.speakerAnalysis[speaker].questions++;
-        comprehensiveStats.topQuestions.push({
-          speaker,
-          question: sentence.text
-        });
-      }
-    });
-  });
-  
-  // Sort and limit top questions
-  comprehensiveStats.topQuestions = comprehensiveStats.topQuestions
-    .slice(0, 10);
+  for (const speaker of speakerTotals(transcripts)) {
+    const totalTime = Math.round(speaker.talkMs / 1000);
+    comprehensiveStats.speakerAnalysis[speaker.name] = {
+      affiliation: speaker.affiliation,
+      sentenceCount: speaker.sentences,
+      totalTime,
+      formattedTime: formatDuration(totalTime),
+      talkPercent: speaker.talkPercent,
+      questions: speaker.questions
+    };
+  }
   
-  // Format speaker times
-  Object.keys(comprehensiveStats.speakerAnalysis).forEach(speaker => {
-    comprehensiveStats.speakerAnalysis[speaker].formattedTime = 
-      formatDuration(comprehensiveStats.speakerAnalysis[speaker].totalTime);
-  });
+  // First questions asked, in call order
+  comprehensiveStats.topQuestions = transcripts
+    .flatMap(t => t.sentences.filter(sentence => isQuestion(sentence.text)))
+    .slice(0, 10)
+    .map(sentence => ({ speaker: sentence.speaker, question: sentence.text }));
   
   return comprehensiveStats;
 }
@@ -1053,21 +1018,11 @@ function calculateAverageDuration(calls) {
 
 // Helper function to calculate speaking percentage
 function calculateSpeakingPercentage(transcripts, personName) {
-  let totalTime = 0;
-  let personTime = 0;
-  
-  transcripts.forEach(transcript => {
-    transcript.sentences.forEach(sentence => {
-      const duration = sentence.endTime - sentence.startTime;
-      totalTime += duration;
-      
-      if (sentence.speaker?.name && sentence.speaker.name.toLowerCase().includes(personName.toLowerCase())) {
-        personTime += duration;
-      }
-    });
-  });
-  
-  return totalTime > 0 ? Math.round((personTime / totalTime) * 100) : 0;
+  const name = personName.toLowerCase();
+  const percent = speakerTotals(transcripts)
+    .filter(speaker => speaker.name.toLowerCase().includes(name))
+    .reduce((sum, speaker) => sum + speaker.talkPercent, 0);
+  return Math.round(percent);
 }
 
 // Helper function to capitalize first letter
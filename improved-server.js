@@ -1,10 +1,18 @@
 import express from 'express';
 import cors from 'cors';
-import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import dotenv from 'dotenv';
 import fs from 'fs';
+import { loadAccountRegistry } from './build/accounts.js';
+import { cacheModeFromEnv } from './build/call-store.js';
+import { JobQueue, jobQueueOptionsFromEnv, mergeBatchResults } from './build/job-queue.js';
+import {
+  JobNotifier,
+  jobNotifierOptionsFromEnv,
+  toMcpNotification,
+  validateCallback
+} from './build/job-notifier.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -21,15 +29,91 @@ if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir, { recursive: true });
 }
 
+// Gong credential profiles; each account logs to logs/<account>
+const accounts = loadAccountRegistry({ logRoot: logDir });
+
+// Signed callbacks and streamed MCP notifications about batch jobs; every callback attempt is
+// logged next to the job
+const jobNotifier = new JobNotifier({
+  ...jobNotifierOptionsFromEnv(),
+  log: message => console.log(`📣 ${message}`),
+  record: (jobId, delivery) => jobQueue.appendDelivery(jobId, delivery)
+});
+
+// Batch analysis jobs, persisted under logs/jobs so they survive restarts. Each batch analyzes
+// one page of calls and hands its continuation token to the next.
+const jobQueue = new JobQueue({
+  dir: join(logDir, 'jobs'),
+  ...jobQueueOptionsFromEnv(),
+  log: message => console.log(`🔄 ${message}`),
+  onEvent: (job, event) => jobNotifier.notify(job, event),
+  runBatch: async (job, batch) => {
+    const account = accounts.resolve(job.params.account);
+    const { ImprovedAnalyzer } = await import('./build/improved-analyzer.js');
+    const analyzer = new ImprovedAnalyzer(
+      accounts.client(account),
+      account.logDir,
+      cacheModeFromEnv() === 'prefer' ? accounts.callStore(account) : undefined
+    );
+    const result = await analyzer.analyzeWithNlp({
+      query: job.params.query,
+      timeRange: job.params.timeRange,
+      participants: job.params.participants,
+      page: batch.index,
+      pageSize: batch.pageSize,
+      cursor: batch.cursor,
+      logResults: true
+    });
+    return {
+      result,
+      callsAnalyzed: result.callsAnalyzed,
+      totalCalls: result.totalCallsFound,
+      nextCursor: result.pagination.nextCursor
+    };
+  }
+});
+
+// Answers a request that failed with a job queue error
+function sendJobError(res, error, action) {
+  const status = { not_found: 404, validation: 409 }[error.category] || 500;
+  if (status === 500) console.error(`❌ Error ${action}:`, error);
+  res.status(status).json({
+    error: status === 404 ? 'Job not found' : `Failed ${action}`,
+    message: error.message
+  });
+}
+
+// Resolves the Gong account a request names (or the default one), makes sure it can authenticate
+// (access key or OAuth) and that its log directory exists. Answers the request itself and returns
+// null if the account is unknown or has no credentials.
+function resolveAccount(name, res) {
+  try {
+    const account = accounts.resolve(name);
+    accounts.client(account);
+    fs.mkdirSync(account.logDir, { recursive: true });
+    return account;
+  } catch (error) {
+    const unknown = error.category === 'validation';
+    res.status(unknown ? 400 : 500).json({
+      error: unknown ? 'Unknown Gong account' : 'Missing Gong credentials',
+      message: error.message,
+      accounts: accounts.names
+    });
+    return null;
+  }
+}
+
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     service: 'Improved Gong MCP Server',
     timestamp: new Date().toISOString(),
-    features: ['Basic API', 'Natural Language Processing', 'AI Integration', 'Pagination', 'Logging', 'Smart Filtering', 'Context-Aware Analysis'],
+    features: ['Basic API', 'Natural Language Processing', 'AI Integration', 'Pagination', 'Logging', 'Smart Filtering', 'Context-Aware Analysis', 'Competitor Intel'],
     env: {
       hasGongKey: !!process.env.GONG_ACCESS_KEY,
       hasGongSecret: !!process.env.GONG_SECRET,
+      accounts: accounts.names,
+      defaultAccount: accounts.defaultAccount,
       nodeEnv: process.env.NODE_ENV
     }
   });
@@ -57,11 +141,10 @@ app.post('/api/mcp', async (req, res) => {
     
     console.log(`🔄 MCP Request: ${method}`, JSON.stringify(params, null, 2));
     
-    if (!process.env.GONG_ACCESS_KEY || !process.env.GONG_SECRET) {
-      return completeError({
-        error: 'Missing Gong credentials',
-        message: 'GONG_ACCESS_KEY and GONG_SECRET environment variables are required'
-      });
+    // The MCP server resolves the account itself; fail early if it cannot be used
+    if (!resolveAccount(params.arguments?.account, res)) {
+      isComplete = true;
+      return;
     }
 
     const mcpRequest = {
@@ -255,13 +338,10 @@ app.get('/api/tools', async (req, res) => {
 
 // Enhanced endpoint for natural language queries with improved analyzer, pagination and logging
 app.post('/api/analyze', async (req, res) => {
+  let account;
   try {
-    if (!process.env.GONG_ACCESS_KEY || !process.env.GONG_SECRET) {
-      return res.status(500).json({
-        error: 'Missing Gong credentials',
-        message: 'GONG_ACCESS_KEY and GONG_SECRET environment variables are required'
-      });
-    }
+    account = resolveAccount(req.body.account, res);
+    if (!account) return;
     
     const { 
       query, 
@@ -285,7 +365,7 @@ app.post('/api/analyze', async (req, res) => {
     
     // Log the incoming query
     const timestamp = new Date().toISOString();
-    const queryLog = join(logDir, 'incoming_queries.log');
+    const queryLog = join(account.logDir, 'incoming_queries.log');
     fs.appendFileSync(queryLog, 
       `[${timestamp}] Query: "${query}" | Page: ${page} | Size: ${pageSize} | Cursor: ${cursor || 'none'}\n`
     );
@@ -299,10 +379,9 @@ app.post('/api/analyze', async (req, res) => {
       
       // Create analyzer instance
       analyzer = new ImprovedAnalyzer(
-        'https://api.gong.io',
-        process.env.GONG_ACCESS_KEY,
-        process.env.GONG_SECRET,
-        logDir
+        accounts.client(account),
+        account.logDir,
+        cacheModeFromEnv() === 'prefer' ? accounts.callStore(account) : undefined
       );
     } catch (err) {
       console.log('⚠️ Improved analyzer not available, falling back to standard analyzer');
@@ -311,10 +390,10 @@ app.post('/api/analyze', async (req, res) => {
       
       // Create analyzer instance
       analyzer = new NlpAnalyzerV2(
-        'https://api.gong.io',
-        process.env.GONG_ACCESS_KEY,
-        process.env.GONG_SECRET,
-        logDir
+        account.baseUrl,
+        account.accessKey,
+        account.secret,
+        account.logDir
       );
     }
     
@@ -337,7 +416,7 @@ app.post('/api/analyze', async (req, res) => {
     
     // Create a full results file for reference
     const resultTimestamp = new Date().toISOString().replace(/:/g, '-');
-    const resultFilename = join(logDir, `result_${resultTimestamp}.json`);
+    const resultFilename = join(account.logDir, `result_${resultTimestamp}.json`);
     fs.writeFileSync(resultFilename, JSON.stringify(result, null, 2));
     
     res.json(result);
@@ -346,7 +425,7 @@ app.post('/api/analyze', async (req, res) => {
     
     // Log the error
     const timestamp = new Date().toISOString();
-    const errorLog = join(logDir, 'errors.log');
+    const errorLog = join(account?.logDir || logDir, 'errors.log');
     fs.appendFileSync(errorLog, 
       `[${timestamp}] Error: ${error.message}\n${error.stack || ''}\n\n`
     );
@@ -354,28 +433,77 @@ app.post('/api/analyze', async (req, res) => {
     res.status(500).json({
       error: 'Analysis failed',
       message: error.message,
-      logLocation: logDir
+      logLocation: account?.logDir || logDir
     });
   }
 });
 
-// Batch analysis endpoint for large datasets
-app.post('/api/analyze/batch', async (req, res) => {
+// Competitor mentions in the calls of a period, by the competitor dictionary of the request or
+// GONG_COMPETITORS_FILE
+app.post('/api/competitors', async (req, res) => {
+  let account;
   try {
-    if (!process.env.GONG_ACCESS_KEY || !process.env.GONG_SECRET) {
-      return res.status(500).json({
-        error: 'Missing Gong credentials',
-        message: 'GONG_ACCESS_KEY and GONG_SECRET environment variables are required'
+    account = resolveAccount(req.body.account, res);
+    if (!account) return;
+    
+    const { competitors, timeRange, participants, maxCalls, interval, quotes } = req.body;
+    if (interval !== undefined && !['week', 'month'].includes(interval)) {
+      return res.status(400).json({
+        error: 'Invalid interval',
+        message: 'interval must be "week" or "month"'
       });
     }
     
+    console.log(`🏁 Scanning calls of account ${account.name} for competitor mentions`);
+    
+    const { ImprovedAnalyzer } = await import('./build/improved-analyzer.js');
+    const analyzer = new ImprovedAnalyzer(
+      accounts.client(account),
+      account.logDir,
+      cacheModeFromEnv() === 'prefer' ? accounts.callStore(account) : undefined
+    );
+    const report = await analyzer.competitorIntel({
+      competitors,
+      timeRange,
+      participants,
+      maxCalls,
+      interval,
+      quotes
+    });
+    
+    res.json(report);
+  } catch (error) {
+    const status = { validation: 400 }[error.category] || 500;
+    console.error('❌ Error in competitor report:', error);
+    
+    const timestamp = new Date().toISOString();
+    const errorLog = join(account?.logDir || logDir, 'errors.log');
+    fs.appendFileSync(errorLog, 
+      `[${timestamp}] Competitor report error: ${error.message}\n${error.stack || ''}\n\n`
+    );
+    
+    res.status(status).json({
+      error: status === 400 ? 'Invalid competitor request' : 'Competitor report failed',
+      message: error.message
+    });
+  }
+});
+
+// Batch analysis endpoint for large datasets
+app.post('/api/analyze/batch', async (req, res) => {
+  try {
+    const account = resolveAccount(req.body.account, res);
+    if (!account) return;
+    
     const { 
       query, 
       timeRange, 
       maxCalls = 1000, 
       participants,
       batchSize = 100,
-      logResults = true
+      callbackUrl,
+      callbackEvents,
+      progressToken
     } = req.body;
     
     if (!query) {
@@ -384,54 +512,53 @@ app.post('/api/analyze/batch', async (req, res) => {
         message: 'A natural language query is required'
       });
     }
+
+    for (const [name, value] of Object.entries({ maxCalls, batchSize })) {
+      if (!Number.isInteger(value) || value < 1) {
+        return res.status(400).json({
+          error: `Invalid ${name}`,
+          message: `${name} must be a positive integer`
+        });
+      }
+    }
+
+    let callback;
+    if (callbackUrl !== undefined) {
+      if (!jobNotifier.signing) {
+        return res.status(400).json({
+          error: 'Callbacks not configured',
+          message: 'Set GONG_WEBHOOK_SECRET to sign callbacks before registering a callbackUrl'
+        });
+      }
+      try {
+        callback = validateCallback(callbackUrl, callbackEvents);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid callback', message: error.message });
+      }
+    }
     
     console.log(`🔄 Processing batch analysis request: "${query}" (max: ${maxCalls}, batch: ${batchSize})`);
     
-    // Create a unique job ID
-    const jobId = `job_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-    const jobDir = join(logDir, jobId);
-    fs.mkdirSync(jobDir, { recursive: true });
-    
-    // Log the job start
-    const timestamp = new Date().toISOString();
-    const jobLog = join(jobDir, 'job.log');
-    fs.writeFileSync(jobLog, 
-      `[${timestamp}] Started batch job for query: "${query}"\n` +
-      `Parameters: maxCalls=${maxCalls}, batchSize=${batchSize}\n` +
-      `Time range: ${timeRange?.start || 'default'} to ${timeRange?.end || 'present'}\n`
-    );
-    
-    // Spawn a separate process to handle the batch job
-    const batchProcess = spawn('node', [join(__dirname, 'batch-processor.js')], {
-      env: {
-        ...process.env,
-        GONG_ACCESS_KEY: process.env.GONG_ACCESS_KEY,
-        GONG_SECRET: process.env.GONG_SECRET,
-        JOB_ID: jobId,
-        JOB_DIR: jobDir,
-        QUERY: query,
-        BATCH_SIZE: batchSize.toString(),
-        MAX_CALLS: maxCalls.toString(),
-        TIME_RANGE_START: timeRange?.start || '',
-        TIME_RANGE_END: timeRange?.end || '',
-        PARTICIPANTS: participants ? JSON.stringify(participants) : ''
-      },
-      detached: true,
-      stdio: 'ignore'
+    const job = jobQueue.submit({
+      account: account.name,
+      query,
+      timeRange,
+      participants,
+      maxCalls,
+      batchSize,
+      ...(callback ? { callback } : {}),
+      ...(progressToken !== undefined ? { progressToken } : {})
     });
     
-    // Let the process run independently
-    batchProcess.unref();
-    
-    // Return the job ID
-    res.json({
-      status: 'started',
-      jobId: jobId,
-      message: 'Batch analysis job started successfully',
-      maxCalls: maxCalls,
-      batchSize: batchSize,
-      checkStatusAt: `/api/analyze/batch/${jobId}/status`,
-      jobDir: jobDir
+    res.status(202).json({
+      status: job.status,
+      jobId: job.id,
+      message: 'Batch analysis job queued',
+      maxCalls,
+      batchSize,
+      checkStatusAt: `/api/analyze/batch/${job.id}/status`,
+      resultsAt: `/api/analyze/batch/${job.id}/results`,
+      eventsAt: `/api/analyze/batch/${job.id}/events`
     });
   } catch (error) {
     console.error('❌ Error starting batch analysis:', error);
@@ -446,50 +573,99 @@ app.post('/api/analyze/batch', async (req, res) => {
 // Batch job status endpoint
 app.get('/api/analyze/batch/:jobId/status', (req, res) => {
   try {
-    const { jobId } = req.params;
-    const jobDir = join(logDir, jobId);
-    
-    if (!fs.existsSync(jobDir)) {
+    const job = jobQueue.get(req.params.jobId);
+    if (!job) {
       return res.status(404).json({
         error: 'Job not found',
-        message: `No batch job found with ID ${jobId}`
-      });
-    }
-    
-    const jobLog = join(jobDir, 'job.log');
-    const statusFile = join(jobDir, 'status.json');
-    
-    if (fs.existsSync(statusFile)) {
-      const status = JSON.parse(fs.readFileSync(statusFile, 'utf8'));
-      res.json(status);
-    } else {
-      // Job is still initializing
-      res.json({
-        status: 'initializing',
-        jobId: jobId,
-        message: 'Batch job is initializing',
-        progress: 0
+        message: `No batch job found with ID ${req.params.jobId}`
       });
     }
+    res.json({ ...jobQueue.describe(job), deliveries: jobQueue.deliveries(job.id) });
   } catch (error) {
-    console.error('❌ Error checking batch status:', error);
-    
-    res.status(500).json({
-      error: 'Failed to check batch status',
-      message: error.message
+    sendJobError(res, error, 'to check batch status');
+  }
+});
+
+// Streams a job's progress milestones and outcome as MCP notifications over server-sent events
+app.get('/api/analyze/batch/:jobId/events', (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `No batch job found with ID ${req.params.jobId}`
     });
   }
+  
+  const progressToken = job.params.progressToken ?? job.id;
+  const send = event => {
+    const notification = toMcpNotification(event, progressToken);
+    res.write(`event: message\ndata: ${JSON.stringify(notification)}\n\n`);
+  };
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  
+  // Start with where the job stands; a finished job ends the stream right away
+  const current = jobQueue.describe(job);
+  const finished = ['completed', 'failed', 'cancelled'].includes(job.status);
+  send({
+    type: finished ? job.status : 'progress',
+    jobId: job.id,
+    status: job.status,
+    progress: current.progress,
+    processedCalls: job.processedCalls,
+    ...(job.totalCalls !== undefined ? { totalCalls: job.totalCalls } : {}),
+    ...(job.error ? { error: job.error } : {}),
+    occurredAt: new Date().toISOString()
+  });
+  if (finished) return res.end();
+  
+  const unsubscribe = jobNotifier.subscribe(job.id, event => {
+    send(event);
+    if (event.type !== 'progress') {
+      unsubscribe();
+      res.end();
+    }
+  });
+  req.on('close', unsubscribe);
+});
+
+// Merged report of the batches completed so far
+app.get('/api/analyze/batch/:jobId/results', (req, res) => {
+  try {
+    const results = jobQueue.results(req.params.jobId);
+    res.json(mergeBatchResults(jobQueue.get(req.params.jobId), results));
+  } catch (error) {
+    sendJobError(res, error, 'to read batch results');
+  }
+});
+
+// Cancels a queued or running job
+app.delete('/api/analyze/batch/:jobId', (req, res) => {
+  try {
+    res.json(jobQueue.describe(jobQueue.cancel(req.params.jobId)));
+  } catch (error) {
+    sendJobError(res, error, 'to cancel batch job');
+  }
+});
+
+// Runs a failed or cancelled job again from its first unfinished batch
+app.post('/api/analyze/batch/:jobId/retry', (req, res) => {
+  try {
+    res.status(202).json(jobQueue.describe(jobQueue.retry(req.params.jobId)));
+  } catch (error) {
+    sendJobError(res, error, 'to retry batch job');
+  }
 });
 
 // Direct AI integration endpoint
 app.post('/api/ai/query', async (req, res) => {
+  let account;
   try {
-    if (!process.env.GONG_ACCESS_KEY || !process.env.GONG_SECRET) {
-      return res.status(500).json({
-        error: 'Missing Gong credentials',
-        message: 'GONG_ACCESS_KEY and GONG_SECRET environment variables are required'
-      });
-    }
+    account = resolveAccount(req.body.account, res);
+    if (!account) return;
     
     const { query, context, page = 1, pageSize = 100 } = req.body;
     
@@ -504,7 +680,7 @@ app.post('/api/ai/query', async (req, res) => {
     
     // Log AI query
     const timestamp = new Date().toISOString();
-    const aiQueryLog = join(logDir, 'ai_queries.log');
+    const aiQueryLog = join(account.logDir, 'ai_queries.log');
     fs.appendFileSync(aiQueryLog, 
       `[${timestamp}] AI Query: "${query}"\n`
     );
@@ -536,7 +712,7 @@ app.post('/api/ai/query', async (req, res) => {
     
     // Log the error
     const timestamp = new Date().toISOString();
-    const errorLog = join(logDir, 'errors.log');
+    const errorLog = join(account?.logDir || logDir, 'errors.log');
     fs.appendFileSync(errorLog, 
       `[${timestamp}] AI Error: ${error.message}\n${error.stack || ''}\n\n`
     );
@@ -611,151 +787,6 @@ app.get('/api/logs', (req, res) => {
   }
 });
 
-// Create a simple batch processor script
-const batchProcessorScript = `
-import { ImprovedAnalyzer } from './build/improved-analyzer.js';
-import fs from 'fs';
-import path from 'path';
-
-async function runBatchJob() {
-  const jobId = process.env.JOB_ID;
-  const jobDir = process.env.JOB_DIR;
-  const query = process.env.QUERY;
-  const batchSize = parseInt(process.env.BATCH_SIZE || '100', 10);
-  const maxCalls = parseInt(process.env.MAX_CALLS || '1000', 10);
-  
-  const timeRange = {
-    start: process.env.TIME_RANGE_START || undefined,
-    end: process.env.TIME_RANGE_END || undefined
-  };
-  
-  const participants = process.env.PARTICIPANTS ? 
-    JSON.parse(process.env.PARTICIPANTS) : 
-    undefined;
-  
-  // Initialize status
-  const statusFile = path.join(jobDir, 'status.json');
-  fs.writeFileSync(statusFile, JSON.stringify({
-    status: 'running',
-    jobId,
-    progress: 0,
-    processedCalls: 0,
-    totalCallsProcessed: 0,
-    batchesCompleted: 0,
-    startTime: new Date().toISOString(),
-    estimatedCompletionTime: null
-  }));
-  
-  // Create analyzer
-  const analyzer = new ImprovedAnalyzer(
-    'https://api.gong.io',
-    process.env.GONG_ACCESS_KEY,
-    process.env.GONG_SECRET,
-    jobDir
-  );
-  
-  // Process batches
-  const batches = Math.ceil(maxCalls / batchSize);
-  let totalCallsProcessed = 0;
-  let allResults = [];
-  
-  for (let batch = 1; batch <= batches; batch++) {
-    // Update status
-    const progress = Math.floor((batch - 1) * 100 / batches);
-    fs.writeFileSync(statusFile, JSON.stringify({
-      status: 'running',
-      jobId,
-      progress,
-      processedCalls: totalCallsProcessed,
-      totalBatches: batches,
-      batchesCompleted: batch - 1,
-      startTime: new Date().toISOString(),
-      estimatedCompletionTime: null
-    }));
-    
-    // Process batch
-    try {
-      const result = await analyzer.analyzeWithNlp({
-        query,
-        timeRange,
-        participants,
-        page: batch,
-        pageSize: batchSize,
-        logResults: true
-      });
-      
-      // Save batch result
-      const batchResultFile = path.join(jobDir, \`batch_\${batch}.json\`);
-      fs.writeFileSync(batchResultFile, JSON.stringify(result, null, 2));
-      
-      // Update counts
-      totalCallsProcessed += result.callsAnalyzed;
-      allResults.push(result);
-      
-      // Check if we've reached the end
-      if (!result.pagination.hasMore) {
-        break;
-      }
-    } catch (error) {
-      // Log error and continue
-      const errorLog = path.join(jobDir, 'errors.log');
-      fs.appendFileSync(errorLog, 
-        \`[\${new Date().toISOString()}] Batch \${batch} error: \${error.message}\\n\${error.stack || ''}\\n\\n\`
-      );
-    }
-  }
-  
-  // Combine results
-  const combinedResults = {
-    query,
-    callsAnalyzed: totalCallsProcessed,
-    batches: batches,
-    results: allResults,
-    completionTime: new Date().toISOString()
-  };
-  
-  // Save final result
-  const finalResultFile = path.join(jobDir, 'final_result.json');
-  fs.writeFileSync(finalResultFile, JSON.stringify(combinedResults, null, 2));
-  
-  // Update status to complete
-  fs.writeFileSync(statusFile, JSON.stringify({
-    status: 'completed',
-    jobId,
-    progress: 100,
-    processedCalls: totalCallsProcessed,
-    totalBatches: batches,
-    batchesCompleted: batches,
-    startTime: new Date().toISOString(),
-    completionTime: new Date().toISOString(),
-    resultFile: finalResultFile
-  }));
-}
-
-// Run the job
-runBatchJob().catch(error => {
-  // Log fatal error
-  const jobDir = process.env.JOB_DIR;
-  const statusFile = path.join(jobDir, 'status.json');
-  const errorLog = path.join(jobDir, 'errors.log');
-  
-  fs.appendFileSync(errorLog, 
-    \`[\${new Date().toISOString()}] Fatal error: \${error.message}\\n\${error.stack || ''}\\n\\n\`
-  );
-  
-  // Update status to failed
-  fs.writeFileSync(statusFile, JSON.stringify({
-    status: 'failed',
-    jobId: process.env.JOB_ID,
-    error: error.message,
-    errorTime: new Date().toISOString()
-  }));
-});
-`;
-
-// Write the batch processor script
-fs.writeFileSync(join(__dirname, 'batch-processor.js'), batchProcessorScript);
-
 // Add scripts to package.json
 const packageJsonPath = join(__dirname, 'package.json');
 if (fs.existsSync(packageJsonPath)) {
@@ -770,6 +801,12 @@ if (fs.existsSync(packageJsonPath)) {
   }
 }
 
+// Pick up jobs that were queued or running when the server last stopped
+const resumedJobs = jobQueue.resume();
+if (resumedJobs.length > 0) {
+  console.log(`🔄 Resumed ${resumedJobs.length} batch job(s)`);
+}
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`🚀 Improved Gong MCP Server running on port ${PORT}`);
@@ -777,6 +814,7 @@ app.listen(PORT, () => {
   console.log(`🔧 MCP API: http://localhost:${PORT}/api/mcp`);
   console.log(`🔍 NLP API: http://localhost:${PORT}/api/analyze`);
   console.log(`📊 Batch Analysis: http://localhost:${PORT}/api/analyze/batch`);
+  console.log(`🏁 Competitors: http://localhost:${PORT}/api/competitors`);
   console.log(`🧠 AI API: http://localhost:${PORT}/api/ai/query`);
   console.log(`📚 Logs: http://localhost:${PORT}/api/logs`);
   console.log(`📝 Tools: http://localhost:${PORT}/api/tools`);
@@ -4,7 +4,8 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import axios from "axios";
+import { createGongClient } from "./build/gong-client.js";
+import { normalizeTranscript, normalizeTranscripts } from "./build/transcript.js";
 
 // MCP Server info
 const SERVER_NAME = "gong-mcp";
@@ -132,7 +133,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 
   // Create Gong API client
-  const gongClient = axios.create({
+  const gongClient = createGongClient({
     baseURL: API_BASE_URL,
     auth: {
       username: process.env.GONG_ACCESS_KEY,
@@ -240,9 +241,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }
         });
 
-        const transcripts = response.data.transcripts || [];
+        const entry = response.data.callTranscripts?.[0];
         
-        if (transcripts.length === 0) {
+        if (!entry) {
           return {
             content: [
               {
@@ -253,14 +254,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
         }
 
-        // Format transcript
-        const transcript = transcripts[0];
+        const callResponse = await gongClient.post("/v2/calls/extensive", {
+          filter: { callIds: [callId] },
+          contentSelector: { exposedFields: { parties: true } }
+        });
+        const call = callResponse.data.calls?.[0];
+        const transcript = normalizeTranscript(entry, call);
         const formattedTranscript = {
           callId,
-          title: transcript.title || "Unknown",
+          title: call?.metaData?.title || "Unknown",
+          speakers: transcript.speakers,
           transcript: transcript.sentences.map(s => ({
-            time: formatTime(s.startTime),
-            speaker: s.speaker?.name || "Unknown",
+            time: formatTime(s.start / 1000),
+            speaker: s.speaker,
+            affiliation: s.affiliation,
             text: s.text
           }))
         };
@@ -346,6 +353,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             context: "Extended",
             contextTiming: ["TimeOfCall"],
             exposedFields: {
+              parties: true,
               interaction: { questions: true, speakers: true },
               content: { topics: true }
             }
@@ -381,7 +389,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }
         });
         
-        const transcripts = transcriptResponse.data.transcripts || [];
+        const transcripts = normalizeTranscripts(allCalls, transcriptResponse.data.callTranscripts || []);
         
         // Search for keyword in transcripts
         const matchingCalls = [];
@@ -403,8 +411,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 matchCount: matchingSentences.length,
                 participants: (call.metaData.participants || []).map(p => p.name).join(", "),
                 examples: matchingSentences.slice(0, 3).map(s => ({
-                  time: formatTime(s.startTime),
-                  speaker: s.speaker?.name || "Unknown",
+                  time: formatTime(s.start / 1000),
+                  speaker: s.speaker,
+                  affiliation: s.affiliation,
                   text: s.text
                 }))
               });
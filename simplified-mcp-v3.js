@@ -1,10 +1,11 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
+import { createGongClient } from './build/gong-client.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import dotenv from 'dotenv';
 import fs from 'fs';
+import { normalizeTranscript, normalizeTranscripts } from './build/transcript.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -162,7 +163,7 @@ app.post('/api/mcp', async (req, res) => {
       const toolArgs = body.params.arguments || {};
       
       // Create Gong API client
-      const client = axios.create({
+      const client = createGongClient({
         baseURL: 'https://api.gong.io',
         auth: {
           username: process.env.GONG_ACCESS_KEY,
@@ -237,13 +238,21 @@ app.post('/api/mcp', async (req, res) => {
               }
             });
             
-            // Process transcript
-            const transcript = response.data.transcripts?.[0] || { sentences: [] };
+            const callResponse = await client.post('/v2/calls/extensive', {
+              filter: { callIds: [toolArgs.callId] },
+              contentSelector: { exposedFields: { parties: true } }
+            });
+            const transcript = normalizeTranscript(
+              response.data.callTranscripts?.[0] || { callId: toolArgs.callId, transcript: [] },
+              callResponse.data.calls?.[0]
+            );
             const formattedTranscript = {
               callId: toolArgs.callId,
+              speakers: transcript.speakers,
               transcript: transcript.sentences.map(s => ({
-                time: s.startTime,
-                speaker: s.speaker?.name || 'Unknown',
+                time: s.start / 1000,
+                speaker: s.speaker,
+                affiliation: s.affiliation,
                 text: s.text
               }))
             };
@@ -273,8 +282,15 @@ app.post('/api/mcp', async (req, res) => {
                   callIds: toolArgs.callIds
                 }
               });
+              const callsResponse = await client.post('/v2/calls/extensive', {
+                filter: { callIds: toolArgs.callIds },
+                contentSelector: { exposedFields: { parties: true } }
+              });
               
-              callsData = response.data.transcripts || [];
+              callsData = normalizeTranscripts(
+                callsResponse.data.calls || [],
+                response.data.callTranscripts || []
+              );
             } else {
               // Search for calls based on time range and participants
               const searchParams = {
@@ -282,14 +298,15 @@ app.post('/api/mcp', async (req, res) => {
                   fromDateTime: toolArgs.timeRange?.start || getDefaultStartDate(),
                   toDateTime: toolArgs.timeRange?.end || new Date().toISOString(),
                   participantsEmails: toolArgs.participants
-                }
+                },
+                contentSelector: { exposedFields: { parties: true } }
               };
               
               // Get calls
               const callsResponse = await client.post('/v2/calls/extensive', searchParams);
-              const callIds = (callsResponse.data.calls || [])
-                .slice(0, 10) // Limit to 10 calls for performance
-                .map(call => call.metaData.id);
+              const calls = (callsResponse.data.calls || [])
+                .slice(0, 10); // Limit to 10 calls for performance
+              const callIds = calls.map(call => call.metaData.id);
               
               // Get transcripts for these calls
               if (callIds.length > 0) {
@@ -299,7 +316,7 @@ app.post('/api/mcp', async (req, res) => {
                   }
                 });
                 
-                callsData = transcriptResponse.data.transcripts || [];
+                callsData = normalizeTranscripts(calls, transcriptResponse.data.callTranscripts || []);
               }
             }
             
@@ -315,8 +332,7 @@ app.post('/api/mcp', async (req, res) => {
               commonTopics: ["Pricing", "Implementation", "Timeline", "Features"],
               callSummary: callsData.map(call => ({
                 callId: call.callId,
-                duration: call.duration || 'Unknown',
-                speakerCount: [...new Set(call.sentences.map(s => s.speaker?.name).filter(Boolean))].length,
+                speakerCount: call.speakers.length,
                 sentenceCount: call.sentences.length
               }))
             };
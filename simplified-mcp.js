@@ -1,6 +1,6 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
+import { createGongClient } from './build/gong-client.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import dotenv from 'dotenv';
@@ -153,7 +153,7 @@ app.post('/api/mcp', async (req, res) => {
       const toolArgs = body.params.arguments || {};
       
       // Create Gong API client
-      const client = axios.create({
+      const client = createGongClient({
         baseURL: 'https://api.gong.io',
         auth: {
           username: process.env.GONG_ACCESS_KEY,
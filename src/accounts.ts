@@ -0,0 +1,382 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import type { AxiosInstance } from 'axios';
+import YAML from 'yaml';
+import { CallStore } from './call-store.js';
+import { ToolError } from './errors.js';
+import {
+  GONG_API_BASE_URL,
+  RateLimiter,
+  createGongClient,
+  getSharedRateLimiter,
+} from './gong-client.js';
+import {
+  DEFAULT_OAUTH_REDIRECT_URI,
+  DEFAULT_OAUTH_SCOPES,
+  GongOAuth,
+  withOAuth,
+  type GongOAuthConfig,
+} from './oauth.js';
+
+/**
+ * A Gong company the server can act on, with its own credentials and storage
+ */
+export interface GongAccountProfile {
+  name: string;
+  description?: string;
+  accessKey?: string;
+  secret?: string;
+  baseUrl: string;
+  /**
+   * OAuth app installation used instead of the access key, if the account authenticates via OAuth
+   */
+  oauth?: GongOAuthConfig;
+  /**
+   * Request budget for this company, since Gong enforces its limit per company. Unset for the
+   * environment-only default profile, which shares the process-wide limiter.
+   */
+  maxRequestsPerSecond?: number;
+  /**
+   * Directory for data cached from this account, never shared with other profiles
+   */
+  cacheDir: string;
+  /**
+   * Directory for log files about this account's tool calls
+   */
+  logDir: string;
+}
+
+/**
+ * Shape of one entry in the accounts file
+ *
+ * Credentials can be given inline or, preferably, as the names of environment variables holding
+ * them (`accessKeyEnv`/`secretEnv`) so the file itself contains no secrets.
+ */
+interface AccountFileEntry {
+  description?: string;
+  accessKey?: string;
+  secret?: string;
+  accessKeyEnv?: string;
+  secretEnv?: string;
+  baseUrl?: string;
+  maxRequestsPerSecond?: number;
+  auth?: 'basic' | 'oauth';
+  oauth?: {
+    clientId?: string;
+    clientSecret?: string;
+    clientIdEnv?: string;
+    clientSecretEnv?: string;
+    redirectUri?: string;
+    scopes?: string[] | string;
+  };
+}
+
+/**
+ * Options for loading the account registry
+ */
+export interface AccountRegistryOptions {
+  env?: NodeJS.ProcessEnv;
+  /**
+   * Base URL for profiles that do not set one (default GONG_API_BASE_URL or the public API)
+   */
+  defaultBaseUrl?: string;
+  /**
+   * Parent of the per-account cache directories (default GONG_CACHE_DIR or ./.gong-cache)
+   */
+  cacheRoot?: string;
+  /**
+   * Parent of the per-account log directories (default GONG_LOG_DIR or ./logs)
+   */
+  logRoot?: string;
+  /**
+   * Directory of the encrypted OAuth token files (default GONG_OAUTH_TOKEN_DIR or
+   * ~/.gong-mcp/tokens)
+   */
+  tokenRoot?: string;
+}
+
+/**
+ * Name of the profile built from GONG_ACCESS_KEY/GONG_SECRET when no accounts file is configured
+ */
+export const DEFAULT_ACCOUNT_NAME = 'default';
+
+const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+/**
+ * Credential profiles for every Gong company served by this process
+ *
+ * Each profile gets its own HTTP client and rate limiter, and its own cache and log directories,
+ * so data fetched for one company can never be served to a caller asking about another.
+ */
+export class AccountRegistry {
+  private readonly clients = new Map<string, AxiosInstance>();
+  private readonly installations = new Map<string, GongOAuth>();
+  private readonly stores = new Map<string, CallStore>();
+
+  /**
+   * @param profiles Profiles by name
+   * @param defaultAccount Profile used when a tool call does not name one
+   */
+  constructor(
+    private readonly profiles: Map<string, GongAccountProfile>,
+    readonly defaultAccount: string
+  ) {
+    if (!profiles.has(defaultAccount)) {
+      throw new Error(`Default Gong account "${defaultAccount}" is not configured`);
+    }
+  }
+
+  /**
+   * Names of all configured profiles
+   */
+  get names(): string[] {
+    return [...this.profiles.keys()];
+  }
+
+  /**
+   * Looks up a profile by name, falling back to the default profile
+   *
+   * @param name Value of a tool's `account` argument
+   * @returns Matching profile
+   */
+  resolve(name?: string | null): GongAccountProfile {
+    const profile = this.profiles.get(name || this.defaultAccount);
+    if (!profile) {
+      throw new ToolError(
+        'validation',
+        `Unknown Gong account "${name}". Configured accounts: ${this.names.join(', ')}`,
+        { parameterPath: 'account' }
+      );
+    }
+    return profile;
+  }
+
+  /**
+   * Returns the credentials of a profile, failing if they are missing
+   *
+   * @param profile Account profile
+   * @returns Access key and secret for Basic auth
+   */
+  credentials(profile: GongAccountProfile): { username: string; password: string } {
+    if (profile.oauth) {
+      throw new ToolError(
+        'configuration',
+        `Gong account "${profile.name}" authenticates via OAuth and has no access key`
+      );
+    }
+    if (!profile.accessKey || !profile.secret) {
+      throw new ToolError(
+        'configuration',
+        profile.name === DEFAULT_ACCOUNT_NAME
+          ? 'Missing Gong credentials in environment'
+          : `Missing Gong credentials for account "${profile.name}"`
+      );
+    }
+    return { username: profile.accessKey, password: profile.secret };
+  }
+
+  /**
+   * Returns the HTTP client for a profile, created on first use
+   *
+   * The client has the profile's base URL and Basic auth (or the OAuth installation's Bearer
+   * token and customer-specific base URL) configured, and a rate limiter of its own unless the
+   * profile shares the process-wide one.
+   *
+   * @param nameOrProfile Profile or profile name; defaults to the default profile
+   * @returns Configured axios instance
+   */
+  client(nameOrProfile?: string | GongAccountProfile | null): AxiosInstance {
+    const profile =
+      typeof nameOrProfile === 'object' && nameOrProfile ? nameOrProfile : this.resolve(nameOrProfile);
+    let client = this.clients.get(profile.name);
+    if (!client) {
+      client = createGongClient({
+        baseURL: profile.baseUrl,
+        auth: profile.oauth ? undefined : this.credentials(profile),
+        rateLimiter: profile.maxRequestsPerSecond
+          ? new RateLimiter(profile.maxRequestsPerSecond)
+          : getSharedRateLimiter(),
+      });
+      if (profile.oauth) {
+        withOAuth(client, this.oauth(profile));
+      }
+      this.clients.set(profile.name, client);
+    }
+    return client;
+  }
+
+  /**
+   * Returns the OAuth installation of a profile that authenticates via OAuth
+   *
+   * @param nameOrProfile Profile or profile name; defaults to the default profile
+   * @returns OAuth installation, shared by every client of the profile
+   */
+  oauth(nameOrProfile?: string | GongAccountProfile | null): GongOAuth {
+    const profile =
+      typeof nameOrProfile === 'object' && nameOrProfile ? nameOrProfile : this.resolve(nameOrProfile);
+    if (!profile.oauth) {
+      throw new ToolError('configuration', `Gong account "${profile.name}" does not use OAuth`);
+    }
+    if (!profile.oauth.clientId || !profile.oauth.clientSecret) {
+      throw new ToolError(
+        'configuration',
+        `Missing OAuth client ID or secret for Gong account "${profile.name}"`
+      );
+    }
+    let installation = this.installations.get(profile.name);
+    if (!installation) {
+      installation = new GongOAuth(profile.oauth);
+      this.installations.set(profile.name, installation);
+    }
+    return installation;
+  }
+
+  /**
+   * Returns the local call and transcript store of a profile, kept in its cache directory
+   *
+   * @param nameOrProfile Profile or profile name; defaults to the default profile
+   * @returns Call store
+   */
+  callStore(nameOrProfile?: string | GongAccountProfile | null): CallStore {
+    const profile =
+      typeof nameOrProfile === 'object' && nameOrProfile ? nameOrProfile : this.resolve(nameOrProfile);
+    let store = this.stores.get(profile.name);
+    if (!store) {
+      store = new CallStore(profile.cacheDir);
+      this.stores.set(profile.name, store);
+    }
+    return store;
+  }
+
+  /**
+   * JSON schema of the `account` argument added to every tool
+   */
+  argumentSchema(): Record<string, any> {
+    return {
+      type: 'string',
+      enum: this.names,
+      description:
+        `Gong account (credential profile) to query. Defaults to "${this.defaultAccount}".` +
+        (this.profiles.size > 1 ? ` Configured accounts: ${this.describeProfiles()}.` : ''),
+    };
+  }
+
+  private describeProfiles(): string {
+    return [...this.profiles.values()]
+      .map(p => (p.description ? `${p.name} (${p.description})` : p.name))
+      .join(', ');
+  }
+}
+
+/**
+ * Loads the credential profiles
+ *
+ * With GONG_ACCOUNTS_FILE set, profiles are read from that JSON or YAML file:
+ *
+ * ```yaml
+ * defaultAccount: us
+ * accounts:
+ *   us:
+ *     accessKeyEnv: GONG_US_ACCESS_KEY
+ *     secretEnv: GONG_US_SECRET
+ *   emea:
+ *     description: EMEA subsidiary
+ *     accessKeyEnv: GONG_EMEA_ACCESS_KEY
+ *     secretEnv: GONG_EMEA_SECRET
+ *     baseUrl: https://eu-12345.api.gong.io
+ *   apac:
+ *     auth: oauth
+ *     oauth:
+ *       clientIdEnv: GONG_OAUTH_CLIENT_ID
+ *       clientSecretEnv: GONG_OAUTH_CLIENT_SECRET
+ * ```
+ *
+ * Otherwise a single `default` profile is built from GONG_ACCESS_KEY, GONG_SECRET and
+ * GONG_API_BASE_URL, or from the GONG_OAUTH_* variables when GONG_AUTH_MODE is `oauth`.
+ * GONG_DEFAULT_ACCOUNT overrides the file's `defaultAccount`.
+ *
+ * @param options Environment and storage roots
+ * @returns Account registry
+ */
+export function loadAccountRegistry(options: AccountRegistryOptions = {}): AccountRegistry {
+  const env = options.env ?? process.env;
+  const cacheRoot = path.resolve(options.cacheRoot ?? env.GONG_CACHE_DIR ?? '.gong-cache');
+  const logRoot = path.resolve(options.logRoot ?? env.GONG_LOG_DIR ?? 'logs');
+  const defaultBaseUrl = env.GONG_API_BASE_URL || options.defaultBaseUrl || GONG_API_BASE_URL;
+  const tokenRoot = path.resolve(
+    options.tokenRoot ?? env.GONG_OAUTH_TOKEN_DIR ?? path.join(os.homedir(), '.gong-mcp', 'tokens')
+  );
+  const profiles = new Map<string, GongAccountProfile>();
+
+  const oauthConfig = (name: string, settings: NonNullable<AccountFileEntry['oauth']>) => ({
+    clientId: settings.clientId ?? (settings.clientIdEnv ? env[settings.clientIdEnv] : '') ?? '',
+    clientSecret:
+      settings.clientSecret ?? (settings.clientSecretEnv ? env[settings.clientSecretEnv] : '') ?? '',
+    redirectUri: settings.redirectUri || env.GONG_OAUTH_REDIRECT_URI || DEFAULT_OAUTH_REDIRECT_URI,
+    scopes: parseScopes(settings.scopes ?? env.GONG_OAUTH_SCOPES),
+    tokenFile: path.join(tokenRoot, `${name}.json.enc`),
+    tokenKey: env.GONG_OAUTH_TOKEN_KEY,
+  });
+
+  const storage = (name: string) => ({
+    cacheDir: path.join(cacheRoot, name),
+    logDir: path.join(logRoot, name),
+  });
+
+  if (!env.GONG_ACCOUNTS_FILE) {
+    profiles.set(DEFAULT_ACCOUNT_NAME, {
+      name: DEFAULT_ACCOUNT_NAME,
+      accessKey: env.GONG_ACCESS_KEY || undefined,
+      secret: env.GONG_SECRET || undefined,
+      baseUrl: defaultBaseUrl,
+      oauth:
+        env.GONG_AUTH_MODE === 'oauth'
+          ? oauthConfig(DEFAULT_ACCOUNT_NAME, {
+              clientIdEnv: 'GONG_OAUTH_CLIENT_ID',
+              clientSecretEnv: 'GONG_OAUTH_CLIENT_SECRET',
+            })
+          : undefined,
+      ...storage(DEFAULT_ACCOUNT_NAME),
+    });
+    return new AccountRegistry(profiles, DEFAULT_ACCOUNT_NAME);
+  }
+
+  const file = path.resolve(env.GONG_ACCOUNTS_FILE);
+  const config = YAML.parse(fs.readFileSync(file, 'utf8')) ?? {};
+  const entries: Record<string, AccountFileEntry> = config.accounts ?? {};
+  if (typeof entries !== 'object' || Object.keys(entries).length === 0) {
+    throw new Error(`No accounts defined in ${file}`);
+  }
+
+  for (const [name, entry] of Object.entries(entries)) {
+    if (!ACCOUNT_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid Gong account name "${name}" in ${file}: use letters, digits, "-" and "_"`
+      );
+    }
+    profiles.set(name, {
+      name,
+      description: entry.description,
+      accessKey: entry.accessKey ?? (entry.accessKeyEnv ? env[entry.accessKeyEnv] : undefined),
+      secret: entry.secret ?? (entry.secretEnv ? env[entry.secretEnv] : undefined),
+      baseUrl: (entry.baseUrl || defaultBaseUrl).replace(/\/+$/, ''),
+      oauth: entry.auth === 'oauth' ? oauthConfig(name, entry.oauth ?? {}) : undefined,
+      maxRequestsPerSecond:
+        entry.maxRequestsPerSecond ?? (Number(env.GONG_MAX_REQUESTS_PER_SECOND) || 3),
+      ...storage(name),
+    });
+  }
+
+  const defaultAccount = env.GONG_DEFAULT_ACCOUNT || config.defaultAccount || profiles.keys().next().value;
+  return new AccountRegistry(profiles, defaultAccount);
+}
+
+/**
+ * Accepts scopes as a list or as a space- or comma-separated string
+ */
+function parseScopes(scopes: string[] | string | undefined): string[] {
+  if (Array.isArray(scopes)) return scopes;
+  const parsed = (scopes || '').split(/[\s,]+/).filter(Boolean);
+  return parsed.length > 0 ? parsed : DEFAULT_OAUTH_SCOPES;
+}
@@ -0,0 +1,531 @@
+import axios from 'axios';
+import { ToolError } from './errors.js';
+import { formatTimestamp, normalizeTranscript } from './transcript.js';
+import { tokenize } from './transcript-index.js';
+
+/**
+ * A single request to a language model
+ */
+export interface CompletionRequest {
+  system: string;
+  prompt: string;
+  maxOutputTokens: number;
+}
+
+/**
+ * Language model that answers analysis prompts
+ */
+export interface AnalysisProvider {
+  /**
+   * Model description reported with every analysis
+   */
+  readonly name: string;
+  complete(request: CompletionRequest): Promise<string>;
+}
+
+/**
+ * Transcript sentence handed to the model
+ */
+export interface AnalysisSentence {
+  speaker: string;
+  /**
+   * Offset from the start of the call in milliseconds
+   */
+  start: number;
+  text: string;
+}
+
+/**
+ * A call with its transcript, as analyzed
+ */
+export interface AnalysisCall {
+  callId: string;
+  title?: string;
+  started?: string;
+  sentences: AnalysisSentence[];
+}
+
+/**
+ * Where an insight comes from
+ */
+export interface Citation {
+  callId: string;
+  timestamp: string;
+  callTitle?: string;
+}
+
+/**
+ * A generated statement with the call moments supporting it
+ */
+export interface CitedInsight {
+  text: string;
+  citations: Citation[];
+}
+
+/**
+ * Token limits of an analysis
+ */
+export interface AnalysisBudget {
+  /**
+   * Estimated input tokens per model request, prompt included
+   */
+  contextTokens: number;
+  /**
+   * Output tokens per model request
+   */
+  maxOutputTokens: number;
+  /**
+   * Estimated input tokens across all requests; calls beyond it are left out
+   */
+  totalTokens: number;
+}
+
+/**
+ * Outcome of an analysis
+ */
+export interface CallAnalysis {
+  summary: string;
+  keyInsights: CitedInsight[];
+  recommendedActions: CitedInsight[];
+  provider: string;
+  callsAnalyzed: number;
+  callsSkipped: number;
+  modelRequests: number;
+  /**
+   * Generated statements dropped because they cited no analyzed call
+   */
+  uncitedDropped: number;
+}
+
+/**
+ * Defaults sized for models with an 8k-token context
+ */
+export const DEFAULT_ANALYSIS_BUDGET: AnalysisBudget = {
+  contextTokens: 6000,
+  maxOutputTokens: 1200,
+  totalTokens: 200_000,
+};
+
+const CITATION_PATTERN = /\[call:([^\s\]@]+)\s*@\s*(\d+:\d{2}(?::\d{2})?)\]/g;
+
+const SYSTEM_PROMPT = [
+  'You analyze sales call transcripts for a revenue team.',
+  'Only state what the excerpts support. Every insight and recommendation must cite the excerpt',
+  'lines it is based on, copying their [call:<id> @ <mm:ss>] markers exactly.',
+  'Answer with JSON only:',
+  '{"summary": "...", "insights": [{"text": "...", "citations": ["[call:123 @ 04:10]"]}],',
+  ' "recommendations": [{"text": "...", "citations": ["[call:123 @ 04:10]"]}]}',
+].join('\n');
+
+/**
+ * Chat completions from an OpenAI-compatible endpoint (OpenAI, Azure OpenAI, vLLM, LM Studio,
+ * Ollama's /v1 API and others)
+ */
+export class OpenAICompatibleProvider implements AnalysisProvider {
+  readonly name: string;
+
+  /**
+   * @param baseUrl API base URL ending before /chat/completions, e.g. https://api.openai.com/v1
+   * @param model Model name
+   * @param apiKey Bearer token, if the endpoint needs one
+   */
+  constructor(
+    private readonly baseUrl: string,
+    private readonly model: string,
+    private readonly apiKey?: string
+  ) {
+    this.name = `openai-compatible:${model}`;
+  }
+
+  async complete(request: CompletionRequest): Promise<string> {
+    try {
+      const { data } = await axios.post(
+        `${this.baseUrl.replace(/\/$/, '')}/chat/completions`,
+        {
+          model: this.model,
+          temperature: 0,
+          max_tokens: request.maxOutputTokens,
+          messages: [
+            { role: 'system', content: request.system },
+            { role: 'user', content: request.prompt },
+          ],
+        },
+        {
+          timeout: 120_000,
+          headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : undefined,
+        }
+      );
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('response has no message content');
+      }
+      return content;
+    } catch (error: any) {
+      const status = error.response?.status;
+      throw new ToolError(
+        status === 401 || status === 403 ? 'configuration' : 'upstream',
+        `Analysis model ${this.model} at ${this.baseUrl} failed: ${error.message}`,
+        { httpStatus: status }
+      );
+    }
+  }
+}
+
+/**
+ * Offline stand-in for a model, for tests and deployments without one
+ *
+ * Quotes the excerpt lines that share the most words with the question, so its output has the
+ * same shape and citations as a model's but no actual reasoning.
+ */
+export class StubAnalysisProvider implements AnalysisProvider {
+  readonly name = 'stub';
+
+  async complete(request: CompletionRequest): Promise<string> {
+    const question = /^Question: (.*)$/m.exec(request.prompt)?.[1] ?? '';
+    const terms = new Set(tokenize(question).filter(term => term.length > 2));
+    const lines = request.prompt
+      .split('\n')
+      .filter(line => line.match(CITATION_PATTERN))
+      .map(line => ({
+        line,
+        score: tokenize(line.replace(CITATION_PATTERN, '')).filter(t => terms.has(t)).length,
+      }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 5);
+
+    const insights = lines.map(({ line }) => {
+      const citations = line.match(CITATION_PATTERN) ?? [];
+      const text = line
+        .replace(CITATION_PATTERN, '')
+        .replace(/^[-\s]+/, '')
+        .trim();
+      return { text, citations };
+    });
+    return JSON.stringify({
+      summary: `${insights.length} excerpt(s) relate to "${question}".`,
+      insights,
+      recommendations: [],
+    });
+  }
+}
+
+/**
+ * Creates the analysis provider configured by GONG_ANALYSIS_PROVIDER
+ *
+ * `stub` (default) needs nothing; `openai` uses GONG_ANALYSIS_BASE_URL (default
+ * https://api.openai.com/v1), GONG_ANALYSIS_MODEL (default gpt-4o-mini) and GONG_ANALYSIS_API_KEY.
+ *
+ * @param env Environment
+ * @returns Analysis provider
+ */
+export function createAnalysisProvider(env: NodeJS.ProcessEnv = process.env): AnalysisProvider {
+  const provider = (env.GONG_ANALYSIS_PROVIDER || 'stub').trim().toLowerCase();
+  switch (provider) {
+    case 'stub':
+      return new StubAnalysisProvider();
+    case 'openai':
+      return new OpenAICompatibleProvider(
+        env.GONG_ANALYSIS_BASE_URL || 'https://api.openai.com/v1',
+        env.GONG_ANALYSIS_MODEL || 'gpt-4o-mini',
+        env.GONG_ANALYSIS_API_KEY
+      );
+    default:
+      throw new ToolError(
+        'configuration',
+        `Unknown GONG_ANALYSIS_PROVIDER "${provider}"; use "stub" or "openai"`
+      );
+  }
+}
+
+/**
+ * Reads the analysis budget from GONG_ANALYSIS_CONTEXT_TOKENS, GONG_ANALYSIS_MAX_OUTPUT_TOKENS
+ * and GONG_ANALYSIS_TOTAL_TOKENS
+ *
+ * @param env Environment
+ * @returns Budget, with defaults for unset or invalid values
+ */
+export function analysisBudgetFromEnv(env: NodeJS.ProcessEnv = process.env): AnalysisBudget {
+  const positive = (value: string | undefined) => {
+    const parsed = Number.parseInt(value ?? '', 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+  };
+  return {
+    contextTokens:
+      positive(env.GONG_ANALYSIS_CONTEXT_TOKENS) ?? DEFAULT_ANALYSIS_BUDGET.contextTokens,
+    maxOutputTokens:
+      positive(env.GONG_ANALYSIS_MAX_OUTPUT_TOKENS) ?? DEFAULT_ANALYSIS_BUDGET.maxOutputTokens,
+    totalTokens: positive(env.GONG_ANALYSIS_TOTAL_TOKENS) ?? DEFAULT_ANALYSIS_BUDGET.totalTokens,
+  };
+}
+
+/**
+ * Pairs calls with their transcripts for analysis
+ *
+ * Accepts Gong's transcript entries (monologues in `transcript`, speakers resolved through the
+ * call's parties) as well as entries with a flat `sentences` list.
+ *
+ * @param calls Calls from `/v2/calls/extensive`
+ * @param transcripts Transcript entries with `callId`
+ * @returns Calls with sentences; calls without a transcript have none
+ */
+export function toAnalysisCalls(calls: any[], transcripts: any[]): AnalysisCall[] {
+  const byCall = new Map(transcripts.map(entry => [String(entry.callId), entry]));
+  return calls
+    .filter(call => call?.metaData?.id)
+    .map(call => {
+      const meta = call.metaData;
+      const entry = byCall.get(String(meta.id));
+      const sentences: AnalysisSentence[] = entry
+        ? normalizeTranscript(entry, call).sentences.map(({ speaker, start, text }) => ({
+            speaker,
+            start,
+            text,
+          }))
+        : [];
+      return {
+        callId: String(meta.id),
+        title: meta.title,
+        started: meta.started ?? meta.startTime,
+        sentences,
+      };
+    });
+}
+
+/**
+ * Answers a question about calls with a language model, citing call moments
+ *
+ * Transcripts are packed into requests of at most `contextTokens` (map); when more than one
+ * request was needed, the partial answers are merged in further requests under the same limit
+ * (reduce) until one answer remains. Insights whose citations do not point at an analyzed call
+ * are dropped.
+ *
+ * @param provider Language model
+ * @param query Question to answer
+ * @param calls Calls with transcripts
+ * @param budget Token limits
+ * @param log Progress logger
+ * @returns Summary, cited insights and recommendations
+ */
+export async function analyzeCalls(
+  provider: AnalysisProvider,
+  query: string,
+  calls: AnalysisCall[],
+  budget: AnalysisBudget = DEFAULT_ANALYSIS_BUDGET,
+  log: (message: string) => void = () => {}
+): Promise<CallAnalysis> {
+  const titles = new Map(calls.map(call => [call.callId, call.title]));
+  const withText = calls.filter(call => call.sentences.length > 0);
+  const available = budget.contextTokens - estimateTokens(SYSTEM_PROMPT + query) - 100;
+  if (available < 200) {
+    throw new ToolError(
+      'configuration',
+      `Analysis context budget of ${budget.contextTokens} tokens leaves no room for transcripts`
+    );
+  }
+
+  const { batches, callsIncluded } = packCalls(withText, available, budget.totalTokens);
+  const callsSkipped = withText.length - callsIncluded;
+  let modelRequests = 0;
+  let uncitedDropped = 0;
+
+  const ask = async (material: string): Promise<Answer> => {
+    modelRequests++;
+    const raw = await provider.complete({
+      system: SYSTEM_PROMPT,
+      prompt: `Question: ${query}\n\n${material}`,
+      maxOutputTokens: budget.maxOutputTokens,
+    });
+    const answer = parseAnswer(raw, titles);
+    uncitedDropped += answer.uncited;
+    return answer;
+  };
+
+  if (batches.length === 0) {
+    return {
+      summary: `No transcripts available to answer "${query}".`,
+      keyInsights: [],
+      recommendedActions: [],
+      provider: provider.name,
+      callsAnalyzed: 0,
+      callsSkipped,
+      modelRequests,
+      uncitedDropped,
+    };
+  }
+
+  log(`Analyzing ${callsIncluded} calls in ${batches.length} request(s) with ${provider.name}`);
+  let answers: Answer[] = [];
+  for (const batch of batches) {
+    answers.push(await ask(`Transcript excerpts:\n\n${batch}`));
+  }
+
+  while (answers.length > 1) {
+    const groups = packTexts(answers.map(renderAnswer), available);
+    log(`Merging ${answers.length} partial answers in ${groups.length} request(s)`);
+    const merged: Answer[] = [];
+    for (const group of groups) {
+      merged.push(
+        await ask(
+          'Partial answers from different calls; merge them into one answer, keeping the ' +
+            `citations:\n\n${group}`
+        )
+      );
+    }
+    // A group that cannot shrink further would loop forever; keep its best answer
+    answers = merged.length < answers.length ? merged : [merged[0]];
+  }
+
+  const [final] = answers;
+  return {
+    summary: final.summary,
+    keyInsights: final.insights,
+    recommendedActions: final.recommendations,
+    provider: provider.name,
+    callsAnalyzed: callsIncluded,
+    callsSkipped,
+    modelRequests,
+    uncitedDropped,
+  };
+}
+
+interface Answer {
+  summary: string;
+  insights: CitedInsight[];
+  recommendations: CitedInsight[];
+  uncited: number;
+}
+
+/**
+ * Rough token count for English text, about four characters per token
+ */
+function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+function renderCall(call: AnalysisCall): string[] {
+  const date = call.started ? ` (${call.started.slice(0, 10)})` : '';
+  return [
+    `## Call ${call.callId}: ${call.title ?? 'Untitled'}${date}`,
+    ...call.sentences.map(
+      s => `[call:${call.callId} @ ${formatTimestamp(s.start)}] ${s.speaker}: ${s.text}`
+    ),
+  ];
+}
+
+/**
+ * Packs call transcripts into request-sized batches, splitting calls longer than one request
+ */
+function packCalls(
+  calls: AnalysisCall[],
+  available: number,
+  totalTokens: number
+): { batches: string[]; callsIncluded: number } {
+  const batches: string[] = [];
+  let current: string[] = [];
+  let currentTokens = 0;
+  let spent = 0;
+  let callsIncluded = 0;
+
+  for (const call of calls) {
+    const lines = renderCall(call);
+    const callTokens = lines.reduce((sum, line) => sum + estimateTokens(line) + 1, 0);
+    if (spent + callTokens > totalTokens) break;
+    spent += callTokens;
+    callsIncluded++;
+
+    for (const line of lines) {
+      const tokens = estimateTokens(line) + 1;
+      if (currentTokens + tokens > available && current.length > 0) {
+        batches.push(current.join('\n'));
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(line);
+      currentTokens += tokens;
+    }
+    current.push('');
+  }
+  if (current.some(line => line)) batches.push(current.join('\n'));
+  return { batches, callsIncluded };
+}
+
+function packTexts(texts: string[], available: number): string[] {
+  const groups: string[] = [];
+  let current: string[] = [];
+  let currentTokens = 0;
+  for (const text of texts) {
+    const tokens = estimateTokens(text);
+    if (currentTokens + tokens > available && current.length > 0) {
+      groups.push(current.join('\n\n'));
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(text);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) groups.push(current.join('\n\n'));
+  return groups;
+}
+
+function renderAnswer(answer: Answer): string {
+  const cite = (item: CitedInsight) =>
+    `${item.text} ${item.citations.map(c => `[call:${c.callId} @ ${c.timestamp}]`).join(' ')}`;
+  return [
+    `Summary: ${answer.summary}`,
+    ...answer.insights.map(item => `- Insight: ${cite(item)}`),
+    ...answer.recommendations.map(item => `- Recommendation: ${cite(item)}`),
+  ].join('\n');
+}
+
+function stripCitations(text: string): string {
+  return text
+    .replace(CITATION_PATTERN, '')
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parses a model answer, keeping only statements with citations of known calls
+ */
+function parseAnswer(raw: string, titles: Map<string, string | undefined>): Answer {
+  const json = raw.slice(raw.indexOf('{'), raw.lastIndexOf('}') + 1);
+  let parsed: any;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new ToolError('upstream', 'The analysis model did not answer with JSON');
+  }
+
+  let uncited = 0;
+  const cited = (items: unknown): CitedInsight[] =>
+    (Array.isArray(items) ? items : []).flatMap((item: any) => {
+      const text = typeof item === 'string' ? item : item?.text;
+      if (typeof text !== 'string' || !text.trim()) return [];
+      const markers = [
+        ...(Array.isArray(item?.citations) ? item.citations.map(String) : []),
+        text,
+      ].join(' ');
+      const citations: Citation[] = [];
+      for (const [, callId, timestamp] of markers.matchAll(CITATION_PATTERN)) {
+        const duplicate = citations.some(c => c.callId === callId && c.timestamp === timestamp);
+        if (!titles.has(callId) || duplicate) continue;
+        const callTitle = titles.get(callId);
+        citations.push({ callId, timestamp, ...(callTitle ? { callTitle } : {}) });
+      }
+      if (citations.length === 0) {
+        uncited++;
+        return [];
+      }
+      return [{ text: stripCitations(text), citations }];
+    });
+
+  const summary = typeof parsed?.summary === 'string' ? parsed.summary : '';
+  return {
+    summary: stripCitations(summary),
+    insights: cited(parsed?.insights),
+    recommendations: cited(parsed?.recommendations),
+    uncited,
+  };
+}
@@ -1,18 +1,30 @@
-import { AxiosRequestConfig } from 'axios';
-import axios from 'axios';
+import type { AxiosInstance } from 'axios';
+import { loadAccountRegistry } from './accounts.js';
+import { createGongClient } from './gong-client.js';
 
-// Create a pre-configured axios client with Basic Auth
-const client = axios.create({
-  baseURL: 'https://api.gong.io',
+// Gong credential profiles: GONG_ACCOUNTS_FILE, or a single profile from GONG_ACCESS_KEY/GONG_SECRET
+export const accounts = loadAccountRegistry();
+
+const defaultAccount = accounts.resolve();
+
+// Create a pre-configured Gong client for the default account with Basic Auth, rate limiting and retries
+const client = createGongClient({
+  baseURL: defaultAccount.baseUrl,
   auth: {
-    username: process.env.GONG_ACCESS_KEY!,
-    password: process.env.GONG_SECRET!
+    username: defaultAccount.accessKey!,
+    password: defaultAccount.secret!
   }
 });
 
 export default client;
 
-// Simple validation function for environment variables
-export function validateGongAuth(): boolean {
-  return !!process.env.GONG_ACCESS_KEY && !!process.env.GONG_SECRET;
-} 
\ No newline at end of file
+// Returns the client for a named account (the default account if omitted)
+export function getGongClient(account?: string): AxiosInstance {
+  return accounts.client(account);
+}
+
+// Simple validation function for the credentials of an account
+export function validateGongAuth(account?: string): boolean {
+  const profile = accounts.resolve(account);
+  return !!profile.accessKey && !!profile.secret;
+} 
@@ -0,0 +1,675 @@
+import fs from 'fs';
+import path from 'path';
+import type { AxiosInstance } from 'axios';
+import {
+  decodeContinuation,
+  encodeContinuation,
+  extractNextCursor,
+  fingerprint,
+} from './pagination.js';
+
+/**
+ * Whether the analysis tools read calls and transcripts from the local store before calling Gong
+ */
+export type CacheMode = 'off' | 'prefer';
+
+/**
+ * What the store holds, written after every sync
+ */
+export interface SyncState {
+  /**
+   * Start of the oldest synced range; calls started before it are not in the store
+   */
+  syncedFrom: string;
+  /**
+   * End of the last synced range; calls started after it are fetched from Gong
+   */
+  syncedTo: string;
+  /**
+   * Start time of the newest stored call, where the next sync resumes
+   */
+  watermark: string | null;
+  lastSyncAt: string;
+}
+
+/**
+ * A range of calls, as in the `/v2/calls/extensive` filter
+ */
+export interface CallRangeFilter {
+  fromDateTime: string;
+  toDateTime: string;
+  participantsEmails?: string[];
+  primaryUserIds?: string[];
+}
+
+/**
+ * Options for fetching calls
+ */
+export interface FetchCallsOptions {
+  /**
+   * Content selector for calls fetched from Gong while the store is off; stored calls always use
+   * CALL_STORE_CONTENT_SELECTOR so that every tool finds the fields it needs
+   */
+  contentSelector?: Record<string, any>;
+  maxPages?: number;
+  /**
+   * Stop following cursors once this many calls were fetched
+   */
+  maxRecords?: number;
+}
+
+/**
+ * Options for an incremental sync
+ */
+export interface SyncOptions {
+  /**
+   * Start of the first sync, or of a backfill before the synced range (default 90 days ago)
+   */
+  since?: string;
+  /**
+   * Whether to download the transcripts of new calls (default true)
+   */
+  transcripts?: boolean;
+  now?: Date;
+  log?: (message: string) => void;
+}
+
+/**
+ * Outcome of a sync
+ */
+export interface SyncResult {
+  fromDateTime: string;
+  toDateTime: string;
+  callsFetched: number;
+  transcriptsFetched: number;
+  state: SyncState;
+}
+
+/**
+ * Content selector for stored calls: a superset of what the analysis tools and resources request
+ */
+export const CALL_STORE_CONTENT_SELECTOR = {
+  context: 'Extended',
+  contextTiming: ['Now', 'TimeOfCall'],
+  exposedFields: {
+    parties: true,
+    media: true,
+    interaction: { questions: true, speakers: true, interactionStats: true },
+    content: {
+      topics: true,
+      trackers: true,
+      trackerOccurrences: true,
+      brief: true,
+      keyPoints: true,
+    },
+  },
+};
+
+/**
+ * Call IDs per `/v2/calls/transcript` request
+ */
+const TRANSCRIPT_BATCH_SIZE = 50;
+
+const DEFAULT_SYNC_DAYS = 90;
+
+/**
+ * Reads the cache mode from GONG_CACHE_MODE
+ *
+ * @param env Environment
+ * @returns `prefer` if GONG_CACHE_MODE is `prefer` (or `cache-first`), otherwise `off`
+ */
+export function cacheModeFromEnv(env: NodeJS.ProcessEnv = process.env): CacheMode {
+  const mode = env.GONG_CACHE_MODE?.trim().toLowerCase();
+  return mode === 'prefer' || mode === 'cache-first' ? 'prefer' : 'off';
+}
+
+/**
+ * On-disk store of call metadata and transcripts for one Gong account, keyed by call ID
+ *
+ * Layout: `calls/<id>.json` holds the call from `/v2/calls/extensive`, `transcripts/<id>.json`
+ * its entry from `/v2/calls/transcript`, and `sync-state.json` the synced range.
+ */
+export class CallStore {
+  /**
+   * @param dir Directory of the store, normally the account's cache directory
+   */
+  constructor(readonly dir: string) {}
+
+  /**
+   * Reads a stored call
+   *
+   * @param id Call ID
+   * @returns The call, or null if it is not stored
+   */
+  getCall(id: string): any | null {
+    return this.read(this.file('calls', id));
+  }
+
+  /**
+   * Stores a call, replacing an earlier copy
+   *
+   * @param call Call from `/v2/calls/extensive`
+   */
+  putCall(call: any): void {
+    const id = call?.metaData?.id;
+    if (id) this.write(this.file('calls', String(id)), call);
+  }
+
+  /**
+   * Reads a stored transcript
+   *
+   * @param callId Call ID
+   * @returns The transcript entry (with `callId`), or null if it is not stored
+   */
+  getTranscript(callId: string): any | null {
+    return this.read(this.file('transcripts', callId));
+  }
+
+  /**
+   * Stores a transcript entry
+   *
+   * @param entry Entry from `/v2/calls/transcript`, with `callId`
+   */
+  putTranscript(entry: any): void {
+    if (entry?.callId) this.write(this.file('transcripts', String(entry.callId)), entry);
+  }
+
+  /**
+   * Lists the IDs of the calls whose transcripts are stored
+   *
+   * @returns Call IDs
+   */
+  listTranscriptIds(): string[] {
+    const dir = path.join(this.dir, 'transcripts');
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => decodeURIComponent(name.slice(0, -'.json'.length)));
+  }
+
+  /**
+   * Lists the stored calls that started within a range, newest first
+   *
+   * @param filter Date range and optional participant emails and hosts
+   * @returns Matching calls
+   */
+  listCalls(filter: CallRangeFilter): any[] {
+    const from = Date.parse(filter.fromDateTime);
+    const to = Date.parse(filter.toDateTime);
+    const emails = new Set((filter.participantsEmails ?? []).map(email => email.toLowerCase()));
+    const hosts = new Set(filter.primaryUserIds ?? []);
+    const dir = path.join(this.dir, 'calls');
+    if (!fs.existsSync(dir)) return [];
+
+    return fs
+      .readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.read(path.join(dir, name)))
+      .filter(call => {
+        const started = Date.parse(callStart(call) ?? '');
+        if (!(started >= from && started <= to)) return false;
+        if (hosts.size > 0 && !hosts.has(String(call.metaData?.primaryUserId))) return false;
+        return emails.size === 0 || participantEmails(call).some(email => emails.has(email));
+      })
+      .sort((a, b) => Date.parse(callStart(b) ?? '') - Date.parse(callStart(a) ?? ''));
+  }
+
+  /**
+   * Reads the sync state
+   *
+   * @returns State, or null if the store was never synced
+   */
+  readState(): SyncState | null {
+    return this.read(path.join(this.dir, 'sync-state.json'));
+  }
+
+  /**
+   * Writes the sync state
+   *
+   * @param state New state
+   */
+  writeState(state: SyncState): void {
+    this.write(path.join(this.dir, 'sync-state.json'), state);
+  }
+
+  private file(kind: 'calls' | 'transcripts', id: string): string {
+    return path.join(this.dir, kind, `${encodeURIComponent(id)}.json`);
+  }
+
+  private read(file: string): any | null {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return null;
+      // A corrupt entry is a cache miss; the next write replaces it
+      if (error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  private write(file: string, value: unknown): void {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(value));
+    fs.renameSync(temp, file);
+  }
+}
+
+/**
+ * Fetches the calls Gong has that are newer than the store's watermark, with their transcripts
+ *
+ * The first sync (or one with `since` before the synced range) starts at `since`, later ones at
+ * the start time of the newest stored call. Calls at the watermark are fetched again and simply
+ * overwrite their stored copies.
+ *
+ * @param client Gong client of the store's account
+ * @param store Store to update
+ * @param options Start of the range, whether to fetch transcripts, and a logger
+ * @returns Range synced and number of calls and transcripts downloaded
+ */
+export async function syncCalls(
+  client: AxiosInstance,
+  store: CallStore,
+  options: SyncOptions = {}
+): Promise<SyncResult> {
+  const now = options.now ?? new Date();
+  const log = options.log ?? (() => {});
+  const previous = store.readState();
+  const since =
+    options.since ??
+    new Date(now.getTime() - DEFAULT_SYNC_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const backfill =
+    !previous || (options.since !== undefined && Date.parse(since) < Date.parse(previous.syncedFrom));
+  const fromDateTime = backfill ? since : previous.watermark ?? previous.syncedTo;
+  const toDateTime = now.toISOString();
+  log(`Syncing calls from ${fromDateTime} to ${toDateTime}`);
+
+  const calls = await fetchCallPages(
+    client,
+    { filter: { fromDateTime, toDateTime }, contentSelector: CALL_STORE_CONTENT_SELECTOR },
+    {}
+  );
+  calls.forEach(call => store.putCall(call));
+  log(`Stored ${calls.length} calls`);
+
+  let transcriptsFetched = 0;
+  if (options.transcripts ?? true) {
+    const missing = calls
+      .map(call => String(call.metaData?.id ?? ''))
+      .filter(id => id && !store.getTranscript(id));
+    transcriptsFetched = (await fetchTranscriptEntries(client, missing, store)).length;
+    log(`Stored ${transcriptsFetched} transcripts`);
+  }
+
+  const starts = calls.map(callStart).filter((s): s is string => Boolean(s));
+  const watermark = [previous?.watermark, ...starts]
+    .filter((s): s is string => Boolean(s))
+    .reduce<string | null>((max, s) => (!max || Date.parse(s) > Date.parse(max) ? s : max), null);
+
+  const state: SyncState = {
+    syncedFrom: previous && !backfill ? previous.syncedFrom : fromDateTime,
+    syncedTo: toDateTime,
+    watermark,
+    lastSyncAt: now.toISOString(),
+  };
+  store.writeState(state);
+
+  return { fromDateTime, toDateTime, callsFetched: calls.length, transcriptsFetched, state };
+}
+
+/**
+ * Fetches the calls in a date range, from the store where it has synced the range
+ *
+ * With a store, the part of the range up to the last sync is read from disk and anything newer
+ * (or a range reaching back before the first sync) is fetched from Gong and stored. Without a
+ * store every call comes from Gong.
+ *
+ * @param client Gong client
+ * @param store Account's call store, or null when the cache is off
+ * @param filter Date range and optional participant emails and hosts
+ * @param options Content selector and limits for requests to Gong
+ * @returns Calls, newest first when read from the store, and how many were read from it
+ */
+export async function fetchCallsInRange(
+  client: AxiosInstance,
+  store: CallStore | null,
+  filter: CallRangeFilter,
+  options: FetchCallsOptions = {}
+): Promise<{ calls: any[]; fromCache: number }> {
+  const withParticipants = (range: CallRangeFilter) => ({
+    ...range,
+    ...(filter.participantsEmails?.length ? { participantsEmails: filter.participantsEmails } : {}),
+    ...(filter.primaryUserIds?.length ? { primaryUserIds: filter.primaryUserIds } : {}),
+  });
+
+  const state = store?.readState();
+  if (!store || !state || Date.parse(filter.fromDateTime) < Date.parse(state.syncedFrom)) {
+    const calls = await fetchCallPages(
+      client,
+      {
+        filter: withParticipants(filter),
+        contentSelector: store ? CALL_STORE_CONTENT_SELECTOR : options.contentSelector,
+      },
+      options
+    );
+    calls.forEach(call => store?.putCall(call));
+    return { calls, fromCache: 0 };
+  }
+
+  const cached = store.listCalls(filter);
+  if (Date.parse(filter.toDateTime) <= Date.parse(state.syncedTo)) {
+    return { calls: cached, fromCache: cached.length };
+  }
+
+  const fresh = await fetchCallPages(
+    client,
+    {
+      filter: withParticipants({ fromDateTime: state.syncedTo, toDateTime: filter.toDateTime }),
+      contentSelector: CALL_STORE_CONTENT_SELECTOR,
+    },
+    options
+  );
+  fresh.forEach(call => store.putCall(call));
+  const freshIds = new Set(fresh.map(call => call.metaData?.id));
+  return {
+    calls: [...fresh, ...cached.filter(call => !freshIds.has(call.metaData?.id))],
+    fromCache: cached.length,
+  };
+}
+
+/**
+ * Where a page of calls starts in Gong: a cursor (null for the first Gong page) and how many calls
+ * of the Gong page it fetches were already returned
+ */
+export interface CallPagePosition {
+  cursor: string | null;
+  offset: number;
+}
+
+/**
+ * One page of calls walked through Gong cursors
+ */
+export interface CallPage {
+  calls: any[];
+  /**
+   * Calls Gong has for the filter (`records.totalRecords`), before `keep` is applied
+   */
+  totalRecords?: number;
+  /**
+   * Where the next page starts, or null after the last call
+   */
+  next: CallPagePosition | null;
+}
+
+/**
+ * Fetches a page of calls from `/v2/calls/extensive` starting at a position, following Gong
+ * cursors until the page is full
+ *
+ * Gong decides its own page size, so a page can start in the middle of a Gong page and span
+ * several; positions record the Gong cursor plus the offset into that Gong page.
+ *
+ * @param client Gong client
+ * @param body Request body with filter and content selector
+ * @param start Position of the first call
+ * @param pageSize Calls per page
+ * @param keep Calls to count; others are skipped as if Gong had not returned them
+ * @returns Calls of the page, Gong's total and the position of the next page
+ */
+export async function fetchCallPage(
+  client: AxiosInstance,
+  body: Record<string, any>,
+  start: CallPagePosition,
+  pageSize: number,
+  keep: (call: any) => boolean = () => true
+): Promise<CallPage> {
+  const calls: any[] = [];
+  let cursor = start.cursor;
+  let skip = start.offset;
+  let totalRecords: number | undefined;
+  for (;;) {
+    const response: { data: any } = await client.post('/v2/calls/extensive', {
+      ...body,
+      ...(cursor ? { cursor } : {}),
+    });
+    totalRecords ??= response.data?.records?.totalRecords;
+    const page: any[] = (response.data?.calls ?? []).filter(keep);
+    const next = extractNextCursor(response.data);
+    const taken = page.slice(skip, skip + pageSize - calls.length);
+    calls.push(...taken);
+
+    if (calls.length >= pageSize) {
+      const offset = skip + taken.length;
+      if (offset < page.length) return { calls, totalRecords, next: { cursor, offset } };
+      return { calls, totalRecords, next: next ? { cursor: next, offset: 0 } : null };
+    }
+    if (!next) return { calls, totalRecords, next: null };
+    skip = Math.max(0, skip - page.length);
+    cursor = next;
+  }
+}
+
+/**
+ * Which page of calls an analyzer wants
+ */
+export interface PagedCallsRequest {
+  /**
+   * Continuation token of the previous page; wins over `page`
+   */
+  cursor?: string;
+  /**
+   * 1-based page number, for callers without a token
+   */
+  page?: number;
+  pageSize: number;
+  /**
+   * Calls to count; others are skipped as if Gong had not returned them
+   */
+  keep?: (call: any) => boolean;
+  /**
+   * Filters applied by `keep`, so that tokens are tied to them as well as to the request filter
+   */
+  keepFilters?: unknown;
+}
+
+/**
+ * One page of calls with the token of the next
+ */
+export interface PagedCalls {
+  calls: any[];
+  /**
+   * Calls in the range: counted after `keep` when read from the store, and Gong's
+   * `records.totalRecords` (before `keep`) when paged through Gong
+   */
+  totalCalls: number;
+  /**
+   * Continuation token of the next page, absent after the last call
+   */
+  nextCursor?: string;
+}
+
+/**
+ * Fetches one page of calls for an analyzer
+ *
+ * With a store the page is cut from the calls of the range, read through fetchCallsInRange;
+ * without one, Gong cursors are followed by fetchCallPage. Either way the returned token carries
+ * the position of the next call and is rejected for a different filter.
+ *
+ * @param client Gong client
+ * @param store Account's call store, if any
+ * @param body `/v2/calls/extensive` request body; its filter holds the range and participants
+ * @param request Page to fetch
+ * @returns Page of calls, total and next token
+ * @throws ToolError (validation) for malformed tokens and tokens of other filters
+ */
+export async function fetchPagedCalls(
+  client: AxiosInstance,
+  store: CallStore | null,
+  body: { filter: CallRangeFilter; contentSelector?: Record<string, any> },
+  request: PagedCallsRequest
+): Promise<PagedCalls> {
+  const { pageSize, keep = () => true } = request;
+  const filters = fingerprint([body.filter, request.keepFilters ?? null]);
+  const start = request.cursor
+    ? decodeContinuation(request.cursor, filters)
+    : {
+        source: store ? ('store' as const) : ('gong' as const),
+        cursor: null,
+        offset: (Math.max(1, request.page ?? 1) - 1) * pageSize,
+        filters,
+      };
+
+  if (start.source === 'store') {
+    const { calls } = await fetchCallsInRange(client, store, body.filter, {
+      contentSelector: body.contentSelector,
+    });
+    const kept = calls.filter(keep);
+    const end = start.offset + pageSize;
+    return {
+      calls: kept.slice(start.offset, end),
+      totalCalls: kept.length,
+      ...(end < kept.length
+        ? { nextCursor: encodeContinuation({ ...start, offset: end }) }
+        : {}),
+    };
+  }
+
+  const page = await fetchCallPage(client, body, start, pageSize, keep);
+  return {
+    calls: page.calls,
+    totalCalls: page.totalRecords ?? start.offset + page.calls.length,
+    ...(page.next
+      ? { nextCursor: encodeContinuation({ source: 'gong', ...page.next, filters }) }
+      : {}),
+  };
+}
+
+/**
+ * Fetches calls by ID, reading stored calls from disk and the rest from Gong
+ *
+ * @param client Gong client
+ * @param store Account's call store, or null when the cache is off
+ * @param callIds Call IDs
+ * @param options Content selector for requests to Gong
+ * @returns Calls found, in the order of `callIds`
+ */
+export async function fetchCallsById(
+  client: AxiosInstance,
+  store: CallStore | null,
+  callIds: string[],
+  options: FetchCallsOptions = {}
+): Promise<any[]> {
+  const found = new Map<string, any>();
+  for (const id of callIds) {
+    const call = store?.getCall(id);
+    if (call) found.set(id, call);
+  }
+
+  const missing = callIds.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    const calls = await fetchCallPages(
+      client,
+      {
+        filter: { callIds: missing },
+        contentSelector: store ? CALL_STORE_CONTENT_SELECTOR : options.contentSelector,
+      },
+      options
+    );
+    for (const call of calls) {
+      store?.putCall(call);
+      found.set(String(call.metaData?.id), call);
+    }
+  }
+  return callIds.filter(id => found.has(id)).map(id => found.get(id));
+}
+
+/**
+ * Fetches transcripts by call ID, reading stored transcripts from disk and the rest from Gong
+ *
+ * @param client Gong client
+ * @param store Account's call store, or null when the cache is off
+ * @param callIds Call IDs
+ * @returns Transcript entries (each with `callId`) found, in the order of `callIds`
+ */
+export async function fetchTranscripts(
+  client: AxiosInstance,
+  store: CallStore | null,
+  callIds: string[]
+): Promise<any[]> {
+  const found = new Map<string, any>();
+  for (const id of callIds) {
+    const entry = store?.getTranscript(id);
+    if (entry) found.set(id, entry);
+  }
+
+  const fetched = await fetchTranscriptEntries(
+    client,
+    callIds.filter(id => !found.has(id)),
+    store
+  );
+  fetched.forEach(entry => found.set(String(entry.callId), entry));
+  return callIds.filter(id => found.has(id)).map(id => found.get(id));
+}
+
+/**
+ * Start time of a call; `started` in Gong's API, `startTime` in older fixtures
+ */
+export function callStart(call: any): string | undefined {
+  return call?.metaData?.started ?? call?.metaData?.startTime;
+}
+
+function participantEmails(call: any): string[] {
+  const parties: any[] = [...(call?.parties ?? []), ...(call?.metaData?.participants ?? [])];
+  return parties
+    .map(p => p.emailAddress ?? p.email)
+    .filter((email): email is string => typeof email === 'string')
+    .map(email => email.toLowerCase());
+}
+
+async function fetchCallPages(
+  client: AxiosInstance,
+  body: Record<string, any>,
+  options: FetchCallsOptions
+): Promise<any[]> {
+  const calls: any[] = [];
+  let cursor: string | null = null;
+  let pages = 0;
+  do {
+    const response: { data: any } = await client.post('/v2/calls/extensive', {
+      ...body,
+      ...(cursor ? { cursor } : {}),
+    });
+    calls.push(...(response.data?.calls ?? []));
+    cursor = extractNextCursor(response.data);
+    pages++;
+  } while (
+    cursor &&
+    pages < (options.maxPages ?? Infinity) &&
+    calls.length < (options.maxRecords ?? Infinity)
+  );
+  return calls;
+}
+
+async function fetchTranscriptEntries(
+  client: AxiosInstance,
+  callIds: string[],
+  store: CallStore | null
+): Promise<any[]> {
+  const entries: any[] = [];
+  for (let i = 0; i < callIds.length; i += TRANSCRIPT_BATCH_SIZE) {
+    let cursor: string | null = null;
+    do {
+      const response: { data: any } = await client.post('/v2/calls/transcript', {
+        filter: { callIds: callIds.slice(i, i + TRANSCRIPT_BATCH_SIZE) },
+        ...(cursor ? { cursor } : {}),
+      });
+      // Gong returns callTranscripts; some older wrappers used transcripts
+      const page: any[] = response.data?.callTranscripts ?? response.data?.transcripts ?? [];
+      page.forEach(entry => store?.putTranscript(entry));
+      entries.push(...page);
+      cursor = extractNextCursor(response.data);
+    } while (cursor);
+  }
+  return entries;
+}
@@ -0,0 +1,449 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { ToolError } from './errors.js';
+import { formatTimestamp, normalizeTranscripts, type TranscriptSpeaker } from './transcript.js';
+
+/**
+ * A competitor and the words it goes by in calls
+ */
+export interface Competitor {
+  name: string;
+  aliases?: string[];
+  /**
+   * Names of the competitor's products, counted as mentions of the competitor
+   */
+  products?: string[];
+}
+
+export type Sentiment = 'positive' | 'neutral' | 'negative';
+
+/**
+ * One sentence naming a competitor
+ */
+export interface CompetitorMention {
+  competitor: string;
+  /**
+   * Name, alias or product that was said, spelled as in the dictionary
+   */
+  term: string;
+  callId: string;
+  callTitle?: string;
+  started?: string;
+  timestamp: string;
+  url?: string;
+  speaker: string;
+  affiliation: TranscriptSpeaker['affiliation'];
+  account: string;
+  text: string;
+  /**
+   * The sentence with the one before and after it
+   */
+  passage: string;
+  sentiment: Sentiment;
+  /**
+   * From -1 (all negative words) to 1 (all positive words)
+   */
+  sentimentScore: number;
+}
+
+export interface MentionCount {
+  mentions: number;
+  calls: number;
+}
+
+export interface CompetitorSummary extends MentionCount {
+  name: string;
+  terms: { term: string; mentions: number }[];
+  mentionedBy: { reps: number; customers: number; unknown: number };
+  sentiment: { positive: number; neutral: number; negative: number; averageScore: number };
+  overTime: ({ periodStart: string } & MentionCount)[];
+  byRep: ({ name: string; email?: string } & MentionCount)[];
+  byAccount: ({ account: string } & MentionCount)[];
+  quotes: CompetitorMention[];
+}
+
+export interface CompetitorReport {
+  period: { from: string; to: string };
+  interval: 'week' | 'month';
+  callsScanned: number;
+  /**
+   * Calls of the period; more than were scanned when the scan stopped at its cap
+   */
+  totalCalls: number;
+  truncated: boolean;
+  callsWithMentions: number;
+  competitors: CompetitorSummary[];
+}
+
+const POSITIVE = new Set(
+  (
+    'good great love like liked likes better best easy easier happy impressed fast faster ' +
+    'reliable helpful excellent solid prefer preferred nice recommend smooth powerful'
+  ).split(' ')
+);
+const NEGATIVE = new Set(
+  (
+    'bad worse worst hate slow slower expensive clunky difficult hard frustrated frustrating ' +
+    'painful problem problems issue issues buggy broken poor missing lacking disappointed ' +
+    'unhappy annoying complicated cancel cancelled churn outdated'
+  ).split(' ')
+);
+const NEGATIONS = new Set(['no', 'not', 'never', 'hardly']);
+
+/**
+ * Longest passage quoted, in characters
+ */
+const MAX_PASSAGE_LENGTH = 400;
+
+/**
+ * Validates a competitor dictionary
+ *
+ * @param value List of competitors, each with a name and optional aliases and products
+ * @param source Where the list came from, for error messages
+ * @returns Competitors with trimmed, non-empty terms
+ * @throws ToolError (validation) for an empty list or competitors without a name
+ */
+export function parseCompetitors(value: unknown, source = 'competitors'): Competitor[] {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new ToolError('validation', `${source} must be a non-empty list of competitors`, {
+      parameterPath: 'competitors',
+    });
+  }
+  const terms = (list: unknown) =>
+    (Array.isArray(list) ? list : [])
+      .filter((term): term is string => typeof term === 'string' && term.trim() !== '')
+      .map(term => term.trim());
+
+  return value.map((entry, i) => {
+    const competitor = typeof entry === 'string' ? { name: entry } : entry;
+    const name = typeof competitor?.name === 'string' ? competitor.name.trim() : '';
+    if (!name) {
+      throw new ToolError('validation', `Competitor ${i + 1} in ${source} has no name`, {
+        parameterPath: `competitors[${i}].name`,
+      });
+    }
+    const aliases = terms(competitor.aliases);
+    const products = terms(competitor.products);
+    return {
+      name,
+      ...(aliases.length > 0 ? { aliases } : {}),
+      ...(products.length > 0 ? { products } : {}),
+    };
+  });
+}
+
+/**
+ * Loads the competitor dictionary from GONG_COMPETITORS_FILE
+ *
+ * The file is JSON or YAML:
+ *
+ * ```yaml
+ * competitors:
+ *   - name: Chorus
+ *     aliases: [Chorus.ai, ZoomInfo Chorus]
+ *   - name: Salesloft
+ *     products: [Cadence, Conversations]
+ * ```
+ *
+ * @param env Environment
+ * @returns Competitors, or null when no file is configured
+ * @throws ToolError (configuration) when the file cannot be read or lists no valid competitors
+ */
+export function loadCompetitors(env: NodeJS.ProcessEnv = process.env): Competitor[] | null {
+  if (!env.GONG_COMPETITORS_FILE) return null;
+  const file = path.resolve(env.GONG_COMPETITORS_FILE);
+  try {
+    const config = YAML.parse(fs.readFileSync(file, 'utf8')) ?? {};
+    return parseCompetitors(Array.isArray(config) ? config : config.competitors, file);
+  } catch (error: any) {
+    throw new ToolError(
+      'configuration',
+      `Cannot load competitors from GONG_COMPETITORS_FILE: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Picks the competitor dictionary of a request: the one given with it, else GONG_COMPETITORS_FILE
+ *
+ * @param value Competitors given with the request, if any
+ * @param env Environment
+ * @returns Competitors
+ * @throws ToolError (validation) for a malformed dictionary, (configuration) when none is given
+ *   and GONG_COMPETITORS_FILE is not set or cannot be read
+ */
+export function resolveCompetitors(
+  value: unknown,
+  env: NodeJS.ProcessEnv = process.env
+): Competitor[] {
+  const competitors = value !== undefined ? parseCompetitors(value) : loadCompetitors(env);
+  if (!competitors) {
+    throw new ToolError(
+      'configuration',
+      'No competitors given: pass competitors or set GONG_COMPETITORS_FILE'
+    );
+  }
+  return competitors;
+}
+
+/**
+ * Finds the sentences naming a competitor
+ *
+ * Terms match case-insensitively as whole words; a sentence counts once per competitor, under the
+ * first term said (the longest one where terms overlap).
+ *
+ * @param calls Calls from `/v2/calls/extensive`, with parties and Extended context
+ * @param entries Transcript entries of the calls
+ * @param competitors Competitor dictionary
+ * @returns Mentions ordered by call start, then time in the call
+ */
+export function findCompetitorMentions(
+  calls: any[],
+  entries: any[],
+  competitors: Competitor[]
+): CompetitorMention[] {
+  const patterns = competitors.map(competitor => {
+    const terms = [competitor.name, ...(competitor.aliases ?? []), ...(competitor.products ?? [])];
+    return { competitor, terms, pattern: termPattern(terms) };
+  });
+  const byId = new Map(calls.map(call => [String(call?.metaData?.id), call]));
+
+  return normalizeTranscripts(calls, entries)
+    .flatMap(transcript => {
+      const call = byId.get(transcript.callId);
+      const meta = call?.metaData ?? {};
+      const account = callAccount(call);
+      const { sentences } = transcript;
+      return sentences.flatMap((sentence, i) =>
+        patterns.flatMap(({ competitor, terms, pattern }) => {
+          const said = sentence.text.match(pattern)?.[1];
+          if (!said) return [];
+          // Counted under the dictionary's spelling of the term
+          const term =
+            terms.find(t => t.toLowerCase() === said.replace(/\s+/g, ' ').toLowerCase()) ?? said;
+          const passage = sentences
+            .slice(Math.max(0, i - 1), i + 2)
+            .map(s => s.text)
+            .join(' ');
+          const { sentiment, score } = passageSentiment(passage);
+          return [
+            {
+              competitor: competitor.name,
+              term,
+              callId: transcript.callId,
+              ...(meta.title ? { callTitle: meta.title } : {}),
+              ...(meta.started ? { started: meta.started } : {}),
+              timestamp: formatTimestamp(sentence.start),
+              ...(meta.url ? { url: meta.url } : {}),
+              speaker: sentence.speaker,
+              affiliation: sentence.affiliation,
+              account,
+              text: sentence.text,
+              passage:
+                passage.length > MAX_PASSAGE_LENGTH
+                  ? `${passage.slice(0, MAX_PASSAGE_LENGTH - 1)}…`
+                  : passage,
+              sentiment,
+              sentimentScore: score,
+            },
+          ];
+        })
+      );
+    })
+    .sort((a, b) => started(a) - started(b));
+}
+
+/**
+ * Reports how often each competitor came up in a period, over time, by rep and by account
+ *
+ * Mentions count for every rep (Internal party) of the call they were made in, whoever said them.
+ * The account is the CRM account of the call, else the email domain of its External parties.
+ *
+ * @param calls Calls of the period from `/v2/calls/extensive`, with parties and Extended context
+ * @param entries Transcript entries of the calls
+ * @param competitors Competitor dictionary
+ * @param options Period the calls were selected from, calls in it (default the calls given),
+ *   bucket size of `overTime` (default week) and quotes per competitor (default 5)
+ * @returns Competitors by number of mentions; competitors never mentioned are listed with zeros
+ */
+export function buildCompetitorReport(
+  calls: any[],
+  entries: any[],
+  competitors: Competitor[],
+  options: {
+    period: { from: string; to: string };
+    totalCalls?: number;
+    interval?: 'week' | 'month';
+    quotes?: number;
+  }
+): CompetitorReport {
+  const interval = options.interval ?? 'week';
+  const quotes = options.quotes ?? 5;
+  const totalCalls = Math.max(options.totalCalls ?? calls.length, calls.length);
+  const mentions = findCompetitorMentions(calls, entries, competitors);
+  const byId = new Map(calls.map(call => [String(call?.metaData?.id), call]));
+
+  return {
+    period: options.period,
+    interval,
+    callsScanned: calls.length,
+    totalCalls,
+    truncated: totalCalls > calls.length,
+    callsWithMentions: new Set(mentions.map(m => m.callId)).size,
+    competitors: competitors
+      .map(competitor => {
+        const found = mentions.filter(m => m.competitor === competitor.name);
+        const scores = found.map(m => m.sentimentScore);
+        const reps = found.flatMap(m =>
+          internalParties(byId.get(m.callId)).map(rep => ({ rep, mention: m }))
+        );
+        return {
+          name: competitor.name,
+          ...count(found),
+          terms: tally(found, m => m.term).map(([term, list]) => ({
+            term,
+            mentions: list.length,
+          })),
+          mentionedBy: {
+            reps: found.filter(m => m.affiliation === 'Internal').length,
+            customers: found.filter(m => m.affiliation === 'External').length,
+            unknown: found.filter(m => m.affiliation === 'Unknown').length,
+          },
+          sentiment: {
+            positive: found.filter(m => m.sentiment === 'positive').length,
+            neutral: found.filter(m => m.sentiment === 'neutral').length,
+            negative: found.filter(m => m.sentiment === 'negative').length,
+            averageScore:
+              scores.length > 0
+                ? Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 100) / 100
+                : 0,
+          },
+          overTime: tally(found, m => periodStart(m.started, interval))
+            .filter(([start]) => start)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([start, list]) => ({ periodStart: start, ...count(list) })),
+          byRep: tally(reps, r => r.rep.key).map(([, list]) => ({
+            name: list[0].rep.name,
+            ...(list[0].rep.email ? { email: list[0].rep.email } : {}),
+            ...count(list.map(r => r.mention)),
+          })),
+          byAccount: tally(found, m => m.account).map(([account, list]) => ({
+            account,
+            ...count(list),
+          })),
+          quotes: representative(found, quotes),
+        };
+      })
+      .sort((a, b) => b.mentions - a.mentions || a.name.localeCompare(b.name)),
+  };
+}
+
+/**
+ * Scores a passage by its positive and negative words; a negation up to three words before a word
+ * in the same clause turns it around
+ *
+ * @param text Passage
+ * @returns Label and score from -1 to 1
+ */
+export function passageSentiment(text: string): { sentiment: Sentiment; score: number } {
+  let positive = 0;
+  let negative = 0;
+  for (const clause of text.toLowerCase().split(/[,.;:!?]|\bbut\b/)) {
+    const tokens = clause.match(/[a-z']+/g) ?? [];
+    tokens.forEach((token, i) => {
+      const polarity = POSITIVE.has(token) ? 1 : NEGATIVE.has(token) ? -1 : 0;
+      if (polarity === 0) return;
+      const negated = tokens
+        .slice(Math.max(0, i - 3), i)
+        .some(t => NEGATIONS.has(t) || t.endsWith("n't"));
+      if (polarity > 0 !== negated) positive++;
+      else negative++;
+    });
+  }
+  const score = positive + negative > 0 ? (positive - negative) / (positive + negative) : 0;
+  return {
+    sentiment: score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral',
+    score: Math.round(score * 100) / 100,
+  };
+}
+
+/**
+ * Name of the CRM account of a call, else the email domain of its first External party
+ */
+function callAccount(call: any): string {
+  const account = (call?.context ?? [])
+    .flatMap((system: any) => system?.objects ?? [])
+    .find((o: any) => /^(account|company)$/i.test(o?.objectType ?? ''));
+  const name = (account?.fields ?? []).find((f: any) => /^name$/i.test(f?.name ?? '') && f.value);
+  if (name) return String(name.value);
+  const email = (call?.parties ?? []).find(
+    (party: any) => party?.affiliation === 'External' && party.emailAddress?.includes('@')
+  )?.emailAddress;
+  return email ? email.split('@')[1].toLowerCase() : 'Unknown';
+}
+
+function internalParties(call: any): { key: string; name: string; email?: string }[] {
+  return (call?.parties ?? [])
+    .filter((party: any) => party?.affiliation === 'Internal' && (party.name || party.emailAddress))
+    .map((party: any) => ({
+      key: party.emailAddress?.toLowerCase() ?? `name:${party.name}`,
+      name: party.name || party.emailAddress,
+      ...(party.emailAddress ? { email: party.emailAddress } : {}),
+    }));
+}
+
+/**
+ * Pattern capturing the longest of the terms found as a whole word
+ */
+function termPattern(terms: string[]): RegExp {
+  const alternatives = [...new Set(terms)]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+  return new RegExp(`(?<![\\w-])(${alternatives.join('|')})(?![\\w-])`, 'i');
+}
+
+/**
+ * Groups items by key, largest groups first
+ */
+function tally<T>(items: T[], key: (item: T) => string): [string, T[]][] {
+  const groups = new Map<string, T[]>();
+  for (const item of items) {
+    const k = key(item);
+    groups.set(k, [...(groups.get(k) ?? []), item]);
+  }
+  return [...groups.entries()].sort(
+    ([a, x], [b, y]) => y.length - x.length || a.localeCompare(b)
+  );
+}
+
+function count(mentions: CompetitorMention[]): MentionCount {
+  return { mentions: mentions.length, calls: new Set(mentions.map(m => m.callId)).size };
+}
+
+/**
+ * Picks the latest mention of each call first, then the rest, latest first
+ */
+function representative(mentions: CompetitorMention[], limit: number): CompetitorMention[] {
+  const latest = [...mentions].reverse();
+  const firstPerCall = latest.filter(
+    (m, i) => latest.findIndex(other => other.callId === m.callId) === i
+  );
+  return [...firstPerCall, ...latest.filter(m => !firstPerCall.includes(m))].slice(0, limit);
+}
+
+/**
+ * Monday of the week or first day of the month of a start time, as YYYY-MM-DD
+ */
+function periodStart(startedAt: string | undefined, interval: 'week' | 'month'): string {
+  const time = Date.parse(startedAt ?? '');
+  if (Number.isNaN(time)) return '';
+  const day = new Date(time);
+  if (interval === 'month') day.setUTCDate(1);
+  else day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().split('T')[0];
+}
+
+function started(mention: CompetitorMention): number {
+  return Date.parse(mention.started ?? '') || 0;
+}
@@ -0,0 +1,287 @@
+import { isQuestion, type NormalizedTranscript, type TranscriptSpeaker } from './transcript.js';
+
+/**
+ * Consecutive sentences of one speaker
+ */
+export interface Monologue {
+  speaker: string;
+  speakerEmail?: string;
+  affiliation: TranscriptSpeaker['affiliation'];
+  /**
+   * Milliseconds from the start of the call
+   */
+  start: number;
+  end: number;
+  durationMs: number;
+  sentences: number;
+}
+
+/**
+ * Talk and questions of the reps (Internal) or the customers (External) of a call
+ */
+export interface SideMetrics {
+  talkMs: number;
+  /**
+   * Share of all talk time in the call, in percent
+   */
+  talkPercent: number;
+  questions: number;
+  questionsPerHour: number;
+}
+
+/**
+ * Metrics of one speaker in one call
+ */
+export interface SpeakerMetrics {
+  name: string;
+  email?: string;
+  affiliation: TranscriptSpeaker['affiliation'];
+  talkMs: number;
+  talkPercent: number;
+  longestMonologueMs: number;
+  questions: number;
+  questionsPerHour: number;
+  /**
+   * Average pause before this speaker answered a speaker of the other side; null when they never
+   * did
+   */
+  patienceMs: number | null;
+}
+
+/**
+ * Conversation metrics of one call
+ */
+export interface CallMetrics {
+  callId: string;
+  /**
+   * From the first sentence to the end of the last one
+   */
+  spanMs: number;
+  rep: SideMetrics;
+  customer: SideMetrics;
+  /**
+   * Longest monologue of a rep
+   */
+  longestMonologue: Monologue | null;
+  /**
+   * Longest monologue of a customer
+   */
+  longestCustomerStory: Monologue | null;
+  /**
+   * Speaker switches per minute
+   */
+  interactivity: number;
+  /**
+   * Average pause before a rep answered a customer; null when no rep did
+   */
+  patienceMs: number | null;
+  speakers: SpeakerMetrics[];
+}
+
+/**
+ * Metrics of one rep across calls
+ */
+export interface RepMetrics {
+  name: string;
+  email?: string;
+  calls: number;
+  /**
+   * Average share of the talk time in the rep's calls
+   */
+  talkPercent: number;
+  longestMonologueMs: number;
+  averageLongestMonologueMs: number;
+  /**
+   * Average interactivity of the rep's calls
+   */
+  interactivity: number;
+  patienceMs: number | null;
+  questionsPerHour: number;
+}
+
+const HOUR_MS = 3_600_000;
+
+/**
+ * Groups the sentences of a transcript into monologues
+ *
+ * @param transcript Normalized transcript
+ * @returns Monologues in transcript order
+ */
+export function monologues(transcript: NormalizedTranscript): Monologue[] {
+  const result: Monologue[] = [];
+  let lastKey: string | undefined;
+  for (const sentence of transcript.sentences) {
+    const key = sentence.speakerId ?? `name:${sentence.speaker}`;
+    const last = result[result.length - 1];
+    if (last && lastKey === key) {
+      last.end = Math.max(last.end, sentence.end);
+      last.durationMs = last.end - last.start;
+      last.sentences++;
+      continue;
+    }
+    lastKey = key;
+    result.push({
+      speaker: sentence.speaker,
+      ...(sentence.speakerEmail ? { speakerEmail: sentence.speakerEmail } : {}),
+      affiliation: sentence.affiliation,
+      start: sentence.start,
+      end: sentence.end,
+      durationMs: Math.max(0, sentence.end - sentence.start),
+      sentences: 1,
+    });
+  }
+  return result;
+}
+
+/**
+ * Computes talk ratio, longest monologue and customer story, interactivity, patience and question
+ * rate of a call
+ *
+ * Reps are the Internal speakers and customers the External ones; speakers of unknown affiliation
+ * count towards talk time but neither side. Patience is the pause between the end of a customer's
+ * monologue and the start of the rep monologue that follows it, never negative.
+ *
+ * @param transcript Normalized transcript with speakers resolved through the call's parties
+ * @returns Metrics; rates are 0 for empty transcripts
+ */
+export function callMetrics(transcript: NormalizedTranscript): CallMetrics {
+  const spoken = monologues(transcript);
+  const first = transcript.sentences[0]?.start ?? 0;
+  const spanMs = Math.max(0, ...transcript.sentences.map(s => s.end)) - first;
+  const talkMs = transcript.sentences.reduce((sum, s) => sum + Math.max(0, s.end - s.start), 0);
+  const percent = (ms: number) => (talkMs > 0 ? round((ms * 100) / talkMs) : 0);
+  const perHour = (count: number) => (spanMs > 0 ? round((count * HOUR_MS) / spanMs) : 0);
+
+  const side = (affiliation: 'Internal' | 'External'): SideMetrics => {
+    const sentences = transcript.sentences.filter(s => s.affiliation === affiliation);
+    const ms = sentences.reduce((sum, s) => sum + Math.max(0, s.end - s.start), 0);
+    const questions = sentences.filter(s => isQuestion(s.text)).length;
+    return {
+      talkMs: ms,
+      talkPercent: percent(ms),
+      questions,
+      questionsPerHour: perHour(questions),
+    };
+  };
+  const longest = (affiliation: 'Internal' | 'External') =>
+    spoken
+      .filter(m => m.affiliation === affiliation)
+      .reduce<Monologue | null>(
+        (max, m) => (!max || m.durationMs > max.durationMs ? m : max),
+        null
+      );
+
+  // Pauses before answering the other side, by speaker
+  const pauses = new Map<string, number[]>();
+  for (let i = 1; i < spoken.length; i++) {
+    const [previous, current] = [spoken[i - 1], spoken[i]];
+    const answered =
+      (previous.affiliation === 'External' && current.affiliation === 'Internal') ||
+      (previous.affiliation === 'Internal' && current.affiliation === 'External');
+    if (!answered) continue;
+    const key = speakerKey(current.speakerEmail, current.speaker);
+    pauses.set(key, [...(pauses.get(key) ?? []), Math.max(0, current.start - previous.end)]);
+  }
+
+  const speakers = new Map<string, SpeakerMetrics>();
+  for (const sentence of transcript.sentences) {
+    const key = speakerKey(sentence.speakerEmail, sentence.speaker);
+    const entry = speakers.get(key) ?? {
+      name: sentence.speaker,
+      ...(sentence.speakerEmail ? { email: sentence.speakerEmail } : {}),
+      affiliation: sentence.affiliation,
+      talkMs: 0,
+      talkPercent: 0,
+      longestMonologueMs: 0,
+      questions: 0,
+      questionsPerHour: 0,
+      patienceMs: roundMs(mean(pauses.get(key) ?? [])),
+    };
+    entry.talkMs += Math.max(0, sentence.end - sentence.start);
+    if (isQuestion(sentence.text)) entry.questions++;
+    speakers.set(key, entry);
+  }
+  for (const monologue of spoken) {
+    const entry = speakers.get(speakerKey(monologue.speakerEmail, monologue.speaker))!;
+    entry.longestMonologueMs = Math.max(entry.longestMonologueMs, monologue.durationMs);
+  }
+
+  const repPauses = spoken.flatMap((m, i) =>
+    i > 0 && m.affiliation === 'Internal' && spoken[i - 1].affiliation === 'External'
+      ? [Math.max(0, m.start - spoken[i - 1].end)]
+      : []
+  );
+  return {
+    callId: transcript.callId,
+    spanMs,
+    rep: side('Internal'),
+    customer: side('External'),
+    longestMonologue: longest('Internal'),
+    longestCustomerStory: longest('External'),
+    interactivity: spanMs > 0 ? round(((spoken.length - 1) * 60_000) / spanMs) : 0,
+    patienceMs: roundMs(mean(repPauses)),
+    speakers: [...speakers.values()]
+      .map(entry => ({
+        ...entry,
+        talkPercent: percent(entry.talkMs),
+        questionsPerHour: perHour(entry.questions),
+      }))
+      .sort((a, b) => b.talkMs - a.talkMs),
+  };
+}
+
+/**
+ * Aggregates the metrics of each rep over the calls they spoke in
+ *
+ * Reps are matched across calls by email, else by name.
+ *
+ * @param calls Metrics of the calls
+ * @returns Reps by number of calls, then name
+ */
+export function repMetrics(calls: CallMetrics[]): RepMetrics[] {
+  const byRep = new Map<string, { rep: SpeakerMetrics; call: CallMetrics }[]>();
+  for (const call of calls) {
+    for (const speaker of call.speakers) {
+      if (speaker.affiliation !== 'Internal') continue;
+      const key = speakerKey(speaker.email, speaker.name);
+      byRep.set(key, [...(byRep.get(key) ?? []), { rep: speaker, call }]);
+    }
+  }
+
+  return [...byRep.values()]
+    .map(entries => {
+      const [{ rep }] = entries;
+      const patience = entries.flatMap(e => (e.rep.patienceMs === null ? [] : [e.rep.patienceMs]));
+      return {
+        name: rep.name,
+        ...(rep.email ? { email: rep.email } : {}),
+        calls: entries.length,
+        talkPercent: round(mean(entries.map(e => e.rep.talkPercent)) ?? 0),
+        longestMonologueMs: Math.max(...entries.map(e => e.rep.longestMonologueMs)),
+        averageLongestMonologueMs: roundMs(mean(entries.map(e => e.rep.longestMonologueMs))) ?? 0,
+        interactivity: round(mean(entries.map(e => e.call.interactivity)) ?? 0),
+        patienceMs: roundMs(mean(patience)),
+        questionsPerHour: round(mean(entries.map(e => e.rep.questionsPerHour)) ?? 0),
+      };
+    })
+    .sort((a, b) => b.calls - a.calls || a.name.localeCompare(b.name));
+}
+
+function speakerKey(email: string | undefined, name: string): string {
+  return email?.toLowerCase() ?? `name:${name}`;
+}
+
+function mean(values: number[]): number | null {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function roundMs(value: number | null): number | null {
+  return value === null ? null : Math.round(value);
+}
+
+/**
+ * Rounds to one decimal
+ */
+function round(value: number): number {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,404 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import type { CallStore } from './call-store.js';
+import { ToolError } from './errors.js';
+import { formatTimestamp } from './transcript.js';
+import { flattenTranscript, tokenize, type IndexedSentence } from './transcript-index.js';
+
+/**
+ * Turns texts into vectors; implementations return one vector per text, all of the same length
+ */
+export interface EmbeddingProvider {
+  /**
+   * Identifies the model, so vectors of different models are never compared
+   */
+  readonly name: string;
+  embed(texts: string[]): Promise<number[][]>;
+}
+
+/**
+ * A few consecutive sentences of one speaker, the unit semantic search ranks
+ */
+export interface TranscriptChunk {
+  callId: string;
+  callTitle?: string;
+  callStarted?: string;
+  speaker: string;
+  affiliation?: string;
+  /**
+   * Offset of the first sentence from the start of the call in milliseconds
+   */
+  start: number;
+  text: string;
+}
+
+/**
+ * Filters and limits for a semantic search
+ */
+export interface SemanticSearchOptions {
+  fromDateTime?: string;
+  toDateTime?: string;
+  callIds?: string[];
+  /**
+   * Snippets to return (default 10)
+   */
+  limit?: number;
+  /**
+   * Drop snippets with a lower cosine similarity (default 0)
+   */
+  minScore?: number;
+}
+
+/**
+ * A snippet ranked by similarity to the query
+ */
+export interface SemanticHit {
+  callId: string;
+  callTitle?: string;
+  callStarted?: string;
+  speaker: string;
+  affiliation?: string;
+  timestamp: string;
+  start: number;
+  text: string;
+  score: number;
+}
+
+interface StoredChunk extends TranscriptChunk {
+  vector: number[];
+}
+
+const INDEX_VERSION = 1;
+
+/**
+ * Texts per call to the embedding provider
+ */
+const EMBEDDING_BATCH_SIZE = 64;
+
+const STOP_WORDS = new Set([
+  ...'a an and are as at be but by for from has have i if in is it its me my of on or our'.split(' '),
+  ...'so that the their them they this to was we were with you your'.split(' '),
+]);
+
+/**
+ * Deterministic offline embeddings: hashed word and word-pair counts
+ *
+ * Needs no model or network, so it is the default and what the tests use. It finds texts that
+ * share words, including inflections that share a prefix, but not true paraphrases; configure a
+ * model provider for those.
+ */
+export class HashingEmbeddingProvider implements EmbeddingProvider {
+  readonly name: string;
+
+  /**
+   * @param dimensions Vector length
+   */
+  constructor(readonly dimensions = 512) {
+    this.name = `hashing-${dimensions}`;
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  private embedOne(text: string): number[] {
+    const vector = new Array<number>(this.dimensions).fill(0);
+    const words = tokenize(text).filter(word => !STOP_WORDS.has(word));
+    const features = [
+      ...words,
+      // Stems of longer words, so "pricing" and "priced" share a feature
+      ...words.filter(word => word.length > 5).map(word => `${word.slice(0, 5)}~`),
+      ...words.slice(1).map((word, i) => `${words[i]} ${word}`),
+    ];
+    for (const feature of features) {
+      const hash = fnv1a(feature);
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+    }
+    return normalize(vector.map(value => Math.sign(value) * Math.log1p(Math.abs(value))));
+  }
+}
+
+/**
+ * Embeddings from a local Ollama server (`POST /api/embed`)
+ */
+export class OllamaEmbeddingProvider implements EmbeddingProvider {
+  readonly name: string;
+
+  /**
+   * @param baseUrl Ollama server, e.g. http://localhost:11434
+   * @param model Embedding model, e.g. nomic-embed-text
+   */
+  constructor(
+    private readonly baseUrl: string,
+    private readonly model: string
+  ) {
+    this.name = `ollama-${model}`;
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    try {
+      const { data } = await axios.post(
+        `${this.baseUrl.replace(/\/$/, '')}/api/embed`,
+        { model: this.model, input: texts },
+        { timeout: 120_000 }
+      );
+      if (!Array.isArray(data?.embeddings) || data.embeddings.length !== texts.length) {
+        throw new Error('response has no embedding per input');
+      }
+      return data.embeddings.map((vector: number[]) => normalize(vector));
+    } catch (error: any) {
+      throw new ToolError(
+        'configuration',
+        `Embedding provider ${this.name} at ${this.baseUrl} failed: ${error.message}`
+      );
+    }
+  }
+}
+
+/**
+ * Creates the embedding provider configured by GONG_EMBEDDINGS_PROVIDER
+ *
+ * `hashing` (default) needs nothing else; `ollama` uses GONG_EMBEDDINGS_URL (default
+ * http://localhost:11434) and GONG_EMBEDDINGS_MODEL (default nomic-embed-text).
+ *
+ * @param env Environment
+ * @returns Embedding provider
+ */
+export function createEmbeddingProvider(env: NodeJS.ProcessEnv = process.env): EmbeddingProvider {
+  const provider = (env.GONG_EMBEDDINGS_PROVIDER || 'hashing').trim().toLowerCase();
+  switch (provider) {
+    case 'hashing':
+      return new HashingEmbeddingProvider();
+    case 'ollama':
+      return new OllamaEmbeddingProvider(
+        env.GONG_EMBEDDINGS_URL || 'http://localhost:11434',
+        env.GONG_EMBEDDINGS_MODEL || 'nomic-embed-text'
+      );
+    default:
+      throw new ToolError(
+        'configuration',
+        `Unknown GONG_EMBEDDINGS_PROVIDER "${provider}"; use "hashing" or "ollama"`
+      );
+  }
+}
+
+/**
+ * Groups transcript sentences into chunks of consecutive sentences by the same speaker
+ *
+ * @param sentences Sentences of one call in order
+ * @param maxSentences Sentences per chunk at most (default 3)
+ * @param maxChars Characters per chunk at most, unless a single sentence is longer (default 600)
+ * @returns Chunks in call order
+ */
+export function chunkTranscript(
+  sentences: IndexedSentence[],
+  maxSentences = 3,
+  maxChars = 600
+): TranscriptChunk[] {
+  const chunks: TranscriptChunk[] = [];
+  let current: { first: IndexedSentence; texts: string[]; length: number } | null = null;
+
+  const flush = () => {
+    if (!current) return;
+    const { first, texts } = current;
+    chunks.push({
+      callId: first.callId,
+      callTitle: first.callTitle,
+      callStarted: first.callStarted,
+      speaker: first.speaker,
+      affiliation: first.affiliation,
+      start: first.start,
+      text: texts.join(' '),
+    });
+    current = null;
+  };
+
+  for (const sentence of sentences) {
+    if (
+      current &&
+      (current.first.speaker !== sentence.speaker ||
+        current.texts.length >= maxSentences ||
+        current.length + sentence.text.length > maxChars)
+    ) {
+      flush();
+    }
+    if (!current) {
+      current = { first: sentence, texts: [], length: 0 };
+    }
+    current.texts.push(sentence.text);
+    current.length += sentence.text.length + 1;
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * Embedded transcript chunks of one Gong account, stored in its cache directory
+ *
+ * Vectors live in `embeddings/<provider>.json`, so switching the provider builds a new index
+ * instead of comparing vectors of different models.
+ */
+export class SemanticIndex {
+  private readonly chunks: StoredChunk[] = [];
+  private readonly callIds = new Set<string>();
+  /**
+   * Tail of the running additions, so concurrent searches do not embed the same call twice
+   */
+  private pending: Promise<unknown> = Promise.resolve();
+
+  private constructor(
+    private readonly file: string,
+    private readonly provider: EmbeddingProvider
+  ) {}
+
+  /**
+   * Opens the semantic index of a cache directory
+   *
+   * @param dir Cache directory, normally the account's call store directory
+   * @param provider Embedding provider
+   * @returns Index with the previously embedded chunks
+   */
+  static open(dir: string, provider: EmbeddingProvider): SemanticIndex {
+    const safeName = provider.name.replace(/[^A-Za-z0-9._-]/g, '_');
+    const index = new SemanticIndex(path.join(dir, 'embeddings', `${safeName}.json`), provider);
+    try {
+      const saved = JSON.parse(fs.readFileSync(index.file, 'utf8'));
+      if (saved.version === INDEX_VERSION && saved.provider === provider.name) {
+        for (const chunk of saved.chunks as StoredChunk[]) {
+          index.chunks.push(chunk);
+          index.callIds.add(chunk.callId);
+        }
+        (saved.callIds as string[] | undefined)?.forEach(id => index.callIds.add(id));
+      }
+    } catch (error: any) {
+      // A missing or corrupt index is rebuilt as calls are added
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+    }
+    return index;
+  }
+
+  /**
+   * Number of calls with embedded transcripts
+   */
+  get callCount(): number {
+    return this.callIds.size;
+  }
+
+  /**
+   * Chunks and embeds the transcripts of calls that are not indexed yet, then saves the index
+   *
+   * @param transcripts Calls (for titles and speaker names) with their transcript entries
+   * @returns Number of calls added
+   */
+  addCalls(transcripts: { call: any; entry: any }[]): Promise<number> {
+    const run = this.pending.then(() => this.embedCalls(transcripts));
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  private async embedCalls(transcripts: { call: any; entry: any }[]): Promise<number> {
+    const fresh = transcripts.filter(
+      ({ entry }) => entry?.callId && !this.callIds.has(String(entry.callId))
+    );
+    if (fresh.length === 0) return 0;
+
+    const chunks = fresh.flatMap(({ call, entry }) =>
+      chunkTranscript(flattenTranscript(call, entry))
+    );
+    // Nothing is added until every batch is embedded, so a failed run can simply be retried
+    const embedded: StoredChunk[] = [];
+    for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const vectors = await this.provider.embed(batch.map(chunk => chunk.text));
+      batch.forEach((chunk, j) => embedded.push({ ...chunk, vector: vectors[j] }));
+    }
+    this.chunks.push(...embedded);
+    fresh.forEach(({ entry }) => this.callIds.add(String(entry.callId)));
+    this.save();
+    return fresh.length;
+  }
+
+  /**
+   * Embeds the stored transcripts that are not indexed yet
+   *
+   * @param store Call store of the same account
+   * @returns Number of calls added
+   */
+  async refresh(store: CallStore): Promise<number> {
+    const missing = store.listTranscriptIds().filter(id => !this.callIds.has(id));
+    return this.addCalls(
+      missing.map(id => ({ call: store.getCall(id), entry: store.getTranscript(id) }))
+    );
+  }
+
+  /**
+   * Ranks the indexed chunks by cosine similarity to a query
+   *
+   * @param query Natural-language query
+   * @param options Date and call filters, limit and minimum score
+   * @returns Best matching snippets first
+   */
+  async search(query: string, options: SemanticSearchOptions = {}): Promise<SemanticHit[]> {
+    const [queryVector] = await this.provider.embed([query]);
+    const from = options.fromDateTime ? Date.parse(options.fromDateTime) : -Infinity;
+    const to = options.toDateTime ? Date.parse(options.toDateTime) : Infinity;
+    const callIds = options.callIds?.length ? new Set(options.callIds.map(String)) : null;
+    const minScore = options.minScore ?? 0;
+
+    return this.chunks
+      .filter(chunk => {
+        if (callIds && !callIds.has(chunk.callId)) return false;
+        if (!options.fromDateTime && !options.toDateTime) return true;
+        const started = Date.parse(chunk.callStarted ?? '');
+        return started >= from && started <= to;
+      })
+      .map(chunk => ({ chunk, score: dot(queryVector, chunk.vector) }))
+      .filter(({ score }) => score > minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit ?? 10)
+      .map(({ chunk: { vector: _vector, ...chunk }, score }) => ({
+        ...chunk,
+        timestamp: formatTimestamp(chunk.start),
+        score: Math.round(score * 1000) / 1000,
+      }));
+  }
+
+  private save(): void {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(
+      temp,
+      JSON.stringify({
+        version: INDEX_VERSION,
+        provider: this.provider.name,
+        // Calls whose transcripts had no text have no chunks but must not be embedded again
+        callIds: [...this.callIds],
+        chunks: this.chunks,
+      })
+    );
+    fs.renameSync(temp, this.file);
+  }
+}
+
+function fnv1a(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalize(vector: number[]): number[] {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+function dot(a: number[], b: number[]): number {
+  let sum = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
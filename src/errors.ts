@@ -0,0 +1,214 @@
+import axios, { type AxiosError } from 'axios';
+import { ZodError } from 'zod';
+import type { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
+import {
+  describeRetryHistory,
+  getRetryHistory,
+  isRetrySafe,
+  parseRetryAfter,
+  type RetryAttempt,
+} from './gong-client.js';
+
+/**
+ * Machine-readable classification of a failed tool call
+ */
+export type ToolErrorCategory =
+  | 'validation'
+  | 'invalid_cursor'
+  | 'authentication'
+  | 'permission'
+  | 'not_found'
+  | 'rate_limited'
+  | 'bad_request'
+  | 'upstream'
+  | 'network'
+  | 'cancelled'
+  | 'configuration'
+  | 'unknown_tool'
+  | 'internal';
+
+/**
+ * A single problem with a tool argument
+ */
+export interface ToolErrorIssue {
+  path: string;
+  message: string;
+  code?: string;
+}
+
+/**
+ * Structured payload returned in the text content of a tool result with `isError: true`
+ */
+export interface ToolErrorPayload {
+  category: ToolErrorCategory;
+  message: string;
+  retryable: boolean;
+  httpStatus?: number;
+  requestId?: string;
+  parameterPath?: string;
+  issues?: ToolErrorIssue[];
+  retryAfterMs?: number;
+  retryHistory?: RetryAttempt[];
+}
+
+/**
+ * Error raised by the MCP servers themselves, carrying its category
+ */
+export class ToolError extends Error {
+  constructor(
+    public readonly category: ToolErrorCategory,
+    message: string,
+    public readonly details: Partial<Omit<ToolErrorPayload, 'category' | 'message'>> = {}
+  ) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+/**
+ * Classifies any error thrown while executing a tool
+ *
+ * @param error Error thrown by validation, the Gong client or the server itself
+ * @returns Structured error payload
+ */
+export function describeToolError(error: unknown): ToolErrorPayload {
+  if (error instanceof ToolError) {
+    return { category: error.category, message: error.message, retryable: false, ...error.details };
+  }
+
+  if (error instanceof ZodError) {
+    const issues = error.issues.map(issue => ({
+      path: issue.path.join('.'),
+      message: issue.message,
+      code: issue.code,
+    }));
+    return {
+      category: 'validation',
+      message: `Validation error: ${issues.map(i => `${i.path || '(root)'}: ${i.message}`).join('; ')}`,
+      retryable: false,
+      parameterPath: issues[0]?.path || undefined,
+      issues,
+    };
+  }
+
+  if (axios.isAxiosError(error)) {
+    return describeAxiosError(error);
+  }
+
+  const message = error instanceof Error ? error.message : String(error);
+  return { category: 'internal', message: `Unexpected error: ${message}`, retryable: false };
+}
+
+/**
+ * Builds an MCP tool result with `isError: true` and the structured payload as JSON text
+ *
+ * @param error Error to report
+ * @returns Call tool result
+ */
+export function toToolErrorResult(error: unknown): CallToolResult {
+  const payload = describeToolError(error);
+  return {
+    isError: true,
+    content: [{ type: 'text', text: JSON.stringify({ error: payload }, null, 2) }],
+  };
+}
+
+/**
+ * Formats API errors for better readability
+ *
+ * @param error Axios error
+ * @returns Formatted error message
+ */
+export function formatApiError(error: AxiosError): string {
+  let message = 'API request failed.';
+  if (error.response) {
+    message = `API Error: Status ${error.response.status} (${error.response.statusText || 'Status text not available'}). `;
+    const responseData = error.response.data;
+    const MAX_LEN = 200;
+    if (typeof responseData === 'string') {
+      message += `Response: ${responseData.substring(0, MAX_LEN)}${responseData.length > MAX_LEN ? '...' : ''}`;
+    } else if (responseData) {
+      try {
+        const jsonString = JSON.stringify(responseData);
+        message += `Response: ${jsonString.substring(0, MAX_LEN)}${jsonString.length > MAX_LEN ? '...' : ''}`;
+      } catch {
+        message += 'Response: [Could not serialize data]';
+      }
+    } else {
+      message += 'No response body received.';
+    }
+  } else if (error.request) {
+    message = 'API Network Error: No response received from server.';
+    if (error.code) message += ` (Code: ${error.code})`;
+  } else {
+    message += `API Request Setup Error: ${error.message}`;
+  }
+  const retries = describeRetryHistory(getRetryHistory(error));
+  if (retries) {
+    message += ` ${retries}`;
+  }
+  return message;
+}
+
+/**
+ * Classifies a failed Gong API request
+ */
+function describeAxiosError(error: AxiosError): ToolErrorPayload {
+  const status = error.response?.status;
+  const data: any = error.response?.data;
+  const retryHistory = getRetryHistory(error);
+  const safeToReplay = isRetrySafe(error.config?.method, error.config?.url);
+
+  const payload: ToolErrorPayload = {
+    category: 'internal',
+    message: formatApiError(error),
+    retryable: false,
+    httpStatus: status,
+    requestId: typeof data?.requestId === 'string' ? data.requestId : undefined,
+    retryHistory: retryHistory.length > 0 ? retryHistory : undefined,
+  };
+
+  if (axios.isCancel(error as unknown)) {
+    return { ...payload, category: 'cancelled', message: 'Request was cancelled' };
+  }
+
+  if (!error.response) {
+    return { ...payload, category: 'network', retryable: safeToReplay };
+  }
+
+  const gongErrors: string = Array.isArray(data?.errors) ? data.errors.join(' ') : '';
+  switch (true) {
+    case status === 401:
+      return { ...payload, category: 'authentication' };
+    case status === 403:
+      return { ...payload, category: 'permission' };
+    case status === 404:
+      return { ...payload, category: 'not_found' };
+    case status === 429:
+      return {
+        ...payload,
+        category: 'rate_limited',
+        retryable: true,
+        retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after']),
+      };
+    case status === 400 && /cursor/i.test(gongErrors):
+      return {
+        ...payload,
+        category: 'invalid_cursor',
+        parameterPath: cursorParameterPath(error),
+      };
+    case status !== undefined && status >= 500:
+      return { ...payload, category: 'upstream', retryable: safeToReplay };
+    default:
+      return { ...payload, category: 'bad_request' };
+  }
+}
+
+/**
+ * Reports where the rejected cursor was sent: in the request body or as a query parameter
+ */
+function cursorParameterPath(error: AxiosError): string {
+  const body = error.config?.data;
+  const sentInBody = typeof body === 'string' ? body.includes('"cursor"') : !!body?.cursor;
+  return sentInBody ? 'requestBody.cursor' : 'cursor';
+}
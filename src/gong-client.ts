@@ -0,0 +1,340 @@
+import axios, { type AxiosError, type AxiosInstance, type InternalAxiosRequestConfig } from 'axios';
+
+/**
+ * Options controlling how failed Gong requests are retried
+ */
+export interface RetryOptions {
+  maxRetries: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+}
+
+/**
+ * A single failed attempt recorded before the request was retried or given up on
+ */
+export interface RetryAttempt {
+  attempt: number;
+  status?: number;
+  code?: string;
+  retryAfterMs?: number;
+  delayMs?: number;
+  at: string;
+}
+
+/**
+ * Options for creating a Gong HTTP client
+ */
+export interface GongClientOptions {
+  baseURL?: string;
+  auth?: { username: string; password: string };
+  headers?: Record<string, string>;
+  retry?: Partial<RetryOptions>;
+  rateLimiter?: RateLimiter;
+}
+
+/**
+ * Axios request config carrying the retry state between attempts
+ */
+interface RetryableRequestConfig extends InternalAxiosRequestConfig {
+  __gongRetryHistory?: RetryAttempt[];
+}
+
+/**
+ * Default base URL for the Gong API
+ */
+export const GONG_API_BASE_URL = 'https://api.gong.io';
+
+/**
+ * Status codes worth retrying: rate limiting and transient server errors
+ */
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Gong endpoints that use POST for read-only queries and can therefore be replayed safely
+ */
+const READ_ONLY_POST_PATHS = [
+  /\/v2\/calls\/extensive$/,
+  /\/v2\/calls\/transcript$/,
+  /\/v2\/stats\//,
+  /\/v2\/users\/extensive$/,
+];
+
+/**
+ * Spaces out requests so that no more than a fixed number start per second
+ *
+ * A single limiter is shared by every client in the process by default, so concurrent tool
+ * calls draw from the same budget instead of each one assuming it has Gong to itself.
+ */
+export class RateLimiter {
+  private nextSlot = 0;
+  private readonly intervalMs: number;
+
+  /**
+   * @param requestsPerSecond Maximum number of requests started per second
+   */
+  constructor(requestsPerSecond: number) {
+    this.intervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  }
+
+  /**
+   * Waits until the caller may start a request
+   *
+   * @param signal Optional abort signal that stops waiting
+   */
+  async acquire(signal?: AbortSignal): Promise<void> {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.intervalMs;
+    if (slot > now) {
+      await sleep(slot - now, signal);
+    }
+  }
+
+  /**
+   * Holds back every request that has not started yet, e.g. after Gong answered with 429
+   *
+   * @param delayMs How long to pause from now
+   */
+  pause(delayMs: number): void {
+    this.nextSlot = Math.max(this.nextSlot, Date.now() + delayMs);
+  }
+}
+
+let sharedRateLimiter: RateLimiter | undefined;
+
+/**
+ * Returns the process-wide rate limiter, sized by GONG_MAX_REQUESTS_PER_SECOND (default 3)
+ */
+export function getSharedRateLimiter(): RateLimiter {
+  if (!sharedRateLimiter) {
+    sharedRateLimiter = new RateLimiter(
+      positiveNumber(process.env.GONG_MAX_REQUESTS_PER_SECOND) ?? 3
+    );
+  }
+  return sharedRateLimiter;
+}
+
+/**
+ * Resolves retry options from explicit overrides, environment and defaults
+ *
+ * @param overrides Options that take precedence over the environment
+ * @returns Complete retry options
+ */
+export function resolveRetryOptions(overrides: Partial<RetryOptions> = {}): RetryOptions {
+  return {
+    maxRetries: overrides.maxRetries ?? positiveNumber(process.env.GONG_MAX_RETRIES, true) ?? 4,
+    baseDelayMs:
+      overrides.baseDelayMs ?? positiveNumber(process.env.GONG_RETRY_BASE_DELAY_MS) ?? 500,
+    maxDelayMs:
+      overrides.maxDelayMs ?? positiveNumber(process.env.GONG_RETRY_MAX_DELAY_MS) ?? 30000,
+  };
+}
+
+/**
+ * Creates an axios instance for the Gong API with rate limiting and retries
+ *
+ * @param options Base URL, credentials, retry and rate-limit settings
+ * @returns Configured axios instance
+ */
+export function createGongClient(options: GongClientOptions = {}): AxiosInstance {
+  const instance = axios.create({
+    baseURL: options.baseURL,
+    auth: options.auth,
+    headers: options.headers,
+  });
+  return withRetries(instance, options);
+}
+
+/**
+ * Installs rate limiting and retry interceptors on an existing axios instance
+ *
+ * @param instance Axios instance to wrap
+ * @param options Retry and rate-limit settings
+ * @returns The same instance
+ */
+export function withRetries(
+  instance: AxiosInstance,
+  options: Pick<GongClientOptions, 'retry' | 'rateLimiter'> = {}
+): AxiosInstance {
+  const retry = resolveRetryOptions(options.retry);
+  const limiter = options.rateLimiter ?? getSharedRateLimiter();
+
+  instance.interceptors.request.use(async config => {
+    await limiter.acquire(config.signal as AbortSignal | undefined);
+    return config;
+  });
+
+  instance.interceptors.response.use(undefined, async (error: AxiosError) => {
+    const config = error.config as RetryableRequestConfig | undefined;
+    if (!config || axios.isCancel(error as unknown)) {
+      throw error;
+    }
+
+    const history = (config.__gongRetryHistory = config.__gongRetryHistory || []);
+    const status = error.response?.status;
+    const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+    const attempt: RetryAttempt = {
+      attempt: history.length + 1,
+      status,
+      code: status ? undefined : error.code,
+      retryAfterMs,
+      at: new Date().toISOString(),
+    };
+    history.push(attempt);
+
+    const retryable =
+      isRetryableError(error) && (status === 429 || isRetrySafe(config.method, config.url));
+    const delayMs = computeBackoffDelay(attempt.attempt, retry, retryAfterMs);
+    if (!retryable || attempt.attempt > retry.maxRetries || delayMs === null) {
+      (error as any).retryHistory = history;
+      throw error;
+    }
+
+    attempt.delayMs = delayMs;
+    if (status === 429) {
+      limiter.pause(delayMs);
+    }
+    console.error(
+      `Gong request ${config.method?.toUpperCase()} ${config.url} failed ` +
+        `(${status ?? error.code}), retry ${attempt.attempt}/${retry.maxRetries} in ${delayMs}ms`
+    );
+    await sleep(delayMs, config.signal as AbortSignal | undefined);
+    return instance.request(config);
+  });
+
+  return instance;
+}
+
+/**
+ * Returns the retry attempts recorded on a failed Gong request, if any
+ *
+ * @param error Error thrown by a Gong client
+ * @returns Recorded attempts, oldest first
+ */
+export function getRetryHistory(error: unknown): RetryAttempt[] {
+  const history = (error as any)?.retryHistory;
+  return Array.isArray(history) ? history : [];
+}
+
+/**
+ * Checks whether an error is a rate limit, transient server error or network failure
+ *
+ * @param error Axios error
+ * @returns True if the same request may succeed later
+ */
+export function isRetryableError(error: AxiosError): boolean {
+  if (error.response) {
+    return RETRYABLE_STATUS_CODES.includes(error.response.status);
+  }
+  return !!error.code && RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Checks whether replaying a request cannot cause duplicate side effects
+ *
+ * @param method HTTP method
+ * @param url Request URL or path
+ * @returns True for idempotent methods and Gong's read-only POST queries
+ */
+export function isRetrySafe(method: string | undefined, url: string | undefined): boolean {
+  const normalized = (method || 'get').toLowerCase();
+  if (['get', 'head', 'options', 'put', 'delete'].includes(normalized)) {
+    return true;
+  }
+  const path = (url || '').split('?')[0];
+  return normalized === 'post' && READ_ONLY_POST_PATHS.some(pattern => pattern.test(path));
+}
+
+/**
+ * Computes how long to wait before the next attempt
+ *
+ * Honors Retry-After when Gong sends it, otherwise uses exponential backoff with equal jitter: a
+ * random delay between half and all of the exponential ceiling, so retries never fire right away.
+ *
+ * @param attempt Number of the attempt that just failed, starting at 1
+ * @param options Retry options
+ * @param retryAfterMs Delay requested by the server, if any
+ * @param random Random source, injectable for tests
+ * @returns Delay in milliseconds, or null if the server asks for longer than maxDelayMs
+ */
+export function computeBackoffDelay(
+  attempt: number,
+  options: RetryOptions,
+  retryAfterMs?: number,
+  random: () => number = Math.random
+): number | null {
+  if (retryAfterMs !== undefined) {
+    return retryAfterMs <= options.maxDelayMs ? retryAfterMs : null;
+  }
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + (random() * ceiling) / 2);
+}
+
+/**
+ * Parses a Retry-After header given either in seconds or as an HTTP date
+ *
+ * @param value Header value
+ * @param now Current time, injectable for tests
+ * @returns Delay in milliseconds, or undefined if absent or unparseable
+ */
+export function parseRetryAfter(value: unknown, now: number = Date.now()): number | undefined {
+  if (value === undefined || value === null || value === '') return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.round(seconds * 1000));
+  }
+  const date = Date.parse(String(value));
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Formats recorded retry attempts for error messages
+ *
+ * @param history Recorded attempts
+ * @returns Human-readable summary, or an empty string if there were no retries
+ */
+export function describeRetryHistory(history: RetryAttempt[]): string {
+  if (history.length <= 1) return '';
+  const attempts = history
+    .map(a => {
+      const waited = a.delayMs ? ` (waited ${a.delayMs}ms)` : '';
+      return `#${a.attempt} ${a.status ?? a.code ?? 'error'}${waited}`;
+    })
+    .join(', ');
+  return `Attempts: ${attempts}`;
+}
+
+/**
+ * Waits for the given time, rejecting early if the signal aborts
+ */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new axios.CanceledError('Request aborted while waiting to retry'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError('Request aborted while waiting to retry'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Parses a positive number from an environment variable
+ */
+function positiveNumber(value: string | undefined, allowZero = false): number | undefined {
+  const parsed = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(parsed)) return undefined;
+  return parsed > 0 || (allowZero && parsed === 0) ? parsed : undefined;
+}
@@ -0,0 +1,235 @@
+import http, { type IncomingMessage, type ServerResponse } from 'http';
+import { randomUUID } from 'crypto';
+import type { AddressInfo } from 'net';
+import type { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Where the Streamable HTTP endpoint listens
+ */
+export interface HttpTransportOptions {
+  port: number;
+  host: string;
+  path: string;
+  /**
+   * Largest accepted JSON-RPC request body, in bytes
+   */
+  maxBodyBytes?: number;
+  /**
+   * Time after a session's last request, with no request or SSE stream still open, after which
+   * the session is closed
+   */
+  idleTimeoutMs?: number;
+}
+
+/**
+ * A running HTTP listener and its open MCP sessions
+ */
+export interface HttpTransportHandle {
+  /**
+   * Port actually bound, useful when listening on port 0
+   */
+  port: number;
+  /**
+   * Number of sessions currently open
+   */
+  sessionCount(): number;
+  /**
+   * Closes every session and stops listening
+   */
+  close(): Promise<void>;
+}
+
+const DEFAULT_MAX_BODY_BYTES = 4 * 1024 * 1024;
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * An open session with the requests in flight on it
+ */
+interface Session {
+  transport: StreamableHTTPServerTransport;
+  openRequests: number;
+  idleTimer?: NodeJS.Timeout;
+}
+
+/**
+ * Serves MCP over Streamable HTTP (POST for requests, GET for the SSE stream, DELETE to end a
+ * session)
+ *
+ * A client starts a session with an `initialize` request; the response carries an
+ * `Mcp-Session-Id` header that must be sent with every later request. Each session gets its own
+ * server instance, so one long-lived process can serve many clients without spawning a process
+ * per request. Clients that go away without a DELETE leave their session idle; it is closed once
+ * nothing was asked of it for `idleTimeoutMs`.
+ *
+ * @param createServer Factory for a fully configured MCP server
+ * @param options Port, host, endpoint path, body limit and idle timeout
+ * @returns Handle for inspecting and closing the listener
+ */
+export async function startHttpTransport(
+  createServer: () => Server,
+  options: HttpTransportOptions
+): Promise<HttpTransportHandle> {
+  const sessions = new Map<string, Session>();
+  const maxBodyBytes = options.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES;
+  const idleTimeoutMs = options.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+
+  // Closing the transport closes its server, whose onclose removes the session
+  const armIdleTimer = (id: string, session: Session) => {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => {
+      console.error(`MCP HTTP session ${id} idle for ${idleTimeoutMs} ms, closing`);
+      session.transport.close().catch(error => {
+        console.error(`Error closing idle MCP HTTP session ${id}:`, error);
+      });
+    }, idleTimeoutMs);
+    session.idleTimer.unref();
+  };
+
+  // Holds off the idle timer while a request or SSE stream of the session is open
+  const track = (id: string, session: Session, res: ServerResponse) => {
+    clearTimeout(session.idleTimer);
+    session.openRequests++;
+    res.once('close', () => {
+      session.openRequests--;
+      if (session.openRequests === 0 && sessions.get(id) === session) armIdleTimer(id, session);
+    });
+  };
+
+  const handle = async (req: IncomingMessage, res: ServerResponse) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (url.pathname !== options.path) {
+      sendJsonRpcError(res, 404, -32601, `Not found: ${url.pathname}`);
+      return;
+    }
+
+    const sessionId = headerValue(req.headers['mcp-session-id']);
+    const body = req.method === 'POST' ? await readJsonBody(req, maxBodyBytes) : undefined;
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      track(sessionId, session, res);
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method === 'POST' && isInitializeRequest(body)) {
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: id => {
+          const session: Session = { transport, openRequests: 0 };
+          sessions.set(id, session);
+          track(id, session, res);
+          console.error(`MCP HTTP session ${id} started (${sessions.size} open)`);
+        },
+      });
+      const server = createServer();
+      // Protocol.connect() replaces transport.onclose, so listen on the server instead
+      server.onclose = () => {
+        const id = transport.sessionId;
+        const session = id ? sessions.get(id) : undefined;
+        if (id && session) {
+          clearTimeout(session.idleTimer);
+          sessions.delete(id);
+          console.error(`MCP HTTP session ${id} closed (${sessions.size} open)`);
+        }
+      };
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (error instanceof RequestBodyError) {
+        sendJsonRpcError(res, error.status, -32700, error.message);
+        return;
+      }
+      console.error('Error handling MCP HTTP request:', error);
+      sendJsonRpcError(res, 500, -32603, 'Internal server error');
+    });
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.port, options.host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  return {
+    port: (httpServer.address() as AddressInfo).port,
+    sessionCount: () => sessions.size,
+    close: async () => {
+      await Promise.all([...sessions.values()].map(session => session.transport.close()));
+      sessions.clear();
+      await new Promise<void>(resolve => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections();
+      });
+    },
+  };
+}
+
+/**
+ * Request body that could not be read or parsed
+ */
+class RequestBodyError extends Error {
+  constructor(
+    public readonly status: number,
+    message: string
+  ) {
+    super(message);
+    this.name = 'RequestBodyError';
+  }
+}
+
+/**
+ * Reads and parses a JSON request body
+ */
+async function readJsonBody(req: IncomingMessage, maxBytes: number): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new RequestBodyError(413, `Request body exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new RequestBodyError(400, 'Parse error: request body is not valid JSON');
+  }
+}
+
+/**
+ * Writes a JSON-RPC error response that is not tied to a request id
+ */
+function sendJsonRpcError(res: ServerResponse, status: number, code: number, message: string) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+/**
+ * Returns the first value of a possibly repeated header
+ */
+function headerValue(value: string | string[] | undefined): string | undefined {
+  return Array.isArray(value) ? value[0] : value;
+}
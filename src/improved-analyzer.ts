@@ -0,0 +1,607 @@
+import type { AxiosInstance } from 'axios';
+import { CallStore, callStart, fetchPagedCalls, fetchTranscripts } from './call-store.js';
+import {
+  type Competitor,
+  type CompetitorReport,
+  buildCompetitorReport,
+  resolveCompetitors
+} from './competitor-intel.js';
+import { SemanticIndex, createEmbeddingProvider } from './embeddings.js';
+import {
+  type AnalysisSentence,
+  analysisBudgetFromEnv,
+  analyzeCalls,
+  createAnalysisProvider,
+  toAnalysisCalls
+} from './analysis-provider.js';
+import { ParticipantDirectory, requireUnambiguous } from './participant-resolver.js';
+import { type QueryPlan, matchesPlan, planQuery } from './query-planner.js';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Interface for the NLP analysis request
+ */
+export interface NlpAnalysisRequest {
+  query: string;
+  timeRange?: {
+    start: string;
+    end: string;
+  };
+  maxCalls?: number;
+  participants?: string[];
+  page?: number;
+  pageSize?: number;
+  cursor?: string;
+  logResults?: boolean;
+}
+
+/**
+ * Request for a competitor mention report
+ */
+export interface CompetitorIntelRequest {
+  /**
+   * Competitor dictionary; defaults to the one in GONG_COMPETITORS_FILE
+   */
+  competitors?: Competitor[];
+  timeRange?: {
+    start: string;
+    end: string;
+  };
+  participants?: string[];
+  maxCalls?: number;
+  interval?: 'week' | 'month';
+  quotes?: number;
+}
+
+/**
+ * Fields the analyzer needs from /v2/calls/extensive
+ */
+const CALLS_CONTENT_SELECTOR = {
+  context: "Extended",
+  contextTiming: ["Now", "TimeOfCall"],
+  exposedFields: {
+    parties: true,
+    interaction: { questions: true, speakers: true },
+    content: { topics: true, trackers: true },
+    media: true
+  }
+};
+
+/**
+ * Response interface for call data
+ */
+export interface CallData {
+  id: string;
+  title: string;
+  startTime: string;
+  duration: number;
+  participants: any[];
+  parties?: any[];
+  transcript?: AnalysisSentence[];
+  // Additional fields as needed
+}
+
+/**
+ * Converts a call from calls/extensive to CallData
+ * 
+ * @param call Call with metaData and parties
+ * @returns Call data; the start time is Gong's `started`, or `startTime` of older fixtures
+ */
+export function toCallData(call: any): CallData {
+  return {
+    id: call.metaData.id,
+    title: call.metaData.title,
+    startTime: callStart(call) ?? '',
+    duration: call.metaData.duration,
+    participants: call.metaData.participants || [],
+    parties: call.parties || [],
+    // Additional fields as needed
+  };
+}
+
+/**
+ * One page of calls from fetchRelevantCalls
+ */
+interface CallDataPage {
+  calls: CallData[];
+  totalCalls: number;
+  nextCursor?: string;
+}
+
+/**
+ * Interface for pagination info
+ */
+interface PaginationInfo {
+  page: number;
+  pageSize: number;
+  totalPages: number;
+  totalCalls: number;
+  nextCursor?: string;
+  hasMore: boolean;
+}
+
+/**
+ * Interface for batch processing of calls
+ */
+interface BatchProcessResult {
+  processedCalls: CallData[];
+  totalCalls: number;
+  summary: string;
+  pagination: PaginationInfo;
+  nextCursor?: string;
+}
+
+/**
+ * Class to handle natural language processing of Gong call data with improved analysis
+ */
+export class ImprovedAnalyzer {
+  private client: AxiosInstance;
+  private logDir: string;
+  private store?: CallStore;
+  private directory?: ParticipantDirectory;
+  
+  /**
+   * Constructor for ImprovedAnalyzer
+   * 
+   * @param client Gong client of the account, with its Basic or OAuth auth, retries and rate limit
+   * @param logDir Optional directory for logging results
+   * @param store Optional call store to read calls and transcripts from before calling the API
+   */
+  constructor(client: AxiosInstance, logDir?: string, store?: CallStore) {
+    this.client = client;
+    this.logDir = logDir || path.join(process.cwd(), 'logs');
+    this.store = store;
+    
+    // Create logs directory if it doesn't exist
+    if (!fs.existsSync(this.logDir)) {
+      fs.mkdirSync(this.logDir, { recursive: true });
+    }
+  }
+  
+  /**
+   * Main method to analyze call data based on natural language query
+   * 
+   * @param request NLP analysis request
+   * @returns Analysis results
+   */
+  public async analyzeWithNlp(request: NlpAnalysisRequest): Promise<any> {
+    try {
+      this.logInfo(`Starting analysis for query: ${request.query}`);
+      
+      // Set default pagination values
+      const page = request.page || 1;
+      const pageSize = request.pageSize || 100;
+      
+      // Step 1: Plan the query: dates, people, roles, accounts, call types and topics
+      const plan = await this.planRequest(request);
+      const timeRange = { start: plan.timeRange.fromDateTime, end: plan.timeRange.toDateTime };
+      
+      // Step 2: Fetch call data based on the plan
+      const callData = await this.fetchRelevantCalls(request, plan);
+      
+      // Step 3: Process calls in batches to avoid memory issues
+      const batchResults = await this.processBatches(callData, { ...request, timeRange });
+      
+      // Step 4: Fetch transcripts unless the question is about call counts or durations
+      if (plan.needsTranscripts) {
+        await this.enrichWithTranscripts(batchResults.processedCalls);
+      }
+      
+      // Step 5: Analyze data with AI, or summarize the call metadata
+      const analysis = plan.needsTranscripts
+        ? await this.analyzeWithAI(batchResults.processedCalls, request.query)
+        : this.summarizeMetadata(batchResults.processedCalls);
+      
+      // Step 6: Format and return results
+      const result = {
+        query: request.query,
+        plan,
+        callsAnalyzed: batchResults.processedCalls.length,
+        totalCallsFound: batchResults.totalCalls,
+        timeRange,
+        pagination: batchResults.pagination,
+        analysis: analysis,
+        summary: batchResults.summary
+      };
+      
+      // Log results if requested
+      if (request.logResults) {
+        this.logResults(result);
+      }
+      
+      return result;
+    } catch (error: any) {
+      const errorMsg = `Error analyzing calls with NLP: ${error.message}`;
+      this.logError(errorMsg);
+      throw new Error(errorMsg);
+    }
+  }
+  
+  /**
+   * Reports which competitors came up in the calls of a period, over time, by rep and by account
+   * 
+   * Transcripts are read like those of an analysis, through enrichWithTranscripts.
+   * 
+   * @param request Competitor dictionary, period (default the last 90 days), participants and
+   *   report options
+   * @returns Competitor report
+   * @throws ToolError (validation) for a malformed dictionary, (configuration) when none is given
+   *   and GONG_COMPETITORS_FILE is not set or cannot be read
+   */
+  public async competitorIntel(request: CompetitorIntelRequest): Promise<CompetitorReport> {
+    const competitors = resolveCompetitors(request.competitors);
+    
+    const end = request.timeRange?.end || new Date().toISOString();
+    const start = request.timeRange?.start ||
+      new Date(Date.parse(end) - 90 * 24 * 60 * 60 * 1000).toISOString();
+    const maxCalls = request.maxCalls || 200;
+    const { calls, totalCalls } = await fetchPagedCalls(this.client, this.store ?? null, {
+      filter: {
+        fromDateTime: start,
+        toDateTime: end,
+        ...(request.participants?.length ? { participantsEmails: request.participants } : {})
+      },
+      contentSelector: CALLS_CONTENT_SELECTOR
+    }, { pageSize: maxCalls });
+    this.logInfo(
+      `Scanning ${calls.length} of ${totalCalls} calls for ${competitors.length} competitors`
+    );
+    
+    const entries = await this.enrichWithTranscripts(this.processCalls(calls));
+    const report = buildCompetitorReport(calls, entries, competitors, {
+      period: { from: start, to: end },
+      totalCalls,
+      interval: request.interval,
+      quotes: request.quotes
+    });
+    this.logInfo(`Found competitor mentions in ${report.callsWithMentions} calls`);
+    return report;
+  }
+  
+  /**
+   * Fetches calls from Gong API based on the query plan with pagination
+   * 
+   * @param request NLP analysis request
+   * @param plan Plan of the request's query
+   * @returns Page of relevant calls, the total and the next page's continuation token
+   */
+  private async fetchRelevantCalls(
+    request: NlpAnalysisRequest,
+    plan: QueryPlan
+  ): Promise<CallDataPage> {
+    // Prepare request body for calls/extensive endpoint
+    const requestBody: any = {
+      // Dates and participants as planned; the plan defaults to the last 90 days
+      filter: { ...plan.filter },
+      contentSelector: CALLS_CONTENT_SELECTOR
+    };
+    
+    this.logInfo(`Fetching calls with filter: ${JSON.stringify(requestBody.filter)}`);
+    
+    // Read from the call store where it has synced the range, otherwise follow Gong cursors
+    const store = this.store ?? null;
+    const page = await fetchPagedCalls(this.client, store, requestBody, {
+      cursor: request.cursor,
+      page: request.page,
+      pageSize: request.pageSize || 100,
+      keep: call => matchesPlan(call, plan),
+      keepFilters: [plan.accounts, plan.callTypes]
+    });
+    const { calls, totalCalls, nextCursor } = page;
+    return { calls: this.processCalls(calls), totalCalls, nextCursor };
+  }
+  
+  /**
+   * Plans the request's query, resolving people and roles against the Gong users and stored
+   * call participants
+   * 
+   * @param request NLP analysis request; its time range and participants win over the query
+   * @returns Query plan
+   * @throws ToolError (validation) when a name fits several people
+   */
+  private async planRequest(request: NlpAnalysisRequest): Promise<QueryPlan> {
+    if (!this.directory || this.directory.isStale()) {
+      this.directory = await ParticipantDirectory.load(this.client, this.store);
+      this.logInfo(`Loaded ${this.directory.size} users and participants for name resolution`);
+    }
+    
+    const plan = planQuery(request.query, {
+      timeRange: request.timeRange,
+      participants: request.participants,
+      directory: this.directory
+    });
+    requireUnambiguous(plan);
+    this.logInfo(`Query plan: ${plan.steps.join('; ')}`);
+    return plan;
+  }
+  
+  /**
+   * Converts calls from calls/extensive to CallData
+   * 
+   * @param calls Calls of one page
+   * @returns Processed call data array
+   */
+  private processCalls(calls: any[]): CallData[] {
+    this.logInfo(`Received ${calls.length} calls from API`);
+    
+    return calls.map(toCallData);
+  }
+  
+  /**
+   * Process calls in batches to avoid memory issues
+   * 
+   * @param callPage Page of calls to process
+   * @param request Original NLP request
+   * @returns Batch processing result
+   */
+  private async processBatches(callPage: CallDataPage, request: NlpAnalysisRequest): Promise<BatchProcessResult> {
+    const BATCH_SIZE = 25; // Process 25 calls at a time
+    const { calls, totalCalls, nextCursor } = callPage;
+    let processedCalls: CallData[] = [];
+    
+    // Set pagination values
+    const page = request.page || 1;
+    const pageSize = request.pageSize || 100;
+    
+    // Process in batches
+    for (let i = 0; i < calls.length; i += BATCH_SIZE) {
+      const batch = calls.slice(i, i + BATCH_SIZE);
+      // Here you would do any pre-processing needed for each batch
+      processedCalls = processedCalls.concat(batch);
+      this.logInfo(`Processed batch ${Math.floor(i / BATCH_SIZE) + 1} with ${batch.length} calls`);
+    }
+    
+    // Calculate total pages
+    const totalPages = Math.ceil(totalCalls / pageSize);
+    
+    // Create pagination info
+    const pagination: PaginationInfo = {
+      page: page,
+      pageSize: pageSize,
+      totalPages: totalPages,
+      totalCalls: totalCalls,
+      hasMore: nextCursor !== undefined,
+      nextCursor // Continuation token of the next page
+    };
+    
+    // Generate preliminary summary
+    const summary = `Analyzed ${processedCalls.length} calls (page ${page} of ${totalPages}) from ${this.formatDate(request.timeRange?.start)} to ${this.formatDate(request.timeRange?.end || new Date().toISOString())}`;
+    
+    return {
+      processedCalls,
+      totalCalls,
+      summary,
+      pagination,
+      nextCursor
+    };
+  }
+  
+  /**
+   * Enriches call data with transcript information
+   * 
+   * @param calls Array of calls to enrich
+   * @returns Transcript entries of the calls, as read from the call store or API
+   */
+  private async enrichWithTranscripts(calls: CallData[]): Promise<any[]> {
+    // Stored transcripts are read from disk; only the misses are requested from the API
+    if (this.store) {
+      const callIds = calls.map(call => call.id);
+      const transcripts = await fetchTranscripts(this.client, this.store, callIds);
+      for (const transcript of transcripts) {
+        const call = calls.find(c => c.id === transcript.callId);
+        if (call) {
+          this.attachTranscript(call, transcript);
+        }
+      }
+      this.logInfo(`Added ${transcripts.length} transcripts from the call store and API`);
+      await this.embedTranscripts(transcripts);
+      return transcripts;
+    }
+    
+    // Process in smaller batches for transcript retrieval
+    const TRANSCRIPT_BATCH_SIZE = 5;
+    const fetched: any[] = [];
+    
+    for (let i = 0; i < calls.length; i += TRANSCRIPT_BATCH_SIZE) {
+      const batch = calls.slice(i, i + TRANSCRIPT_BATCH_SIZE);
+      const callIds = batch.map(call => call.id);
+      
+      this.logInfo(`Fetching transcripts for batch ${Math.floor(i / TRANSCRIPT_BATCH_SIZE) + 1} with ${callIds.length} calls`);
+      
+      // Request transcripts for the batch
+      const response = await this.client.post('/v2/calls/transcript', {
+        filter: {
+          callIds: callIds
+        }
+      });
+      
+      // Map transcripts to the corresponding calls
+      const entries = response.data?.callTranscripts ?? response.data?.transcripts ?? [];
+      fetched.push(...entries);
+      for (const transcript of entries) {
+        const call = calls.find(c => c.id === transcript.callId);
+        if (call) {
+          this.attachTranscript(call, transcript);
+          this.logInfo(`Added transcript with ${call.transcript?.length || 0} sentences to call ${call.id}`);
+        }
+      }
+    }
+    return fetched;
+  }
+  
+  /**
+   * Adds fetched transcripts to the semantic search index in the call store
+   * 
+   * Embedding is best effort: a failing provider must not fail the analysis.
+   * 
+   * @param transcripts Transcript entries from the call store or API
+   */
+  private async embedTranscripts(transcripts: any[]): Promise<void> {
+    if (!this.store) return;
+    const store = this.store;
+    try {
+      const index = SemanticIndex.open(store.dir, createEmbeddingProvider());
+      const added = await index.addCalls(
+        transcripts.map(entry => ({ call: store.getCall(String(entry.callId)), entry }))
+      );
+      this.logInfo(`Embedded ${added} new transcripts for semantic search`);
+    } catch (error: any) {
+      this.logError(`Could not embed transcripts: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Answers count and duration questions from call metadata, without transcripts or a model
+   * 
+   * @param calls Processed call data
+   * @returns Call count and durations
+   */
+  private summarizeMetadata(calls: CallData[]): any {
+    const totalSeconds = calls.reduce((sum, call) => sum + (call.duration || 0), 0);
+    const totalMinutes = Math.round(totalSeconds / 60);
+    const averageMinutes = calls.length > 0 ? Math.round(totalMinutes / calls.length) : 0;
+    return {
+      summary: `${calls.length} calls, ${totalMinutes} minutes in total, ` +
+        `${averageMinutes} minutes on average`,
+      keyInsights: [],
+      recommendedActions: [],
+      calls: calls.map(call => ({
+        callId: call.id,
+        title: call.title,
+        started: call.startTime,
+        durationMinutes: Math.round((call.duration || 0) / 60)
+      }))
+    };
+  }
+  
+  /**
+   * Answers the query with the configured analysis model (GONG_ANALYSIS_PROVIDER)
+   * 
+   * Insights and recommended actions cite the call IDs and timestamps they are based on.
+   * 
+   * @param calls Processed and enriched call data
+   * @param query User's natural language query
+   * @returns Model analysis with participant breakdown and sample questions
+   */
+  private async analyzeWithAI(calls: CallData[], query: string): Promise<any> {
+    this.logInfo(`Analyzing ${calls.length} calls with query: ${query}`);
+    
+    const callCountByParticipantRole: Record<string, number> = {};
+    const questionSamples: string[] = [];
+    calls.forEach(call => {
+      call.participants.forEach((participant: any) => {
+        const role = participant.role || 'unknown';
+        callCountByParticipantRole[role] = (callCountByParticipantRole[role] || 0) + 1;
+      });
+      (call.transcript || []).forEach(sentence => {
+        if (sentence.text.trim().endsWith('?')) {
+          questionSamples.push(sentence.text);
+        }
+      });
+    });
+    
+    const analysis = await analyzeCalls(
+      createAnalysisProvider(),
+      query,
+      calls.map(call => ({
+        callId: call.id,
+        title: call.title,
+        started: call.startTime,
+        sentences: call.transcript || []
+      })),
+      analysisBudgetFromEnv(),
+      message => this.logInfo(message)
+    );
+    
+    this.logInfo(`Analysis complete with ${analysis.keyInsights.length} key insights`);
+    return {
+      ...analysis,
+      participantBreakdown: callCountByParticipantRole,
+      questionSamples: questionSamples.slice(0, 5)
+    };
+  }
+  
+  /**
+   * Sets a call's transcript from its `/v2/calls/transcript` entry, resolving speaker names
+   * 
+   * @param call Call to update
+   * @param entry Transcript entry of the call
+   */
+  private attachTranscript(call: CallData, entry: any): void {
+    const [analysisCall] = toAnalysisCalls(
+      [{ metaData: { id: call.id, title: call.title }, parties: call.parties }],
+      [entry]
+    );
+    call.transcript = analysisCall.sentences;
+  }
+  
+  /**
+   * Formats ISO date string to human-readable format
+   * 
+   * @param isoDate ISO date string
+   * @returns Formatted date string
+   */
+  private formatDate(isoDate?: string): string {
+    if (!isoDate) return 'present';
+    return new Date(isoDate).toLocaleDateString();
+  }
+  
+  /**
+   * Logs information message to console and log file
+   * 
+   * @param message Message to log
+   */
+  private logInfo(message: string): void {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] INFO: ${message}`;
+    console.log(logMessage);
+    this.appendToLog('info', logMessage);
+  }
+  
+  /**
+   * Logs error message to console and log file
+   * 
+   * @param message Error message to log
+   */
+  private logError(message: string): void {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] ERROR: ${message}`;
+    console.error(logMessage);
+    this.appendToLog('error', logMessage);
+  }
+  
+  /**
+   * Logs analysis results to a file
+   * 
+   * @param results Analysis results to log
+   */
+  private logResults(results: any): void {
+    const timestamp = new Date().toISOString().replace(/:/g, '-');
+    const filename = path.join(this.logDir, `analysis_${timestamp}.json`);
+    
+    try {
+      fs.writeFileSync(filename, JSON.stringify(results, null, 2));
+      this.logInfo(`Results logged to ${filename}`);
+    } catch (error: any) {
+      this.logError(`Failed to log results: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Appends a message to the log file
+   * 
+   * @param level Log level
+   * @param message Message to log
+   */
+  private appendToLog(level: string, message: string): void {
+    const today = new Date().toISOString().split('T')[0];
+    const logFile = path.join(this.logDir, `nlp_${level}_${today}.log`);
+    
+    try {
+      fs.appendFileSync(logFile, message + '\n');
+    } catch (error) {
+      // If we can't log to file, at least we logged to console
+    }
+  }
+}
\ No newline at end of file
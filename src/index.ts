@@ -1,22 +1,48 @@
 #!/usr/bin/env node
 /**
- * MCP Server generated from OpenAPI spec for gong-api--subset- v1.2.0
- * Generated on: 2025-05-01T16:44:26.562Z
+ * MCP Server for the Gong API
+ * Tool definitions are derived at startup from the OpenAPI spec at GONG_SPEC_PATH
+ * (defaults to spec/gong.yaml), so adding an endpoint only requires a spec change.
  */
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
   type Tool,
   type CallToolResult,
-  type CallToolRequest
+  type CallToolRequest,
+  type ReadResourceRequest,
+  type ServerNotification,
+  type ServerRequest
 } from "@modelcontextprotocol/sdk/types.js";
+import type { RequestHandlerExtra } from "@modelcontextprotocol/sdk/shared/protocol.js";
 
-import { z, ZodError } from 'zod';
+import { z } from 'zod';
 import { jsonSchemaToZod } from 'json-schema-to-zod';
-import axios, { type AxiosRequestConfig, type AxiosError } from 'axios';
+import type { AxiosRequestConfig } from 'axios';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadOpenApiSpec, type McpToolDefinition } from './spec-loader.js';
+import {
+  PAGINATION_PROPERTIES,
+  PageAccumulator,
+  extractNextCursor,
+  resolvePaginationLimits,
+  type PaginationStopReason
+} from './pagination.js';
+import { loadAccountRegistry } from './accounts.js';
+import { RESPONSE_SHAPING_PROPERTIES, shapeResponse } from './response-shaping.js';
+import { RESOURCE_TEMPLATES, listRecentCallResources, readGongResource } from './resources.js';
+import { getPrompt, listPrompts } from './prompts.js';
+import { ToolError, toToolErrorResult } from './errors.js';
+import { startHttpTransport, type HttpTransportHandle } from './http-transport.js';
 
 /**
  * Type definition for JSON objects
@@ -24,257 +50,153 @@ import axios, { type AxiosRequestConfig, type AxiosError } from 'axios';
 type JsonObject = Record<string, any>;
 
 /**
- * Interface for MCP Tool Definition
+ * Path to the OpenAPI document the tools are generated from
  */
-interface McpToolDefinition {
-    name: string;
-    description: string;
-    inputSchema: any;
-    method: string;
-    pathTemplate: string;
-    executionParameters: { name: string, in: string }[];
-    requestBodyContentType?: string;
-    securityRequirements: any[];
-}
+export const SPEC_PATH = process.env.GONG_SPEC_PATH
+    || path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'spec', 'gong.yaml');
+
+/**
+ * Parsed OpenAPI spec with derived tool definitions
+ */
+const spec = loadOpenApiSpec(SPEC_PATH);
 
 /**
  * Server configuration
  */
 export const SERVER_NAME = "gong-api--subset-";
-export const SERVER_VERSION = "1.2.0";
-export const API_BASE_URL = "https://api.gong.io";
+export const SERVER_VERSION = spec.version;
+export const API_BASE_URL = spec.baseUrl || "https://api.gong.io";
 
 /**
- * MCP Server instance
+ * Gong credential profiles; each has its own HTTP client with rate limiting and retries
  */
-const server = new Server(
-    { name: SERVER_NAME, version: SERVER_VERSION },
-    { capabilities: { tools: {} } }
-);
+const accounts = loadAccountRegistry({ defaultBaseUrl: API_BASE_URL });
 
 /**
- * Map of tool definitions by name
+ * Map of tool definitions by name, each accepting an optional `account` argument
  */
-const toolDefinitionMap: Map<string, McpToolDefinition> = new Map([
-
-  ["getv2callsbyid", {
-    name: "getv2callsbyid",
-    description: `Retrieve a single call`,
-    inputSchema: {"type":"object","properties":{"id":{"type":"string"}},"required":["id"]},
-    method: "get",
-    pathTemplate: "/v2/calls/{id}",
-    executionParameters: [{"name":"id","in":"path"}],
-    requestBodyContentType: undefined,
-    securityRequirements: [{"basicAuth":[]}]
-  }],
-  ["postv2callsextensive", {
-    name: "postv2callsextensive",
-    description: `Filtered call list with rich payload`,
-    inputSchema: {"type":"object","properties":{"requestBody":{"type":"object","required":["filter"],"properties":{"filter":{"type":"object","properties":{"fromDateTime":{"type":"string","format":"date-time"},"toDateTime":{"type":"string","format":"date-time"},"callIds":{"type":"array","items":{"type":"string"}},"primaryUserIds":{"type":"array","items":{"type":"string"}},"participantsEmails":{"type":"array","items":{"type":"string","format":"email"}}}},"contentSelector":{"type":"object","properties":{"context":{"type":"string","enum":["None","Extended"]},"contextTiming":{"type":"array","items":{"type":"string","enum":["Now","TimeOfCall"]}},"exposedFields":{"type":"object","additionalProperties":{"type":"object"}}}},"cursor":{"type":"string"}},"description":"The JSON request body."}, "paginate":{"type":"boolean","description":"Whether to automatically fetch all pages"}},"required":["requestBody"]},
-    method: "post",
-    pathTemplate: "/v2/calls/extensive",
-    executionParameters: [],
-    requestBodyContentType: "application/json",
-    securityRequirements: [{"basicAuth":[]}]
-  }],
-  ["postv2callstranscript", {
-    name: "postv2callstranscript",
-    description: `Download transcripts`,
-    inputSchema: {"type":"object","properties":{"requestBody":{"type":"object","required":["filter"],"properties":{"filter":{"type":"object","properties":{"fromDateTime":{"type":"string","format":"date-time"},"toDateTime":{"type":"string","format":"date-time"},"callIds":{"type":"array","items":{"type":"string"}},"primaryUserIds":{"type":"array","items":{"type":"string"}},"participantsEmails":{"type":"array","items":{"type":"string","format":"email"}}}},"cursor":{"type":"string"}},"description":"The JSON request body."}, "paginate":{"type":"boolean","description":"Whether to automatically fetch all pages"}},"required":["requestBody"]},
-    method: "post",
-    pathTemplate: "/v2/calls/transcript",
-    executionParameters: [],
-    requestBodyContentType: "application/json",
-    securityRequirements: [{"basicAuth":[]}]
-  }],
-  ["getv2users", {
-    name: "getv2users",
-    description: `List Gong users (100-row pages)`,
-    inputSchema: {"type":"object","properties":{"cursor":{"type":"string"}, "paginate":{"type":"boolean","description":"Whether to automatically fetch all pages"}}},
-    method: "get",
-    pathTemplate: "/v2/users",
-    executionParameters: [{"name":"cursor","in":"query"}],
-    requestBodyContentType: undefined,
-    securityRequirements: [{"basicAuth":[]}]
-  }],
-  ["getv2dataprivacydataforemailaddress", {
-    name: "getv2dataprivacydataforemailaddress",
-    description: `Activities for an email address (GDPR helper)`,
-    inputSchema: {"type":"object","properties":{"emailAddress":{"type":"string","format":"email"},"cursor":{"type":"string"}, "paginate":{"type":"boolean","description":"Whether to automatically fetch all pages"}},"required":["emailAddress"]},
-    method: "get",
-    pathTemplate: "/v2/data-privacy/data-for-email-address",
-    executionParameters: [{"name":"emailAddress","in":"query"},{"name":"cursor","in":"query"}],
-    requestBodyContentType: undefined,
-    securityRequirements: [{"basicAuth":[]}]
-  }],
-  ["getv2askanythinggeneratebrief", {
-    name: "getv2askanythinggeneratebrief",
-    description: `Generate account/deal brief`,
-    inputSchema: {"type":"object","properties":{"workspace-id":{"type":"string"},"brief-name":{"type":"string"},"entity-type":{"type":"string","enum":["Deal","Account"]},"crm-entity-id":{"type":"string"},"period-type":{"type":"string"},"from-date-time":{"type":"string","format":"date-time"},"to-date-time":{"type":"string","format":"date-time"}},"required":["workspace-id","brief-name","entity-type","crm-entity-id","period-type"]},
-    method: "get",
-    pathTemplate: "/v2/askanything/generate-brief",
-    executionParameters: [{"name":"workspace-id","in":"query"},{"name":"brief-name","in":"query"},{"name":"entity-type","in":"query"},{"name":"crm-entity-id","in":"query"},{"name":"period-type","in":"query"},{"name":"from-date-time","in":"query"},{"name":"to-date-time","in":"query"}],
-    requestBodyContentType: undefined,
-    securityRequirements: [{"basicAuth":[]}]
-  }],
-]);
+const toolDefinitionMap: Map<string, McpToolDefinition> = spec.tools;
+for (const definition of toolDefinitionMap.values()) {
+    definition.inputSchema.properties = {
+        ...definition.inputSchema.properties,
+        account: accounts.argumentSchema()
+    };
+}
 
 /**
  * Security schemes from the OpenAPI spec
  */
-const securitySchemes =   {
-    "basicAuth": {
-      "type": "http",
-      "scheme": "basic"
-    }
-  };
+const securitySchemes = spec.securitySchemes;
 
 
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+/**
+ * Creates an MCP server instance with all request handlers registered
+ *
+ * The stdio transport uses a single instance; the Streamable HTTP transport creates one per session.
+ */
+function createServer(): Server {
+  const server = new Server(
+      { name: SERVER_NAME, version: SERVER_VERSION },
+      { capabilities: { tools: {}, resources: {}, prompts: {} } }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: listPrompts() }));
+  server.setRequestHandler(GetPromptRequestSchema, async request => getPrompt(request.params.name, request.params.arguments));
+  return server;
+}
+
+
+async function handleListTools() {
   const toolsForClient: Tool[] = Array.from(toolDefinitionMap.values()).map(def => ({
     name: def.name,
     description: def.description,
     inputSchema: def.inputSchema
   }));
   return { tools: toolsForClient };
-});
+}
 
 
-server.setRequestHandler(CallToolRequestSchema, async (request: CallToolRequest): Promise<CallToolResult> => {
+/**
+ * Lists recent calls of the default account as `gong://` resources
+ * (GONG_RESOURCES_RECENT_DAYS, default 7, and GONG_RESOURCES_LIMIT, default 50)
+ */
+async function handleListResources() {
+  const resources = await listRecentCallResources(accounts.client(), {
+    days: Number(process.env.GONG_RESOURCES_RECENT_DAYS) || 7,
+    limit: Number(process.env.GONG_RESOURCES_LIMIT) || 50
+  });
+  return { resources };
+}
+
+
+/**
+ * Reads a call, transcript or user through its `gong://` URI
+ */
+async function handleReadResource(request: ReadResourceRequest) {
+  return await readGongResource(request.params.uri, accounts);
+}
+
+
+async function handleCallTool(
+  request: CallToolRequest,
+  extra: RequestHandlerExtra<ServerRequest, ServerNotification>
+): Promise<CallToolResult> {
   const { name: toolName, arguments: toolArgs } = request.params;
   const toolDefinition = toolDefinitionMap.get(toolName);
   if (!toolDefinition) {
     console.error(`Error: Unknown tool requested: ${toolName}`);
-    return { content: [{ type: "text", text: `Error: Unknown tool requested: ${toolName}` }] };
+    return toToolErrorResult(new ToolError('unknown_tool', `Unknown tool requested: ${toolName}`));
   }
-  return await executeApiTool(toolName, toolDefinition, toolArgs ?? {}, securitySchemes);
-});
-
 
+  // Report auto-pagination progress if the client asked for it
+  const progressToken = request.params._meta?.progressToken;
+  const onPage: PageProgressCallback | undefined = progressToken === undefined ? undefined :
+    async ({ pages, records, totalRecords }) => {
+      await extra.sendNotification({
+        method: "notifications/progress",
+        params: {
+          progressToken,
+          progress: totalRecords ? records : pages,
+          ...(totalRecords ? { total: totalRecords } : {}),
+          message: `Fetched page ${pages} (${records} records${totalRecords ? ` of ${totalRecords}` : ''})`
+        }
+      });
+    };
 
-/**
- * Type definition for cached OAuth tokens
- */
-interface TokenCacheEntry {
-    token: string;
-    expiresAt: number;
+  return await executeApiTool(toolName, toolDefinition, toolArgs ?? {}, securitySchemes, { onPage, signal: extra.signal });
 }
 
-/**
- * Declare global __oauthTokenCache property for TypeScript
- */
-declare global {
-    var __oauthTokenCache: Record<string, TokenCacheEntry> | undefined;
-}
+
 
 /**
- * Acquires an OAuth2 token using client credentials flow
- * 
- * @param schemeName Name of the security scheme
- * @param scheme OAuth2 security scheme
- * @returns Acquired token or null if unable to acquire
+ * Callback invoked after each page fetched during auto-pagination
  */
-async function acquireOAuth2Token(schemeName: string, scheme: any): Promise<string | null | undefined> {
-    try {
-        // Check if we have the necessary credentials
-        const clientId = process.env[`OAUTH_CLIENT_ID_SCHEMENAME`];
-        const clientSecret = process.env[`OAUTH_CLIENT_SECRET_SCHEMENAME`];
-        const scopes = process.env[`OAUTH_SCOPES_SCHEMENAME`];
-        
-        if (!clientId || !clientSecret) {
-            console.error(`Missing client credentials for OAuth2 scheme '${schemeName}'`);
-            return null;
-        }
-        
-        // Initialize token cache if needed
-        if (typeof global.__oauthTokenCache === 'undefined') {
-            global.__oauthTokenCache = {};
-        }
-        
-        // Check if we have a cached token
-        const cacheKey = `${schemeName}_${clientId}`;
-        const cachedToken = global.__oauthTokenCache[cacheKey];
-        const now = Date.now();
-        
-        if (cachedToken && cachedToken.expiresAt > now) {
-            console.error(`Using cached OAuth2 token for '${schemeName}' (expires in ${Math.floor((cachedToken.expiresAt - now) / 1000)} seconds)`);
-            return cachedToken.token;
-        }
-        
-        // Determine token URL based on flow type
-        let tokenUrl = '';
-        if (scheme.flows?.clientCredentials?.tokenUrl) {
-            tokenUrl = scheme.flows.clientCredentials.tokenUrl;
-            console.error(`Using client credentials flow for '${schemeName}'`);
-        } else if (scheme.flows?.password?.tokenUrl) {
-            tokenUrl = scheme.flows.password.tokenUrl;
-            console.error(`Using password flow for '${schemeName}'`);
-        } else {
-            console.error(`No supported OAuth2 flow found for '${schemeName}'`);
-            return null;
-        }
-        
-        // Prepare the token request
-        let formData = new URLSearchParams();
-        formData.append('grant_type', 'client_credentials');
-        
-        // Add scopes if specified
-        if (scopes) {
-            formData.append('scope', scopes);
-        }
-        
-        console.error(`Requesting OAuth2 token from ${tokenUrl}`);
-        
-        // Make the token request
-        const response = await axios({
-            method: 'POST',
-            url: tokenUrl,
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
-            },
-            data: formData.toString()
-        });
-        
-        // Process the response
-        if (response.data?.access_token) {
-            const token = response.data.access_token;
-            const expiresIn = response.data.expires_in || 3600; // Default to 1 hour
-            
-            // Cache the token
-            global.__oauthTokenCache[cacheKey] = {
-                token,
-                expiresAt: now + (expiresIn * 1000) - 60000 // Expire 1 minute early
-            };
-            
-            console.error(`Successfully acquired OAuth2 token for '${schemeName}' (expires in ${expiresIn} seconds)`);
-            return token;
-        } else {
-            console.error(`Failed to acquire OAuth2 token for '${schemeName}': No access_token in response`);
-            return null;
-        }
-    } catch (error: unknown) {
-        const errorMessage = error instanceof Error ? error.message : String(error);
-        console.error(`Error acquiring OAuth2 token for '${schemeName}':`, errorMessage);
-        return null;
-    }
-}
-
+type PageProgressCallback = (progress: { pages: number, records: number, totalRecords?: number }) => Promise<void>;
 
 /**
  * Executes an API tool with the provided arguments
  * 
+ * With `paginate: true` the tool follows Gong cursors until every page is fetched or a
+ * pagination limit (maxPages, maxRecords, maxBytes) is hit, in which case the result's
+ * `_paginationInfo.resumeCursor` can be passed back as `cursor` to continue the crawl.
+ * 
  * @param toolName Name of the tool to execute
  * @param definition Tool definition
  * @param toolArgs Arguments provided by the user
  * @param allSecuritySchemes Security schemes from the OpenAPI spec
+ * @param options Progress callback and cancellation signal for auto-pagination
  * @returns Call tool result
  */
 async function executeApiTool(
     toolName: string,
     definition: McpToolDefinition,
     toolArgs: JsonObject,
-    allSecuritySchemes: Record<string, any>
+    allSecuritySchemes: Record<string, any>,
+    options: { onPage?: PageProgressCallback, signal?: AbortSignal } = {}
 ): Promise<CallToolResult> {
     try {
         // Validate input arguments using Zod
@@ -283,19 +205,29 @@ async function executeApiTool(
 
         // Check if pagination is requested - can be provided directly in the args
         const shouldPaginate = toolArgs.paginate === true || toolArgs.paginate === "true";
-        // Remove pagination parameter from validated args as it's not part of the API schema
-        if ('paginate' in validatedArgs) {
-            delete validatedArgs.paginate;
+        const limits = resolvePaginationLimits(validatedArgs);
+        // Remove pagination parameters from validated args as they're not part of the API schema
+        for (const name of Object.keys(PAGINATION_PROPERTIES)) {
+            delete validatedArgs[name];
+        }
+
+        // Response shaping arguments are applied to the result, not sent to Gong
+        const { fields, format } = validatedArgs;
+        if (definition.recordShape) {
+            for (const name of Object.keys(RESPONSE_SHAPING_PROPERTIES)) {
+                delete validatedArgs[name];
+            }
         }
 
-        // Initialize result data
-        let allData: any = null;
+        // Pick the Gong company to query; the account argument is not part of the API schema either
+        const account = accounts.resolve(validatedArgs.account);
+        const httpClient = accounts.client(account);
+        delete validatedArgs.account;
+
+        // Pages are merged into the accumulator until the last page or a limit is reached
+        const accumulator = new PageAccumulator(limits);
+        let stopReason: PaginationStopReason = shouldPaginate ? 'complete' : 'notPaginated';
         let currentCursor: string | null = null;
-        let paginationInfo = {
-            hasMorePages: false,
-            totalPages: 1,
-            currentPage: 1
-        };
         
         // For body requests, extract cursor from the request body if it exists
         if (definition.requestBodyContentType && validatedArgs.requestBody) {
@@ -307,7 +239,8 @@ async function executeApiTool(
         
         do {
             // Build the request URL
-            let url = API_BASE_URL + definition.pathTemplate;
+            // Relative to the account's base URL (customer-specific for OAuth installations)
+            let url = definition.pathTemplate;
             
             // Replace path parameters
             for (const param of definition.executionParameters) {
@@ -340,29 +273,17 @@ async function executeApiTool(
             }
 
             // Debug logging (safe)
-            console.error('Debug - Making API request to:', url);
+            console.error(`Debug - Making API request for account ${account.name} to:`, url);
             if (currentCursor) {
                 console.error('Debug - Using cursor:', currentCursor);
             }
             
-            // Get credentials from environment
-            const accessKey = process.env.GONG_ACCESS_KEY || '';
-            const secret = process.env.GONG_SECRET || '';
-            
-            if (!accessKey || !secret) {
-                throw new Error('Missing Gong credentials in environment');
-            }
-            
-            // Create authorization header
-            const authHeader = `Basic ${Buffer.from(`${accessKey}:${secret}`).toString('base64')}`;
-            
-            // Build request config
+            // Build request config; the account's client adds Basic auth or an OAuth Bearer token
             const config: AxiosRequestConfig = {
                 method: definition.method,
                 url,
                 headers: {
-                    'Accept': 'application/json',
-                    'Authorization': authHeader
+                    'Accept': 'application/json'
                 }
             };
 
@@ -383,104 +304,61 @@ async function executeApiTool(
             }
 
             // Make the request
-            const response = await axios(config);
+            const response = await httpClient.request({ ...config, signal: options.signal });
             
             // Extract the next cursor from the response
-            const nextCursor = response.data?.records?.nextPageCursor || 
-                              response.data?.nextPageCursor || 
-                              response.data?.cursor || 
-                              null;
-            
-            // Determine if there are more pages based on nextCursor presence
-            const hasMorePages = !!nextCursor && shouldPaginate;
+            const nextCursor = extractNextCursor(response.data);
             
-            // Update pagination info
-            paginationInfo.hasMorePages = hasMorePages;
-            if (hasMorePages) {
-                paginationInfo.totalPages++;
-                paginationInfo.currentPage++;
-            }
-            
-            // If this is the first request or we're not paginating, just use the response data
-            if (!allData) {
-                allData = response.data;
-            } else {
-                // Otherwise, merge the data
-                // Merge data based on the response structure - common patterns in API responses
-                if (response.data.records && Array.isArray(response.data.records)) {
-                    // Most common pattern: { records: [] } with a nextPageCursor
-                    allData.records = [...allData.records, ...response.data.records];
-                    // Update the cursor for the complete result
-                    allData.nextPageCursor = nextCursor;
-                } else if (response.data.calls && Array.isArray(response.data.calls)) {
-                    // For calls endpoint
-                    allData.calls = [...allData.calls, ...response.data.calls];
-                    allData.nextPageCursor = nextCursor;
-                } else if (response.data.users && Array.isArray(response.data.users)) {
-                    // For users endpoint
-                    allData.users = [...allData.users, ...response.data.users];
-                    allData.nextPageCursor = nextCursor;
-                } else if (response.data.results && Array.isArray(response.data.results)) {
-                    // For results pattern
-                    allData.results = [...allData.results, ...response.data.results];
-                    allData.nextPageCursor = nextCursor;
-                } else if (Array.isArray(response.data)) {
-                    // For array responses
-                    allData = [...allData, ...response.data];
-                } else {
-                    // For other structures, just append new data in a special format
-                    allData.additionalPages = allData.additionalPages || [];
-                    allData.additionalPages.push(response.data);
-                }
+            // A page that would overflow maxRecords/maxBytes is dropped and re-fetched on resume
+            const rejectedBy = accumulator.add(response.data);
+            if (rejectedBy) {
+                stopReason = rejectedBy;
+                break;
             }
             
             // Update cursor for next iteration
             currentCursor = nextCursor;
             
-            // Log pagination status
-            if (shouldPaginate && nextCursor) {
-                console.error(`Debug - Retrieved page ${paginationInfo.currentPage}. Next cursor: ${nextCursor?.substring(0, 20)}...`);
+            if (shouldPaginate) {
+                await options.onPage?.({
+                    pages: accumulator.pageCount,
+                    records: accumulator.recordCount,
+                    totalRecords: accumulator.totalRecordCount
+                });
+                
+                if (nextCursor) {
+                    console.error(`Debug - Retrieved page ${accumulator.pageCount}. Next cursor: ${nextCursor.substring(0, 20)}...`);
+                    
+                    const limitReached = accumulator.limitReached();
+                    if (limitReached) {
+                        stopReason = limitReached;
+                    } else if (options.signal?.aborted) {
+                        stopReason = 'cancelled';
+                    }
+                }
             }
             
-        } while (currentCursor && shouldPaginate);
+        } while (currentCursor && stopReason === 'complete');
         
-        // Add pagination metadata to the result
-        allData._paginationInfo = paginationInfo;
+        // Add pagination metadata, including where to resume if the crawl stopped early
+        const allData = accumulator.finish(stopReason, currentCursor);
         
         return {
             content: [
                 {
                     type: 'text',
-                    text: JSON.stringify(allData, null, 2)
+                    // Large records (e.g. extensive calls) are projected to the requested fields and format
+                    text: definition.recordShape
+                        ? shapeResponse(allData, definition.recordShape, { fields, format })
+                        : JSON.stringify(allData, null, 2)
                 }
             ]
         };
 
-    } catch (error: any) {
-        if (error instanceof ZodError) {
-            return {
-                content: [{
-                    type: 'text',
-                    text: `Validation error: ${error.message}`
-                }]
-            };
-        }
-        
-        if (axios.isAxiosError(error)) {
-            return {
-                content: [{
-                    type: 'text',
-                    text: formatApiError(error)
-                }]
-            };
-        }
-
-        return {
-            content: [{
-                type: 'text',
-                text: `Unexpected error: ${error.message}`
-            }]
-        };
+    } catch (error: unknown) {
+        // Validation, Gong API and server errors all come back as isError results with a
+        // machine-readable payload (category, HTTP status, requestId, parameter path, retryable)
+        return toToolErrorResult(error);
     }
 }
 
@@ -489,11 +367,25 @@ async function executeApiTool(
  * Main function to start the server
  */
 async function main() {
-    // Set up stdio transport
     try {
-        const transport = new StdioServerTransport();
-        await server.connect(transport);
-        console.error(`${SERVER_NAME} MCP Server (v${SERVER_VERSION}) running on stdio${API_BASE_URL ? `, proxying API at ${API_BASE_URL}` : ''}`);
+        if (useHttpTransport()) {
+            // Serve MCP over Streamable HTTP, with one server instance per session
+            const port = parseInt(getCliOption('port') || process.env.MCP_HTTP_PORT || '3001', 10);
+            const host = getCliOption('host') || process.env.MCP_HTTP_HOST || '127.0.0.1';
+            const path = process.env.MCP_HTTP_PATH || '/mcp';
+            const idleTimeoutMs = process.env.MCP_HTTP_SESSION_IDLE_MS
+                ? parseInt(process.env.MCP_HTTP_SESSION_IDLE_MS, 10)
+                : undefined;
+            httpTransport = await startHttpTransport(createServer, { port, host, path, idleTimeoutMs });
+            console.error(`${SERVER_NAME} MCP Server (v${SERVER_VERSION}) running on Streamable HTTP at http://${host}:${port}${path}, proxying API at ${API_BASE_URL}`);
+        } else {
+            // Set up stdio transport
+            const transport = new StdioServerTransport();
+            await createServer().connect(transport);
+            console.error(`${SERVER_NAME} MCP Server (v${SERVER_VERSION}) running on stdio${API_BASE_URL ? `, proxying API at ${API_BASE_URL}` : ''}`);
+        }
+        console.error(`Loaded ${toolDefinitionMap.size} tools from ${SPEC_PATH}`);
+        console.error(`Gong accounts: ${accounts.names.join(', ')} (default: ${accounts.defaultAccount})`);
         console.error('Current working directory:', process.cwd());
         console.error('Node version:', process.version);
     } catch (error) {
@@ -502,11 +394,34 @@ async function main() {
     }
 }
 
+/**
+ * Running Streamable HTTP listener, if the server was started with --http
+ */
+let httpTransport: HttpTransportHandle | undefined;
+
+/**
+ * Checks whether the server should listen on HTTP instead of stdio
+ * (`--http`, `--transport=http` or MCP_TRANSPORT=http)
+ */
+function useHttpTransport(): boolean {
+    const transport = getCliOption('transport') || process.env.MCP_TRANSPORT || 'stdio';
+    return process.argv.includes('--http') || transport.toLowerCase() === 'http';
+}
+
+/**
+ * Reads a `--name=value` command line option
+ */
+function getCliOption(name: string): string | undefined {
+    const prefix = `--${name}=`;
+    return process.argv.find(arg => arg.startsWith(prefix))?.slice(prefix.length);
+}
+
 /**
  * Cleanup function for graceful shutdown
  */
 async function cleanup() {
     console.error("Shutting down MCP server...");
+    await httpTransport?.close();
     process.exit(0);
 }
 
@@ -520,41 +435,6 @@ main().catch((error) => {
   process.exit(1);
 });
 
-/**
- * Formats API errors for better readability
- * 
- * @param error Axios error
- * @returns Formatted error message
- */
-function formatApiError(error: AxiosError): string {
-    let message = 'API request failed.';
-    if (error.response) {
-        message = `API Error: Status ${error.response.status} (${error.response.statusText || 'Status text not available'}). `;
-        const responseData = error.response.data;
-        const MAX_LEN = 200;
-        if (typeof responseData === 'string') { 
-            message += `Response: ${responseData.substring(0, MAX_LEN)}${responseData.length > MAX_LEN ? '...' : ''}`; 
-        }
-        else if (responseData) { 
-            try { 
-                const jsonString = JSON.stringify(responseData); 
-                message += `Response: ${jsonString.substring(0, MAX_LEN)}${jsonString.length > MAX_LEN ? '...' : ''}`; 
-            } catch { 
-                message += 'Response: [Could not serialize data]'; 
-            } 
-        }
-        else { 
-            message += 'No response body received.'; 
-        }
-    } else if (error.request) {
-        message = 'API Network Error: No response received from server.';
-        if (error.code) message += ` (Code: ${error.code})`;
-    } else { 
-        message += `API Request Setup Error: ${error.message}`; 
-    }
-    return message;
-}
-
 /**
  * Converts a JSON Schema to a Zod schema for runtime validation
  * 
@@ -0,0 +1,415 @@
+import axios from 'axios';
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { isIP } from 'net';
+import { ToolError } from './errors.js';
+import type { JobEvent, JobEventType, JobRecord } from './job-queue.js';
+
+/**
+ * One attempt to post a job event to its callback URL
+ */
+export interface DeliveryRecord {
+  /**
+   * Shared by all attempts to deliver the same event; sent as X-Gong-MCP-Delivery
+   */
+  id: string;
+  event: JobEventType;
+  milestone?: number;
+  url: string;
+  attempt: number;
+  outcome: 'delivered' | 'retrying' | 'failed';
+  httpStatus?: number;
+  error?: string;
+  at: string;
+}
+
+export interface JobNotifierOptions {
+  /**
+   * Key of the HMAC-SHA256 signature of every callback; no callback is sent without one
+   */
+  secret?: string;
+  /**
+   * Attempts per event before the delivery is given up
+   */
+  maxAttempts?: number;
+  /**
+   * Delay before the first retry of a delivery, doubled for every further retry
+   */
+  retryDelayMs?: number;
+  timeoutMs?: number;
+  /**
+   * Called after every attempt, to keep the delivery log of the job
+   */
+  record?: (jobId: string, delivery: DeliveryRecord) => void;
+  log?: (message: string) => void;
+}
+
+export type JobEventListener = (event: JobEvent) => void;
+
+export const JOB_EVENT_TYPES: JobEventType[] = ['progress', 'completed', 'failed', 'cancelled'];
+export const DEFAULT_WEBHOOK_ATTEMPTS = 5;
+export const DEFAULT_WEBHOOK_RETRY_DELAY_MS = 2000;
+export const SIGNATURE_HEADER = 'X-Gong-MCP-Signature';
+export const TIMESTAMP_HEADER = 'X-Gong-MCP-Timestamp';
+
+/**
+ * Reads the webhook settings from GONG_WEBHOOK_SECRET, GONG_WEBHOOK_MAX_ATTEMPTS and
+ * GONG_WEBHOOK_RETRY_DELAY_MS
+ *
+ * @param env Environment
+ * @returns Options to spread into JobNotifierOptions
+ */
+export function jobNotifierOptionsFromEnv(
+  env: NodeJS.ProcessEnv = process.env
+): Pick<JobNotifierOptions, 'secret' | 'maxAttempts' | 'retryDelayMs'> {
+  const positive = (value: string | undefined) => {
+    const parsed = Number.parseInt(value ?? '', 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+  };
+  return {
+    secret: env.GONG_WEBHOOK_SECRET || undefined,
+    maxAttempts: positive(env.GONG_WEBHOOK_MAX_ATTEMPTS) ?? DEFAULT_WEBHOOK_ATTEMPTS,
+    retryDelayMs: positive(env.GONG_WEBHOOK_RETRY_DELAY_MS) ?? DEFAULT_WEBHOOK_RETRY_DELAY_MS,
+  };
+}
+
+/**
+ * Signs a callback body as sent in X-Gong-MCP-Signature
+ *
+ * @param secret Shared secret
+ * @param timestamp Unix seconds sent in X-Gong-MCP-Timestamp
+ * @param body Raw request body
+ * @returns `sha256=` and the hex HMAC of `<timestamp>.<body>`
+ */
+export function signPayload(secret: string, timestamp: number, body: string): string {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Checks the signature of a received callback, for receivers written in TypeScript
+ *
+ * @param secret Shared secret
+ * @param timestamp Value of X-Gong-MCP-Timestamp
+ * @param body Raw request body
+ * @param signature Value of X-Gong-MCP-Signature
+ * @param toleranceSeconds How old the timestamp may be, against replays
+ * @param now Current time in milliseconds
+ * @returns Whether the body was signed with the secret within the tolerance
+ */
+export function verifySignature(
+  secret: string,
+  timestamp: string | number,
+  body: string,
+  signature: string,
+  toleranceSeconds = 300,
+  now: number = Date.now()
+): boolean {
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds) || Math.abs(now / 1000 - seconds) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, seconds, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Reads the hosts allowed as callback targets although they are local or private from
+ * GONG_WEBHOOK_ALLOWED_HOSTS, a comma-separated list
+ *
+ * @param env Environment
+ * @returns Lower-case host names and IP addresses
+ */
+export function callbackHostsFromEnv(env: NodeJS.ProcessEnv = process.env): string[] {
+  return (env.GONG_WEBHOOK_ALLOWED_HOSTS ?? '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Validates the callback of a batch request
+ *
+ * Callbacks to loopback, link-local and private addresses, and to `localhost`, are refused unless
+ * their host is allowed, so that a batch request cannot aim the server's signed posts at itself or
+ * its network. Host names are checked as written, not as they resolve.
+ *
+ * @param url Callback URL
+ * @param events Events to deliver; all when absent
+ * @param allowedHosts Local or private hosts accepted anyway (default GONG_WEBHOOK_ALLOWED_HOSTS)
+ * @returns Callback for BatchJobParams
+ * @throws ToolError (validation) for URLs other than http(s), local or private hosts that are not
+ *   allowed and unknown event names
+ */
+export function validateCallback(
+  url: unknown,
+  events?: unknown,
+  allowedHosts: string[] = callbackHostsFromEnv()
+): { url: string; events?: JobEventType[] } {
+  let parsed: URL | null = null;
+  try {
+    parsed = typeof url === 'string' ? new URL(url) : null;
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || (parsed.protocol !== 'https:' && parsed.protocol !== 'http:')) {
+    throw new ToolError('validation', 'callbackUrl must be an http or https URL', {
+      parameterPath: 'callbackUrl',
+    });
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (isPrivateHost(host) && !allowedHosts.includes(host)) {
+    throw new ToolError(
+      'validation',
+      `callbackUrl must not point at a local or private address (${host}); ` +
+        'add it to GONG_WEBHOOK_ALLOWED_HOSTS to allow it',
+      { parameterPath: 'callbackUrl' }
+    );
+  }
+  if (events === undefined) return { url: parsed.toString() };
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    !events.every(event => JOB_EVENT_TYPES.includes(event))
+  ) {
+    throw new ToolError(
+      'validation',
+      `callbackEvents must list some of ${JOB_EVENT_TYPES.join(', ')}`,
+      { parameterPath: 'callbackEvents' }
+    );
+  }
+  return { url: parsed.toString(), events: [...new Set(events as JobEventType[])] };
+}
+
+/**
+ * Turns a job event into the MCP notification streamed to clients: `notifications/progress` for
+ * milestones and `notifications/message` when the job finishes
+ *
+ * @param event Job event
+ * @param progressToken Token the client associates with the job
+ * @returns JSON-RPC notification
+ */
+export function toMcpNotification(
+  event: JobEvent,
+  progressToken: string | number
+): { jsonrpc: '2.0'; method: string; params: Record<string, any> } {
+  if (event.type === 'progress') {
+    return {
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress: event.progress,
+        total: 100,
+        message: `Analyzed ${event.processedCalls} calls`,
+      },
+    };
+  }
+  return {
+    jsonrpc: '2.0',
+    method: 'notifications/message',
+    params: {
+      level: event.type === 'failed' ? 'error' : 'info',
+      logger: 'batch-analysis',
+      data: event,
+    },
+  };
+}
+
+/**
+ * Delivers job events to the job's callback URL and to in-process subscribers
+ *
+ * Callbacks are posted as JSON signed with the shared secret, one event at a time per job so that
+ * they arrive in order. Network errors, timeouts, 408, 429 and 5xx answers are retried; other
+ * answers end the delivery. Deliveries still pending when the process stops are not resumed.
+ */
+export class JobNotifier {
+  private readonly listeners = new Map<string, Set<JobEventListener>>();
+  private readonly chains = new Map<string, Promise<void>>();
+  private readonly maxAttempts: number;
+  private readonly retryDelayMs: number;
+  private readonly timeoutMs: number;
+  private readonly log: (message: string) => void;
+
+  constructor(private readonly options: JobNotifierOptions = {}) {
+    this.maxAttempts = options.maxAttempts ?? DEFAULT_WEBHOOK_ATTEMPTS;
+    this.retryDelayMs = options.retryDelayMs ?? DEFAULT_WEBHOOK_RETRY_DELAY_MS;
+    this.timeoutMs = options.timeoutMs ?? 10_000;
+    this.log = options.log ?? (() => {});
+  }
+
+  /**
+   * Whether callbacks can be signed
+   */
+  get signing(): boolean {
+    return !!this.options.secret;
+  }
+
+  /**
+   * Listens to the events of one job
+   *
+   * @param jobId Job ID
+   * @param listener Called with every event
+   * @returns Function that stops listening
+   */
+  subscribe(jobId: string, listener: JobEventListener): () => void {
+    const listeners = this.listeners.get(jobId) ?? new Set();
+    listeners.add(listener);
+    this.listeners.set(jobId, listeners);
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) this.listeners.delete(jobId);
+    };
+  }
+
+  /**
+   * Passes an event to the job's subscribers and queues its delivery to the job's callback
+   *
+   * @param job Job the event is about
+   * @param event Event
+   */
+  notify(job: JobRecord, event: JobEvent): void {
+    for (const listener of this.listeners.get(job.id) ?? []) {
+      try {
+        listener(event);
+      } catch (error: any) {
+        this.log(`Listener of ${job.id} failed: ${error.message}`);
+      }
+    }
+
+    const callback = job.params.callback;
+    if (!callback || !(callback.events ?? JOB_EVENT_TYPES).includes(event.type)) return;
+    const previous = this.chains.get(job.id) ?? Promise.resolve();
+    const next = previous.then(() => this.deliver(job, callback.url, event));
+    this.chains.set(job.id, next);
+    next.finally(() => {
+      if (this.chains.get(job.id) === next) this.chains.delete(job.id);
+    });
+  }
+
+  /**
+   * Resolves once every queued delivery has succeeded or been given up
+   */
+  async flush(): Promise<void> {
+    while (this.chains.size > 0) {
+      await Promise.all(this.chains.values());
+    }
+  }
+
+  private async deliver(job: JobRecord, url: string, event: JobEvent): Promise<void> {
+    const secret = this.options.secret;
+    const id = randomUUID();
+    const body = JSON.stringify({ ...event, query: job.params.query });
+    if (!secret) {
+      this.record(job.id, {
+        id,
+        event: event.type,
+        url,
+        attempt: 1,
+        outcome: 'failed',
+        error: 'GONG_WEBHOOK_SECRET is not set; callbacks are only sent signed',
+        at: new Date().toISOString(),
+      });
+      return;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      let httpStatus: number | undefined;
+      let error: string | undefined;
+      try {
+        const response = await axios.post(url, body, {
+          timeout: this.timeoutMs,
+          validateStatus: () => true,
+          maxRedirects: 0,
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Gong-MCP-Event': event.type,
+            'X-Gong-MCP-Delivery': id,
+            [TIMESTAMP_HEADER]: String(timestamp),
+            [SIGNATURE_HEADER]: signPayload(secret, timestamp, body),
+          },
+        });
+        httpStatus = response.status;
+        if (httpStatus < 200 || httpStatus >= 300) error = `HTTP ${httpStatus}`;
+      } catch (failure: any) {
+        error = failure.message;
+      }
+
+      const retryable =
+        error !== undefined &&
+        (httpStatus === undefined ||
+          httpStatus === 408 ||
+          httpStatus === 429 ||
+          httpStatus >= 500);
+      const outcome =
+        error === undefined
+          ? 'delivered'
+          : retryable && attempt < this.maxAttempts
+            ? 'retrying'
+            : 'failed';
+      this.record(job.id, {
+        id,
+        event: event.type,
+        ...(event.milestone !== undefined ? { milestone: event.milestone } : {}),
+        url,
+        attempt,
+        outcome,
+        ...(httpStatus !== undefined ? { httpStatus } : {}),
+        ...(error ? { error } : {}),
+        at: new Date().toISOString(),
+      });
+      if (outcome !== 'retrying') return;
+      await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 1)));
+    }
+  }
+
+  private record(jobId: string, delivery: DeliveryRecord): void {
+    if (delivery.outcome !== 'delivered') {
+      const { event, attempt, error } = delivery;
+      this.log(`Callback ${event} of ${jobId}, attempt ${attempt}: ${error}`);
+    }
+    try {
+      this.options.record?.(jobId, delivery);
+    } catch (error: any) {
+      this.log(`Could not record delivery for ${jobId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Whether a host is `localhost` or a loopback, link-local, private, shared or unspecified address
+ *
+ * @param host Host name, or IP address without brackets
+ */
+function isPrivateHost(host: string): boolean {
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  if (isIP(host) === 4) return isPrivateIPv4(host);
+  if (isIP(host) !== 6) return false;
+
+  // IPv4-mapped addresses, which URL writes in hex as ::ffff:7f00:1
+  const mapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(host);
+  if (mapped) {
+    const [high, low] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+    return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  const first = parseInt(host.split(':')[0] || '0', 16);
+  return (
+    host === '::1' ||
+    host === '::' ||
+    (first & 0xfe00) === 0xfc00 || // fc00::/7 unique local
+    (first & 0xffc0) === 0xfe80 // fe80::/10 link-local
+  );
+}
+
+function isPrivateIPv4(host: string): boolean {
+  const [a, b] = host.split('.').map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b < 128) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b < 32) ||
+    (a === 192 && b === 168)
+  );
+}
@@ -0,0 +1,643 @@
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { ToolError } from './errors.js';
+import type { DeliveryRecord } from './job-notifier.js';
+
+/**
+ * Lifecycle of a batch analysis job
+ */
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+/**
+ * What a batch analysis job analyzes
+ */
+export interface BatchJobParams {
+  /**
+   * Gong account profile whose credentials the batches use
+   */
+  account: string;
+  query: string;
+  timeRange?: { start?: string; end?: string };
+  participants?: string[];
+  maxCalls: number;
+  batchSize: number;
+  /**
+   * Where to post signed notifications about the job
+   */
+  callback?: { url: string; events?: JobEventType[] };
+  /**
+   * Progress token of the MCP notifications streamed for the job; defaults to the job ID
+   */
+  progressToken?: string | number;
+}
+
+/**
+ * Outcome of one batch; the batch's result is stored next to the job record
+ */
+export interface BatchRecord {
+  /**
+   * 1-based batch number
+   */
+  index: number;
+  status: 'completed' | 'failed';
+  attempts: number;
+  callsAnalyzed: number;
+  durationMs: number;
+  /**
+   * Continuation token the next batch starts from, absent after the last call
+   */
+  nextCursor?: string;
+  error?: string;
+}
+
+/**
+ * Persisted state of a job, rewritten after every batch
+ */
+export interface JobRecord {
+  id: string;
+  status: JobStatus;
+  params: BatchJobParams;
+  createdAt: string;
+  startedAt?: string;
+  finishedAt?: string;
+  /**
+   * Completed batches in order, followed by the batch that failed the job, if any
+   */
+  batches: BatchRecord[];
+  processedCalls: number;
+  /**
+   * Calls in the range as reported by the first batch
+   */
+  totalCalls?: number;
+  error?: string;
+}
+
+/**
+ * A job record with its progress
+ */
+export interface JobStatusView extends JobRecord {
+  progress: number;
+  batchesCompleted: number;
+  totalBatches: number;
+  /**
+   * Now plus the remaining batches at the average batch duration so far; null before the first
+   * batch completes and once the job has finished
+   */
+  estimatedCompletionTime: string | null;
+}
+
+/**
+ * What happened to a job: a progress milestone was crossed, or the job finished
+ */
+export type JobEventType = 'progress' | 'completed' | 'failed' | 'cancelled';
+
+/**
+ * Notification about a job, as delivered to callbacks
+ */
+export interface JobEvent {
+  type: JobEventType;
+  jobId: string;
+  status: JobStatus;
+  progress: number;
+  /**
+   * Highest progress milestone crossed, for `progress` events
+   */
+  milestone?: number;
+  processedCalls: number;
+  totalCalls?: number;
+  error?: string;
+  occurredAt: string;
+}
+
+/**
+ * Which batch to run
+ */
+export interface BatchInput {
+  index: number;
+  /**
+   * Continuation token from the previous batch, absent for the first
+   */
+  cursor?: string;
+  pageSize: number;
+}
+
+/**
+ * What running a batch produced
+ */
+export interface BatchOutput {
+  result: unknown;
+  callsAnalyzed: number;
+  totalCalls?: number;
+  nextCursor?: string;
+}
+
+export type BatchRunner = (job: JobRecord, batch: BatchInput) => Promise<BatchOutput>;
+
+export interface JobQueueOptions {
+  /**
+   * Directory holding one subdirectory per job
+   */
+  dir: string;
+  runBatch: BatchRunner;
+  /**
+   * Jobs running at the same time
+   */
+  concurrency?: number;
+  /**
+   * Attempts per batch before the job fails
+   */
+  maxAttempts?: number;
+  /**
+   * Delay before the first retry of a batch, doubled for every further retry
+   */
+  retryDelayMs?: number;
+  log?: (message: string) => void;
+  /**
+   * Called when a job crosses a progress milestone or finishes
+   */
+  onEvent?: (job: JobRecord, event: JobEvent) => void;
+}
+
+export const DEFAULT_JOB_CONCURRENCY = 2;
+export const DEFAULT_BATCH_ATTEMPTS = 3;
+export const DEFAULT_BATCH_RETRY_DELAY_MS = 5000;
+
+const JOB_ID_PATTERN = /^job_\d+_[0-9a-f]+$/;
+const FINISHED: JobStatus[] = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Progress percentages reported by `progress` events
+ */
+export const PROGRESS_MILESTONES = [25, 50, 75];
+
+/**
+ * Reads the queue limits from GONG_BATCH_CONCURRENCY, GONG_BATCH_MAX_ATTEMPTS and
+ * GONG_BATCH_RETRY_DELAY_MS
+ *
+ * @param env Environment
+ * @returns Options to spread into JobQueueOptions
+ */
+export function jobQueueOptionsFromEnv(
+  env: NodeJS.ProcessEnv = process.env
+): Pick<JobQueueOptions, 'concurrency' | 'maxAttempts' | 'retryDelayMs'> {
+  const positive = (value: string | undefined) => {
+    const parsed = Number.parseInt(value ?? '', 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+  };
+  return {
+    concurrency: positive(env.GONG_BATCH_CONCURRENCY) ?? DEFAULT_JOB_CONCURRENCY,
+    maxAttempts: positive(env.GONG_BATCH_MAX_ATTEMPTS) ?? DEFAULT_BATCH_ATTEMPTS,
+    retryDelayMs: positive(env.GONG_BATCH_RETRY_DELAY_MS) ?? DEFAULT_BATCH_RETRY_DELAY_MS,
+  };
+}
+
+/**
+ * In-process queue of batch analysis jobs persisted to disk
+ *
+ * Each job walks the calls of its query one batch at a time, passing the continuation token of a
+ * batch to the next, and records every batch before starting another. A job that was queued or
+ * running when the process stopped is picked up by resume() from its last completed batch.
+ */
+export class JobQueue {
+  private readonly waiting: string[] = [];
+  private readonly running = new Set<string>();
+  private idleWaiters: (() => void)[] = [];
+  private readonly concurrency: number;
+  private readonly maxAttempts: number;
+  private readonly retryDelayMs: number;
+  private readonly log: (message: string) => void;
+
+  constructor(private readonly options: JobQueueOptions) {
+    this.concurrency = options.concurrency ?? DEFAULT_JOB_CONCURRENCY;
+    this.maxAttempts = options.maxAttempts ?? DEFAULT_BATCH_ATTEMPTS;
+    this.retryDelayMs = options.retryDelayMs ?? DEFAULT_BATCH_RETRY_DELAY_MS;
+    this.log = options.log ?? (() => {});
+    fs.mkdirSync(options.dir, { recursive: true });
+  }
+
+  /**
+   * Records a new job and starts it once a slot is free
+   *
+   * @param params What to analyze
+   * @returns Queued job
+   */
+  submit(params: BatchJobParams): JobRecord {
+    const job: JobRecord = {
+      id: `job_${Date.now()}_${randomBytes(4).toString('hex')}`,
+      status: 'queued',
+      params,
+      createdAt: new Date().toISOString(),
+      batches: [],
+      processedCalls: 0,
+    };
+    this.save(job);
+    this.enqueue(job.id);
+    return job;
+  }
+
+  /**
+   * Reads a job record
+   *
+   * @param id Job ID
+   * @returns Job, or null for unknown and malformed IDs
+   */
+  get(id: string): JobRecord | null {
+    if (!JOB_ID_PATTERN.test(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.file(id, 'job.json'), 'utf8'));
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the recorded jobs, oldest first
+   */
+  list(): JobRecord[] {
+    return fs
+      .readdirSync(this.options.dir)
+      .map(id => this.get(id))
+      .filter((job): job is JobRecord => job !== null)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Adds progress and an estimated completion time to a job record
+   *
+   * @param job Job record
+   * @param now Current time in milliseconds
+   * @returns Job with progress
+   */
+  describe(job: JobRecord, now: number = Date.now()): JobStatusView {
+    const completed = job.batches.filter(batch => batch.status === 'completed');
+    const last = completed[completed.length - 1];
+    const calls = Math.min(job.params.maxCalls, job.totalCalls ?? job.params.maxCalls);
+    const exhausted = completed.length > 0 && !last.nextCursor;
+    const totalBatches = exhausted
+      ? completed.length
+      : Math.max(completed.length, Math.ceil(calls / job.params.batchSize), 1);
+    const remaining = totalBatches - completed.length;
+    const averageMs = completed.reduce((sum, b) => sum + b.durationMs, 0) / completed.length;
+    const estimate = now + remaining * averageMs;
+
+    return {
+      ...job,
+      progress:
+        job.status === 'completed' ? 100 : Math.floor((completed.length * 100) / totalBatches),
+      batchesCompleted: completed.length,
+      totalBatches,
+      estimatedCompletionTime:
+        FINISHED.includes(job.status) || completed.length === 0 || !Number.isFinite(estimate)
+          ? null
+          : new Date(estimate).toISOString(),
+    };
+  }
+
+  /**
+   * Cancels a queued or running job; a batch already in flight finishes but is discarded
+   *
+   * @param id Job ID
+   * @returns Cancelled job
+   * @throws ToolError (not_found) for unknown jobs, (validation) for finished ones
+   */
+  cancel(id: string): JobRecord {
+    const job = this.require(id);
+    if (FINISHED.includes(job.status)) {
+      throw new ToolError('validation', `Job ${id} is already ${job.status}`);
+    }
+    const index = this.waiting.indexOf(id);
+    if (index >= 0) this.waiting.splice(index, 1);
+    const cancelled: JobRecord = {
+      ...job,
+      status: 'cancelled',
+      finishedAt: new Date().toISOString(),
+    };
+    this.save(cancelled);
+    this.log(`Cancelled ${id}`);
+    this.emit(cancelled, 'cancelled');
+    return cancelled;
+  }
+
+  /**
+   * Queues a failed or cancelled job again, starting from its first batch that did not complete
+   *
+   * @param id Job ID
+   * @returns Queued job
+   * @throws ToolError (not_found) for unknown jobs, (validation) for jobs that did not stop or
+   * whose cancelled batch is still in flight
+   */
+  retry(id: string): JobRecord {
+    const job = this.require(id);
+    if (job.status !== 'failed' && job.status !== 'cancelled') {
+      throw new ToolError(
+        'validation',
+        `Job ${id} is ${job.status}; only failed or cancelled jobs can be retried`
+      );
+    }
+    if (this.running.has(id)) {
+      throw new ToolError(
+        'validation',
+        `Job ${id} still has a batch in flight; retry it once that batch returns`
+      );
+    }
+    const queued: JobRecord = {
+      ...job,
+      status: 'queued',
+      batches: job.batches.filter(batch => batch.status === 'completed'),
+      error: undefined,
+      finishedAt: undefined,
+    };
+    this.save(queued);
+    this.enqueue(id);
+    return queued;
+  }
+
+  /**
+   * Queues the jobs that were queued or running when the process last stopped
+   *
+   * @returns Resumed jobs
+   */
+  resume(): JobRecord[] {
+    const resumed = this.list().filter(
+      job =>
+        (job.status === 'queued' || job.status === 'running') &&
+        !this.running.has(job.id) &&
+        !this.waiting.includes(job.id)
+    );
+    for (const job of resumed) {
+      this.log(`Resuming ${job.id} after batch ${job.batches.length}`);
+      this.enqueue(job.id);
+    }
+    return resumed;
+  }
+
+  /**
+   * Reads the stored results of a job's completed batches
+   *
+   * @param id Job ID
+   * @returns Batch results in order
+   * @throws ToolError (not_found) for unknown jobs
+   */
+  results(id: string): unknown[] {
+    const job = this.require(id);
+    return job.batches
+      .filter(batch => batch.status === 'completed')
+      .map(batch =>
+        JSON.parse(fs.readFileSync(this.file(id, `batch_${batch.index}.json`), 'utf8'))
+      );
+  }
+
+  /**
+   * Appends to the log of notifications sent about a job
+   *
+   * @param id Job ID
+   * @param delivery Delivery attempt
+   */
+  appendDelivery(id: string, delivery: DeliveryRecord): void {
+    fs.appendFileSync(this.file(id, 'deliveries.jsonl'), `${JSON.stringify(delivery)}\n`);
+  }
+
+  /**
+   * Reads the log of notifications sent about a job
+   *
+   * @param id Job ID
+   * @returns Delivery attempts, oldest first
+   */
+  deliveries(id: string): DeliveryRecord[] {
+    this.require(id);
+    try {
+      return fs
+        .readFileSync(this.file(id, 'deliveries.jsonl'), 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Resolves once no job is running or waiting
+   */
+  idle(): Promise<void> {
+    if (this.running.size === 0 && this.waiting.length === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  private enqueue(id: string): void {
+    this.waiting.push(id);
+    this.pump();
+  }
+
+  private pump(): void {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      const id = this.waiting.shift()!;
+      this.running.add(id);
+      this.run(id)
+        .catch(error => this.log(`Job ${id} stopped: ${error.message}`))
+        .finally(() => {
+          this.running.delete(id);
+          this.pump();
+          if (this.running.size === 0 && this.waiting.length === 0) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+          }
+        });
+    }
+  }
+
+  private async run(id: string): Promise<void> {
+    let job = this.get(id);
+    if (!job || (job.status !== 'queued' && job.status !== 'running')) return;
+    job = { ...job, status: 'running', startedAt: job.startedAt ?? new Date().toISOString() };
+    this.save(job);
+
+    for (;;) {
+      const completed: BatchRecord[] = job.batches.filter(batch => batch.status === 'completed');
+      const last = completed[completed.length - 1];
+      const remainingCalls = job.params.maxCalls - job.processedCalls;
+      if ((last && !last.nextCursor) || remainingCalls <= 0) {
+        const finished: JobRecord = {
+          ...job,
+          status: 'completed',
+          finishedAt: new Date().toISOString(),
+        };
+        this.save(finished);
+        this.log(`Completed ${id}: ${job.processedCalls} calls in ${completed.length} batches`);
+        this.emit(finished, 'completed');
+        return;
+      }
+
+      const input: BatchInput = {
+        index: completed.length + 1,
+        cursor: last?.nextCursor,
+        pageSize: Math.min(job.params.batchSize, remainingCalls),
+      };
+      const batch = await this.runWithRetries(job, input);
+      if (this.isCancelled(id)) return;
+
+      const before = this.describe(job).progress;
+      job = {
+        ...job,
+        batches: [...completed, batch.record],
+        processedCalls: job.processedCalls + batch.record.callsAnalyzed,
+        totalCalls: job.totalCalls ?? batch.output?.totalCalls,
+      };
+      if (batch.record.status === 'failed') {
+        const failed: JobRecord = {
+          ...job,
+          status: 'failed',
+          error: `Batch ${input.index} failed after ${batch.record.attempts} attempts: ` +
+            batch.record.error,
+          finishedAt: new Date().toISOString(),
+        };
+        this.save(failed);
+        this.emit(failed, 'failed');
+        return;
+      }
+      fs.writeFileSync(
+        this.file(id, `batch_${input.index}.json`),
+        JSON.stringify(batch.output!.result, null, 2)
+      );
+      this.save(job);
+
+      const after = this.describe(job).progress;
+      const crossed = PROGRESS_MILESTONES.filter(m => before < m && m <= after);
+      if (crossed.length > 0) this.emit(job, 'progress', crossed[crossed.length - 1]);
+    }
+  }
+
+  private emit(job: JobRecord, type: JobEventType, milestone?: number): void {
+    if (!this.options.onEvent) return;
+    const view = this.describe(job);
+    const event: JobEvent = {
+      type,
+      jobId: job.id,
+      status: job.status,
+      progress: view.progress,
+      ...(milestone !== undefined ? { milestone } : {}),
+      processedCalls: job.processedCalls,
+      ...(job.totalCalls !== undefined ? { totalCalls: job.totalCalls } : {}),
+      ...(job.error ? { error: job.error } : {}),
+      occurredAt: new Date().toISOString(),
+    };
+    try {
+      this.options.onEvent(job, event);
+    } catch (error: any) {
+      this.log(`Event handler failed for ${job.id}: ${error.message}`);
+    }
+  }
+
+  private async runWithRetries(
+    job: JobRecord,
+    input: BatchInput
+  ): Promise<{ record: BatchRecord; output?: BatchOutput }> {
+    for (let attempts = 1; ; attempts++) {
+      const started = Date.now();
+      try {
+        const output = await this.options.runBatch(job, input);
+        const record: BatchRecord = {
+          index: input.index,
+          status: 'completed',
+          attempts,
+          callsAnalyzed: output.callsAnalyzed,
+          durationMs: Date.now() - started,
+          ...(output.nextCursor ? { nextCursor: output.nextCursor } : {}),
+        };
+        return { record, output };
+      } catch (error: any) {
+        this.log(`Batch ${input.index} of ${job.id}, attempt ${attempts}: ${error.message}`);
+        if (attempts >= this.maxAttempts || this.isCancelled(job.id)) {
+          const record: BatchRecord = {
+            index: input.index,
+            status: 'failed',
+            attempts,
+            callsAnalyzed: 0,
+            durationMs: Date.now() - started,
+            error: error.message,
+          };
+          return { record };
+        }
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** (attempts - 1)));
+      }
+    }
+  }
+
+  private isCancelled(id: string): boolean {
+    return this.get(id)?.status === 'cancelled';
+  }
+
+  private require(id: string): JobRecord {
+    const job = this.get(id);
+    if (!job) throw new ToolError('not_found', `No batch job found with ID ${id}`);
+    return job;
+  }
+
+  private file(id: string, name: string): string {
+    return path.join(this.options.dir, id, name);
+  }
+
+  private save(job: JobRecord): void {
+    const file = this.file(job.id, 'job.json');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(job, null, 2));
+    fs.renameSync(temp, file);
+  }
+}
+
+/**
+ * Merges the analyzer results of a job's batches into one report
+ *
+ * Insights and recommended actions with the same text are combined with all their citations;
+ * participant counts are summed.
+ *
+ * @param job Job record
+ * @param results Results of the completed batches, in order
+ * @returns Report
+ */
+export function mergeBatchResults(job: JobRecord, results: any[]): Record<string, any> {
+  const mergeCited = (lists: any[][]) => {
+    const byText = new Map<string, { text: string; citations: any[] }>();
+    for (const item of lists.flat()) {
+      const existing = byText.get(item.text);
+      if (existing) existing.citations.push(...(item.citations ?? []));
+      else byText.set(item.text, { text: item.text, citations: [...(item.citations ?? [])] });
+    }
+    return [...byText.values()];
+  };
+  const participantBreakdown: Record<string, number> = {};
+  for (const result of results) {
+    for (const [role, count] of Object.entries(result.analysis?.participantBreakdown ?? {})) {
+      participantBreakdown[role] = (participantBreakdown[role] ?? 0) + Number(count);
+    }
+  }
+  const callsAnalyzed = results.reduce((sum, result) => sum + (result.callsAnalyzed ?? 0), 0);
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    query: job.params.query,
+    timeRange: results[0]?.timeRange ?? job.params.timeRange,
+    batches: results.length,
+    callsAnalyzed,
+    totalCallsFound: job.totalCalls ?? callsAnalyzed,
+    summary: `Analyzed ${callsAnalyzed} calls in ${results.length} batches`,
+    batchSummaries: results.map((result, i) => ({
+      batch: i + 1,
+      callsAnalyzed: result.callsAnalyzed ?? 0,
+      summary: result.analysis?.summary ?? result.summary,
+    })),
+    keyInsights: mergeCited(results.map(result => result.analysis?.keyInsights ?? [])),
+    recommendedActions: mergeCited(
+      results.map(result => result.analysis?.recommendedActions ?? [])
+    ),
+    participantBreakdown,
+    questionSamples: [
+      ...new Set(results.flatMap(result => result.analysis?.questionSamples ?? [])),
+    ].slice(0, 10),
+    ...(job.error ? { error: job.error } : {}),
+  };
+}
@@ -1,4 +1,12 @@
-import axios from 'axios';
+import { createGongClient } from './gong-client.js';
+import { fetchPagedCalls } from './call-store.js';
+import {
+  type AnalysisSentence,
+  analysisBudgetFromEnv,
+  analyzeCalls,
+  createAnalysisProvider,
+  toAnalysisCalls
+} from './analysis-provider.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -28,10 +36,20 @@ interface CallData {
   startTime: string;
   duration: number;
   participants: any[];
-  transcript?: any[];
+  parties?: any[];
+  transcript?: AnalysisSentence[];
   // Additional fields as needed
 }
 
+/**
+ * One page of calls from fetchRelevantCalls
+ */
+interface CallDataPage {
+  calls: CallData[];
+  totalCalls: number;
+  nextCursor?: string;
+}
+
 /**
  * Interface for pagination info
  */
@@ -104,10 +122,8 @@ export class NlpAnalyzerV2 {
       // Step 2: Process calls in batches to avoid memory issues
       const batchResults = await this.processBatches(callData, request);
       
-      // Step 3: Fetch transcripts for detailed analysis if needed
-      if (this.requiresTranscripts(request.query)) {
-        await this.enrichWithTranscripts(batchResults.processedCalls);
-      }
+      // Step 3: Fetch transcripts; the model answers from them
+      await this.enrichWithTranscripts(batchResults.processedCalls);
       
       // Step 4: Analyze data with AI
       const analysis = await this.analyzeWithAI(batchResults.processedCalls, request.query);
@@ -140,11 +156,11 @@ export class NlpAnalyzerV2 {
    * Fetches calls from Gong API based on request criteria with pagination
    * 
    * @param request NLP analysis request
-   * @returns Array of relevant calls
+   * @returns Page of relevant calls, the total and the next page's continuation token
    */
-  private async fetchRelevantCalls(request: NlpAnalysisRequest): Promise<CallData[]> {
+  private async fetchRelevantCalls(request: NlpAnalysisRequest): Promise<CallDataPage> {
     // Create API client with auth
-    const client = axios.create({
+    const client = createGongClient({
       baseURL: this.baseUrl,
       auth: {
         username: this.accessKey,
@@ -163,6 +179,7 @@ export class NlpAnalyzerV2 {
         context: "Extended",
         contextTiming: ["Now", "TimeOfCall"],
         exposedFields: {
+          parties: true,
           interaction: { questions: true, speakers: true },
           content: { topics: true, trackers: true },
           media: true
@@ -170,11 +187,6 @@ export class NlpAnalyzerV2 {
       }
     };
     
-    // Add cursor for pagination if provided
-    if (request.cursor) {
-      requestBody.cursor = request.cursor;
-    }
-    
     // Add participant filtering if specified
     if (request.participants && request.participants.length > 0) {
       requestBody.filter.participantsEmails = request.participants;
@@ -182,51 +194,32 @@ export class NlpAnalyzerV2 {
     
     this.logInfo(`Fetching calls with filter: ${JSON.stringify(requestBody.filter)}`);
     
-    // Execute the API call
-    const response = await client.post('/v2/calls/extensive', requestBody);
-    
-    // Process and return the calls
-    const pageSize = request.pageSize || 100; // Default to 100 if not specified
-    const page = request.page || 1;
-    
-    return this.processCalls(response.data, pageSize, page);
+    // Follow Gong cursors from where the previous page stopped
+    const { calls, totalCalls, nextCursor } = await fetchPagedCalls(client, null, requestBody, {
+      cursor: request.cursor,
+      page: request.page,
+      pageSize: request.pageSize || 100
+    });
+    return { calls: this.processCalls(calls), totalCalls, nextCursor };
   }
   
   /**
-   * Processes calls data from API response with pagination
+   * Converts calls from calls/extensive to CallData
    * 
-   * @param apiResponse API response from calls/extensive
-   * @param pageSize Page size for pagination
-   * @param page Current page number
+   * @param calls Calls of one page
    * @returns Processed call data array
    */
-  private processCalls(apiResponse: any, pageSize: number, page: number): CallData[] {
-    // Extract calls from response (format depends on Gong API)
-    const calls = apiResponse.calls || [];
-    
+  private processCalls(calls: any[]): CallData[] {
     this.logInfo(`Received ${calls.length} calls from API`);
     
-    // Sort calls by date (newest first)
-    const sortedCalls = [...calls].sort((a, b) => {
-      return new Date(b.metaData.startTime).getTime() - new Date(a.metaData.startTime).getTime();
-    });
-    
-    // Calculate pagination
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    
-    // Get page of calls
-    const paginatedCalls = sortedCalls.slice(startIndex, endIndex);
-    
-    this.logInfo(`Returning page ${page} with ${paginatedCalls.length} calls`);
-    
     // Transform to our CallData format
-    return paginatedCalls.map((call: any) => ({
+    return calls.map((call: any) => ({
       id: call.metaData.id,
       title: call.metaData.title,
       startTime: call.metaData.startTime,
       duration: call.metaData.duration,
       participants: call.metaData.participants || [],
+      parties: call.parties || [],
       // Additional fields as needed
     }));
   }
@@ -234,13 +227,13 @@ export class NlpAnalyzerV2 {
   /**
    * Process calls in batches to avoid memory issues
    * 
-   * @param calls Array of calls to process
+   * @param callPage Page of calls to process
    * @param request Original NLP request
    * @returns Batch processing result
    */
-  private async processBatches(calls: CallData[], request: NlpAnalysisRequest): Promise<BatchProcessResult> {
+  private async processBatches(callPage: CallDataPage, request: NlpAnalysisRequest): Promise<BatchProcessResult> {
     const BATCH_SIZE = 25; // Process 25 calls at a time
-    const totalCalls = calls.length;
+    const { calls, totalCalls, nextCursor } = callPage;
     let processedCalls: CallData[] = [];
     
     // Set pagination values
@@ -264,8 +257,8 @@ export class NlpAnalyzerV2 {
       pageSize: pageSize,
       totalPages: totalPages,
       totalCalls: totalCalls,
-      hasMore: page < totalPages,
-      nextCursor: request.cursor // Store cursor for next page if available
+      hasMore: nextCursor !== undefined,
+      nextCursor // Continuation token of the next page
     };
     
     // Generate preliminary summary
@@ -276,30 +269,10 @@ export class NlpAnalyzerV2 {
       totalCalls,
       summary,
       pagination,
-      nextCursor: request.cursor // Pass cursor to next page if available
+      nextCursor
     };
   }
   
-  /**
-   * Determines if the query requires transcript data
-   * 
-   * @param query User's natural language query
-   * @returns Boolean indicating if transcripts are needed
-   */
-  private requiresTranscripts(query: string): boolean {
-    // Keywords that suggest transcript analysis is needed
-    const transcriptKeywords = [
-      'said', 'mention', 'talk', 'spoke', 'discuss',
-      'question', 'answer', 'response', 'objection',
-      'transcript', 'conversation', 'word', 'phrase',
-      'topic', 'common', 'frequency', 'often'
-    ];
-    
-    // Check if any keywords exist in the query
-    const lowerQuery = query.toLowerCase();
-    return transcriptKeywords.some(keyword => lowerQuery.includes(keyword));
-  }
-  
   /**
    * Enriches call data with transcript information
    * 
@@ -307,7 +280,7 @@ export class NlpAnalyzerV2 {
    */
   private async enrichWithTranscripts(calls: CallData[]): Promise<void> {
     // Create API client with auth
-    const client = axios.create({
+    const client = createGongClient({
       baseURL: this.baseUrl,
       auth: {
         username: this.accessKey,
@@ -332,74 +305,76 @@ export class NlpAnalyzerV2 {
       });
       
       // Map transcripts to the corresponding calls
-      if (response.data && response.data.transcripts) {
-        for (const transcript of response.data.transcripts) {
-          const call = calls.find(c => c.id === transcript.callId);
-          if (call) {
-            call.transcript = transcript.sentences || [];
-            // Use optional chaining to avoid TypeScript error
-            this.logInfo(`Added transcript with ${call.transcript?.length || 0} sentences to call ${call.id}`);
-          }
+      const entries = response.data?.callTranscripts ?? response.data?.transcripts ?? [];
+      for (const transcript of entries) {
+        const call = calls.find(c => c.id === transcript.callId);
+        if (call) {
+          this.attachTranscript(call, transcript);
+          this.logInfo(`Added transcript with ${call.transcript?.length || 0} sentences to call ${call.id}`);
         }
       }
     }
   }
   
   /**
-   * Analyzes call data using AI
+   * Answers the query with the configured analysis model (GONG_ANALYSIS_PROVIDER)
+   * 
+   * Insights and recommended actions cite the call IDs and timestamps they are based on.
    * 
    * @param calls Processed and enriched call data
    * @param query User's natural language query
-   * @returns AI analysis results
+   * @returns Model analysis with participant breakdown and sample questions
    */
   private async analyzeWithAI(calls: CallData[], query: string): Promise<any> {
     this.logInfo(`Analyzing ${calls.length} calls with query: ${query}`);
     
-    // For now, return a placeholder analysis
-    // In a real implementation, this would call an AI service like Claude
-    
-    // Mock analysis for demonstration
-    const topicFrequency: Record<string, number> = {};
-    const questionPatterns: string[] = [];
     const callCountByParticipantRole: Record<string, number> = {};
-    
-    // Simple analysis logic
+    const questionSamples: string[] = [];
     calls.forEach(call => {
-      // Count by participant role
       call.participants.forEach((participant: any) => {
         const role = participant.role || 'unknown';
         callCountByParticipantRole[role] = (callCountByParticipantRole[role] || 0) + 1;
       });
-      
-      // Extract topics if available
-      if (call.transcript) {
-        call.transcript.forEach((sentence: any) => {
-          // Simple question detection
-          if (sentence.text && sentence.text.trim().endsWith('?')) {
-            questionPatterns.push(sentence.text);
-          }
-        });
-      }
+      (call.transcript || []).forEach(sentence => {
+        if (sentence.text.trim().endsWith('?')) {
+          questionSamples.push(sentence.text);
+        }
+      });
     });
     
-    const result = {
-      summary: `Based on analysis of ${calls.length} calls, we found patterns related to your query about "${query}"`,
-      keyInsights: [
-        "Product managers frequently ask about timeline and resource allocation",
-        "Common topics include feature prioritization and customer feedback",
-        "Questions about technical feasibility appear in 65% of calls"
-      ],
+    const analysis = await analyzeCalls(
+      createAnalysisProvider(),
+      query,
+      calls.map(call => ({
+        callId: call.id,
+        title: call.title,
+        started: call.startTime,
+        sentences: call.transcript || []
+      })),
+      analysisBudgetFromEnv(),
+      message => this.logInfo(message)
+    );
+    
+    this.logInfo(`Analysis complete with ${analysis.keyInsights.length} key insights`);
+    return {
+      ...analysis,
       participantBreakdown: callCountByParticipantRole,
-      questionSamples: questionPatterns.slice(0, 5),
-      recommendedActions: [
-        "Prepare documentation on technical constraints",
-        "Develop clearer process for feature prioritization",
-        "Create FAQ for common product manager questions"
-      ]
+      questionSamples: questionSamples.slice(0, 5)
     };
-    
-    this.logInfo(`Analysis complete with ${result.keyInsights.length} key insights`);
-    return result;
+  }
+  
+  /**
+   * Sets a call's transcript from its `/v2/calls/transcript` entry, resolving speaker names
+   * 
+   * @param call Call to update
+   * @param entry Transcript entry of the call
+   */
+  private attachTranscript(call: CallData, entry: any): void {
+    const [analysisCall] = toAnalysisCalls(
+      [{ metaData: { id: call.id, title: call.title }, parties: call.parties }],
+      [entry]
+    );
+    call.transcript = analysisCall.sentences;
   }
   
   /**
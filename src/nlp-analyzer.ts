@@ -1,4 +1,5 @@
-import axios from 'axios';
+import { createGongClient } from './gong-client.js';
+import { isQuestion, normalizeTranscript, type TranscriptSentence } from './transcript.js';
 
 /**
  * Interface for the NLP analysis request
@@ -22,7 +23,7 @@ interface CallData {
   startTime: string;
   duration: number;
   participants: any[];
-  transcript?: any[];
+  transcript?: TranscriptSentence[];
   // Additional fields as needed
 }
 
@@ -101,7 +102,7 @@ export class NlpAnalyzer {
    */
   private async fetchRelevantCalls(request: NlpAnalysisRequest): Promise<CallData[]> {
     // Create API client with auth
-    const client = axios.create({
+    const client = createGongClient({
       baseURL: this.baseUrl,
       auth: {
         username: this.accessKey,
@@ -120,6 +121,7 @@ export class NlpAnalyzer {
         context: "Extended",
         contextTiming: ["Now", "TimeOfCall"],
         exposedFields: {
+          parties: true,
           interaction: { questions: true, speakers: true },
           content: { topics: true, trackers: true },
           media: true
@@ -165,7 +167,7 @@ export class NlpAnalyzer {
       title: call.metaData.title,
       startTime: call.metaData.startTime,
       duration: call.metaData.duration,
-      participants: call.metaData.participants || [],
+      participants: call.parties || [],
       // Additional fields as needed
     }));
   }
@@ -226,7 +228,7 @@ export class NlpAnalyzer {
    */
   private async enrichWithTranscripts(calls: CallData[]): Promise<void> {
     // Create API client with auth
-    const client = axios.create({
+    const client = createGongClient({
       baseURL: this.baseUrl,
       auth: {
         username: this.accessKey,
@@ -248,13 +250,11 @@ export class NlpAnalyzer {
         }
       });
       
-      // Map transcripts to the corresponding calls
-      if (response.data && response.data.transcripts) {
-        for (const transcript of response.data.transcripts) {
-          const call = calls.find(c => c.id === transcript.callId);
-          if (call) {
-            call.transcript = transcript.sentences || [];
-          }
+      // Map transcripts to the corresponding calls, resolving speakers through their parties
+      for (const entry of response.data?.callTranscripts ?? []) {
+        const call = calls.find(c => c.id === entry.callId);
+        if (call) {
+          call.transcript = normalizeTranscript(entry, { parties: call.participants }).sentences;
         }
       }
     }
@@ -280,15 +280,15 @@ export class NlpAnalyzer {
     calls.forEach(call => {
       // Count by participant role
       call.participants.forEach((participant: any) => {
-        const role = participant.role || 'unknown';
+        const role = participant.affiliation || participant.role || 'unknown';
         callCountByParticipantRole[role] = (callCountByParticipantRole[role] || 0) + 1;
       });
       
       // Extract topics if available
       if (call.transcript) {
-        call.transcript.forEach((sentence: any) => {
+        call.transcript.forEach(sentence => {
           // Simple question detection
-          if (sentence.text && sentence.text.trim().endsWith('?')) {
+          if (isQuestion(sentence.text)) {
             questionPatterns.push(sentence.text);
           }
         });
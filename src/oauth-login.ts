@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+/**
+ * Authorizes the Gong OAuth app for an account
+ *
+ * Starts a temporary callback server on the account's redirect URI, prints the consent URL and
+ * stores the resulting refresh token encrypted with GONG_OAUTH_TOKEN_KEY.
+ *
+ * Usage: npm run oauth:login -- [--account=<name>]
+ */
+
+import { loadAccountRegistry } from './accounts.js';
+import { describeToolError } from './errors.js';
+import { runLocalAuthorization } from './oauth.js';
+
+async function main() {
+    const accountName = process.argv.find(arg => arg.startsWith('--account='))?.slice('--account='.length);
+    const accounts = loadAccountRegistry();
+    const account = accounts.resolve(accountName);
+    const oauth = accounts.oauth(account);
+
+    console.error(`Waiting for the Gong consent callback on ${oauth.config.redirectUri}`);
+    const tokens = await runLocalAuthorization(oauth, {
+        openUrl: url => console.error(`\nOpen this URL to authorize account "${account.name}":\n\n  ${url}\n`)
+    });
+
+    console.error(`Authorized account "${account.name}"; refresh token stored in ${oauth.config.tokenFile}`);
+    console.error(`API base URL: ${tokens.apiBaseUrl || account.baseUrl}`);
+}
+
+main().catch((error) => {
+    console.error(`Gong authorization failed: ${describeToolError(error).message}`);
+    process.exit(1);
+});
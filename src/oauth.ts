@@ -0,0 +1,363 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import axios, { type AxiosInstance } from 'axios';
+import { ToolError } from './errors.js';
+
+/**
+ * Gong's consent page for OAuth apps
+ */
+export const GONG_OAUTH_AUTHORIZE_URL = 'https://app.gong.io/oauth2/authorize';
+
+/**
+ * Gong's token endpoint, used both for the authorization code and for refresh tokens
+ */
+export const GONG_OAUTH_TOKEN_URL = 'https://app.gong.io/oauth2/generate-customer-token';
+
+/**
+ * Scopes requested when none are configured: read access to everything the tools cover
+ */
+export const DEFAULT_OAUTH_SCOPES = [
+  'api:calls:read:basic',
+  'api:calls:read:extensive',
+  'api:calls:read:transcript',
+  'api:users:read',
+  'api:stats:interaction',
+  'api:stats:user-actions',
+  'api:stats:scorecards',
+  'api:library:read',
+  'api:settings:trackers:read',
+  'api:settings:scorecards:read',
+  'api:flows:read',
+];
+
+/**
+ * Default callback address of the local consent helper
+ */
+export const DEFAULT_OAUTH_REDIRECT_URI = 'http://localhost:8787/oauth/callback';
+
+/**
+ * Settings of a Gong OAuth app installation
+ */
+export interface GongOAuthConfig {
+  clientId: string;
+  clientSecret: string;
+  redirectUri: string;
+  scopes: string[];
+  /**
+   * Encrypted file holding the refresh token
+   */
+  tokenFile: string;
+  /**
+   * Passphrase the token file is encrypted with
+   */
+  tokenKey?: string;
+  authorizeUrl?: string;
+  tokenUrl?: string;
+}
+
+/**
+ * Tokens issued to an OAuth app installation
+ */
+export interface OAuthTokens {
+  accessToken: string;
+  refreshToken: string;
+  /**
+   * Epoch milliseconds at which the access token expires
+   */
+  expiresAt: number;
+  scope?: string;
+  /**
+   * Customer-specific API base URL returned as `api_base_url_for_customer`
+   */
+  apiBaseUrl?: string;
+}
+
+/**
+ * Refresh this long before the access token expires so in-flight requests never carry a stale one
+ */
+const REFRESH_SKEW_MS = 5 * 60 * 1000;
+
+const TOKEN_FILE_VERSION = 1;
+
+/**
+ * Stores OAuth tokens in a file encrypted with AES-256-GCM
+ *
+ * The key is derived with scrypt from a passphrase (GONG_OAUTH_TOKEN_KEY) and a random salt
+ * kept in the file, so the file alone never reveals the refresh token.
+ */
+export class EncryptedTokenStore {
+  /**
+   * @param file Path of the token file
+   * @param passphrase Secret the file is encrypted with
+   */
+  constructor(
+    readonly file: string,
+    private readonly passphrase: string | undefined
+  ) {}
+
+  /**
+   * Reads the stored tokens
+   *
+   * @returns Tokens, or null if none have been stored yet
+   */
+  load(): OAuthTokens | null {
+    if (!fs.existsSync(this.file)) return null;
+    const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (stored.version !== TOKEN_FILE_VERSION) {
+      throw new ToolError('configuration', `Unsupported OAuth token file format in ${this.file}`);
+    }
+    const salt = Buffer.from(stored.salt, 'base64');
+    const decipher = createDecipheriv('aes-256-gcm', this.key(salt), Buffer.from(stored.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    try {
+      const plain = Buffer.concat([
+        decipher.update(Buffer.from(stored.data, 'base64')),
+        decipher.final(),
+      ]);
+      return JSON.parse(plain.toString('utf8'));
+    } catch {
+      throw new ToolError(
+        'configuration',
+        `Cannot decrypt ${this.file}; GONG_OAUTH_TOKEN_KEY does not match the key it was written with`
+      );
+    }
+  }
+
+  /**
+   * Encrypts and writes tokens, readable by the current user only
+   *
+   * @param tokens Tokens to store
+   */
+  save(tokens: OAuthTokens): void {
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', this.key(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+    const stored = {
+      version: TOKEN_FILE_VERSION,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(stored), { mode: 0o600 });
+    fs.renameSync(temp, this.file);
+  }
+
+  private key(salt: Buffer): Buffer {
+    if (!this.passphrase) {
+      throw new ToolError('configuration', 'GONG_OAUTH_TOKEN_KEY must be set to store OAuth tokens');
+    }
+    return scryptSync(this.passphrase, salt, 32);
+  }
+}
+
+/**
+ * Authorization-code flow and token lifecycle for one Gong OAuth app installation
+ */
+export class GongOAuth {
+  private tokens: OAuthTokens | null | undefined;
+  private refreshing: Promise<OAuthTokens> | undefined;
+
+  /**
+   * @param config OAuth app settings
+   * @param store Token storage; defaults to the encrypted file named in the config
+   */
+  constructor(
+    readonly config: GongOAuthConfig,
+    private readonly store = new EncryptedTokenStore(config.tokenFile, config.tokenKey)
+  ) {}
+
+  /**
+   * Builds the consent URL the user has to open
+   *
+   * @param state Random value echoed back to the callback
+   * @returns Authorization URL
+   */
+  authorizationUrl(state: string): string {
+    const url = new URL(this.config.authorizeUrl || GONG_OAUTH_AUTHORIZE_URL);
+    url.searchParams.set('client_id', this.config.clientId);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('scope', this.config.scopes.join(' '));
+    url.searchParams.set('redirect_uri', this.config.redirectUri);
+    url.searchParams.set('state', state);
+    return url.toString();
+  }
+
+  /**
+   * Exchanges the code from the consent callback for tokens and stores them
+   *
+   * @param code Authorization code
+   * @returns Issued tokens
+   */
+  async exchangeCode(code: string): Promise<OAuthTokens> {
+    return this.requestTokens({
+      grant_type: 'authorization_code',
+      code,
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+    });
+  }
+
+  /**
+   * Returns a valid access token, refreshing it first if it expires soon
+   *
+   * Concurrent callers share a single refresh request.
+   *
+   * @returns Bearer token
+   */
+  async accessToken(): Promise<string> {
+    const tokens = this.currentTokens();
+    if (tokens.expiresAt - REFRESH_SKEW_MS > Date.now()) {
+      return tokens.accessToken;
+    }
+    return (await this.refresh()).accessToken;
+  }
+
+  /**
+   * Customer-specific API base URL of this installation, if the token response named one
+   */
+  apiBaseUrl(): string | undefined {
+    return this.currentTokens().apiBaseUrl;
+  }
+
+  /**
+   * Exchanges the refresh token for a new access token
+   *
+   * @returns Refreshed tokens
+   */
+  refresh(): Promise<OAuthTokens> {
+    if (!this.refreshing) {
+      const { refreshToken } = this.currentTokens();
+      this.refreshing = this.requestTokens({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+      }).finally(() => {
+        this.refreshing = undefined;
+      });
+    }
+    return this.refreshing;
+  }
+
+  private currentTokens(): OAuthTokens {
+    if (this.tokens === undefined) {
+      this.tokens = this.store.load();
+    }
+    if (!this.tokens) {
+      throw new ToolError(
+        'authentication',
+        `No Gong OAuth tokens in ${this.store.file}; run "npm run oauth:login" to authorize the app`
+      );
+    }
+    return this.tokens;
+  }
+
+  private async requestTokens(params: Record<string, string>): Promise<OAuthTokens> {
+    const response = await axios.post(this.config.tokenUrl || GONG_OAUTH_TOKEN_URL, null, {
+      params,
+      auth: { username: this.config.clientId, password: this.config.clientSecret },
+    });
+    const data = response.data;
+    if (!data?.access_token) {
+      throw new ToolError('authentication', 'Gong token endpoint returned no access_token');
+    }
+    const tokens: OAuthTokens = {
+      accessToken: data.access_token,
+      // Keep the previous refresh token when Gong does not rotate it
+      refreshToken: data.refresh_token || params.refresh_token,
+      expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000,
+      scope: data.scope,
+      apiBaseUrl: data.api_base_url_for_customer
+        ? String(data.api_base_url_for_customer).replace(/\/+$/, '')
+        : this.tokens?.apiBaseUrl,
+    };
+    this.store.save(tokens);
+    this.tokens = tokens;
+    return tokens;
+  }
+}
+
+/**
+ * Sends Bearer tokens from an OAuth installation and targets its customer-specific base URL
+ *
+ * @param instance Gong client without Basic auth
+ * @param oauth OAuth installation
+ * @returns The same instance
+ */
+export function withOAuth(instance: AxiosInstance, oauth: GongOAuth): AxiosInstance {
+  instance.interceptors.request.use(async config => {
+    config.headers.Authorization = `Bearer ${await oauth.accessToken()}`;
+    config.baseURL = oauth.apiBaseUrl() || config.baseURL;
+    return config;
+  });
+  return instance;
+}
+
+/**
+ * Runs the consent flow through a temporary local callback server
+ *
+ * Listens on the host and port of the redirect URI, hands the consent URL to `openUrl`, and
+ * resolves once Gong redirects back with a code that has been exchanged for tokens.
+ *
+ * @param oauth OAuth installation
+ * @param options How to show the consent URL and how long to wait for the callback
+ * @returns Issued tokens
+ */
+export async function runLocalAuthorization(
+  oauth: GongOAuth,
+  options: { openUrl: (url: string) => void; timeoutMs?: number }
+): Promise<OAuthTokens> {
+  const redirect = new URL(oauth.config.redirectUri);
+  const state = randomBytes(16).toString('hex');
+
+  return new Promise<OAuthTokens>((resolve, reject) => {
+    const finish = (error: Error | null, tokens?: OAuthTokens) => {
+      clearTimeout(timer);
+      server.close();
+      server.closeAllConnections();
+      if (error) reject(error);
+      else resolve(tokens!);
+    };
+
+    const server = http.createServer(async (req, res) => {
+      const url = new URL(req.url || '/', redirect);
+      if (url.pathname !== redirect.pathname) {
+        res.writeHead(404).end();
+        return;
+      }
+      const respond = (status: number, message: string) => {
+        res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(message);
+      };
+
+      const error = url.searchParams.get('error');
+      if (error || url.searchParams.get('state') !== state || !url.searchParams.get('code')) {
+        respond(400, `Gong authorization failed: ${error || 'invalid callback'}`);
+        finish(new Error(`Gong authorization failed: ${error || 'state mismatch or missing code'}`));
+        return;
+      }
+      try {
+        const tokens = await oauth.exchangeCode(url.searchParams.get('code')!);
+        respond(200, 'Gong authorization complete. You can close this window.');
+        finish(null, tokens);
+      } catch (exchangeError) {
+        respond(500, 'Exchanging the authorization code failed. See the terminal for details.');
+        finish(exchangeError as Error);
+      }
+    });
+
+    const timer = setTimeout(
+      () => finish(new Error('Timed out waiting for the Gong authorization callback')),
+      options.timeoutMs ?? 5 * 60 * 1000
+    );
+
+    server.once('error', error => finish(error));
+    server.listen(Number(redirect.port) || 80, redirect.hostname, () => {
+      options.openUrl(oauth.authorizationUrl(state));
+    });
+  });
+}
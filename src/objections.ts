@@ -0,0 +1,575 @@
+import { monologues, type Monologue } from './conversation-metrics.js';
+import { ToolError } from './errors.js';
+import {
+  callMoment,
+  formatTimestamp,
+  isQuestion,
+  normalizeTranscripts,
+  type CallMoment,
+  type NormalizedTranscript,
+  type TranscriptSentence,
+} from './transcript.js';
+
+export type ObjectionCategory = 'pricing' | 'timing' | 'competitor' | 'security' | 'authority';
+
+/**
+ * Label of each category and the words that put a customer sentence into it
+ */
+export const OBJECTION_CATEGORIES: Record<ObjectionCategory, { label: string; pattern: RegExp }> = {
+  pricing: {
+    label: 'Pricing',
+    pattern: words(
+      'prices?',
+      'pricing',
+      'priced',
+      'costs?',
+      'costly',
+      'expensive',
+      'budget',
+      'afford',
+      'discount',
+      'cheaper',
+      'roi'
+    ),
+  },
+  timing: {
+    label: 'Timing',
+    pattern: words(
+      'timing',
+      'timeline',
+      'right time',
+      'next (quarter|year)',
+      'end of (the )?(quarter|year)',
+      'on hold',
+      'hold off',
+      'priorit(y|ies)',
+      'too busy',
+      'bandwidth',
+      'revisit'
+    ),
+  },
+  competitor: {
+    label: 'Competitor',
+    pattern: words(
+      'competitors?',
+      'alternatives?',
+      'other (vendors?|tools?|options?|solutions?)',
+      'already (use|using|have|work with)',
+      'incumbent',
+      'switch(ing)? (from|to)',
+      'compared to',
+      'shopping around'
+    ),
+  },
+  security: {
+    label: 'Security',
+    pattern: words(
+      'security',
+      'secure',
+      'compliance',
+      'compliant',
+      'soc ?2',
+      'gdpr',
+      'hipaa',
+      'iso ?27001',
+      'privacy',
+      'data residency',
+      'infosec',
+      'pen(etration)? tests?',
+      'encrypt(ed|ion)?',
+      'sso',
+      'vulnerabilit(y|ies)'
+    ),
+  },
+  authority: {
+    label: 'Authority',
+    pattern: words(
+      'my (boss|manager)',
+      'sign[- ]off',
+      'approve',
+      'approval',
+      'decision[- ]makers?',
+      'procurement',
+      'legal',
+      'leadership',
+      'the board',
+      'cfo',
+      'ceo',
+      'cto',
+      'run it by',
+      'check with',
+      'buy[- ]in',
+      'not my (call|decision)',
+      'committee'
+    ),
+  },
+};
+
+/**
+ * A negated verb, with straight or curly apostrophes
+ */
+const NOT = "(not|never|cannot|\\w+n['’]t)";
+
+/**
+ * Phrases that turn a mention of a category into a concern, so that "pricing looks good" is no
+ * objection while "pricing is too high for us" is. A bare negation is no concern: "we don't have
+ * questions on pricing" only declines.
+ */
+const CONCERN = words(
+  'too (high|much|expensive|pricey|steep|costly|long|late|soon|early|busy|risky|complex|slow)',
+  '(over|out of) (our |the )?budget',
+  'no budget',
+  `${NOT} (yet )?(signed off|approved|budgeted|in (the|our) budget|a priority|worth( it)?)`,
+  `${NOT} (sure|convinced) (it|we|this|that|they)`,
+  `${NOT} (afford|justify|commit|fit|move forward|get (it )?approved)`,
+  `${NOT} have (the |any )?(budget|bandwidth|approval|buy[- ]in)`,
+  'concern(s|ed|ing)?',
+  'worr(y|ied|ies|ying)',
+  'hesitant',
+  'hesitation',
+  'blockers?',
+  'deal[- ]?breakers?',
+  'red flags?',
+  'risk(s|y)?',
+  'afraid',
+  'push ?back',
+  'sticking point',
+  '(hard|difficult|tough) to (justify|sell|get)',
+  '(big|real|major|main|biggest) (issue|problem|hurdle)',
+  '(issue|problem)s? with',
+  'unless',
+  'only if',
+  'on hold',
+  'hold off',
+  'not my (call|decision)',
+  'run (it|this) by',
+  'check with',
+  'needs? (to get )?(sign[- ]off|approval|buy[- ]in)',
+  'already (use|using|have|work with)',
+  'shopping around'
+);
+
+/**
+ * A negation within the three words before a concern, as in "no concerns" or "don't see any risk"
+ */
+const NEGATED = new RegExp(`\\b(no|without|${NOT})\\b(\\W+\\w+){0,2}\\W*$`, 'i');
+
+/**
+ * Longest rep response quoted, in characters
+ */
+const MAX_RESPONSE_LENGTH = 280;
+
+/**
+ * What became of the deal or the conversation after an objection: the deal was won or lost, its
+ * stage changed since the call, the customer met the team again, or neither within the calls read
+ */
+export type ObjectionOutcome = 'won' | 'lost' | 'stage_changed' | 'follow_up' | 'no_follow_up';
+
+/**
+ * CRM opportunity of a call, from the `context` of `/v2/calls/extensive`
+ */
+export interface Deal {
+  id: string;
+  name?: string;
+  /**
+   * Stage when the call took place
+   */
+  stageAtCall?: string;
+  /**
+   * Stage now
+   */
+  stage?: string;
+  closed?: boolean;
+  won?: boolean;
+}
+
+/**
+ * First reply of a rep to an objection
+ */
+export interface ObjectionResponse {
+  speaker: string;
+  timestamp: string;
+  /**
+   * Pause between the end of the previous monologue and the reply
+   */
+  pauseMs: number;
+  durationMs: number;
+  askedQuestion: boolean;
+  text: string;
+}
+
+export interface Objection {
+  category: ObjectionCategory;
+  /**
+   * The customer sentence raising the objection
+   */
+  quote: CallMoment;
+  response: ObjectionResponse | null;
+  next: {
+    outcome: ObjectionOutcome;
+    deal?: Deal;
+    /**
+     * Later calls of the same deal, or with the same customers when the call has no deal
+     */
+    followUpCalls: number;
+    nextCall?: { callId: string; callTitle?: string; started: string; url?: string };
+    /**
+     * Whether an objection of the same category came up in one of the later calls
+     */
+    raisedAgain: boolean;
+  };
+}
+
+export interface ObjectionCategoryReport {
+  category: ObjectionCategory;
+  label: string;
+  objections: number;
+  calls: number;
+  /**
+   * Share of the calls read in which the category came up, in percent
+   */
+  callShare: number;
+  responses: {
+    /**
+     * Objections a rep replied to
+     */
+    answered: number;
+    /**
+     * Replies containing a question
+     */
+    askedQuestion: number;
+    averagePauseMs: number | null;
+    averageResponseMs: number | null;
+  };
+  outcomes: Record<ObjectionOutcome, number>;
+  /**
+   * Representative objections, from different calls where possible
+   */
+  examples: Objection[];
+}
+
+export interface ObjectionReport {
+  period: { from: string; to: string };
+  calls: number;
+  callsWithObjections: number;
+  categories: ObjectionCategoryReport[];
+}
+
+/**
+ * An objection found in a transcript, before its aftermath is known
+ */
+interface Detected {
+  call: any;
+  transcript: NormalizedTranscript;
+  category: ObjectionCategory;
+  sentence: TranscriptSentence;
+  response: ObjectionResponse | null;
+}
+
+/**
+ * Finds the objections customers raised in the calls and what followed them
+ *
+ * An objection is a sentence of an External speaker that names a category and voices a concern;
+ * each customer monologue counts at most once per category. The response is the next monologue of
+ * a rep. Later calls are linked to a call by its CRM opportunity, else by shared External email
+ * addresses, so the aftermath is only known within the calls given.
+ *
+ * @param calls Calls from `/v2/calls/extensive`, with parties and Extended context
+ * @param entries Transcript entries of the calls
+ * @returns Objections ordered by call start, then time in the call
+ */
+export function findObjections(calls: any[], entries: any[]): Objection[] {
+  const byId = new Map(calls.map(call => [String(call?.metaData?.id), call]));
+  const detected = normalizeTranscripts(calls, entries).flatMap(transcript =>
+    detect(byId.get(transcript.callId), transcript)
+  );
+
+  const ordered = [...calls].sort((a, b) => started(a) - started(b));
+  const raised = new Map<string, Set<ObjectionCategory>>();
+  for (const objection of detected) {
+    const callId = String(objection.call?.metaData?.id);
+    raised.set(callId, (raised.get(callId) ?? new Set()).add(objection.category));
+  }
+
+  return detected
+    .sort((a, b) => started(a.call) - started(b.call) || a.sentence.start - b.sentence.start)
+    .map(({ call, transcript, category, sentence, response }) => {
+      const deal = callDeal(call);
+      const later = ordered.filter(
+        other => started(other) > started(call) && linked(call, other, deal)
+      );
+      const next = later[0]?.metaData;
+      return {
+        category,
+        quote: callMoment(call, sentence.start, transcript),
+        response,
+        next: {
+          outcome: outcome(deal, later.length),
+          ...(deal ? { deal } : {}),
+          followUpCalls: later.length,
+          ...(next
+            ? {
+                nextCall: {
+                  callId: String(next.id),
+                  ...(next.title ? { callTitle: next.title } : {}),
+                  started: next.started,
+                  ...(next.url ? { url: next.url } : {}),
+                },
+              }
+            : {}),
+          raisedAgain: later.some(other =>
+            raised.get(String(other.metaData?.id))?.has(category)
+          ),
+        },
+      };
+    });
+}
+
+/**
+ * Ranks the objection categories of a period by the number of calls they came up in
+ *
+ * @param calls Calls of the period from `/v2/calls/extensive`, with parties and Extended context
+ * @param entries Transcript entries of the calls
+ * @param options Period the calls were selected from, categories to report (default all) and
+ *   examples per category (default 3)
+ * @returns Report of the categories that came up
+ * @throws ToolError (validation) for unknown categories
+ */
+export function buildObjectionReport(
+  calls: any[],
+  entries: any[],
+  options: {
+    period: { from: string; to: string };
+    categories?: string[];
+    examples?: number;
+  }
+): ObjectionReport {
+  const unknown = (options.categories ?? []).filter(c => !(c in OBJECTION_CATEGORIES));
+  if (unknown.length > 0) {
+    throw new ToolError(
+      'validation',
+      `Unknown objection categories: ${unknown.join(', ')}. ` +
+        `Use ${Object.keys(OBJECTION_CATEGORIES).join(', ')}`,
+      { parameterPath: 'categories' }
+    );
+  }
+  const wanted = new Set(
+    options.categories?.length
+      ? (options.categories as ObjectionCategory[])
+      : (Object.keys(OBJECTION_CATEGORIES) as ObjectionCategory[])
+  );
+  const examples = options.examples ?? 3;
+  const objections = findObjections(calls, entries).filter(o => wanted.has(o.category));
+
+  const categories = [...wanted]
+    .map(category => {
+      const found = objections.filter(o => o.category === category);
+      const replies = found.flatMap(o => (o.response ? [o.response] : []));
+      const callIds = new Set(found.map(o => o.quote.callId));
+      const outcomes: Record<ObjectionOutcome, number> = {
+        won: 0,
+        lost: 0,
+        stage_changed: 0,
+        follow_up: 0,
+        no_follow_up: 0,
+      };
+      for (const o of found) outcomes[o.next.outcome]++;
+      return {
+        category,
+        label: OBJECTION_CATEGORIES[category].label,
+        objections: found.length,
+        calls: callIds.size,
+        callShare: calls.length > 0 ? Math.round((callIds.size * 1000) / calls.length) / 10 : 0,
+        responses: {
+          answered: replies.length,
+          askedQuestion: replies.filter(r => r.askedQuestion).length,
+          averagePauseMs: meanMs(replies.map(r => r.pauseMs)),
+          averageResponseMs: meanMs(replies.map(r => r.durationMs)),
+        },
+        outcomes,
+        examples: representative(found, examples),
+      };
+    })
+    .filter(report => report.objections > 0)
+    .sort(
+      (a, b) => b.calls - a.calls || b.objections - a.objections || a.label.localeCompare(b.label)
+    );
+
+  return {
+    period: options.period,
+    calls: calls.length,
+    callsWithObjections: new Set(objections.map(o => o.quote.callId)).size,
+    categories,
+  };
+}
+
+/**
+ * Reads the CRM opportunity of a call
+ *
+ * With `contextTiming` set to both `Now` and `TimeOfCall`, Gong returns the opportunity once per
+ * timing; objects without a timing are taken as current. Salesforce and HubSpot field names are
+ * recognised.
+ *
+ * @param call Call from `/v2/calls/extensive` with Extended context
+ * @returns The first opportunity of the call, if any
+ */
+export function callDeal(call: any): Deal | undefined {
+  const opportunities = (call?.context ?? [])
+    .flatMap((system: any) => system?.objects ?? [])
+    .filter((o: any) => /^(opportunity|deal)$/i.test(o?.objectType ?? '') && o.objectId);
+  if (opportunities.length === 0) return undefined;
+
+  const id = String(opportunities[0].objectId);
+  const versions = opportunities.filter((o: any) => String(o.objectId) === id);
+  const atCall = versions.find((o: any) => o.timing === 'TimeOfCall');
+  const now = versions.find((o: any) => o.timing !== 'TimeOfCall') ?? atCall;
+  const name = field(now, 'Name', 'dealname');
+  const stage = field(now, 'StageName', 'Stage', 'dealstage');
+  const stageAtCall = field(atCall, 'StageName', 'Stage', 'dealstage');
+  const closed =
+    flag(field(now, 'IsClosed')) ?? (stage && /closed/i.test(stage) ? true : undefined);
+  const won = flag(field(now, 'IsWon')) ?? (stage ? wonStage(stage) : undefined);
+  return {
+    id,
+    ...(name ? { name } : {}),
+    ...(stageAtCall ? { stageAtCall } : {}),
+    ...(stage ? { stage } : {}),
+    ...(closed !== undefined ? { closed } : {}),
+    ...(won !== undefined ? { won } : {}),
+  };
+}
+
+/**
+ * Finds the objections in each customer monologue of a call, with the rep's reply
+ */
+function detect(call: any, transcript: NormalizedTranscript): Detected[] {
+  const spoken = monologues(transcript);
+  return spoken.flatMap((monologue, i) => {
+    if (monologue.affiliation !== 'External') return [];
+    const said = sentencesOf(transcript, monologue);
+    const reply = spoken.findIndex((m, j) => j > i && m.affiliation === 'Internal');
+
+    return (Object.keys(OBJECTION_CATEGORIES) as ObjectionCategory[]).flatMap(category => {
+      const sentence = said.find(
+        s => OBJECTION_CATEGORIES[category].pattern.test(s.text) && voicesConcern(s.text)
+      );
+      if (!sentence) return [];
+      return [
+        {
+          call,
+          transcript,
+          category,
+          sentence,
+          response: reply < 0 ? null : response(transcript, spoken[reply], spoken[reply - 1]),
+        },
+      ];
+    });
+  });
+}
+
+function response(
+  transcript: NormalizedTranscript,
+  monologue: Monologue,
+  previous: Monologue
+): ObjectionResponse {
+  const said = sentencesOf(transcript, monologue);
+  const text = said.map(s => s.text).join(' ');
+  return {
+    speaker: monologue.speaker,
+    timestamp: formatTimestamp(monologue.start),
+    pauseMs: Math.max(0, monologue.start - previous.end),
+    durationMs: monologue.durationMs,
+    askedQuestion: said.some(s => isQuestion(s.text)),
+    text:
+      text.length > MAX_RESPONSE_LENGTH ? `${text.slice(0, MAX_RESPONSE_LENGTH - 1)}…` : text,
+  };
+}
+
+function sentencesOf(transcript: NormalizedTranscript, monologue: Monologue): TranscriptSentence[] {
+  return transcript.sentences.filter(
+    s =>
+      s.speaker === monologue.speaker &&
+      s.start >= monologue.start &&
+      s.end <= monologue.end
+  );
+}
+
+/**
+ * Whether a later call continues the deal, or the conversation with the same customers
+ */
+function linked(call: any, other: any, deal: Deal | undefined): boolean {
+  if (deal) return callDeal(other)?.id === deal.id;
+  const customers = externalEmails(call);
+  return externalEmails(other).some(email => customers.includes(email));
+}
+
+function externalEmails(call: any): string[] {
+  return (call?.parties ?? [])
+    .filter((party: any) => party?.affiliation === 'External' && party.emailAddress)
+    .map((party: any) => party.emailAddress.toLowerCase());
+}
+
+function outcome(deal: Deal | undefined, followUpCalls: number): ObjectionOutcome {
+  if (deal?.closed && deal.won !== undefined) return deal.won ? 'won' : 'lost';
+  if (deal?.stageAtCall && deal.stage && deal.stageAtCall !== deal.stage) return 'stage_changed';
+  return followUpCalls > 0 ? 'follow_up' : 'no_follow_up';
+}
+
+/**
+ * Picks objections from different calls first, preferring the ones a rep answered
+ */
+function representative(objections: Objection[], count: number): Objection[] {
+  const ranked = [...objections].sort(
+    (a, b) =>
+      Number(!!b.response) - Number(!!a.response) ||
+      (b.quote.text?.length ?? 0) - (a.quote.text?.length ?? 0)
+  );
+  const firstPerCall = ranked.filter(
+    (o, i) => ranked.findIndex(other => other.quote.callId === o.quote.callId) === i
+  );
+  return [...firstPerCall, ...ranked.filter(o => !firstPerCall.includes(o))].slice(0, count);
+}
+
+function field(object: any, ...names: string[]): string | undefined {
+  const wanted = names.map(name => name.toLowerCase());
+  const found = (object?.fields ?? []).find(
+    (f: any) => wanted.includes(String(f?.name).toLowerCase()) && f.value != null && f.value !== ''
+  );
+  return found ? String(found.value) : undefined;
+}
+
+function flag(value: string | undefined): boolean | undefined {
+  return value === undefined ? undefined : value.toLowerCase() === 'true';
+}
+
+function wonStage(stage: string): boolean | undefined {
+  if (/closed\s*won|closedwon/i.test(stage)) return true;
+  if (/closed\s*lost|closedlost/i.test(stage)) return false;
+  return undefined;
+}
+
+/**
+ * Case-insensitive pattern matching any of the alternatives as whole words
+ */
+/**
+ * Whether a sentence voices a concern that is not itself negated
+ */
+function voicesConcern(text: string): boolean {
+  return [...text.matchAll(new RegExp(CONCERN.source, 'gi'))].some(
+    match => !NEGATED.test(text.slice(0, match.index))
+  );
+}
+
+function words(...alternatives: string[]): RegExp {
+  return new RegExp(`\\b(${alternatives.join('|')})\\b`, 'i');
+}
+
+function started(call: any): number {
+  return Date.parse(call?.metaData?.started) || 0;
+}
+
+function meanMs(values: number[]): number | null {
+  return values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+}
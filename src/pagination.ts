@@ -0,0 +1,349 @@
+import { createHash } from 'crypto';
+import { ToolError } from './errors.js';
+
+/**
+ * Limits applied when a tool call auto-paginates through a Gong cursor
+ */
+export interface PaginationLimits {
+  maxPages: number;
+  maxRecords: number;
+  maxBytes: number;
+}
+
+/**
+ * Why an auto-paginated crawl stopped
+ */
+export type PaginationStopReason =
+  | 'complete'
+  | 'notPaginated'
+  | 'maxPages'
+  | 'maxRecords'
+  | 'maxBytes'
+  | 'cancelled';
+
+/**
+ * Pagination metadata attached to auto-paginated results as `_paginationInfo`
+ */
+export interface PaginationInfo {
+  hasMorePages: boolean;
+  totalPages: number;
+  currentPage: number;
+  recordsFetched: number;
+  totalRecords?: number;
+  bytesFetched: number;
+  stopReason: PaginationStopReason;
+  resumeCursor: string | null;
+  limits: PaginationLimits;
+}
+
+/**
+ * Default caps, chosen to keep a single tool result well under typical MCP client message limits
+ */
+export const DEFAULT_PAGINATION_LIMITS: PaginationLimits = {
+  maxPages: 20,
+  maxRecords: 2000,
+  maxBytes: 1_000_000,
+};
+
+/**
+ * Schemas for the auto-pagination options injected on cursor-bearing operations
+ */
+export const PAGINATION_PROPERTIES: Record<string, any> = {
+  paginate: {
+    type: 'boolean',
+    description: 'Whether to automatically fetch all pages',
+  },
+  maxPages: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Stop auto-pagination after this many pages and return a resumeCursor',
+  },
+  maxRecords: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Stop auto-pagination before exceeding this many records and return a resumeCursor',
+  },
+  maxBytes: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Stop auto-pagination before the combined pages exceed this many bytes of JSON',
+  },
+};
+
+/**
+ * Array properties that hold the records of a Gong list response, in order of preference
+ */
+const RECORD_ARRAY_KEYS = ['calls', 'callTranscripts', 'transcripts', 'users', 'records', 'results'];
+
+/**
+ * Resolves the effective pagination limits from tool arguments, environment and defaults
+ *
+ * @param args Tool arguments that may contain maxPages, maxRecords or maxBytes
+ * @param env Environment providing the GONG_PAGINATE_MAX_* defaults
+ * @returns Resolved limits
+ */
+export function resolvePaginationLimits(
+  args: Record<string, any>,
+  env: NodeJS.ProcessEnv = process.env
+): PaginationLimits {
+  return {
+    maxPages:
+      positiveInt(args.maxPages) ??
+      positiveInt(env.GONG_PAGINATE_MAX_PAGES) ??
+      DEFAULT_PAGINATION_LIMITS.maxPages,
+    maxRecords:
+      positiveInt(args.maxRecords) ??
+      positiveInt(env.GONG_PAGINATE_MAX_RECORDS) ??
+      DEFAULT_PAGINATION_LIMITS.maxRecords,
+    maxBytes:
+      positiveInt(args.maxBytes) ??
+      positiveInt(env.GONG_PAGINATE_MAX_BYTES) ??
+      DEFAULT_PAGINATION_LIMITS.maxBytes,
+  };
+}
+
+/**
+ * Extracts the cursor for the next page from a Gong response
+ *
+ * Gong returns it as `records.cursor`; older wrappers used `nextPageCursor`.
+ *
+ * @param data Response body
+ * @returns Next cursor, or null on the last page
+ */
+export function extractNextCursor(data: any): string | null {
+  return (
+    data?.records?.cursor ||
+    data?.records?.nextPageCursor ||
+    data?.nextPageCursor ||
+    data?.cursor ||
+    null
+  );
+}
+
+/**
+ * Finds the property of a response body that holds the page's records
+ *
+ * @param data Response body
+ * @returns Property name, or null if the body has no record array
+ */
+export function findRecordArrayKey(data: any): string | null {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  for (const key of RECORD_ARRAY_KEYS) {
+    if (Array.isArray(data[key])) return key;
+  }
+  // Stats and settings endpoints use endpoint-specific names such as usersAggregateActivityStats
+  return Object.keys(data).find(key => Array.isArray(data[key])) ?? null;
+}
+
+/**
+ * Accumulates Gong pages into a single result while enforcing pagination limits
+ *
+ * A page that would push the result past maxRecords or maxBytes is rejected rather than
+ * truncated, so the cursor that fetched it can be handed back as an exact resume point.
+ * The first page is always accepted so that a call never returns nothing.
+ */
+export class PageAccumulator {
+  private result: any = null;
+  private recordKey: string | null = null;
+  private pages = 0;
+  private records = 0;
+  private bytes = 0;
+  private totalRecords?: number;
+
+  constructor(private readonly limits: PaginationLimits) {}
+
+  /**
+   * Adds a page to the accumulated result
+   *
+   * @param data Response body of the page
+   * @returns The limit that rejected the page, or null if it was accepted
+   */
+  add(data: any): PaginationStopReason | null {
+    const pageBytes = Buffer.byteLength(JSON.stringify(data ?? null));
+    const pageRecords = this.countRecords(data);
+
+    if (this.pages > 0) {
+      if (this.records + pageRecords > this.limits.maxRecords) return 'maxRecords';
+      if (this.bytes + pageBytes > this.limits.maxBytes) return 'maxBytes';
+    }
+
+    this.merge(data);
+    this.pages++;
+    this.records += pageRecords;
+    this.bytes += pageBytes;
+    if (typeof data?.records?.totalRecords === 'number') {
+      this.totalRecords = data.records.totalRecords;
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether the accumulated result has reached a limit, so no further page should be fetched
+   *
+   * @returns The limit that was reached, or null
+   */
+  limitReached(): PaginationStopReason | null {
+    if (this.pages >= this.limits.maxPages) return 'maxPages';
+    if (this.records >= this.limits.maxRecords) return 'maxRecords';
+    if (this.bytes >= this.limits.maxBytes) return 'maxBytes';
+    return null;
+  }
+
+  get pageCount(): number {
+    return this.pages;
+  }
+
+  get recordCount(): number {
+    return this.records;
+  }
+
+  get totalRecordCount(): number | undefined {
+    return this.totalRecords;
+  }
+
+  /**
+   * Returns the accumulated result with `_paginationInfo` attached
+   *
+   * @param stopReason Why the crawl stopped
+   * @param resumeCursor Cursor to continue from, or null when every page was fetched
+   */
+  finish(stopReason: PaginationStopReason, resumeCursor: string | null): any {
+    const info: PaginationInfo = {
+      hasMorePages: !!resumeCursor,
+      totalPages: this.pages,
+      currentPage: this.pages,
+      recordsFetched: this.records,
+      totalRecords: this.totalRecords,
+      bytesFetched: this.bytes,
+      stopReason,
+      resumeCursor,
+      limits: this.limits,
+    };
+
+    if (Array.isArray(this.result)) {
+      return { records: this.result, _paginationInfo: info };
+    }
+    const result = this.result ?? {};
+    // The accumulated body spans several pages, so the first page's cursor no longer applies
+    if (result.records && !Array.isArray(result.records)) {
+      result.records = { ...result.records, cursor: resumeCursor ?? undefined };
+    }
+    result._paginationInfo = info;
+    return result;
+  }
+
+  private countRecords(data: any): number {
+    if (Array.isArray(data)) return data.length;
+    const key = findRecordArrayKey(data);
+    return key ? data[key].length : 0;
+  }
+
+  private merge(data: any): void {
+    if (this.result === null) {
+      this.result = Array.isArray(data) ? [...data] : { ...data };
+      this.recordKey = findRecordArrayKey(data);
+      return;
+    }
+
+    if (Array.isArray(this.result) && Array.isArray(data)) {
+      this.result.push(...data);
+    } else if (this.recordKey && Array.isArray(data?.[this.recordKey])) {
+      this.result[this.recordKey] = this.result[this.recordKey].concat(data[this.recordKey]);
+    } else {
+      // For other structures, keep each additional page as-is
+      this.result.additionalPages = this.result.additionalPages || [];
+      this.result.additionalPages.push(data);
+    }
+  }
+}
+
+/**
+ * Where the next page of an analyzer's calls starts, encoded in its continuation token
+ */
+export interface ContinuationState {
+  /**
+   * `store` for pages of the local call store, `gong` for pages walked through Gong cursors
+   */
+  source: 'store' | 'gong';
+  /**
+   * Gong cursor of the Gong page holding the next call, null for the first Gong page
+   */
+  cursor: string | null;
+  /**
+   * Calls of that Gong page (or of the stored calls) already returned
+   */
+  offset: number;
+  /**
+   * Fingerprint of the filters the token was issued for
+   */
+  filters: string;
+}
+
+/**
+ * Encodes a continuation as an opaque token
+ *
+ * @param state Where the next page starts
+ * @returns URL-safe token
+ */
+export function encodeContinuation(state: ContinuationState): string {
+  return `v1.${Buffer.from(JSON.stringify(state)).toString('base64url')}`;
+}
+
+/**
+ * Decodes a continuation token, checking that it was issued for the same filters
+ *
+ * @param token Token from encodeContinuation
+ * @param filters Fingerprint of the current request's filters
+ * @param parameterPath Argument that carried the token, for the error
+ * @returns Where the next page starts
+ * @throws ToolError (validation) for malformed tokens and tokens of other filters
+ */
+export function decodeContinuation(
+  token: string,
+  filters: string,
+  parameterPath = 'cursor'
+): ContinuationState {
+  let state: ContinuationState | undefined;
+  if (token.startsWith('v1.')) {
+    try {
+      state = JSON.parse(Buffer.from(token.slice(3), 'base64url').toString('utf8'));
+    } catch {
+      state = undefined;
+    }
+  }
+  const valid =
+    state &&
+    (state.source === 'store' || state.source === 'gong') &&
+    (state.cursor === null || typeof state.cursor === 'string') &&
+    Number.isInteger(state.offset) &&
+    state.offset >= 0;
+  if (!valid) {
+    throw new ToolError('validation', 'Invalid continuation token', { parameterPath });
+  }
+  if (state!.filters !== filters) {
+    throw new ToolError(
+      'validation',
+      'The continuation token belongs to a different query or filter; start again without it',
+      { parameterPath }
+    );
+  }
+  return state!;
+}
+
+/**
+ * Short stable hash of a JSON value, to tie continuation tokens to the filters they page through
+ *
+ * @param value Filters
+ * @returns Fingerprint
+ */
+export function fingerprint(value: unknown): string {
+  return createHash('sha256').update(JSON.stringify(value)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Parses a positive integer from a tool argument or environment variable
+ */
+function positiveInt(value: unknown): number | undefined {
+  const parsed = typeof value === 'number' ? value : parseInt(String(value ?? ''), 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined;
+}
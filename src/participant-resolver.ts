@@ -0,0 +1,335 @@
+import type { AxiosInstance } from 'axios';
+import { ToolError } from './errors.js';
+import { extractNextCursor } from './pagination.js';
+import { tokenize } from './transcript-index.js';
+import type { CallStore } from './call-store.js';
+
+/**
+ * Someone a query can name: a Gong user or an external participant seen in stored calls
+ */
+export interface Person {
+  name: string;
+  email?: string;
+  userId?: string;
+  title?: string;
+  affiliation: 'Internal' | 'External';
+}
+
+/**
+ * A name in the query and the person it resolved to
+ */
+export interface ParticipantMatch {
+  mention: string;
+  person: Person;
+  /**
+   * 1 for an exact full name, lower for a first or last name and for near misses
+   */
+  score: number;
+}
+
+/**
+ * A name in the query that fits several people equally well
+ */
+export interface AmbiguousMention {
+  mention: string;
+  candidates: Person[];
+}
+
+/**
+ * People named in a query, as call filters
+ */
+export interface ParticipantResolution {
+  matches: ParticipantMatch[];
+  ambiguous: AmbiguousMention[];
+  /**
+   * `/v2/calls/extensive` filter fields selecting calls with any of the matched people
+   */
+  filter: { participantsEmails?: string[]; primaryUserIds?: string[] };
+}
+
+/**
+ * How long a loaded directory is used before the users are fetched again
+ */
+export const DIRECTORY_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Words that are never taken for a first or last name on their own, so that "will", "may" or
+ * "sales" in a query do not select people; a full name still matches
+ */
+const NOT_NAMES = new Set([
+  ...'a about after all also an and any are as ask asked at be been before but by call'.split(' '),
+  ...'calls can close customer customers day deal deals did do does during each for'.split(' '),
+  ...'from get give had has have how i in is it its last like many march may me meeting'.split(' '),
+  ...'meetings mention mentioned more most much my new next not of on or our over per'.split(' '),
+  ...'pricing prospect prospects questions rep reps sale sales say said should show so'.split(' '),
+  ...'team than that the their them there they this to top us was we week were what'.split(' '),
+  ...'when where which who why will with would year you your'.split(' '),
+]);
+
+const SCORE_FULL_NAME = 1;
+const SCORE_FULL_NAME_FUZZY = 0.9;
+const SCORE_PART = 0.8;
+const SCORE_PART_FUZZY = 0.6;
+
+/**
+ * Gong users and external call participants, searchable by name
+ */
+export class ParticipantDirectory {
+  private readonly entries: { person: Person; tokens: string[] }[];
+
+  /**
+   * @param people People to resolve against; entries without an email or user ID are ignored
+   *   because no call filter can select them
+   * @param loadedAt When the people were fetched
+   */
+  constructor(
+    people: Person[],
+    readonly loadedAt: number = Date.now()
+  ) {
+    this.entries = people
+      .filter(person => person.email || person.userId)
+      .map(person => ({ person, tokens: tokenize(person.name) }))
+      .filter(entry => entry.tokens.length > 0);
+  }
+
+  /**
+   * Builds a directory from `/v2/users` users and the parties of `/v2/calls/extensive` calls
+   *
+   * Users come first; a party is added only if no user or earlier party has the same email.
+   *
+   * @param users Gong users
+   * @param calls Calls whose external parties should be resolvable
+   * @returns Directory
+   */
+  static fromSources(users: any[], calls: any[] = []): ParticipantDirectory {
+    const people = new Map<string, Person>();
+    const add = (person: Person) => {
+      const key = person.email?.toLowerCase() ?? `user:${person.userId}`;
+      if (!people.has(key)) people.set(key, person);
+    };
+
+    for (const user of users) {
+      const name = user.name || [user.firstName, user.lastName].filter(Boolean).join(' ');
+      const email = user.emailAddress ?? user.email;
+      add({
+        name,
+        ...(email ? { email } : {}),
+        ...(user.id ? { userId: String(user.id) } : {}),
+        ...(user.title ? { title: user.title } : {}),
+        affiliation: 'Internal',
+      });
+    }
+    for (const call of calls) {
+      for (const party of call?.parties ?? []) {
+        if (!party.name || !party.emailAddress) continue;
+        add({
+          name: party.name,
+          email: party.emailAddress,
+          ...(party.userId ? { userId: String(party.userId) } : {}),
+          ...(party.title ? { title: party.title } : {}),
+          affiliation: party.affiliation === 'Internal' ? 'Internal' : 'External',
+        });
+      }
+    }
+    return new ParticipantDirectory([...people.values()]);
+  }
+
+  /**
+   * Fetches every Gong user and, with a store, the parties of the stored calls
+   *
+   * @param client Gong client of the account
+   * @param store Account's call store, if any
+   * @returns Directory
+   */
+  static async load(
+    client: AxiosInstance,
+    store?: CallStore | null
+  ): Promise<ParticipantDirectory> {
+    const users: any[] = [];
+    let cursor: string | null = null;
+    do {
+      const response: { data: any } = await client.get('/v2/users', {
+        params: cursor ? { cursor } : undefined,
+      });
+      users.push(...(response.data?.users ?? []));
+      cursor = extractNextCursor(response.data);
+    } while (cursor);
+
+    const calls = store?.readState()
+      ? store.listCalls({
+          fromDateTime: new Date(0).toISOString(),
+          toDateTime: new Date().toISOString(),
+        })
+      : [];
+    return ParticipantDirectory.fromSources(users, calls);
+  }
+
+  get size(): number {
+    return this.entries.length;
+  }
+
+  /**
+   * Lists the people whose job title matches a pattern
+   *
+   * @param pattern Title pattern
+   * @returns Matching people
+   */
+  withTitle(pattern: RegExp): Person[] {
+    return this.entries
+      .map(entry => entry.person)
+      .filter(person => person.title && pattern.test(person.title));
+  }
+
+  /**
+   * Lists the email domains of external participants, such as `globex.com`
+   *
+   * @returns Lower-case domains
+   */
+  externalDomains(): string[] {
+    const domains = this.entries
+      .filter(entry => entry.person.affiliation === 'External' && entry.person.email)
+      .map(entry => entry.person.email!.split('@')[1]?.toLowerCase())
+      .filter((domain): domain is string => !!domain);
+    return [...new Set(domains)];
+  }
+
+  /**
+   * Whether the directory is older than DIRECTORY_TTL_MS
+   *
+   * @param now Current time in milliseconds
+   */
+  isStale(now: number = Date.now()): boolean {
+    return now - this.loadedAt > DIRECTORY_TTL_MS;
+  }
+
+  /**
+   * Finds the people named in a query
+   *
+   * A full name ("Priya Shah") is preferred over a first or last name ("Priya"), and exact
+   * spellings over near misses ("Pryia"). Several people fitting a name equally well make it
+   * ambiguous rather than picking one.
+   *
+   * @param query Natural language query
+   * @returns Matched people, ambiguous names and the call filter for the matches
+   */
+  resolve(query: string): ParticipantResolution {
+    const words = tokenize(query);
+    const matches: ParticipantMatch[] = [];
+    const ambiguous: AmbiguousMention[] = [];
+
+    for (let i = 0; i < words.length; ) {
+      let best: { score: number; length: number; people: Person[] } = {
+        score: 0,
+        length: 1,
+        people: [],
+      };
+      for (const { person, tokens } of this.entries) {
+        const found = matchAt(words, i, tokens);
+        if (!found) continue;
+        const tie = found.score === best.score;
+        if (found.score > best.score || (tie && found.length > best.length)) {
+          best = { ...found, people: [person] };
+        } else if (tie && found.length === best.length) {
+          best.people.push(person);
+        }
+      }
+
+      if (best.people.length === 0) {
+        i++;
+        continue;
+      }
+      const mention = words.slice(i, i + best.length).join(' ');
+      if (best.people.length === 1) {
+        matches.push({ mention, person: best.people[0], score: best.score });
+      } else {
+        ambiguous.push({ mention, candidates: best.people });
+      }
+      i += best.length;
+    }
+
+    const people = [...new Set(matches.map(match => match.person))];
+    const emails = people.flatMap(person => (person.email ? [person.email] : []));
+    // Users without an email can still be selected as call hosts
+    const userIds = people.flatMap(person =>
+      person.email || !person.userId ? [] : [person.userId]
+    );
+    return {
+      matches,
+      ambiguous,
+      filter: {
+        ...(emails.length ? { participantsEmails: emails } : {}),
+        ...(userIds.length ? { primaryUserIds: userIds } : {}),
+      },
+    };
+  }
+}
+
+/**
+ * Rejects a resolution with ambiguous names, listing the candidates so the caller can pick one
+ *
+ * @param resolution Result of ParticipantDirectory.resolve, or a query plan
+ * @throws ToolError (validation) naming the candidates of every ambiguous name
+ */
+export function requireUnambiguous(resolution: Pick<ParticipantResolution, 'ambiguous'>): void {
+  if (resolution.ambiguous.length === 0) return;
+  const described = resolution.ambiguous.map(({ mention, candidates }) => {
+    const names = candidates.map(c => `${c.name}${c.email ? ` <${c.email}>` : ''}`).join(', ');
+    return `"${mention}" matches ${names}`;
+  });
+  throw new ToolError(
+    'validation',
+    `${described.join('; ')}. Use a full name or pass participant emails.`,
+    { parameterPath: 'query' }
+  );
+}
+
+function matchAt(
+  words: string[],
+  start: number,
+  tokens: string[]
+): { score: number; length: number } | null {
+  if (tokens.length > 1 && start + tokens.length <= words.length) {
+    const window = words.slice(start, start + tokens.length);
+    if (window.every((word, i) => word === tokens[i])) {
+      return { score: SCORE_FULL_NAME, length: tokens.length };
+    }
+    if (window.every((word, i) => word === tokens[i] || isNearMiss(word, tokens[i]))) {
+      return { score: SCORE_FULL_NAME_FUZZY, length: tokens.length };
+    }
+  }
+
+  const word = words[start];
+  if (NOT_NAMES.has(word)) return null;
+  const parts = [tokens[0], tokens[tokens.length - 1]];
+  if (parts.includes(word)) return { score: SCORE_PART, length: 1 };
+  if (parts.some(part => isNearMiss(word, part))) return { score: SCORE_PART_FUZZY, length: 1 };
+  return null;
+}
+
+/**
+ * Whether two words differ by a typo: one edit for words of five letters or more, two from eight
+ */
+function isNearMiss(a: string, b: string): boolean {
+  const length = Math.min(a.length, b.length);
+  if (length < 5) return false;
+  return editDistance(a, b) <= (length >= 8 ? 2 : 1);
+}
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and transpositions
+ */
+function editDistance(a: string, b: string): number {
+  const d = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
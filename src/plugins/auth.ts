@@ -1,20 +1,19 @@
-import axios from "axios";
+import { loadAccountRegistry } from "../accounts.js";
 
-// Ensure required environment variables are set
-if (!process.env.GONG_ACCESS_KEY || !process.env.GONG_SECRET) {
+// Credential profiles from GONG_ACCOUNTS_FILE, or GONG_ACCESS_KEY/GONG_SECRET
+const accounts = loadAccountRegistry();
+
+// Ensure the default account has credentials
+const defaultAccount = accounts.resolve();
+if (!defaultAccount.accessKey || !defaultAccount.secret) {
   console.error(
-    "Error: GONG_ACCESS_KEY or GONG_SECRET environment variables are not set."
+    `Error: no Gong credentials for account "${defaultAccount.name}". Set GONG_ACCESS_KEY and GONG_SECRET or configure GONG_ACCOUNTS_FILE.`
   );
   process.exit(1); // Exit if credentials are missing
 }
 
-// Create axios client with Basic Auth
-const client = axios.create({
-  baseURL: "https://api.gong.io",
-  auth: {
-    username: process.env.GONG_ACCESS_KEY,
-    password: process.env.GONG_SECRET
-  }
-});
+// Gong client for the default account with Basic Auth, rate limiting and retries
+const client = accounts.client();
 
-export default client; 
\ No newline at end of file
+export { accounts };
+export default client; 
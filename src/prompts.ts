@@ -0,0 +1,310 @@
+import {
+  ErrorCode,
+  McpError,
+  type GetPromptResult,
+  type Prompt,
+  type PromptArgument,
+} from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * A parameterized prompt template for a common Gong workflow
+ */
+interface PromptTemplate {
+  name: string;
+  description: string;
+  arguments: PromptArgument[];
+  /**
+   * Builds the instructions, including the tool calls to make with their arguments filled in
+   */
+  render(args: Record<string, string>, now: Date): string;
+}
+
+const GONG_ACCOUNT_ARGUMENT: PromptArgument = {
+  name: 'gongAccount',
+  description: 'Gong account (credential profile) to query; the default account if omitted',
+};
+
+const DATE_ARGUMENTS: PromptArgument[] = [
+  { name: 'fromDate', description: 'Start of the date range (YYYY-MM-DD)' },
+  { name: 'toDate', description: 'End of the date range (YYYY-MM-DD); today if omitted' },
+];
+
+/**
+ * Prompt templates advertised through `prompts/list`
+ */
+const PROMPT_TEMPLATES: PromptTemplate[] = [
+  {
+    name: 'deal-prep',
+    description: 'Prepare for the next call with an account from its recent calls and Gong brief',
+    arguments: [
+      { name: 'account', description: 'Customer account name, e.g. "Acme"', required: true },
+      { name: 'repEmail', description: 'Email of the rep who owns the account' },
+      { name: 'crmAccountId', description: 'CRM account ID, to include the Gong account brief' },
+      { name: 'workspaceId', description: 'Gong workspace ID, required for the account brief' },
+      ...DATE_ARGUMENTS,
+      GONG_ACCOUNT_ARGUMENT,
+    ],
+    render: (args, now) => {
+      const range = dateRange(args, 90, now);
+      const steps = [
+        `Find recent calls with ${args.account}:\n${toolCall(
+          'postv2callsextensive',
+          {
+            requestBody: { filter: callFilter(range, args.repEmail) },
+            format: 'compact',
+            paginate: true,
+            maxRecords: 500,
+          },
+          args
+        )}\nKeep the calls whose title or external participants match "${args.account}".`,
+        'Read the transcripts of the three most recent matching calls through the ' +
+          '`gong://calls/{id}/transcript` resources, or with `postv2callstranscript` and ' +
+          '`{"requestBody": {"filter": {"callIds": [...]}}}`.',
+      ];
+      if (args.crmAccountId && args.workspaceId) {
+        steps.push(
+          `Get Gong's account brief:\n${toolCall(
+            'getv2askanythinggeneratebrief',
+            {
+              'workspace-id': args.workspaceId,
+              'brief-name': `Deal prep: ${args.account}`,
+              'entity-type': 'Account',
+              'crm-entity-id': args.crmAccountId,
+              'period-type': 'CUSTOM_RANGE',
+              'from-date-time': range.fromDateTime,
+              'to-date-time': range.toDateTime,
+            },
+            args
+          )}`
+        );
+      }
+      return [
+        `Prepare me for my next call with ${args.account}.`,
+        numbered(steps),
+        'Then give me: where the deal stands, the stakeholders and what each cares about, ' +
+          'open questions and risks, commitments we made, and a suggested agenda with three ' +
+          'questions to ask. Cite call titles and dates for every claim.',
+      ].join('\n\n');
+    },
+  },
+  {
+    name: 'call-recap',
+    description: 'Summarize a call with decisions, action items and a follow-up email draft',
+    arguments: [
+      { name: 'callId', description: 'Gong call ID', required: true },
+      GONG_ACCOUNT_ARGUMENT,
+    ],
+    render: args =>
+      [
+        `Recap Gong call ${args.callId}.`,
+        numbered([
+          `Get the call:\n${toolCall('getv2callsbyid', { id: args.callId }, args)}`,
+          `Get the transcript:\n${toolCall(
+            'postv2callstranscript',
+            { requestBody: { filter: { callIds: [args.callId] } } },
+            args
+          )}`,
+        ]),
+        'Then write: a five-sentence summary, decisions made, action items with owners and ' +
+          'due dates, open questions, and a short follow-up email to the customer.',
+      ].join('\n\n'),
+  },
+  {
+    name: 'objection-review',
+    description: 'Summarize the objections raised in a set of calls and how reps handled them',
+    arguments: [
+      {
+        name: 'callType',
+        description: 'Word the call titles contain, e.g. "discovery" or "demo"',
+      },
+      { name: 'repEmail', description: 'Only calls with this rep' },
+      ...DATE_ARGUMENTS,
+      GONG_ACCOUNT_ARGUMENT,
+    ],
+    render: (args, now) => {
+      const range = dateRange(args, 7, now);
+      const scope = args.callType ? `${args.callType} calls` : 'calls';
+      return [
+        `Review the objections raised in ${scope} between ${range.fromDate} and ${range.toDate}.`,
+        numbered([
+          `List the calls:\n${toolCall(
+            'postv2callsextensive',
+            {
+              requestBody: { filter: callFilter(range, args.repEmail) },
+              format: 'compact',
+              paginate: true,
+            },
+            args
+          )}${args.callType ? `\nKeep the calls whose title contains "${args.callType}".` : ''}`,
+          'Fetch their transcripts with `postv2callstranscript`, at most 20 call IDs per request.',
+        ]),
+        'Group the objections into pricing, timing, competition, security and authority (or ' +
+          'other). For each group give how often it came up, two or three verbatim quotes with ' +
+          'call title and timestamp, how the reps responded, and which responses moved the ' +
+          'conversation forward.',
+      ].join('\n\n');
+    },
+  },
+  {
+    name: 'coaching-feedback',
+    description: 'Give a rep coaching feedback based on their recent calls',
+    arguments: [
+      { name: 'repEmail', description: 'Email of the rep to coach', required: true },
+      ...DATE_ARGUMENTS,
+      GONG_ACCOUNT_ARGUMENT,
+    ],
+    render: (args, now) => {
+      const range = dateRange(args, 30, now);
+      return [
+        `Coach ${args.repEmail} based on their calls between ${range.fromDate} and ${range.toDate}.`,
+        numbered([
+          `List the calls with their interaction stats:\n${toolCall(
+            'postv2callsextensive',
+            {
+              requestBody: {
+                filter: callFilter(range, args.repEmail),
+                contentSelector: {
+                  exposedFields: {
+                    parties: true,
+                    interaction: { speakers: true, questions: true, interactionStats: true },
+                  },
+                },
+              },
+              format: 'full',
+              fields: ['metaData', 'parties', 'interaction'],
+              paginate: true,
+            },
+            args
+          )}`,
+          'Read the transcripts of the five longest calls with `postv2callstranscript`.',
+        ]),
+        'Assess talk ratio, questions asked, longest monologues, listening and next steps. ' +
+          'Give three strengths and three concrete improvements, each backed by a quote with ' +
+          'call title and timestamp, and one exercise for the next week.',
+      ].join('\n\n');
+    },
+  },
+  {
+    name: 'competitive-mentions',
+    description: 'Find where competitors came up in calls and how the conversation went',
+    arguments: [
+      {
+        name: 'competitors',
+        description: 'Comma-separated competitor names',
+        required: true,
+      },
+      ...DATE_ARGUMENTS,
+      GONG_ACCOUNT_ARGUMENT,
+    ],
+    render: (args, now) => {
+      const range = dateRange(args, 30, now);
+      const competitors = args.competitors
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+      return [
+        `Find mentions of ${competitors.join(', ')} in calls between ${range.fromDate} and ${range.toDate}.`,
+        numbered([
+          `List the calls with their trackers:\n${toolCall(
+            'postv2callsextensive',
+            {
+              requestBody: {
+                filter: callFilter(range),
+                contentSelector: { exposedFields: { content: { trackers: true } } },
+              },
+              format: 'full',
+              fields: ['metaData.id', 'metaData.title', 'metaData.started', 'content.trackers'],
+              paginate: true,
+            },
+            args
+          )}\nPrefer calls whose competitor trackers fired.`,
+          'Fetch their transcripts with `postv2callstranscript` and look for each competitor by name.',
+        ]),
+        'For each competitor report: how many calls mentioned it, in what context (evaluation, ' +
+          'incumbent, pricing comparison), what the customer said with quotes, how our reps ' +
+          'responded, and deals where it poses a risk.',
+      ].join('\n\n');
+    },
+  },
+];
+
+/**
+ * Lists the prompt templates
+ *
+ * @returns Prompts for `prompts/list`
+ */
+export function listPrompts(): Prompt[] {
+  return PROMPT_TEMPLATES.map(({ name, description, arguments: args }) => ({
+    name,
+    description,
+    arguments: args,
+  }));
+}
+
+/**
+ * Renders a prompt template with the client's arguments
+ *
+ * @param name Prompt name
+ * @param args Prompt arguments
+ * @param now Current time, used for default date ranges
+ * @returns Messages for `prompts/get`
+ */
+export function getPrompt(
+  name: string,
+  args: Record<string, string> = {},
+  now: Date = new Date()
+): GetPromptResult {
+  const template = PROMPT_TEMPLATES.find(t => t.name === name);
+  if (!template) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+  const missing = template.arguments.filter(a => a.required && !args[a.name]?.trim());
+  if (missing.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Missing required argument(s) for prompt ${name}: ${missing.map(a => a.name).join(', ')}`
+    );
+  }
+  return {
+    description: template.description,
+    messages: [{ role: 'user', content: { type: 'text', text: template.render(args, now) } }],
+  };
+}
+
+/**
+ * Formats a tool call with its arguments, adding the Gong account if one was chosen
+ */
+function toolCall(tool: string, toolArgs: Record<string, any>, promptArgs: Record<string, string>) {
+  const withAccount = promptArgs.gongAccount ? { ...toolArgs, account: promptArgs.gongAccount } : toolArgs;
+  return `Call \`${tool}\` with:\n\`\`\`json\n${JSON.stringify(withAccount, null, 2)}\n\`\`\``;
+}
+
+/**
+ * Resolves the prompt's date range, defaulting to the last `defaultDays` days
+ */
+function dateRange(args: Record<string, string>, defaultDays: number, now: Date) {
+  const toDate = args.toDate || now.toISOString().slice(0, 10);
+  const fromDate =
+    args.fromDate ||
+    new Date(Date.parse(`${toDate}T00:00:00Z`) - defaultDays * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+  return {
+    fromDate,
+    toDate,
+    fromDateTime: `${fromDate}T00:00:00Z`,
+    toDateTime: `${toDate}T23:59:59Z`,
+  };
+}
+
+function callFilter(range: ReturnType<typeof dateRange>, repEmail?: string) {
+  return {
+    fromDateTime: range.fromDateTime,
+    toDateTime: range.toDateTime,
+    ...(repEmail ? { participantsEmails: [repEmail] } : {}),
+  };
+}
+
+function numbered(steps: string[]): string {
+  return steps.map((step, i) => `${i + 1}. ${step}`).join('\n\n');
+}
@@ -0,0 +1,483 @@
+import { tokenize } from './transcript-index.js';
+import type { AmbiguousMention, ParticipantDirectory, Person } from './participant-resolver.js';
+
+/**
+ * Date range of a plan and where it came from
+ */
+export interface PlannedTimeRange {
+  fromDateTime: string;
+  toDateTime: string;
+  /**
+   * `request` for an explicit range, `query` for a date phrase in the question, else `default`
+   */
+  source: 'request' | 'query' | 'default';
+  /**
+   * The date phrase found in the question
+   */
+  phrase?: string;
+}
+
+/**
+ * Person a plan filters by
+ */
+export interface PlannedParticipant extends Person {
+  /**
+   * How the question named them; absent for explicit emails and role members
+   */
+  mention?: string;
+}
+
+/**
+ * What a question asks for, as Gong filters plus what to do with the calls found
+ */
+export interface QueryPlan {
+  query: string;
+  timeRange: PlannedTimeRange;
+  participants: PlannedParticipant[];
+  /**
+   * Names that fit several people; the plan cannot run until they are disambiguated
+   */
+  ambiguous: AmbiguousMention[];
+  /**
+   * Roles named in the question, such as `Account Executive`
+   */
+  roles: string[];
+  /**
+   * Customer accounts, matched against participant email domains and call titles
+   */
+  accounts: string[];
+  /**
+   * Call types, matched against call titles
+   */
+  callTypes: string[];
+  topics: string[];
+  /**
+   * Whether answering needs transcripts rather than call metadata alone
+   */
+  needsTranscripts: boolean;
+  /**
+   * Filter for `/v2/calls/extensive`
+   */
+  filter: {
+    fromDateTime: string;
+    toDateTime: string;
+    participantsEmails?: string[];
+    primaryUserIds?: string[];
+  };
+  /**
+   * The Gong requests the plan runs, in order
+   */
+  steps: string[];
+}
+
+/**
+ * Inputs of planning besides the question
+ */
+export interface PlanOptions {
+  /**
+   * Reference time for relative dates (default now)
+   */
+  now?: Date;
+  /**
+   * Explicit range, which wins over dates in the question
+   */
+  timeRange?: { start?: string; end?: string };
+  /**
+   * Explicit participant emails, which win over people named in the question
+   */
+  participants?: string[];
+  /**
+   * Users and participants to resolve names and roles against
+   */
+  directory?: ParticipantDirectory;
+}
+
+const DEFAULT_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = [
+  'january',
+  'february',
+  'march',
+  'april',
+  'may',
+  'june',
+  'july',
+  'august',
+  'september',
+  'october',
+  'november',
+  'december',
+];
+
+const MONTH_PATTERN = `(${MONTHS.map(m => `${m.slice(0, 3)}(?:${m.slice(3)})?`).join('|')}|sept)`;
+
+/**
+ * Roles and the words naming them in questions and in job titles
+ */
+const ROLES: { role: string; query: RegExp; title: RegExp }[] = [
+  {
+    role: 'Account Executive',
+    query: /\b(aes?|account executives?)\b/,
+    title: /account exec|\bae\b/i,
+  },
+  {
+    role: 'Sales Development Rep',
+    query: /\b(sdrs?|bdrs?|sales development)\b/,
+    title: /\b(sdr|bdr)\b|(sales|business) development/i,
+  },
+  {
+    role: 'Solutions Engineer',
+    query: /\b(solutions? engineers?|sales engineers?|ses)\b/,
+    title: /(solutions?|sales) engineer|\bse\b/i,
+  },
+  {
+    role: 'Customer Success Manager',
+    query: /\b(csms?|customer success)\b/,
+    title: /customer success|\bcsm\b/i,
+  },
+  {
+    role: 'Product Manager',
+    query: /\b(pms?|product managers?|product management)\b/,
+    title: /product manag|\bpm\b/i,
+  },
+  {
+    role: 'Sales Manager',
+    query: /\b(sales managers?|sales leaders?|frontline managers?)\b/,
+    title: /sales (manager|director|lead)|vp.*sales/i,
+  },
+];
+
+/**
+ * Call types and the title words that identify them
+ */
+const CALL_TYPES: { type: string; query: RegExp; title: RegExp }[] = [
+  { type: 'discovery', query: /\bdiscovery (calls?|meetings?)\b/, title: /discovery|intro/i },
+  { type: 'demo', query: /\bdemos?\b/, title: /demo/i },
+  {
+    type: 'negotiation',
+    query: /\bnegotiation (calls?|meetings?)\b|\bnegotiations\b/,
+    title: /negotiat|pricing|contract/i,
+  },
+  {
+    type: 'onboarding',
+    query: /\b(onboarding|kickoff|kick-off) (calls?|meetings?)\b/,
+    title: /onboard|kick-?off/i,
+  },
+  { type: 'renewal', query: /\brenewal (calls?|meetings?)\b/, title: /renewal/i },
+  { type: 'qbr', query: /\b(qbrs?|business reviews?)\b/, title: /qbr|business review/i },
+];
+
+/**
+ * Topics and the words that raise them
+ */
+const TOPICS: { topic: string; query: RegExp }[] = [
+  { topic: 'pricing', query: /\b(pric\w*|cost\w*|budget\w*|discount\w*|expensive)\b/ },
+  { topic: 'competition', query: /\b(competit\w*|alternatives?|vendors?)\b/ },
+  { topic: 'objections', query: /\b(objections?|concerns?|pushback|hesitations?|blockers?)\b/ },
+  { topic: 'security', query: /\b(security|compliance|soc ?2|gdpr|privacy)\b/ },
+  { topic: 'integration', query: /\b(integrat\w*|api|apis)\b/ },
+  { topic: 'implementation', query: /\b(implement\w*|deploy\w*|rollout|onboarding)\b/ },
+  { topic: 'timeline', query: /\b(timelines?|deadlines?|timing)\b/ },
+  { topic: 'roi', query: /\b(roi|return on investment|business case|value)\b/ },
+  { topic: 'next steps', query: /\b(next steps?|follow[- ]ups?|action items?)\b/ },
+  { topic: 'product feedback', query: /\b(feature requests?|feedback|roadmap)\b/ },
+];
+
+/**
+ * Questions answered from call metadata: counts and durations
+ */
+const METADATA_QUESTION =
+  /\b(how many|number of|count of|how long|average (call )?(duration|length))\b/;
+
+/**
+ * Mail providers whose domains say nothing about the customer
+ */
+const PERSONAL_DOMAINS = new Set(['gmail', 'googlemail', 'outlook', 'hotmail', 'yahoo', 'icloud']);
+
+/**
+ * Turns a question into a plan of Gong filters and follow-up steps
+ *
+ * Explicit `timeRange` and `participants` win over what the question says. Roles only select
+ * people when the question names nobody and no participants were given.
+ *
+ * @param query Natural language question
+ * @param options Reference time, explicit filters and the directory for names and roles
+ * @returns Plan
+ */
+export function planQuery(query: string, options: PlanOptions = {}): QueryPlan {
+  const now = options.now ?? new Date();
+  const lower = query.toLowerCase();
+  const timeRange = planTimeRange(lower, now, options.timeRange);
+
+  const directory = options.directory;
+  const resolution = options.participants?.length ? undefined : directory?.resolve(query);
+  const roles = ROLES.filter(r => r.query.test(lower)).map(r => r.role);
+
+  let participants: PlannedParticipant[] = [];
+  if (options.participants?.length) {
+    participants = options.participants.map(email => ({
+      name: email,
+      email,
+      affiliation: 'Internal' as const,
+    }));
+  } else if (resolution?.matches.length) {
+    participants = resolution.matches.map(({ mention, person }) => ({ ...person, mention }));
+  } else if (roles.length > 0 && directory) {
+    const titles = ROLES.filter(r => roles.includes(r.role)).map(r => r.title);
+    participants = [...new Set(titles.flatMap(title => directory.withTitle(title)))];
+  }
+
+  const names = new Set(
+    participants.flatMap(p => (p.mention ? [p.mention, ...tokenize(p.name)] : []))
+  );
+  const accounts = planAccounts(query, names, directory);
+  const callTypes = CALL_TYPES.filter(t => t.query.test(lower)).map(t => t.type);
+  const topics = TOPICS.filter(t => t.query.test(lower)).map(t => t.topic);
+  const needsTranscripts = topics.length > 0 || !METADATA_QUESTION.test(lower);
+
+  const emails = participants.flatMap(p => (p.email ? [p.email] : []));
+  const userIds = participants.flatMap(p => (!p.email && p.userId ? [p.userId] : []));
+  const filter = {
+    fromDateTime: timeRange.fromDateTime,
+    toDateTime: timeRange.toDateTime,
+    ...(emails.length ? { participantsEmails: emails } : {}),
+    ...(userIds.length ? { primaryUserIds: userIds } : {}),
+  };
+
+  const steps = [
+    `POST /v2/calls/extensive from ${filter.fromDateTime} to ${filter.toDateTime}` +
+      (emails.length ? ` with ${emails.length} participant email(s)` : '') +
+      (userIds.length ? ` hosted by ${userIds.length} user(s)` : ''),
+  ];
+  if (accounts.length || callTypes.length) {
+    const kept = [
+      ...(accounts.length ? [`account ${accounts.join(' or ')}`] : []),
+      ...(callTypes.length ? [`${callTypes.join(' or ')} calls`] : []),
+    ];
+    steps.push(`Keep ${kept.join(' and ')}`);
+  }
+  if (needsTranscripts) steps.push('POST /v2/calls/transcript for the calls kept');
+  if (directory) steps.unshift('GET /v2/users to resolve people and roles');
+
+  return {
+    query,
+    timeRange,
+    participants,
+    ambiguous: resolution?.ambiguous ?? [],
+    roles,
+    accounts,
+    callTypes,
+    topics,
+    needsTranscripts,
+    filter,
+    steps,
+  };
+}
+
+/**
+ * Checks a call from `/v2/calls/extensive` against a plan's account and call type filters
+ *
+ * @param call Call with `metaData` and `parties`
+ * @param plan Plan
+ * @returns Whether the call belongs to one of the plan's accounts and has one of its call types
+ */
+export function matchesPlan(call: any, plan: QueryPlan): boolean {
+  const title = String(call?.metaData?.title ?? '').toLowerCase();
+  if (plan.callTypes.length > 0) {
+    const types = CALL_TYPES.filter(t => plan.callTypes.includes(t.type));
+    if (!types.some(t => t.title.test(title))) return false;
+  }
+  if (plan.accounts.length > 0) {
+    const labels = (call?.parties ?? [])
+      .map((p: any) => domainLabel(String(p.emailAddress ?? '')))
+      .filter(Boolean);
+    // "Acme Corp" matches acme.com as well as a title mentioning it
+    const found = plan.accounts.some(account => {
+      const key = account.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+      const byDomain = labels.some((label: string) => label.length >= 3 && key.startsWith(label));
+      return byDomain || title.includes(account.toLowerCase());
+    });
+    if (!found) return false;
+  }
+  return true;
+}
+
+function planTimeRange(
+  lower: string,
+  now: Date,
+  explicit?: { start?: string; end?: string }
+): PlannedTimeRange {
+  if (explicit?.start) {
+    return {
+      fromDateTime: new Date(explicit.start).toISOString(),
+      toDateTime: new Date(explicit.end ?? now).toISOString(),
+      source: 'request',
+    };
+  }
+  const found = parseDatePhrase(lower, now);
+  if (found) {
+    return {
+      fromDateTime: found.from.toISOString(),
+      toDateTime: (found.to > now ? now : found.to).toISOString(),
+      source: 'query',
+      phrase: found.phrase,
+    };
+  }
+  return {
+    fromDateTime: new Date(now.getTime() - DEFAULT_DAYS * DAY_MS).toISOString(),
+    toDateTime: now.toISOString(),
+    source: 'default',
+  };
+}
+
+/**
+ * Finds the first date phrase in a question, most specific forms first
+ *
+ * All periods are UTC calendar periods; weeks start on Monday. A month or quarter without a year
+ * is its latest occurrence that has started.
+ */
+function parseDatePhrase(
+  lower: string,
+  now: Date
+): { from: Date; to: Date; phrase: string } | null {
+  const year = now.getUTCFullYear();
+  const endOfDay = (date: Date) => new Date(date.getTime() + DAY_MS - 1);
+  const day = (iso: string) => new Date(`${iso}T00:00:00Z`);
+  const today = new Date(Date.UTC(year, now.getUTCMonth(), now.getUTCDate()));
+
+  const isoRange =
+    /\b(?:from|between)\s+(\d{4}-\d{2}-\d{2})\s+(?:to|and|until)\s+(\d{4}-\d{2}-\d{2})\b/;
+  const sinceMonth = new RegExp(`\\b(?:since|after)\\s+${MONTH_PATTERN}(?:\\s+(\\d{4}))?\\b`);
+  const inMonth = new RegExp(
+    `\\b(?:(?:in|during)\\s+${MONTH_PATTERN}(?:\\s+(\\d{4}))?|${MONTH_PATTERN}\\s+(\\d{4}))\\b`
+  );
+  let match: RegExpExecArray | null;
+
+  if ((match = isoRange.exec(lower))) {
+    return { from: day(match[1]), to: endOfDay(day(match[2])), phrase: match[0] };
+  }
+  if ((match = /\b(?:since|after|from)\s+(\d{4}-\d{2}-\d{2})\b/.exec(lower))) {
+    return { from: day(match[1]), to: now, phrase: match[0] };
+  }
+  if ((match = sinceMonth.exec(lower))) {
+    const { from } = monthRange(match[1], match[2], now);
+    return { from, to: now, phrase: match[0] };
+  }
+  if ((match = inMonth.exec(lower))) {
+    const { from, to } = monthRange(match[1] ?? match[3], match[2] ?? match[4], now);
+    return { from, to, phrase: match[0] };
+  }
+  if ((match = /\bq([1-4])(?:\s+(\d{4}))?\b/.exec(lower))) {
+    const quarter = Number(match[1]) - 1;
+    let y = match[2] ? Number(match[2]) : year;
+    if (!match[2] && Date.UTC(y, quarter * 3, 1) > now.getTime()) y--;
+    return {
+      from: new Date(Date.UTC(y, quarter * 3, 1)),
+      to: new Date(Date.UTC(y, quarter * 3 + 3, 1) - 1),
+      phrase: match[0],
+    };
+  }
+  if ((match = /\b(?:last|past|previous)\s+(\d+)\s+(day|week|month)s?\b/.exec(lower))) {
+    const unitDays = { day: 1, week: 7, month: 30 }[match[2] as 'day' | 'week' | 'month'];
+    const days = Number(match[1]) * unitDays;
+    return { from: new Date(now.getTime() - days * DAY_MS), to: now, phrase: match[0] };
+  }
+  if ((match = /\b(this|last|previous|past)\s+(week|month|quarter|year)\b/.exec(lower))) {
+    const [, which, unit] = match;
+    if (which === 'past') {
+      const days = { week: 7, month: 30, quarter: 91, year: 365 }[unit as 'week'];
+      return { from: new Date(now.getTime() - days * DAY_MS), to: now, phrase: match[0] };
+    }
+    const start = periodStart(today, unit);
+    if (which === 'this') return { from: start, to: now, phrase: match[0] };
+    const previous = periodStart(new Date(start.getTime() - 1), unit);
+    return { from: previous, to: new Date(start.getTime() - 1), phrase: match[0] };
+  }
+  if ((match = /\b(year to date|ytd)\b/.exec(lower))) {
+    return { from: new Date(Date.UTC(year, 0, 1)), to: now, phrase: match[0] };
+  }
+  if ((match = /\byesterday\b/.exec(lower))) {
+    const start = new Date(today.getTime() - DAY_MS);
+    return { from: start, to: endOfDay(start), phrase: match[0] };
+  }
+  if ((match = /\btoday\b/.exec(lower))) {
+    return { from: today, to: now, phrase: match[0] };
+  }
+  return null;
+}
+
+function monthRange(
+  name: string,
+  yearText: string | undefined,
+  now: Date
+): { from: Date; to: Date } {
+  const month = name === 'sept' ? 8 : MONTHS.findIndex(m => m.startsWith(name.slice(0, 3)));
+  let year = yearText ? Number(yearText) : now.getUTCFullYear();
+  if (!yearText && Date.UTC(year, month, 1) > now.getTime()) year--;
+  return {
+    from: new Date(Date.UTC(year, month, 1)),
+    to: new Date(Date.UTC(year, month + 1, 1) - 1),
+  };
+}
+
+function periodStart(date: Date, unit: string): Date {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth();
+  switch (unit) {
+    case 'week': {
+      const midnight = Date.UTC(y, m, date.getUTCDate());
+      return new Date(midnight - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+    }
+    case 'month':
+      return new Date(Date.UTC(y, m, 1));
+    case 'quarter':
+      return new Date(Date.UTC(y, m - (m % 3), 1));
+    default:
+      return new Date(Date.UTC(y, 0, 1));
+  }
+}
+
+/**
+ * Finds customer accounts: known external email domains named in the question, and capitalized
+ * names after "with", "at" or "for" that are not people
+ */
+function planAccounts(
+  query: string,
+  names: Set<string>,
+  directory?: ParticipantDirectory
+): string[] {
+  // Keyed by the name's words, so "Globex" after "with" repeats the known domain globex
+  const accounts = new Map<string, string>();
+  const add = (name: string) => {
+    const key = tokenize(name).join('');
+    if (key && !accounts.has(key)) accounts.set(key, name);
+  };
+  const words = new Set(tokenize(query));
+  for (const domain of directory?.externalDomains() ?? []) {
+    const label = domainLabel(`x@${domain}`);
+    if (label && words.has(label)) add(label);
+  }
+
+  const capitalized = /\b(?:with|at|for)\s+([A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*)*)/g;
+  for (const [, name] of query.matchAll(capitalized)) {
+    const tokens = tokenize(name);
+    const isPerson = tokens.every(token => names.has(token));
+    const isDate = MONTHS.some(m => tokens[0] && m.startsWith(tokens[0]) && tokens[0].length >= 3);
+    const isRole = ROLES.some(r => r.query.test(name.toLowerCase()));
+    if (!isPerson && !isDate && !isRole && !/^Q[1-4]$/.test(name)) {
+      add(name);
+    }
+  }
+  return [...accounts.values()];
+}
+
+/**
+ * Second-level label of an email domain, e.g. `globex` for `jo@eu.globex.com`
+ */
+function domainLabel(email: string): string | null {
+  const parts = email.toLowerCase().split('@')[1]?.split('.') ?? [];
+  const label = parts.length >= 2 ? parts[parts.length - 2] : null;
+  return label && !PERSONAL_DOMAINS.has(label) ? label : null;
+}
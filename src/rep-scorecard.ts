@@ -0,0 +1,515 @@
+import {
+  callMetrics,
+  monologues,
+  repMetrics,
+  type CallMetrics,
+  type Monologue,
+  type RepMetrics,
+  type SpeakerMetrics,
+} from './conversation-metrics.js';
+import { ToolError } from './errors.js';
+import {
+  callMoment,
+  isQuestion,
+  normalizeTranscripts,
+  type CallMoment,
+  type NormalizedTranscript,
+} from './transcript.js';
+
+export type ScorecardMetric =
+  | 'callVolume'
+  | 'talkPercent'
+  | 'longestMonologueMs'
+  | 'interactivity'
+  | 'patienceMs'
+  | 'questionsPerHour';
+
+/**
+ * How each metric is labelled and which direction is better for a rep
+ */
+export const SCORECARD_METRICS: Record<
+  ScorecardMetric,
+  { label: string; better: 'higher' | 'lower'; format: (value: number) => string }
+> = {
+  callVolume: { label: 'Call volume', better: 'higher', format: v => `${v} calls` },
+  talkPercent: { label: 'Talk ratio', better: 'lower', format: v => `${v}%` },
+  longestMonologueMs: {
+    label: 'Longest monologue',
+    better: 'lower',
+    format: v => `${Math.round(v / 1000)} s`,
+  },
+  interactivity: { label: 'Interactivity', better: 'higher', format: v => `${v} switches/min` },
+  patienceMs: { label: 'Patience', better: 'higher', format: v => `${(v / 1000).toFixed(1)} s` },
+  questionsPerHour: { label: 'Question rate', better: 'higher', format: v => `${v}/h` },
+};
+
+/**
+ * Fewest reps in the team before percentiles are used to name strengths and improvement areas
+ */
+export const MIN_TEAM_SIZE = 3;
+
+/**
+ * A rep's value of one metric against the team's distribution
+ */
+export interface MetricComparison {
+  metric: ScorecardMetric;
+  label: string;
+  better: 'higher' | 'lower';
+  value: number | null;
+  team: { reps: number; p25: number | null; median: number | null; p75: number | null };
+  /**
+   * Share of the team with a lower value, in percent, ties counted half
+   */
+  percentile: number | null;
+  /**
+   * Percentile turned so that 100 is best
+   */
+  standing: number | null;
+  /**
+   * The rep's later calls against the earlier ones
+   */
+  trend: 'improving' | 'declining' | 'steady' | null;
+}
+
+/**
+ * A strength or improvement area, with the call moments behind it
+ */
+export interface ScorecardFinding {
+  metric: ScorecardMetric;
+  summary: string;
+  evidence: CallMoment[];
+}
+
+/**
+ * The rep's metrics in one week
+ */
+export interface WeeklyMetrics {
+  /**
+   * Monday of the week, as YYYY-MM-DD
+   */
+  weekStart: string;
+  calls: number;
+  talkPercent: number | null;
+  longestMonologueMs: number | null;
+  interactivity: number | null;
+  patienceMs: number | null;
+  questionsPerHour: number | null;
+}
+
+export interface RepScorecard {
+  rep: { name: string; email?: string; userId?: string; title?: string };
+  period: { from: string; to: string };
+  callVolume: { calls: number; totalDurationSeconds: number; teamCalls: number };
+  metrics: MetricComparison[];
+  trend: WeeklyMetrics[];
+  /**
+   * Share of the rep's calls and of the team's calls in which each topic came up
+   */
+  topics: { name: string; repCoverage: number; teamCoverage: number }[];
+  trackers: {
+    name: string;
+    repHitsPerCall: number;
+    teamHitsPerCall: number;
+    evidence: CallMoment[];
+  }[];
+  strengths: ScorecardFinding[];
+  improvementAreas: ScorecardFinding[];
+}
+
+/**
+ * One of the rep's calls with what the scorecard needs from it
+ */
+interface RepCall {
+  call: any;
+  transcript?: NormalizedTranscript;
+  metrics?: CallMetrics;
+  speaker?: SpeakerMetrics;
+  spoken: Monologue[];
+  replies: { monologue: Monologue; pauseMs: number }[];
+}
+
+const TRENDED: ScorecardMetric[] = [
+  'talkPercent',
+  'longestMonologueMs',
+  'interactivity',
+  'patienceMs',
+  'questionsPerHour',
+];
+
+/**
+ * Scores a rep against the team seen in the same calls
+ *
+ * The team is every Internal party of the calls. Each rep's metrics are averaged over the calls
+ * they spoke in; percentiles place the rep among the team's averages. Metrics in the top quarter
+ * are strengths and those in the bottom quarter improvement areas, once the team has
+ * MIN_TEAM_SIZE reps.
+ *
+ * @param calls Calls of the period from `/v2/calls/extensive`, with parties, topics and trackers
+ * @param entries Transcript entries of the calls
+ * @param rep Email or Gong user ID of the rep
+ * @param period Period the calls were selected from
+ * @returns Scorecard
+ * @throws ToolError (validation) without a rep, (not_found) when the rep is in none of the calls
+ */
+export function buildRepScorecard(
+  calls: any[],
+  entries: any[],
+  rep: string,
+  period: { from: string; to: string }
+): RepScorecard {
+  const wanted = rep?.trim().toLowerCase();
+  if (!wanted) {
+    throw new ToolError('validation', 'rep must be an email or Gong user ID', {
+      parameterPath: 'rep',
+    });
+  }
+  const isRep = (party: any) =>
+    party?.affiliation === 'Internal' &&
+    (party.emailAddress?.toLowerCase() === wanted || String(party.userId ?? '') === wanted);
+
+  const teamCalls = calls.filter(call => internalParties(call).length > 0);
+  const party = teamCalls.flatMap(call => internalParties(call)).find(isRep);
+  if (!party) {
+    throw new ToolError(
+      'not_found',
+      `${rep} is not an internal participant of any call between ${period.from} and ${period.to}`,
+      { parameterPath: 'rep' }
+    );
+  }
+
+  const transcripts = new Map(
+    normalizeTranscripts(calls, entries).map(transcript => [transcript.callId, transcript])
+  );
+  const metricsByCall = new Map<string, CallMetrics>();
+  for (const [callId, transcript] of transcripts) {
+    if (transcript.sentences.length > 0) metricsByCall.set(callId, callMetrics(transcript));
+  }
+
+  // Call counts of every team member, and their speaking metrics
+  const callCounts = new Map<string, number>();
+  for (const call of teamCalls) {
+    for (const key of new Set(internalParties(call).map(memberKey))) {
+      callCounts.set(key, (callCounts.get(key) ?? 0) + 1);
+    }
+  }
+  const speaking = new Map(
+    repMetrics([...metricsByCall.values()]).map(r => [speakerKey(r.email, r.name), r])
+  );
+  const members = [...callCounts.keys()].map(key => ({
+    calls: callCounts.get(key)!,
+    speaking: speaking.get(key),
+  }));
+  const repKey = memberKey(party);
+  const own = { calls: callCounts.get(repKey)!, speaking: speaking.get(repKey) };
+
+  const repCalls: RepCall[] = teamCalls
+    .filter(call => internalParties(call).some(isRep))
+    .sort((a, b) => Date.parse(a.metaData?.started) - Date.parse(b.metaData?.started))
+    .map(call => {
+      const transcript = transcripts.get(String(call.metaData?.id));
+      const metrics = metricsByCall.get(String(call.metaData?.id));
+      const matches = (name: string, email?: string) =>
+        party.emailAddress
+          ? email?.toLowerCase() === party.emailAddress.toLowerCase()
+          : name === party.name;
+      const all = transcript ? monologues(transcript) : [];
+      return {
+        call,
+        transcript,
+        metrics,
+        speaker: metrics?.speakers.find(s => matches(s.name, s.email)),
+        spoken: all.filter(m => matches(m.speaker, m.speakerEmail)),
+        replies: all.flatMap((m, i) =>
+          i > 0 && matches(m.speaker, m.speakerEmail) && all[i - 1].affiliation === 'External'
+            ? [{ monologue: m, pauseMs: Math.max(0, m.start - all[i - 1].end) }]
+            : []
+        ),
+      };
+    });
+
+  const value = (metric: ScorecardMetric, member: { calls: number; speaking?: RepMetrics }) =>
+    metric === 'callVolume' ? member.calls : (member.speaking?.[metric] ?? null);
+  const perCall = (metric: ScorecardMetric, repCall: RepCall): number | null =>
+    metric === 'interactivity'
+      ? (repCall.metrics?.interactivity ?? null)
+      : metric === 'callVolume'
+        ? null
+        : (repCall.speaker?.[metric] ?? null);
+
+  const metrics: MetricComparison[] = (Object.keys(SCORECARD_METRICS) as ScorecardMetric[]).map(
+    metric => {
+      const { label, better } = SCORECARD_METRICS[metric];
+      const team = members
+        .map(member => value(metric, member))
+        .filter((v): v is number => v !== null)
+        .sort((a, b) => a - b);
+      const mine = value(metric, own);
+      const percentile = mine === null || team.length === 0 ? null : rank(team, mine);
+      return {
+        metric,
+        label,
+        better,
+        value: mine,
+        team: {
+          reps: team.length,
+          p25: quantile(team, 0.25),
+          median: quantile(team, 0.5),
+          p75: quantile(team, 0.75),
+        },
+        percentile,
+        standing: percentile === null ? null : better === 'higher' ? percentile : 100 - percentile,
+        trend: TRENDED.includes(metric)
+          ? trend(
+              repCalls.map(c => perCall(metric, c)).filter((v): v is number => v !== null),
+              better
+            )
+          : null,
+      };
+    }
+  );
+
+  const finding = (comparison: MetricComparison, strength: boolean): ScorecardFinding => {
+    const { metric, label, value: mine, team, standing } = comparison;
+    const format = SCORECARD_METRICS[metric].format;
+    return {
+      metric,
+      summary:
+        `${label} ${format(mine!)} against a team median of ${format(team.median!)}, ` +
+        `better than ${standing}% of the team`,
+      evidence: evidence(metric, strength, repCalls, perCall),
+    };
+  };
+  const ranked = members.length >= MIN_TEAM_SIZE ? metrics.filter(m => m.standing !== null) : [];
+
+  return {
+    rep: {
+      name: party.name || party.emailAddress || `User ${party.userId}`,
+      ...(party.emailAddress ? { email: party.emailAddress } : {}),
+      ...(party.userId ? { userId: String(party.userId) } : {}),
+      ...(party.title ? { title: party.title } : {}),
+    },
+    period,
+    callVolume: {
+      calls: repCalls.length,
+      totalDurationSeconds: repCalls.reduce((sum, c) => sum + (c.call.metaData?.duration || 0), 0),
+      teamCalls: teamCalls.length,
+    },
+    metrics,
+    trend: weekly(repCalls),
+    topics: topicCoverage(
+      repCalls.map(c => c.call),
+      teamCalls
+    ),
+    trackers: trackerHits(repCalls, teamCalls, party),
+    strengths: ranked
+      .filter(m => m.standing! >= 75)
+      .sort((a, b) => b.standing! - a.standing!)
+      .map(m => finding(m, true)),
+    improvementAreas: ranked
+      .filter(m => m.standing! <= 25)
+      .sort((a, b) => a.standing! - b.standing!)
+      .map(m => finding(m, false)),
+  };
+}
+
+/**
+ * Picks up to three moments of the rep's calls that show a metric at its best or worst
+ */
+function evidence(
+  metric: ScorecardMetric,
+  strength: boolean,
+  repCalls: RepCall[],
+  perCall: (metric: ScorecardMetric, repCall: RepCall) => number | null
+): CallMoment[] {
+  if (metric === 'callVolume') {
+    return repCalls
+      .slice(-3)
+      .reverse()
+      .map(c => callMoment(c.call, 0));
+  }
+  if (metric === 'patienceMs') {
+    // The rep's longest pauses before answering, or the quickest replies
+    return repCalls
+      .flatMap(c => c.replies.map(reply => ({ call: c.call, transcript: c.transcript, ...reply })))
+      .sort((a, b) => (strength ? b.pauseMs - a.pauseMs : a.pauseMs - b.pauseMs))
+      .slice(0, 3)
+      .map(r => callMoment(r.call, r.monologue.start, r.transcript));
+  }
+
+  const better = SCORECARD_METRICS[metric].better;
+  const best = strength === (better === 'higher');
+  return repCalls
+    .filter(c => perCall(metric, c) !== null && c.spoken.length > 0)
+    .sort((a, b) => (perCall(metric, best ? b : a)! - perCall(metric, best ? a : b)!))
+    .slice(0, 3)
+    .map(c => {
+      if (metric === 'questionsPerHour' && strength) {
+        const question = c.transcript?.sentences.find(
+          s => isQuestion(s.text) && c.spoken.some(m => m.start <= s.start && s.start <= m.end)
+        );
+        if (question) return callMoment(c.call, question.start, c.transcript);
+      }
+      const longest = c.spoken.reduce((max, m) => (m.durationMs > max.durationMs ? m : max));
+      return callMoment(c.call, longest.start, c.transcript);
+    });
+}
+
+function weekly(repCalls: RepCall[]): WeeklyMetrics[] {
+  const weeks = new Map<string, RepCall[]>();
+  for (const repCall of repCalls) {
+    const started = Date.parse(repCall.call.metaData?.started);
+    if (Number.isNaN(started)) continue;
+    const day = new Date(started);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    const weekStart = day.toISOString().split('T')[0];
+    weeks.set(weekStart, [...(weeks.get(weekStart) ?? []), repCall]);
+  }
+
+  return [...weeks.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([weekStart, inWeek]) => {
+      const spokenIn = inWeek.filter(c => c.speaker);
+      const avg = (pick: (c: RepCall) => number | null) => {
+        const values = spokenIn.map(pick).filter((v): v is number => v !== null);
+        return values.length > 0
+          ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+          : null;
+      };
+      return {
+        weekStart,
+        calls: inWeek.length,
+        talkPercent: avg(c => c.speaker!.talkPercent),
+        longestMonologueMs: avg(c => c.speaker!.longestMonologueMs),
+        interactivity: avg(c => c.metrics!.interactivity),
+        patienceMs: avg(c => c.speaker!.patienceMs),
+        questionsPerHour: avg(c => c.speaker!.questionsPerHour),
+      };
+    });
+}
+
+function topicCoverage(
+  repCalls: any[],
+  teamCalls: any[]
+): { name: string; repCoverage: number; teamCoverage: number }[] {
+  const coverage = (calls: any[]) => {
+    const counts = new Map<string, number>();
+    for (const call of calls) {
+      const names = (call.content?.topics ?? [])
+        .filter((topic: any) => topic?.name && (topic.duration ?? 1) > 0)
+        .map((topic: any) => topic.name as string);
+      for (const name of new Set<string>(names)) counts.set(name, (counts.get(name) ?? 0) + 1);
+    }
+    return (name: string) =>
+      calls.length > 0 ? Math.round(((counts.get(name) ?? 0) * 1000) / calls.length) / 10 : 0;
+  };
+  const rep = coverage(repCalls);
+  const team = coverage(teamCalls);
+  const names = new Set<string>(
+    teamCalls.flatMap(call => (call.content?.topics ?? []).map((topic: any) => topic?.name))
+  );
+  return [...names]
+    .filter(Boolean)
+    .map(name => ({ name, repCoverage: rep(name), teamCoverage: team(name) }))
+    .filter(topic => topic.teamCoverage > 0)
+    .sort((a, b) => b.teamCoverage - a.teamCoverage || a.name.localeCompare(b.name));
+}
+
+function trackerHits(repCalls: RepCall[], teamCalls: any[], party: any): RepScorecard['trackers'] {
+  const hits = (calls: any[]) => {
+    const counts = new Map<string, number>();
+    for (const call of calls) {
+      for (const tracker of call.content?.trackers ?? []) {
+        if (!tracker?.name) continue;
+        counts.set(tracker.name, (counts.get(tracker.name) ?? 0) + (Number(tracker.count) || 0));
+      }
+    }
+    return (name: string) =>
+      calls.length > 0 ? Math.round(((counts.get(name) ?? 0) * 10) / calls.length) / 10 : 0;
+  };
+  const rep = hits(repCalls.map(c => c.call));
+  const team = hits(teamCalls);
+  const names = new Set<string>(
+    teamCalls.flatMap(call => (call.content?.trackers ?? []).map((tracker: any) => tracker?.name))
+  );
+
+  return [...names]
+    .filter(Boolean)
+    .map(name => ({
+      name,
+      repHitsPerCall: rep(name),
+      teamHitsPerCall: team(name),
+      // Occurrences, when Gong returned them, where the rep said it
+      evidence: repCalls
+        .flatMap(c => {
+          const repSpeakerIds = new Set(
+            (c.call.parties ?? [])
+              .filter((p: any) => p?.speakerId && memberKey(p) === memberKey(party))
+              .map((p: any) => String(p.speakerId))
+          );
+          return (c.call.content?.trackers ?? [])
+            .filter((tracker: any) => tracker?.name === name)
+            .flatMap((tracker: any) => tracker.occurrences ?? [])
+            .filter((o: any) => repSpeakerIds.has(String(o.speakerId)))
+            .map((o: any) => callMoment(c.call, (Number(o.startTime) || 0) * 1000, c.transcript));
+        })
+        .slice(0, 3),
+    }))
+    .filter(tracker => tracker.teamHitsPerCall > 0)
+    .sort((a, b) => b.teamHitsPerCall - a.teamHitsPerCall || a.name.localeCompare(b.name));
+}
+
+function internalParties(call: any): any[] {
+  return (call?.parties ?? []).filter(
+    (party: any) => party?.affiliation === 'Internal' && (party.emailAddress || party.userId)
+  );
+}
+
+/**
+ * Key of a team member: email, else name, matching the speaker keys of conversation metrics
+ */
+function memberKey(party: any): string {
+  return speakerKey(party.emailAddress, party.name || `User ${party.userId}`);
+}
+
+function speakerKey(email: string | undefined, name: string): string {
+  return email?.toLowerCase() ?? `name:${name}`;
+}
+
+/**
+ * Share of sorted values below a value, ties counted half, in percent
+ */
+function rank(sorted: number[], value: number): number {
+  const below = sorted.filter(v => v < value).length;
+  const equal = sorted.filter(v => v === value).length;
+  return Math.round(((below + equal / 2) * 100) / sorted.length);
+}
+
+/**
+ * Quantile of sorted values with linear interpolation
+ */
+function quantile(sorted: number[], q: number): number | null {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Compares the mean of the later half of a series with the earlier half; changes under 10% are
+ * steady
+ */
+function trend(
+  values: number[],
+  better: 'higher' | 'lower'
+): 'improving' | 'declining' | 'steady' | null {
+  if (values.length < 2) return null;
+  const half = Math.floor(values.length / 2);
+  const mean = (part: number[]) => part.reduce((sum, v) => sum + v, 0) / part.length;
+  const earlier = mean(values.slice(0, half));
+  const later = mean(values.slice(values.length - half));
+  const change = earlier === 0 ? Math.sign(later) : (later - earlier) / Math.abs(earlier);
+  if (Math.abs(change) < 0.1) return 'steady';
+  return change > 0 === (better === 'higher') ? 'improving' : 'declining';
+}
@@ -0,0 +1,254 @@
+import type { AxiosInstance } from 'axios';
+import {
+  ErrorCode,
+  McpError,
+  type ReadResourceResult,
+  type Resource,
+  type ResourceTemplate,
+} from '@modelcontextprotocol/sdk/types.js';
+import type { AccountRegistry } from './accounts.js';
+import { describeToolError } from './errors.js';
+import { extractNextCursor } from './pagination.js';
+import { callSpeakers, formatTimestamp, resolveSpeaker } from './transcript.js';
+
+/**
+ * A parsed `gong://` resource URI
+ */
+export interface GongResourceRef {
+  kind: 'call' | 'transcript' | 'user';
+  id: string;
+  account?: string;
+}
+
+/**
+ * Options for listing recent calls as resources
+ */
+export interface RecentCallsOptions {
+  days: number;
+  limit: number;
+  /**
+   * Pages of `/v2/calls/extensive` to read at most while collecting recent calls
+   */
+  maxPages?: number;
+  now?: Date;
+}
+
+/**
+ * URI templates advertised through `resources/templates/list`
+ */
+export const RESOURCE_TEMPLATES: ResourceTemplate[] = [
+  {
+    uriTemplate: 'gong://calls/{id}{?account}',
+    name: 'Gong call',
+    description: 'Call metadata, participants, topics and trackers',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'gong://calls/{id}/transcript{?account}',
+    name: 'Gong call transcript',
+    description: 'Transcript with speaker names and timestamps',
+    mimeType: 'text/plain',
+  },
+  {
+    uriTemplate: 'gong://users/{id}{?account}',
+    name: 'Gong user',
+    description: 'A Gong user (a rep or other employee)',
+    mimeType: 'application/json',
+  },
+];
+
+/**
+ * Parts of a call that are useful alongside a transcript, without the bulky interaction stats
+ */
+const CALL_CONTENT_SELECTOR = {
+  context: 'Extended',
+  exposedFields: {
+    parties: true,
+    content: { topics: true, trackers: true, brief: true, keyPoints: true },
+  },
+};
+
+const RESOURCE_URI_PATTERN = /^gong:\/\/(calls|users)\/([^/?#]+)(\/transcript)?\/?(?:\?(.*))?$/;
+
+/**
+ * Parses a `gong://` resource URI
+ *
+ * @param uri URI such as `gong://calls/123/transcript?account=emea`
+ * @returns What the URI refers to, or null if it is not a Gong resource
+ */
+export function parseGongResourceUri(uri: string): GongResourceRef | null {
+  const match = RESOURCE_URI_PATTERN.exec(uri);
+  if (!match) return null;
+  const [, collection, id, transcript, query] = match;
+  if (collection === 'users' && transcript) return null;
+
+  const account = new URLSearchParams(query || '').get('account') || undefined;
+  const kind = collection === 'users' ? 'user' : transcript ? 'transcript' : 'call';
+  return { kind, id: decodeURIComponent(id), ...(account ? { account } : {}) };
+}
+
+/**
+ * Builds the URI of a Gong resource
+ *
+ * @param ref Resource reference
+ * @returns `gong://` URI
+ */
+export function toGongResourceUri(ref: GongResourceRef): string {
+  const path =
+    ref.kind === 'user'
+      ? `users/${encodeURIComponent(ref.id)}`
+      : `calls/${encodeURIComponent(ref.id)}${ref.kind === 'transcript' ? '/transcript' : ''}`;
+  return `gong://${path}${ref.account ? `?account=${encodeURIComponent(ref.account)}` : ''}`;
+}
+
+/**
+ * Lists the most recent calls, each as a call and a transcript resource
+ *
+ * @param client Gong client of the account to list
+ * @param options Look-back window and number of calls
+ * @param account Account name to put in the URIs, if not the default account
+ * @returns Resources, newest call first
+ */
+export async function listRecentCallResources(
+  client: AxiosInstance,
+  options: RecentCallsOptions,
+  account?: string
+): Promise<Resource[]> {
+  const now = options.now ?? new Date();
+  const filter = {
+    fromDateTime: new Date(now.getTime() - options.days * 24 * 60 * 60 * 1000).toISOString(),
+    toDateTime: now.toISOString(),
+  };
+
+  const calls: any[] = [];
+  let cursor: string | null = null;
+  let pages = 0;
+  do {
+    const response: { data: any } = await client.post('/v2/calls/extensive', {
+      filter,
+      ...(cursor ? { cursor } : {}),
+    });
+    calls.push(...(response.data?.calls ?? []));
+    cursor = extractNextCursor(response.data);
+    pages++;
+  } while (cursor && pages < (options.maxPages ?? 5));
+
+  return calls
+    .map(call => call.metaData ?? {})
+    .filter(meta => meta.id)
+    .sort((a, b) => String(b.started ?? '').localeCompare(String(a.started ?? '')))
+    .slice(0, options.limit)
+    .flatMap(meta => {
+      const title = meta.title || `Call ${meta.id}`;
+      const when = [meta.started?.slice(0, 10), formatMinutes(meta.duration)].filter(Boolean).join(', ');
+      return [
+        {
+          uri: toGongResourceUri({ kind: 'call', id: String(meta.id), account }),
+          name: title,
+          description: when ? `Call on ${when}` : undefined,
+          mimeType: 'application/json',
+        },
+        {
+          uri: toGongResourceUri({ kind: 'transcript', id: String(meta.id), account }),
+          name: `Transcript: ${title}`,
+          description: when ? `Transcript of the call on ${when}` : undefined,
+          mimeType: 'text/plain',
+        },
+      ];
+    });
+}
+
+/**
+ * Reads a `gong://` resource
+ *
+ * Unknown URIs and failed Gong requests are reported as MCP errors, since resource reads have no
+ * `isError` result like tool calls do.
+ *
+ * @param uri Resource URI
+ * @param accounts Account registry providing the Gong client
+ * @returns Resource contents
+ */
+export async function readGongResource(
+  uri: string,
+  accounts: AccountRegistry
+): Promise<ReadResourceResult> {
+  const ref = parseGongResourceUri(uri);
+  if (!ref) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+  }
+
+  try {
+    const client = accounts.client(ref.account);
+    switch (ref.kind) {
+      case 'user': {
+        const { data } = await client.get(`/v2/users/${encodeURIComponent(ref.id)}`);
+        return jsonContents(uri, data.user ?? data);
+      }
+      case 'call': {
+        return jsonContents(uri, await fetchCall(client, ref.id));
+      }
+      case 'transcript': {
+        const [call, { data }] = await Promise.all([
+          fetchCall(client, ref.id),
+          client.post('/v2/calls/transcript', { filter: { callIds: [ref.id] } }),
+        ]);
+        const transcript = data.callTranscripts?.[0]?.transcript ?? [];
+        return {
+          contents: [{ uri, mimeType: 'text/plain', text: formatTranscript(call, transcript) }],
+        };
+      }
+    }
+  } catch (error) {
+    if (error instanceof McpError) throw error;
+    const payload = describeToolError(error);
+    throw new McpError(
+      payload.category === 'not_found' || payload.category === 'validation'
+        ? ErrorCode.InvalidParams
+        : ErrorCode.InternalError,
+      payload.message,
+      payload
+    );
+  }
+}
+
+/**
+ * Renders a transcript as plain text with speaker names and timestamps
+ *
+ * @param call Call with metaData and parties, used for the header and speaker names
+ * @param transcript Monologues from `/v2/calls/transcript`
+ * @returns One line per monologue, e.g. `[01:05] Dana Rep (Internal): ...`
+ */
+export function formatTranscript(call: any, transcript: any[]): string {
+  const speakers = callSpeakers(call);
+  const meta = call?.metaData ?? {};
+  const header = `# ${meta.title || `Call ${meta.id ?? ''}`.trim()}${meta.started ? ` (${meta.started})` : ''}`;
+
+  const lines = transcript.map(monologue => {
+    const { name, affiliation } = resolveSpeaker(speakers, monologue.speakerId);
+    const speaker = affiliation === 'Unknown' ? name : `${name} (${affiliation})`;
+    const sentences: any[] = monologue.sentences ?? [];
+    const text = sentences.map(s => s.text).join(' ');
+    return `[${formatTimestamp(sentences[0]?.start ?? 0)}] ${speaker}: ${text}`;
+  });
+  return [header, '', ...lines].join('\n');
+}
+
+async function fetchCall(client: AxiosInstance, id: string): Promise<any> {
+  const { data } = await client.post('/v2/calls/extensive', {
+    filter: { callIds: [id] },
+    contentSelector: CALL_CONTENT_SELECTOR,
+  });
+  const call = data.calls?.[0];
+  if (!call) {
+    throw new McpError(ErrorCode.InvalidParams, `Call ${id} not found`);
+  }
+  return call;
+}
+
+function jsonContents(uri: string, value: unknown): ReadResourceResult {
+  return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(value, null, 2) }] };
+}
+
+function formatMinutes(seconds: unknown): string | undefined {
+  return typeof seconds === 'number' ? `${Math.round(seconds / 60)} min` : undefined;
+}
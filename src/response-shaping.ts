@@ -0,0 +1,235 @@
+import { findRecordArrayKey } from './pagination.js';
+
+/**
+ * How records are rendered: the raw Gong object, a compact summary, or a Markdown table
+ */
+export type ResponseFormat = 'full' | 'compact' | 'table';
+
+/**
+ * Kinds of records that have a compact view, named by the `x-mcp-record-shape` spec extension
+ */
+export type RecordShape = 'call';
+
+/**
+ * Field selectors split into included and excluded paths
+ */
+export interface FieldSelectors {
+  include: string[][];
+  exclude: string[][];
+}
+
+/**
+ * Tool input properties added to operations whose records can be shaped
+ */
+export const RESPONSE_SHAPING_PROPERTIES: Record<string, any> = {
+  fields: {
+    type: 'array',
+    items: { type: 'string' },
+    description:
+      'Fields to keep in each record, as dot paths such as "metaData.title" or ' +
+      '"parties[*].emailAddress". Prefix a path with "-" to drop it instead. Paths apply to ' +
+      'the view chosen by format; arrays are traversed automatically.',
+  },
+  format: {
+    type: 'string',
+    enum: ['full', 'compact', 'table'],
+    description:
+      'full: the complete Gong record; compact (default): id, title, start time, duration, ' +
+      'primary user, participants and topics; table: the compact view as a Markdown table. ' +
+      'Defaults to full when fields are given.',
+  },
+};
+
+/**
+ * Compact views by record shape
+ */
+const COMPACT_VIEWS: Record<RecordShape, (record: any) => Record<string, any>> = {
+  call: compactCall,
+};
+
+/**
+ * Parses `fields` selectors such as `$.metaData.id`, `parties[*].name` or `-interaction`
+ *
+ * @param fields Selectors from the tool arguments
+ * @returns Include and exclude paths as segment lists, `*` matching any key
+ */
+export function parseFieldSelectors(fields: string[] = []): FieldSelectors {
+  const selectors: FieldSelectors = { include: [], exclude: [] };
+  for (const field of fields) {
+    const trimmed = field.trim();
+    const excluded = trimmed.startsWith('-') || trimmed.startsWith('!');
+    const segments = trimmed
+      .replace(/^[-!]/, '')
+      .replace(/^\$\.?/, '')
+      .replace(/\[(\*)?\]/g, '')
+      .split('.')
+      .filter(Boolean);
+    if (segments.length > 0) {
+      (excluded ? selectors.exclude : selectors.include).push(segments);
+    }
+  }
+  return selectors;
+}
+
+/**
+ * Keeps only the included paths of a value, then removes the excluded ones
+ *
+ * @param value Record to project
+ * @param selectors Parsed field selectors
+ * @returns Projected copy; the value itself if there are no selectors
+ */
+export function projectFields(value: any, selectors: FieldSelectors): any {
+  let projected = selectors.include.length > 0 ? includePaths(value, selectors.include) : value;
+  for (const path of selectors.exclude) {
+    projected = excludePath(projected, path);
+  }
+  return projected;
+}
+
+/**
+ * Compact view of a Gong call from `/v2/calls/extensive`
+ *
+ * @param call Call with metaData, parties and content
+ * @returns id, title, start time, duration, primary user, participants and topics
+ */
+export function compactCall(call: any): Record<string, any> {
+  const meta = call?.metaData ?? {};
+  const parties: any[] = Array.isArray(call?.parties) ? call.parties : [];
+  const primary = parties.find(p => p.userId && p.userId === meta.primaryUserId);
+
+  return withoutUndefined({
+    id: meta.id,
+    title: meta.title,
+    started: meta.started,
+    duration: meta.duration,
+    primaryUser: meta.primaryUserId
+      ? withoutUndefined({
+          id: meta.primaryUserId,
+          name: primary?.name,
+          email: primary?.emailAddress,
+        })
+      : undefined,
+    participants: parties.map(p =>
+      withoutUndefined({ name: p.name, email: p.emailAddress, affiliation: p.affiliation })
+    ),
+    topics: (call?.content?.topics ?? [])
+      .filter((t: any) => t?.name && (t.duration === undefined || t.duration > 0))
+      .map((t: any) => t.name),
+  });
+}
+
+/**
+ * Applies `fields` and `format` to the records of a (possibly merged) Gong response
+ *
+ * Everything besides the records, such as `records` and `_paginationInfo`, is kept as is.
+ *
+ * @param data Response data
+ * @param shape Kind of record in the response
+ * @param options The tool's `fields` and `format` arguments
+ * @returns Text for the tool result
+ */
+export function shapeResponse(
+  data: any,
+  shape: RecordShape,
+  options: { fields?: string[]; format?: ResponseFormat }
+): string {
+  const recordKey = findRecordArrayKey(data);
+  const selectors = parseFieldSelectors(options.fields);
+  const hasSelectors = selectors.include.length > 0 || selectors.exclude.length > 0;
+  const format = options.format ?? (hasSelectors ? 'full' : 'compact');
+
+  if (!recordKey || !Array.isArray(data[recordKey])) {
+    return JSON.stringify(data, null, 2);
+  }
+
+  const view = format === 'full' ? (record: any) => record : COMPACT_VIEWS[shape];
+  const records = data[recordKey].map((record: any) => projectFields(view(record), selectors));
+
+  if (format === 'table') {
+    const rest = { ...data };
+    delete rest[recordKey];
+    return `${renderTable(records)}\n\n${JSON.stringify(rest, null, 2)}`;
+  }
+  return JSON.stringify({ ...data, [recordKey]: records }, null, 2);
+}
+
+/**
+ * Renders records as a Markdown table with one column per leaf path
+ *
+ * Arrays of objects are summarized by each element's name (or email, or id).
+ *
+ * @param records Records to render
+ * @returns Markdown table, or a note if there are no records
+ */
+export function renderTable(records: Record<string, any>[]): string {
+  if (records.length === 0) return '_No records._';
+
+  const rows = records.map(record => flatten(record));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const escape = (value: string) => value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+  return [
+    `| ${columns.join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => escape(row[column] ?? '')).join(' | ')} |`),
+  ].join('\n');
+}
+
+function includePaths(value: any, paths: string[][]): any {
+  if (paths.some(path => path.length === 0)) return value;
+  if (Array.isArray(value)) {
+    return value.map(item => includePaths(item, paths)).filter(item => item !== undefined);
+  }
+  if (!isPlainObject(value)) return undefined;
+
+  const result: Record<string, any> = {};
+  for (const [key, child] of Object.entries(value)) {
+    const rest = paths.filter(path => matches(path[0], key)).map(path => path.slice(1));
+    if (rest.length === 0) continue;
+    const projected = includePaths(child, rest);
+    if (projected !== undefined) result[key] = projected;
+  }
+  return result;
+}
+
+function excludePath(value: any, path: string[]): any {
+  if (Array.isArray(value)) return value.map(item => excludePath(item, path));
+  if (!isPlainObject(value)) return value;
+
+  const result: Record<string, any> = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (!matches(path[0], key)) {
+      result[key] = child;
+    } else if (path.length > 1) {
+      result[key] = excludePath(child, path.slice(1));
+    }
+  }
+  return result;
+}
+
+function flatten(value: any, prefix = '', into: Record<string, string> = {}): Record<string, string> {
+  if (Array.isArray(value)) {
+    into[prefix] = value
+      .map(item => (isPlainObject(item) ? item.name ?? item.email ?? item.id ?? JSON.stringify(item) : item))
+      .join(', ');
+  } else if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, into);
+    }
+  } else if (value !== undefined && value !== null) {
+    into[prefix] = String(value);
+  }
+  return into;
+}
+
+function matches(segment: string, key: string): boolean {
+  return segment === '*' || segment === key;
+}
+
+function isPlainObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function withoutUndefined<T extends Record<string, any>>(value: T): T {
+  return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined)) as T;
+}
@@ -0,0 +1,270 @@
+import fs from 'fs';
+import { parse } from 'yaml';
+import { PAGINATION_PROPERTIES } from './pagination.js';
+import { RESPONSE_SHAPING_PROPERTIES, type RecordShape } from './response-shaping.js';
+
+/**
+ * Interface for MCP Tool Definition
+ */
+export interface McpToolDefinition {
+  name: string;
+  description: string;
+  inputSchema: any;
+  method: string;
+  pathTemplate: string;
+  executionParameters: { name: string; in: string }[];
+  requestBodyContentType?: string;
+  securityRequirements: any[];
+  /**
+   * Kind of record in the response, from `x-mcp-record-shape`; enables `fields` and `format`
+   */
+  recordShape?: RecordShape;
+}
+
+/**
+ * Tool definitions and metadata derived from an OpenAPI document
+ */
+export interface LoadedSpec {
+  title: string;
+  version: string;
+  baseUrl?: string;
+  tools: Map<string, McpToolDefinition>;
+  securitySchemes: Record<string, any>;
+}
+
+/**
+ * HTTP methods that can appear as operations on an OpenAPI path item
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Parameter locations that are forwarded to the Gong API
+ */
+const SUPPORTED_PARAMETER_LOCATIONS = ['path', 'query'];
+
+/**
+ * Reads and parses an OpenAPI document, then derives the MCP tool definitions from it
+ *
+ * @param specPath Path to the OpenAPI document (YAML or JSON)
+ * @returns Loaded spec with tool definitions and security schemes
+ */
+export function loadOpenApiSpec(specPath: string): LoadedSpec {
+  let document: any;
+  try {
+    document = parse(fs.readFileSync(specPath, 'utf8'));
+  } catch (error: any) {
+    throw new Error(`Failed to load OpenAPI spec from ${specPath}: ${error.message}`);
+  }
+
+  if (!document || typeof document !== 'object' || !document.paths) {
+    throw new Error(`OpenAPI spec at ${specPath} does not define any paths`);
+  }
+
+  return {
+    title: document.info?.title || '',
+    version: document.info?.version || '0.0.0',
+    baseUrl: document.servers?.[0]?.url,
+    tools: buildToolDefinitions(document),
+    securitySchemes: document.components?.securitySchemes || {},
+  };
+}
+
+/**
+ * Builds the map of MCP tool definitions for every operation in an OpenAPI document
+ *
+ * @param document Parsed OpenAPI document
+ * @returns Map of tool definitions keyed by tool name
+ */
+export function buildToolDefinitions(document: any): Map<string, McpToolDefinition> {
+  const tools = new Map<string, McpToolDefinition>();
+
+  for (const [pathTemplate, pathItem] of Object.entries<any>(document.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem?.[method];
+      if (!operation) continue;
+
+      const definition = buildToolDefinition(document, pathTemplate, method, pathItem, operation);
+      if (tools.has(definition.name)) {
+        throw new Error(
+          `Duplicate tool name '${definition.name}' generated for ${method.toUpperCase()} ${pathTemplate}`
+        );
+      }
+      tools.set(definition.name, definition);
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * Derives the tool name for an operation, e.g. GET /v2/calls/{id} becomes getv2callsbyid
+ *
+ * @param method HTTP method
+ * @param pathTemplate OpenAPI path template
+ * @returns Tool name
+ */
+export function toToolName(method: string, pathTemplate: string): string {
+  const path = pathTemplate.replace(/\{([^}]+)\}/g, 'by$1');
+  return `${method}${path}`.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+}
+
+/**
+ * Builds a single tool definition from an OpenAPI operation
+ */
+function buildToolDefinition(
+  document: any,
+  pathTemplate: string,
+  method: string,
+  pathItem: any,
+  operation: any
+): McpToolDefinition {
+  const properties: Record<string, any> = {};
+  const required: string[] = [];
+  const executionParameters: { name: string; in: string }[] = [];
+
+  // Path-level parameters apply to every operation unless overridden by name and location
+  const parameters = mergeParameters(
+    (pathItem.parameters || []).map((p: any) => resolveRefs(document, p)),
+    (operation.parameters || []).map((p: any) => resolveRefs(document, p))
+  );
+
+  for (const parameter of parameters) {
+    if (!SUPPORTED_PARAMETER_LOCATIONS.includes(parameter.in)) continue;
+
+    const schema = { ...(parameter.schema || { type: 'string' }) };
+    if (parameter.description && !schema.description) {
+      schema.description = parameter.description;
+    }
+    properties[parameter.name] = schema;
+    if (parameter.required) {
+      required.push(parameter.name);
+    }
+    executionParameters.push({ name: parameter.name, in: parameter.in });
+  }
+
+  let requestBodyContentType: string | undefined;
+  let requestBodySchema: any;
+  if (operation.requestBody) {
+    const requestBody = resolveRefs(document, operation.requestBody);
+    const contentTypes = Object.keys(requestBody.content || {});
+    requestBodyContentType = contentTypes.includes('application/json')
+      ? 'application/json'
+      : contentTypes[0];
+
+    if (requestBodyContentType) {
+      requestBodySchema = {
+        ...(requestBody.content[requestBodyContentType].schema || { type: 'object' }),
+        description: requestBody.description || 'The JSON request body.',
+      };
+      properties.requestBody = requestBodySchema;
+      if (requestBody.required) {
+        required.push('requestBody');
+      }
+    }
+  }
+
+  // Offer auto-pagination (and its limits) wherever Gong accepts a cursor, either
+  // as a query parameter or inside the request body
+  const acceptsCursor =
+    executionParameters.some(p => p.name === 'cursor' && p.in === 'query') ||
+    !!requestBodySchema?.properties?.cursor;
+  if (acceptsCursor) {
+    for (const [name, schema] of Object.entries(PAGINATION_PROPERTIES)) {
+      properties[name] = { ...schema };
+    }
+  }
+
+  // Operations returning large records declare their shape so clients can trim the response
+  const recordShape: RecordShape | undefined = operation['x-mcp-record-shape'];
+  if (recordShape) {
+    for (const [name, schema] of Object.entries(RESPONSE_SHAPING_PROPERTIES)) {
+      properties[name] = { ...schema };
+    }
+  }
+
+  const inputSchema: Record<string, any> = { type: 'object', properties };
+  if (required.length > 0) {
+    inputSchema.required = required;
+  }
+
+  return {
+    name: toToolName(method, pathTemplate),
+    description:
+      operation.summary || operation.description || `${method.toUpperCase()} ${pathTemplate}`,
+    inputSchema,
+    method,
+    pathTemplate,
+    executionParameters,
+    requestBodyContentType,
+    securityRequirements: operation.security || document.security || [],
+    ...(recordShape ? { recordShape } : {}),
+  };
+}
+
+/**
+ * Merges path-level and operation-level parameters, letting the operation win
+ */
+function mergeParameters(pathParameters: any[], operationParameters: any[]): any[] {
+  const merged = new Map<string, any>();
+  for (const parameter of [...pathParameters, ...operationParameters]) {
+    merged.set(`${parameter.in}:${parameter.name}`, parameter);
+  }
+  return Array.from(merged.values());
+}
+
+/**
+ * Recursively inlines local $ref pointers so the resulting schema is self-contained
+ *
+ * @param document Parsed OpenAPI document
+ * @param node Schema node to resolve
+ * @param seen References already being resolved, used to detect cycles
+ * @returns Node with every local $ref replaced by its target
+ */
+function resolveRefs(document: any, node: any, seen: string[] = []): any {
+  if (Array.isArray(node)) {
+    return node.map(item => resolveRefs(document, item, seen));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  if (typeof node.$ref === 'string') {
+    const ref: string = node.$ref;
+    if (seen.includes(ref)) {
+      // Recursive schemas cannot be inlined; fall back to an open object
+      return { type: 'object' };
+    }
+    const siblings = { ...node };
+    delete siblings.$ref;
+    const target = resolvePointer(document, ref);
+    return {
+      ...resolveRefs(document, target, [...seen, ref]),
+      ...resolveRefs(document, siblings, seen),
+    };
+  }
+
+  const resolved: Record<string, any> = {};
+  for (const [key, value] of Object.entries(node)) {
+    resolved[key] = resolveRefs(document, value, seen);
+  }
+  return resolved;
+}
+
+/**
+ * Looks up a local JSON pointer such as #/components/schemas/CallsFilter
+ */
+function resolvePointer(document: any, ref: string): any {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $ref pointers are supported, got '${ref}'`);
+  }
+
+  let target = document;
+  for (const rawSegment of ref.slice(2).split('/')) {
+    const segment = rawSegment.replace(/~1/g, '/').replace(/~0/g, '~');
+    target = target?.[segment];
+    if (target === undefined) {
+      throw new Error(`Unresolvable $ref '${ref}'`);
+    }
+  }
+  return target;
+}
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Downloads new calls and transcripts into an account's local call store
+ *
+ * Only calls newer than the store's watermark are fetched, so the command is cheap to run from
+ * cron. Set GONG_CACHE_MODE=prefer for the analysis tools to read from the store.
+ *
+ * Usage: npm run sync:calls -- [--account=<name>] [--since=YYYY-MM-DD] [--no-transcripts]
+ */
+
+import { loadAccountRegistry } from './accounts.js';
+import { syncCalls } from './call-store.js';
+import { describeToolError } from './errors.js';
+
+function getOption(name: string): string | undefined {
+    return process.argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+}
+
+async function main() {
+    const accounts = loadAccountRegistry();
+    const account = accounts.resolve(getOption('account'));
+    const since = getOption('since');
+    if (since && Number.isNaN(Date.parse(since))) {
+        throw new Error(`Invalid --since date: ${since}`);
+    }
+
+    const result = await syncCalls(accounts.client(account), accounts.callStore(account), {
+        since: since ? new Date(since).toISOString() : undefined,
+        transcripts: !process.argv.includes('--no-transcripts'),
+        log: message => console.error(`[${account.name}] ${message}`)
+    });
+
+    console.error(
+        `Synced account "${account.name}": ${result.callsFetched} calls and ` +
+        `${result.transcriptsFetched} transcripts; store covers ${result.state.syncedFrom} to ${result.state.syncedTo}`
+    );
+}
+
+main().catch((error) => {
+    console.error(`Call sync failed: ${describeToolError(error).message}`);
+    process.exit(1);
+});
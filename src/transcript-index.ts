@@ -0,0 +1,479 @@
+import fs from 'fs';
+import path from 'path';
+import type { CallStore } from './call-store.js';
+import { ToolError } from './errors.js';
+import { formatTimestamp, normalizeTranscript } from './transcript.js';
+
+/**
+ * One transcript sentence, the unit the index searches
+ */
+export interface IndexedSentence {
+  callId: string;
+  callTitle?: string;
+  callStarted?: string;
+  speakerId?: string;
+  speaker: string;
+  speakerEmail?: string;
+  affiliation?: string;
+  /**
+   * Offset from the start of the call in milliseconds
+   */
+  start: number;
+  text: string;
+}
+
+/**
+ * Parsed search query
+ */
+export type SearchQueryNode =
+  | { type: 'term'; value: string; prefix: boolean }
+  | { type: 'phrase'; terms: string[] }
+  | { type: 'and'; nodes: SearchQueryNode[] }
+  | { type: 'or'; nodes: SearchQueryNode[] }
+  | { type: 'not'; node: SearchQueryNode };
+
+/**
+ * Filters and limits for a transcript search
+ */
+export interface TranscriptSearchOptions {
+  /**
+   * Only sentences by speakers whose name or email contains this text
+   */
+  speaker?: string;
+  /**
+   * Only sentences by Internal or External speakers
+   */
+  affiliation?: string;
+  fromDateTime?: string;
+  toDateTime?: string;
+  callIds?: string[];
+  /**
+   * Sentences of context before and after each hit (default 1)
+   */
+  contextSentences?: number;
+  /**
+   * Hits to return (default 20)
+   */
+  limit?: number;
+}
+
+/**
+ * A sentence shown around a hit
+ */
+export interface ContextSentence {
+  speaker: string;
+  timestamp: string;
+  text: string;
+}
+
+/**
+ * A matching sentence with its call, speaker and surrounding sentences
+ */
+export interface TranscriptHit {
+  callId: string;
+  callTitle?: string;
+  callStarted?: string;
+  speaker: string;
+  affiliation?: string;
+  timestamp: string;
+  start: number;
+  text: string;
+  context: { before: ContextSentence[]; after: ContextSentence[] };
+}
+
+/**
+ * Search outcome; `totalHits` counts every match, `hits` only the first `limit`
+ */
+export interface TranscriptSearchResult {
+  totalHits: number;
+  hits: TranscriptHit[];
+  indexedCalls: number;
+}
+
+const INDEX_FILE = 'transcript-index.json';
+const INDEX_VERSION = 1;
+
+/**
+ * Inverted index over the transcript sentences of a call store
+ *
+ * Sentences are persisted next to the store as `transcript-index.json`; the postings are rebuilt
+ * in memory when the index is opened. Boolean operators and phrases match within one sentence.
+ */
+export class TranscriptIndex {
+  private readonly sentences: IndexedSentence[] = [];
+  private readonly callSentences = new Map<string, number[]>();
+  private readonly postings = new Map<string, Map<number, number[]>>();
+
+  /**
+   * Opens the index of a call store, adding transcripts stored since it was last saved
+   *
+   * @param store Call store with synced calls and transcripts
+   * @returns Up-to-date index
+   */
+  static open(store: CallStore): TranscriptIndex {
+    const index = new TranscriptIndex();
+    const file = path.join(store.dir, INDEX_FILE);
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (saved.version === INDEX_VERSION) {
+        (saved.sentences as IndexedSentence[]).forEach(sentence => index.addSentence(sentence));
+      }
+    } catch (error: any) {
+      // A missing or corrupt index is rebuilt from the store
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+    }
+    index.refresh(store);
+    return index;
+  }
+
+  /**
+   * Number of calls with indexed transcripts
+   */
+  get callCount(): number {
+    return this.callSentences.size;
+  }
+
+  /**
+   * Indexes the stored transcripts that are not indexed yet and saves the index if any were
+   *
+   * @param store Call store the index belongs to
+   * @returns Number of calls added
+   */
+  refresh(store: CallStore): number {
+    let added = 0;
+    for (const callId of store.listTranscriptIds()) {
+      if (this.callSentences.has(callId)) continue;
+      const entry = store.getTranscript(callId);
+      if (!entry) continue;
+      this.addCall(store.getCall(callId), entry);
+      added++;
+    }
+    if (added > 0) {
+      this.save(path.join(store.dir, INDEX_FILE));
+    }
+    return added;
+  }
+
+  /**
+   * Indexes the transcript of a call
+   *
+   * @param call Call from `/v2/calls/extensive`, for the title, start time and speaker names
+   * @param entry Entry from `/v2/calls/transcript`, with `callId` and monologues in `transcript`
+   */
+  addCall(call: any, entry: any): void {
+    const callId = String(entry.callId);
+    if (this.callSentences.has(callId)) return;
+    this.callSentences.set(callId, []);
+    flattenTranscript(call, entry).forEach(sentence => this.addSentence(sentence));
+  }
+
+  /**
+   * Searches the indexed sentences
+   *
+   * @param query Terms, "quoted phrases", AND/OR/NOT (or a leading -), parentheses and
+   *   trailing-* prefixes; adjacent terms are ANDed
+   * @param options Speaker, affiliation, date and call filters, context size and limit
+   * @returns Hits, newest call first and in call order within a call
+   */
+  search(query: string, options: TranscriptSearchOptions = {}): TranscriptSearchResult {
+    const matches = this.evaluate(parseSearchQuery(query));
+    const speaker = options.speaker?.trim().toLowerCase();
+    const affiliation = options.affiliation?.trim().toLowerCase();
+    const from = options.fromDateTime ? Date.parse(options.fromDateTime) : -Infinity;
+    const to = options.toDateTime ? Date.parse(options.toDateTime) : Infinity;
+    const callIds = options.callIds?.length ? new Set(options.callIds.map(String)) : null;
+
+    const ids = [...matches]
+      .filter(id => {
+        const sentence = this.sentences[id];
+        if (callIds && !callIds.has(sentence.callId)) return false;
+        if (
+          speaker &&
+          !sentence.speaker.toLowerCase().includes(speaker) &&
+          !sentence.speakerEmail?.toLowerCase().includes(speaker)
+        ) {
+          return false;
+        }
+        if (affiliation && sentence.affiliation?.toLowerCase() !== affiliation) return false;
+        const started = Date.parse(sentence.callStarted ?? '');
+        if (Number.isNaN(started)) return !options.fromDateTime && !options.toDateTime;
+        return started >= from && started <= to;
+      })
+      .sort((a, b) => {
+        const [left, right] = [this.sentences[a], this.sentences[b]];
+        const byCall = (right.callStarted ?? '').localeCompare(left.callStarted ?? '');
+        return byCall !== 0 ? byCall : a - b;
+      });
+
+    const contextSize = Math.max(0, options.contextSentences ?? 1);
+    return {
+      totalHits: ids.length,
+      hits: ids.slice(0, options.limit ?? 20).map(id => this.toHit(id, contextSize)),
+      indexedCalls: this.callCount,
+    };
+  }
+
+  /**
+   * Writes the indexed sentences to disk
+   *
+   * @param file Index file
+   */
+  save(file: string): void {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ version: INDEX_VERSION, sentences: this.sentences }));
+    fs.renameSync(temp, file);
+  }
+
+  private addSentence(sentence: IndexedSentence): void {
+    const id = this.sentences.length;
+    this.sentences.push(sentence);
+    const inCall = this.callSentences.get(sentence.callId) ?? [];
+    inCall.push(id);
+    this.callSentences.set(sentence.callId, inCall);
+
+    tokenize(sentence.text).forEach((token, position) => {
+      let docs = this.postings.get(token);
+      if (!docs) {
+        docs = new Map();
+        this.postings.set(token, docs);
+      }
+      const positions = docs.get(id) ?? [];
+      positions.push(position);
+      docs.set(id, positions);
+    });
+  }
+
+  private evaluate(node: SearchQueryNode): Set<number> {
+    switch (node.type) {
+      case 'term': {
+        if (!node.prefix) return new Set(this.postings.get(node.value)?.keys() ?? []);
+        const ids = new Set<number>();
+        for (const [token, docs] of this.postings) {
+          if (token.startsWith(node.value)) docs.forEach((_, id) => ids.add(id));
+        }
+        return ids;
+      }
+      case 'phrase':
+        return this.matchPhrase(node.terms);
+      case 'or': {
+        const ids = new Set<number>();
+        node.nodes.forEach(child => this.evaluate(child).forEach(id => ids.add(id)));
+        return ids;
+      }
+      case 'and': {
+        const positive = node.nodes.filter(child => child.type !== 'not');
+        const negative = node.nodes.filter(
+          (child): child is Extract<SearchQueryNode, { type: 'not' }> => child.type === 'not'
+        );
+        let ids =
+          positive.length > 0
+            ? positive
+                .map(child => this.evaluate(child))
+                .reduce((acc, set) => new Set([...acc].filter(id => set.has(id))))
+            : this.allIds();
+        for (const child of negative) {
+          const excluded = this.evaluate(child.node);
+          ids = new Set([...ids].filter(id => !excluded.has(id)));
+        }
+        return ids;
+      }
+      case 'not': {
+        const excluded = this.evaluate(node.node);
+        return new Set([...this.allIds()].filter(id => !excluded.has(id)));
+      }
+    }
+  }
+
+  private matchPhrase(terms: string[]): Set<number> {
+    const [first, ...rest] = terms.map(term => this.postings.get(term));
+    const ids = new Set<number>();
+    if (!first || rest.some(docs => !docs)) return ids;
+    for (const [id, positions] of first) {
+      const follows = positions.some(position =>
+        rest.every((docs, offset) => docs!.get(id)?.includes(position + offset + 1))
+      );
+      if (follows) ids.add(id);
+    }
+    return ids;
+  }
+
+  private allIds(): Set<number> {
+    return new Set(this.sentences.keys());
+  }
+
+  private toHit(id: number, contextSize: number): TranscriptHit {
+    const sentence = this.sentences[id];
+    const inCall = this.callSentences.get(sentence.callId) ?? [];
+    const ordinal = inCall.indexOf(id);
+    const context = (ids: number[]) =>
+      ids.map(contextId => {
+        const s = this.sentences[contextId];
+        return { speaker: s.speaker, timestamp: formatTimestamp(s.start), text: s.text };
+      });
+
+    return {
+      callId: sentence.callId,
+      callTitle: sentence.callTitle,
+      callStarted: sentence.callStarted,
+      speaker: sentence.speaker,
+      affiliation: sentence.affiliation,
+      timestamp: formatTimestamp(sentence.start),
+      start: sentence.start,
+      text: sentence.text,
+      context: {
+        before: context(inCall.slice(Math.max(0, ordinal - contextSize), ordinal)),
+        after: context(inCall.slice(ordinal + 1, ordinal + 1 + contextSize)),
+      },
+    };
+  }
+}
+
+/**
+ * Flattens a transcript into sentences with the speaker's name and affiliation
+ *
+ * @param call Call from `/v2/calls/extensive`, for the title, start time and speaker names
+ * @param entry Entry from `/v2/calls/transcript`, with `callId` and monologues in `transcript`
+ * @returns Sentences in call order
+ */
+export function flattenTranscript(call: any, entry: any): IndexedSentence[] {
+  const meta = call?.metaData ?? {};
+  const { callId, sentences } = normalizeTranscript(entry, call);
+  return sentences.map(sentence => ({
+    callId,
+    callTitle: meta.title,
+    callStarted: meta.started,
+    speakerId: sentence.speakerId ?? undefined,
+    speaker: sentence.speaker,
+    speakerEmail: sentence.speakerEmail,
+    affiliation: sentence.affiliation === 'Unknown' ? undefined : sentence.affiliation,
+    start: sentence.start,
+    text: sentence.text,
+  }));
+}
+
+/**
+ * Splits text into lowercase, accent-free word tokens
+ *
+ * @param text Sentence or query text
+ * @returns Tokens in order
+ */
+export function tokenize(text: string): string[] {
+  return (
+    text
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) ?? []
+  );
+}
+
+/**
+ * Parses a search query into a tree
+ *
+ * Grammar: `or := and (OR and)*`, `and := unary (AND? unary)*`, `unary := (NOT | -) unary |
+ * "(" or ")" | "phrase" | term[*]`. Operators must be upper case; lower-case "and" is a term.
+ *
+ * @param query Query text
+ * @returns Query tree
+ * @throws ToolError with category `validation` for unbalanced quotes or parentheses and empty
+ *   queries
+ */
+export function parseSearchQuery(query: string): SearchQueryNode {
+  const tokens = lexQuery(query);
+  let position = 0;
+  const peek = () => tokens[position];
+  const fail = (message: string): never => {
+    throw new ToolError('validation', `Invalid search query: ${message}`, { parameterPath: 'query' });
+  };
+
+  const parseOr = (): SearchQueryNode | null => {
+    const nodes = [parseAnd()];
+    while (peek()?.kind === 'op' && peek()?.value === 'OR') {
+      position++;
+      nodes.push(parseAnd());
+    }
+    const present = nodes.filter((n): n is SearchQueryNode => n !== null);
+    if (present.length === 0) return null;
+    return present.length === 1 ? present[0] : { type: 'or', nodes: present };
+  };
+
+  const parseAnd = (): SearchQueryNode | null => {
+    const nodes: SearchQueryNode[] = [];
+    for (;;) {
+      const token = peek();
+      if (!token || token.kind === 'close' || (token.kind === 'op' && token.value === 'OR')) break;
+      if (token.kind === 'op' && token.value === 'AND') {
+        position++;
+        continue;
+      }
+      const node = parseUnary();
+      if (node) nodes.push(node);
+    }
+    if (nodes.length === 0) return null;
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  };
+
+  const parseUnary = (): SearchQueryNode | null => {
+    const token = tokens[position++];
+    if (token.kind === 'op' && token.value === 'NOT') {
+      if (!peek()) fail('NOT must be followed by a term');
+      const node = parseUnary();
+      return node ? { type: 'not', node } : null;
+    }
+    if (token.kind === 'open') {
+      const node = parseOr();
+      if (peek()?.kind !== 'close') fail('missing closing parenthesis');
+      position++;
+      return node;
+    }
+    if (token.kind === 'close') fail('unexpected closing parenthesis');
+
+    const prefix = token.kind === 'word' && token.value.endsWith('*');
+    const terms = tokenize(token.value);
+    if (terms.length === 0) return null;
+    if (token.kind === 'phrase' || terms.length > 1) return { type: 'phrase', terms };
+    return { type: 'term', value: terms[0], prefix };
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) fail('unexpected closing parenthesis');
+  if (!tree) fail('no search terms');
+  return tree!;
+}
+
+type QueryToken = {
+  kind: 'word' | 'phrase' | 'op' | 'open' | 'close';
+  value: string;
+};
+
+function lexQuery(query: string): QueryToken[] {
+  const tokens: QueryToken[] = [];
+  const pattern = /\s*(?:(-)?(?:"([^"]*)("?)|(\()|([^\s()"]+))|(\)))/gy;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(query)) && match[0].length > 0) {
+    const [, negated, phrase, closingQuote, open, word, close] = match;
+    if (close) {
+      tokens.push({ kind: 'close', value: ')' });
+      continue;
+    }
+    if (negated && (phrase !== undefined || open || word)) {
+      tokens.push({ kind: 'op', value: 'NOT' });
+    }
+    if (phrase !== undefined) {
+      if (!closingQuote) {
+        throw new ToolError('validation', 'Invalid search query: unbalanced quotes', {
+          parameterPath: 'query',
+        });
+      }
+      tokens.push({ kind: 'phrase', value: phrase });
+    } else if (open) {
+      tokens.push({ kind: 'open', value: '(' });
+    } else if (word) {
+      tokens.push(
+        ['AND', 'OR', 'NOT'].includes(word) ? { kind: 'op', value: word } : { kind: 'word', value: word }
+      );
+    }
+  }
+  return tokens;
+}
@@ -0,0 +1,298 @@
+/**
+ * A call participant as heard in the transcript
+ */
+export interface TranscriptSpeaker {
+  speakerId: string;
+  name: string;
+  email?: string;
+  userId?: string;
+  title?: string;
+  affiliation: 'Internal' | 'External' | 'Unknown';
+}
+
+/**
+ * One transcript sentence with its speaker resolved
+ */
+export interface TranscriptSentence {
+  speakerId: string | null;
+  /**
+   * Party name, else email, else `Speaker <id>`
+   */
+  speaker: string;
+  speakerEmail?: string;
+  affiliation: TranscriptSpeaker['affiliation'];
+  /**
+   * Milliseconds from the start of the call
+   */
+  start: number;
+  end: number;
+  text: string;
+  topic?: string;
+}
+
+/**
+ * A call's transcript as a flat list of sentences
+ */
+export interface NormalizedTranscript {
+  callId: string;
+  /**
+   * Speakers heard in the transcript, in order of their first sentence
+   */
+  speakers: TranscriptSpeaker[];
+  sentences: TranscriptSentence[];
+}
+
+/**
+ * A point in a call that supports a finding
+ */
+export interface CallMoment {
+  callId: string;
+  callTitle?: string;
+  /**
+   * Offset into the call as `mm:ss`
+   */
+  timestamp: string;
+  /**
+   * Link to the call in Gong
+   */
+  url?: string;
+  speaker?: string;
+  text?: string;
+}
+
+/**
+ * What one speaker said across one or more transcripts
+ */
+export interface SpeakerTotals {
+  name: string;
+  email?: string;
+  title?: string;
+  affiliation: TranscriptSpeaker['affiliation'];
+  calls: number;
+  sentences: number;
+  words: number;
+  questions: number;
+  talkMs: number;
+  /**
+   * Share of all talk time in the transcripts, in percent with one decimal
+   */
+  talkPercent: number;
+}
+
+/**
+ * Maps the speaker IDs of a call to its parties
+ *
+ * @param call Call from `/v2/calls/extensive` with `parties`
+ * @returns Speakers by speaker ID
+ */
+export function callSpeakers(call: any): Map<string, TranscriptSpeaker> {
+  const speakers = new Map<string, TranscriptSpeaker>();
+  for (const party of call?.parties ?? []) {
+    if (party?.speakerId === undefined || party.speakerId === null) continue;
+    const speakerId = String(party.speakerId);
+    speakers.set(speakerId, {
+      speakerId,
+      name: party.name || party.emailAddress || `Speaker ${speakerId}`,
+      ...(party.emailAddress ? { email: party.emailAddress } : {}),
+      ...(party.userId ? { userId: String(party.userId) } : {}),
+      ...(party.title ? { title: party.title } : {}),
+      affiliation:
+        party.affiliation === 'Internal' || party.affiliation === 'External'
+          ? party.affiliation
+          : 'Unknown',
+    });
+  }
+  return speakers;
+}
+
+/**
+ * Looks up a speaker, falling back to `Speaker <id>` for IDs without a party
+ *
+ * @param speakers Result of callSpeakers
+ * @param speakerId Speaker ID of a monologue
+ * @returns Speaker
+ */
+export function resolveSpeaker(
+  speakers: Map<string, TranscriptSpeaker>,
+  speakerId: unknown
+): TranscriptSpeaker {
+  const id = speakerId === undefined || speakerId === null ? '?' : String(speakerId);
+  return speakers.get(id) ?? { speakerId: id, name: `Speaker ${id}`, affiliation: 'Unknown' };
+}
+
+/**
+ * Flattens a transcript entry into sentences whose speakers are the call's parties
+ *
+ * Gong groups sentences into monologues that carry only a `speakerId`; the names, emails, titles
+ * and affiliations come from the call's `parties`, so callers fetch the call from
+ * `/v2/calls/extensive` with its parties next to the transcript. Without it, speakers are named by
+ * ID. Entries with a flat `sentences` list, whose sentences name their `speaker` and time
+ * themselves in seconds (`startTime`), are accepted too.
+ *
+ * @param entry Entry from `/v2/calls/transcript`, with `callId`
+ * @param call Call from `/v2/calls/extensive` with `parties`, if fetched
+ * @returns Transcript with sentences in the order received; sentences without text are dropped
+ */
+export function normalizeTranscript(entry: any, call?: any): NormalizedTranscript {
+  const callId = String(entry?.callId ?? call?.metaData?.id ?? '');
+  const speakers = callSpeakers(call);
+  const sentences: TranscriptSentence[] = [];
+
+  if (Array.isArray(entry?.transcript)) {
+    for (const monologue of entry.transcript) {
+      const speaker = resolveSpeaker(speakers, monologue?.speakerId);
+      for (const sentence of monologue?.sentences ?? []) {
+        if (!sentence?.text) continue;
+        const start = Number(sentence.start) || 0;
+        sentences.push({
+          speakerId: speaker.speakerId,
+          speaker: speaker.name,
+          ...(speaker.email ? { speakerEmail: speaker.email } : {}),
+          affiliation: speaker.affiliation,
+          start,
+          end: Number(sentence.end) || start,
+          text: sentence.text,
+          ...(monologue.topic ? { topic: monologue.topic } : {}),
+        });
+      }
+    }
+  } else {
+    for (const sentence of entry?.sentences ?? []) {
+      if (!sentence?.text) continue;
+      const named: string | undefined =
+        typeof sentence.speaker === 'string' ? sentence.speaker : sentence.speaker?.name;
+      const party =
+        sentence.speakerId !== undefined ? resolveSpeaker(speakers, sentence.speakerId) : null;
+      const seconds = (value: unknown) => (value === undefined ? undefined : Number(value) * 1000);
+      const start = Number(sentence.start ?? seconds(sentence.startTime) ?? 0) || 0;
+      sentences.push({
+        speakerId: party?.speakerId ?? null,
+        speaker: named || party?.name || 'Unknown',
+        ...(party?.email ? { speakerEmail: party.email } : {}),
+        affiliation: party?.affiliation ?? 'Unknown',
+        start,
+        end: Number(sentence.end ?? seconds(sentence.endTime) ?? start) || start,
+        text: sentence.text,
+      });
+    }
+  }
+
+  const heard = new Map<string, TranscriptSpeaker>();
+  for (const sentence of sentences) {
+    const key = sentence.speakerId ?? `name:${sentence.speaker}`;
+    if (heard.has(key)) continue;
+    heard.set(key, {
+      ...resolveSpeaker(speakers, sentence.speakerId ?? '?'),
+      ...(sentence.speakerId === null ? { name: sentence.speaker } : {}),
+    });
+  }
+  return { callId, speakers: [...heard.values()], sentences };
+}
+
+/**
+ * Normalizes the transcript entries of several calls, pairing them by call ID
+ *
+ * @param calls Calls from `/v2/calls/extensive` with `parties`
+ * @param entries Entries from `/v2/calls/transcript`
+ * @returns One transcript per entry, in entry order
+ */
+export function normalizeTranscripts(calls: any[], entries: any[]): NormalizedTranscript[] {
+  const byId = new Map(calls.map(call => [String(call?.metaData?.id), call]));
+  return entries.map(entry => normalizeTranscript(entry, byId.get(String(entry?.callId))));
+}
+
+/**
+ * A moment of a call, quoting the sentence spoken at that time when the transcript has one
+ */
+export function callMoment(call: any, ms: number, transcript?: NormalizedTranscript): CallMoment {
+  const meta = call?.metaData ?? {};
+  const sentence =
+    transcript?.sentences.find(s => s.start <= ms && ms < Math.max(s.end, s.start + 1)) ??
+    transcript?.sentences.find(s => s.start >= ms);
+  return {
+    callId: String(meta.id),
+    ...(meta.title ? { callTitle: meta.title } : {}),
+    timestamp: formatTimestamp(ms),
+    ...(meta.url ? { url: meta.url } : {}),
+    ...(sentence ? { speaker: sentence.speaker, text: sentence.text } : {}),
+  };
+}
+
+/**
+ * Whether a sentence asks a question
+ */
+export function isQuestion(text: string): boolean {
+  return text.trim().endsWith('?');
+}
+
+/**
+ * Adds up sentences, words, questions and talk time per speaker
+ *
+ * Speakers are matched across calls by email, else by name. A sentence's talk time is its
+ * `end - start`.
+ *
+ * @param transcripts Normalized transcripts
+ * @returns Speakers by talk time, most first
+ */
+export function speakerTotals(transcripts: NormalizedTranscript[]): SpeakerTotals[] {
+  const totals = new Map<string, SpeakerTotals & { callIds: Set<string> }>();
+  let allTalkMs = 0;
+  for (const transcript of transcripts) {
+    for (const sentence of transcript.sentences) {
+      const key = sentence.speakerEmail?.toLowerCase() ?? `name:${sentence.speaker}`;
+      let entry = totals.get(key);
+      if (!entry) {
+        const speaker = transcript.speakers.find(s =>
+          sentence.speakerId === null
+            ? s.name === sentence.speaker
+            : s.speakerId === sentence.speakerId
+        );
+        entry = {
+          name: sentence.speaker,
+          ...(sentence.speakerEmail ? { email: sentence.speakerEmail } : {}),
+          ...(speaker?.title ? { title: speaker.title } : {}),
+          affiliation: sentence.affiliation,
+          calls: 0,
+          sentences: 0,
+          words: 0,
+          questions: 0,
+          talkMs: 0,
+          talkPercent: 0,
+          callIds: new Set(),
+        };
+        totals.set(key, entry);
+      }
+      const talkMs = Math.max(0, sentence.end - sentence.start);
+      entry.callIds.add(transcript.callId);
+      entry.sentences++;
+      entry.words += sentence.text.split(/\s+/).filter(Boolean).length;
+      if (isQuestion(sentence.text)) entry.questions++;
+      entry.talkMs += talkMs;
+      allTalkMs += talkMs;
+    }
+  }
+
+  return [...totals.values()]
+    .map(({ callIds, ...entry }) => ({
+      ...entry,
+      calls: callIds.size,
+      talkPercent: allTalkMs > 0 ? Math.round((entry.talkMs * 1000) / allTalkMs) / 10 : 0,
+    }))
+    .sort((a, b) => b.talkMs - a.talkMs);
+}
+
+/**
+ * Formats an offset into a call as `mm:ss`, or `h:mm:ss` past the first hour
+ *
+ * @param ms Offset in milliseconds
+ * @returns Timestamp
+ */
+export function formatTimestamp(ms: number): string {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${String(minutes).padStart(2, '0')}:${seconds}`;
+}
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import { DEFAULT_ACCOUNT_NAME, loadAccountRegistry } from '../src/accounts.js';
+import { ToolError } from '../src/errors.js';
+
+describe('loadAccountRegistry', () => {
+  let dir: string;
+  let accountsFile: string;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gong-accounts-'));
+    accountsFile = path.join(dir, 'accounts.yaml');
+    fs.writeFileSync(
+      accountsFile,
+      [
+        'defaultAccount: us',
+        'accounts:',
+        '  us:',
+        '    accessKeyEnv: US_KEY',
+        '    secretEnv: US_SECRET',
+        '  emea:',
+        '    description: EMEA subsidiary',
+        '    accessKey: emea-key',
+        '    secret: emea-secret',
+        '    baseUrl: https://eu-1.api.gong.io/',
+      ].join('\n')
+    );
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('builds a single default profile from the environment', () => {
+    const registry = loadAccountRegistry({
+      env: { GONG_ACCESS_KEY: 'k', GONG_SECRET: 's' },
+      defaultBaseUrl: 'https://api.gong.io',
+      cacheRoot: dir,
+    });
+    expect(registry.names).toEqual([DEFAULT_ACCOUNT_NAME]);
+    expect(registry.resolve()).toMatchObject({
+      accessKey: 'k',
+      baseUrl: 'https://api.gong.io',
+      cacheDir: path.join(dir, DEFAULT_ACCOUNT_NAME),
+    });
+  });
+
+  test('loads profiles with per-account base URLs, credentials and storage', () => {
+    const registry = loadAccountRegistry({
+      env: { GONG_ACCOUNTS_FILE: accountsFile, US_KEY: 'us-key', US_SECRET: 'us-secret' },
+      cacheRoot: path.join(dir, 'cache'),
+      logRoot: path.join(dir, 'logs'),
+    });
+    expect(registry.defaultAccount).toBe('us');
+    expect(registry.resolve().accessKey).toBe('us-key');
+
+    const emea = registry.resolve('emea');
+    expect(emea.baseUrl).toBe('https://eu-1.api.gong.io');
+    expect(emea.cacheDir).not.toBe(registry.resolve('us').cacheDir);
+    expect(emea.logDir).toBe(path.join(dir, 'logs', 'emea'));
+    expect(registry.client('emea').defaults.baseURL).toBe('https://eu-1.api.gong.io');
+    expect(registry.argumentSchema().enum).toEqual(['us', 'emea']);
+  });
+
+  test('rejects unknown accounts and accounts without credentials', () => {
+    const registry = loadAccountRegistry({ env: { GONG_ACCOUNTS_FILE: accountsFile } });
+    expect(() => registry.resolve('apac')).toThrow(ToolError);
+    expect(() => registry.resolve('apac')).toThrow('Configured accounts: us, emea');
+    expect(() => registry.client('us')).toThrow('Missing Gong credentials for account "us"');
+  });
+});
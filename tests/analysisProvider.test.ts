@@ -0,0 +1,178 @@
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import {
+  OpenAICompatibleProvider,
+  StubAnalysisProvider,
+  analyzeCalls,
+  createAnalysisProvider,
+  toAnalysisCalls,
+  type AnalysisCall,
+  type AnalysisProvider,
+  type CompletionRequest,
+} from '../src/analysis-provider.js';
+
+const call = (callId: string, ...texts: string[]): AnalysisCall => ({
+  callId,
+  title: `Call ${callId}`,
+  started: '2025-04-01T10:00:00Z',
+  sentences: texts.map((text, i) => ({ speaker: 'Sam Buyer', start: i * 30_000, text })),
+});
+
+/**
+ * Provider that answers with a fixed response and records its requests
+ */
+const fixedProvider = (answer: unknown) => {
+  const requests: CompletionRequest[] = [];
+  const provider: AnalysisProvider = {
+    name: 'fixed',
+    complete: async request => {
+      requests.push(request);
+      return `Here you go:\n${JSON.stringify(answer)}`;
+    },
+  };
+  return { provider, requests };
+};
+
+describe('analysis provider', () => {
+  test('stub cites the excerpts related to the question', async () => {
+    const analysis = await analyzeCalls(new StubAnalysisProvider(), 'pricing concerns', [
+      call('1', 'Hello there.', 'The pricing is a concern for our budget.'),
+      call('2', 'Let us talk about the security review.'),
+    ]);
+
+    expect(analysis).toMatchObject({
+      provider: 'stub',
+      callsAnalyzed: 2,
+      modelRequests: 1,
+      uncitedDropped: 0,
+    });
+    expect(analysis.keyInsights).toEqual([
+      {
+        text: 'Sam Buyer: The pricing is a concern for our budget.',
+        citations: [{ callId: '1', timestamp: '00:30', callTitle: 'Call 1' }],
+      },
+    ]);
+  });
+
+  test('map-reduces over calls that exceed one request and respects the total budget', async () => {
+    const sentence = 'We compared three vendors on pricing and onboarding effort. '.repeat(10);
+    const calls = Array.from({ length: 6 }, (_, i) => call(String(i + 1), sentence, sentence));
+    const budget = { contextTokens: 800, maxOutputTokens: 100, totalTokens: 1100 };
+
+    const analysis = await analyzeCalls(new StubAnalysisProvider(), 'vendor pricing', calls, budget);
+
+    expect(analysis.callsAnalyzed).toBe(3);
+    expect(analysis.callsSkipped).toBe(3);
+    // Three map requests and at least one merge request
+    expect(analysis.modelRequests).toBeGreaterThan(3);
+    expect(analysis.keyInsights.length).toBeGreaterThan(0);
+    for (const insight of analysis.keyInsights) {
+      expect(['1', '2', '3']).toContain(insight.citations[0].callId);
+    }
+  });
+
+  test('drops statements that cite no analyzed call', async () => {
+    const { provider, requests } = fixedProvider({
+      summary: 'Budget is the main concern [call:1 @ 00:30].',
+      insights: [
+        { text: 'Budget came up early', citations: ['[call:1 @ 00:30]'] },
+        { text: 'Made-up statement', citations: [] },
+        { text: 'Cites an unknown call [call:99 @ 01:00]' },
+      ],
+      recommendations: ['Send an ROI model [call:1 @ 00:00]'],
+    });
+
+    const analysis = await analyzeCalls(provider, 'budget', [call('1', 'Hi.', 'Budget is tight.')]);
+
+    expect(requests[0].prompt).toContain('[call:1 @ 00:30] Sam Buyer: Budget is tight.');
+    expect(analysis.summary).toBe('Budget is the main concern.');
+    expect(analysis.keyInsights.map(i => i.text)).toEqual(['Budget came up early']);
+    expect(analysis.recommendedActions).toEqual([
+      {
+        text: 'Send an ROI model',
+        citations: [{ callId: '1', timestamp: '00:00', callTitle: 'Call 1' }],
+      },
+    ]);
+    expect(analysis.uncitedDropped).toBe(2);
+  });
+
+  test('resolves speakers of Gong transcripts through the call parties', () => {
+    const [analysisCall] = toAnalysisCalls(
+      [
+        {
+          metaData: { id: '7', title: 'Demo', started: '2025-04-01T10:00:00Z' },
+          parties: [{ speakerId: 's1', name: 'Dana Rep' }],
+        },
+      ],
+      [{ callId: '7', transcript: [{ speakerId: 's1', sentences: [{ start: 4000, text: 'Hi!' }] }] }]
+    );
+
+    expect(analysisCall).toEqual({
+      callId: '7',
+      title: 'Demo',
+      started: '2025-04-01T10:00:00Z',
+      sentences: [{ speaker: 'Dana Rep', start: 4000, text: 'Hi!' }],
+    });
+  });
+
+  describe('OpenAI-compatible provider', () => {
+    let server: http.Server;
+    let baseUrl: string;
+    const received: any[] = [];
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+          received.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+          if (req.headers.authorization !== 'Bearer secret') {
+            res.writeHead(401).end();
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ choices: [{ message: { content: '{"summary":"ok"}' } }] }));
+        });
+      });
+      await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/v1`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('posts chat completions and maps auth failures to configuration errors', async () => {
+      const provider = new OpenAICompatibleProvider(`${baseUrl}/`, 'local-model', 'secret');
+      const request = { system: 'sys', prompt: 'question', maxOutputTokens: 50 };
+
+      await expect(provider.complete(request)).resolves.toBe('{"summary":"ok"}');
+      expect(received[0]).toMatchObject({
+        url: '/v1/chat/completions',
+        body: {
+          model: 'local-model',
+          max_tokens: 50,
+          messages: [
+            { role: 'system', content: 'sys' },
+            { role: 'user', content: 'question' },
+          ],
+        },
+      });
+
+      await expect(
+        new OpenAICompatibleProvider(baseUrl, 'local-model').complete(request)
+      ).rejects.toMatchObject({ category: 'configuration' });
+    });
+  });
+
+  test('creates the configured provider', () => {
+    expect(createAnalysisProvider({}).name).toBe('stub');
+    expect(
+      createAnalysisProvider({ GONG_ANALYSIS_PROVIDER: 'openai', GONG_ANALYSIS_MODEL: 'm' }).name
+    ).toBe('openai-compatible:m');
+    expect(() => createAnalysisProvider({ GONG_ANALYSIS_PROVIDER: 'magic' })).toThrow(
+      'Unknown GONG_ANALYSIS_PROVIDER'
+    );
+  });
+});
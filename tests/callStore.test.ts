@@ -0,0 +1,206 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import {
+  CallStore,
+  cacheModeFromEnv,
+  fetchCallsInRange,
+  fetchPagedCalls,
+  fetchTranscripts,
+  syncCalls,
+} from '../src/call-store.js';
+
+const call = (id: string, started: string, email = 'sam@acme.com') => ({
+  metaData: { id, title: `Call ${id}`, started },
+  parties: [{ name: 'Sam Buyer', emailAddress: email }],
+});
+
+/**
+ * Stand-in for a Gong axios client that answers each endpoint from a handler
+ */
+const fakeClient = (handlers: Record<string, (body: any) => any>) => {
+  const requests: { url: string; body: any }[] = [];
+  return {
+    requests,
+    post: async (url: string, body: any) => {
+      requests.push({ url, body });
+      return { data: handlers[url](body) };
+    },
+  } as any;
+};
+
+const transcriptsFor = (body: any) => ({
+  callTranscripts: body.filter.callIds.map((callId: string) => ({ callId, transcript: [] })),
+});
+
+describe('call store', () => {
+  let dir: string;
+  let store: CallStore;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gong-call-store-'));
+    store = new CallStore(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('syncs from the watermark and only downloads transcripts of new calls', async () => {
+    const pages = [
+      { calls: [call('1', '2025-04-01T10:00:00Z')], records: { cursor: 'next' } },
+      { calls: [call('2', '2025-04-02T10:00:00Z')], records: {} },
+      { calls: [call('2', '2025-04-02T10:00:00Z'), call('3', '2025-04-03T10:00:00Z')] },
+    ];
+    const client = fakeClient({
+      '/v2/calls/extensive': () => pages.shift(),
+      '/v2/calls/transcript': transcriptsFor,
+    });
+
+    const first = await syncCalls(client, store, {
+      since: '2025-03-01T00:00:00.000Z',
+      now: new Date('2025-04-02T12:00:00Z'),
+    });
+    expect(first).toMatchObject({ callsFetched: 2, transcriptsFetched: 2 });
+    expect(first.state).toMatchObject({
+      syncedFrom: '2025-03-01T00:00:00.000Z',
+      syncedTo: '2025-04-02T12:00:00.000Z',
+      watermark: '2025-04-02T10:00:00Z',
+    });
+
+    const second = await syncCalls(client, store, { now: new Date('2025-04-04T00:00:00Z') });
+    expect(second.fromDateTime).toBe('2025-04-02T10:00:00Z');
+    expect(second.transcriptsFetched).toBe(1);
+    expect(client.requests.at(-1).body.filter.callIds).toEqual(['3']);
+    expect(store.readState()?.syncedFrom).toBe('2025-03-01T00:00:00.000Z');
+    expect(store.getTranscript('3')).toEqual({ callId: '3', transcript: [] });
+  });
+
+  test('reads synced ranges from disk and fetches only calls after the last sync', async () => {
+    store.putCall(call('1', '2025-04-01T10:00:00Z', 'dana@us.com'));
+    store.putCall(call('2', '2025-04-02T10:00:00Z'));
+    store.writeState({
+      syncedFrom: '2025-03-01T00:00:00Z',
+      syncedTo: '2025-04-03T00:00:00Z',
+      watermark: '2025-04-02T10:00:00Z',
+      lastSyncAt: '2025-04-03T00:00:00Z',
+    });
+    const client = fakeClient({ '/v2/calls/extensive': () => ({ calls: [call('3', '2025-04-04T09:00:00Z')] }) });
+
+    const covered = await fetchCallsInRange(client, store, {
+      fromDateTime: '2025-03-15T00:00:00Z',
+      toDateTime: '2025-04-02T23:59:59Z',
+      participantsEmails: ['SAM@acme.com'],
+    });
+    expect(covered.calls.map(c => c.metaData.id)).toEqual(['2']);
+    expect(client.requests).toHaveLength(0);
+
+    const extended = await fetchCallsInRange(client, store, {
+      fromDateTime: '2025-03-15T00:00:00Z',
+      toDateTime: '2025-04-05T00:00:00Z',
+    });
+    expect(extended).toMatchObject({ fromCache: 2 });
+    expect(extended.calls.map(c => c.metaData.id)).toEqual(['3', '2', '1']);
+    expect(client.requests[0].body.filter.fromDateTime).toBe('2025-04-03T00:00:00Z');
+    expect(store.getCall('3')).not.toBeNull();
+
+    await fetchCallsInRange(client, store, {
+      fromDateTime: '2025-01-01T00:00:00Z',
+      toDateTime: '2025-04-02T00:00:00Z',
+    });
+    expect(client.requests[1].body.filter.fromDateTime).toBe('2025-01-01T00:00:00Z');
+  });
+
+  test('serves stored transcripts and falls back to the API for misses', async () => {
+    store.putTranscript({ callId: '1', transcript: [{ speakerId: 's1' }] });
+    const client = fakeClient({ '/v2/calls/transcript': transcriptsFor });
+
+    const transcripts = await fetchTranscripts(client, store, ['1', '2']);
+
+    expect(transcripts.map(t => t.callId)).toEqual(['1', '2']);
+    expect(client.requests).toHaveLength(1);
+    expect(client.requests[0].body.filter.callIds).toEqual(['2']);
+    expect(store.getTranscript('2')).not.toBeNull();
+    expect(await fetchTranscripts(client, null, ['1'])).toEqual([{ callId: '1', transcript: [] }]);
+  });
+
+  test('pages through Gong cursors with continuation tokens', async () => {
+    const gongPages: Record<string, any> = {
+      first: { calls: ['1', '2', '3'], cursor: 'c1' },
+      c1: { calls: ['4', '5', '6'], cursor: 'c2' },
+      c2: { calls: ['7'] },
+    };
+    const client = fakeClient({
+      '/v2/calls/extensive': body => {
+        const { calls, cursor } = gongPages[body.cursor ?? 'first'];
+        return {
+          calls: calls.map((id: string) => call(id, '2025-04-01T10:00:00Z')),
+          records: { totalRecords: 7, cursor },
+        };
+      },
+    });
+    const body = { filter: { fromDateTime: '2025-04-01T00:00:00Z', toDateTime: '2025-05-01' } };
+
+    const pages: string[][] = [];
+    let cursor: string | undefined;
+    do {
+      const page = await fetchPagedCalls(client, null, body, { cursor, pageSize: 2 });
+      expect(page.totalCalls).toBe(7);
+      pages.push(page.calls.map(c => c.metaData.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(pages).toEqual([['1', '2'], ['3', '4'], ['5', '6'], ['7']]);
+    expect(client.requests.map((r: any) => r.body.cursor)).toEqual([
+      undefined,
+      undefined,
+      'c1',
+      'c1',
+      'c2',
+    ]);
+
+    const third = await fetchPagedCalls(client, null, body, { page: 3, pageSize: 2 });
+    expect(third.calls.map(c => c.metaData.id)).toEqual(['5', '6']);
+
+    const token = (await fetchPagedCalls(client, null, body, { pageSize: 2 })).nextCursor;
+    const otherRange = { filter: { ...body.filter, toDateTime: '2025-06-01' } };
+    await expect(
+      fetchPagedCalls(client, null, otherRange, { cursor: token, pageSize: 2 })
+    ).rejects.toMatchObject({ category: 'validation' });
+  });
+
+  test('pages stored calls after filtering them', async () => {
+    ['1', '2', '3', '4'].forEach(id => store.putCall(call(id, `2025-04-0${id}T10:00:00Z`)));
+    store.writeState({
+      syncedFrom: '2025-03-01T00:00:00Z',
+      syncedTo: '2025-05-01T00:00:00Z',
+      watermark: '2025-04-04T10:00:00Z',
+      lastSyncAt: '2025-05-01T00:00:00Z',
+    });
+    const client = fakeClient({});
+    const body = { filter: { fromDateTime: '2025-04-01T00:00:00Z', toDateTime: '2025-04-30' } };
+    const request = { pageSize: 2, keep: (c: any) => c.metaData.id !== '3', keepFilters: 'not-3' };
+
+    const first = await fetchPagedCalls(client, store, body, request);
+    const second = await fetchPagedCalls(client, store, body, {
+      ...request,
+      cursor: first.nextCursor,
+    });
+
+    expect(first.totalCalls).toBe(3);
+    expect([...first.calls, ...second.calls].map(c => c.metaData.id).sort()).toEqual([
+      '1',
+      '2',
+      '4',
+    ]);
+    expect(second.nextCursor).toBeUndefined();
+    expect(client.requests).toHaveLength(0);
+  });
+
+  test('reads the cache mode from GONG_CACHE_MODE', () => {
+    expect(cacheModeFromEnv({})).toBe('off');
+    expect(cacheModeFromEnv({ GONG_CACHE_MODE: 'prefer' })).toBe('prefer');
+    expect(cacheModeFromEnv({ GONG_CACHE_MODE: 'Cache-First' })).toBe('prefer');
+  });
+});
@@ -0,0 +1,220 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import {
+  buildCompetitorReport,
+  loadCompetitors,
+  parseCompetitors,
+  passageSentiment,
+  resolveCompetitors,
+} from '../src/competitor-intel.js';
+import { callFixtures } from './helpers/calls.js';
+
+const competitors = [
+  { name: 'Chorus', aliases: ['Chorus.ai'] },
+  { name: 'Salesloft', products: ['Conversations'] },
+  { name: 'Clari' },
+];
+
+const party = (speakerId: string, name: string, email: string, affiliation: string) => ({
+  speakerId,
+  name,
+  emailAddress: email,
+  affiliation,
+});
+const dana = party('d', 'Dana Rep', 'dana@example.com', 'Internal');
+const ben = party('b', 'Ben Rep', 'ben@example.com', 'Internal');
+const sam = party('s', 'Sam Buyer', 'sam@acme.com', 'External');
+const lee = party('l', 'Lee Buyer', 'Lee@Globex.com', 'External');
+
+const { calls, entries } = callFixtures([
+  {
+    id: '1',
+    started: '2025-06-02T10:00:00Z',
+    parties: [dana, sam],
+    extra: {
+      context: [
+        {
+          system: 'Salesforce',
+          objects: [
+            {
+              objectType: 'Account',
+              objectId: 'a1',
+              fields: [{ name: 'Name', value: 'Acme Corp' }],
+            },
+          ],
+        },
+      ],
+    },
+    sentences: [
+      ['s', 0, 4_000, 'We looked at Chorus.ai last year.'],
+      ['s', 4_000, 8_000, 'Their reporting was clunky and slow.'],
+      ['d', 8_000, 12_000, 'Understood, thanks.'],
+      ['d', 12_000, 16_000, 'Many teams switch from Salesloft Conversations to us.'],
+      ['s', 16_000, 20_000, 'Okay.'],
+    ],
+  },
+  {
+    id: '2',
+    started: '2025-06-11T10:00:00Z',
+    parties: [ben, lee],
+    sentences: [
+      ['l', 0, 4_000, 'Honestly chorus was great for us.'],
+      ['b', 4_000, 8_000, 'Good to hear.'],
+    ],
+  },
+  {
+    id: '3',
+    started: '2025-06-12T10:00:00Z',
+    parties: [dana, sam],
+    sentences: [['s', 0, 4_000, 'The choruses in that song.']],
+  },
+]);
+const period = { from: '2025-06-01', to: '2025-06-30' };
+
+describe('competitor intel', () => {
+  test('counts mentions over time, by rep and by account with sentiment and quotes', () => {
+    const report = buildCompetitorReport(calls, entries, competitors, { period });
+
+    expect(report).toMatchObject({
+      period,
+      interval: 'week',
+      callsScanned: 3,
+      totalCalls: 3,
+      truncated: false,
+      callsWithMentions: 2,
+    });
+    expect(report.competitors.map(c => [c.name, c.mentions, c.calls])).toEqual([
+      ['Chorus', 2, 2],
+      ['Salesloft', 1, 1],
+      ['Clari', 0, 0],
+    ]);
+
+    const [chorus, salesloft] = report.competitors;
+    expect(chorus).toMatchObject({
+      terms: [
+        { term: 'Chorus', mentions: 1 },
+        { term: 'Chorus.ai', mentions: 1 },
+      ],
+      mentionedBy: { reps: 0, customers: 2, unknown: 0 },
+      sentiment: { positive: 1, neutral: 0, negative: 1, averageScore: 0 },
+      overTime: [
+        { periodStart: '2025-06-02', mentions: 1, calls: 1 },
+        { periodStart: '2025-06-09', mentions: 1, calls: 1 },
+      ],
+      byRep: [
+        { name: 'Ben Rep', email: 'ben@example.com', mentions: 1, calls: 1 },
+        { name: 'Dana Rep', email: 'dana@example.com', mentions: 1, calls: 1 },
+      ],
+      byAccount: [
+        { account: 'Acme Corp', mentions: 1, calls: 1 },
+        { account: 'globex.com', mentions: 1, calls: 1 },
+      ],
+    });
+    expect(chorus.quotes).toEqual([
+      {
+        competitor: 'Chorus',
+        term: 'Chorus',
+        callId: '2',
+        callTitle: 'Call 2',
+        started: '2025-06-11T10:00:00Z',
+        timestamp: '00:00',
+        url: 'https://app.gong.io/call?id=2',
+        speaker: 'Lee Buyer',
+        affiliation: 'External',
+        account: 'globex.com',
+        text: 'Honestly chorus was great for us.',
+        passage: 'Honestly chorus was great for us. Good to hear.',
+        sentiment: 'positive',
+        sentimentScore: 1,
+      },
+      expect.objectContaining({
+        callId: '1',
+        term: 'Chorus.ai',
+        passage: 'We looked at Chorus.ai last year. Their reporting was clunky and slow.',
+        sentiment: 'negative',
+      }),
+    ]);
+    expect(salesloft).toMatchObject({
+      terms: [{ term: 'Salesloft', mentions: 1 }],
+      mentionedBy: { reps: 1, customers: 0 },
+      sentiment: { neutral: 1 },
+    });
+    expect(salesloft.quotes[0]).toMatchObject({ timestamp: '00:12', speaker: 'Dana Rep' });
+
+    const monthly = buildCompetitorReport(calls, entries, competitors, {
+      period,
+      totalCalls: 250,
+      interval: 'month',
+    });
+    expect(monthly).toMatchObject({ callsScanned: 3, totalCalls: 250, truncated: true });
+    expect(monthly.competitors[0].overTime).toEqual([
+      { periodStart: '2025-06-01', mentions: 2, calls: 2 },
+    ]);
+  });
+
+  test('scores passage sentiment with negations', () => {
+    expect(passageSentiment("It is not slow and I don't hate it.")).toEqual({
+      sentiment: 'positive',
+      score: 1,
+    });
+    expect(passageSentiment('Not great, but easy to set up.')).toEqual({
+      sentiment: 'neutral',
+      score: 0,
+    });
+    expect(passageSentiment('We use it every day.')).toEqual({ sentiment: 'neutral', score: 0 });
+  });
+});
+
+describe('competitor dictionary', () => {
+  let dir: string;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gong-competitors-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('validates competitors given with a request', () => {
+    expect(
+      parseCompetitors(['Clari', { name: ' Chorus ', aliases: ['Chorus.ai', ' ', 7] }])
+    ).toEqual([{ name: 'Clari' }, { name: 'Chorus', aliases: ['Chorus.ai'] }]);
+    expect(() => parseCompetitors([])).toThrow(expect.objectContaining({ category: 'validation' }));
+    expect(() => parseCompetitors([{ aliases: ['x'] }])).toThrow(
+      expect.objectContaining({ details: { parameterPath: 'competitors[0].name' } })
+    );
+  });
+
+  test('loads competitors from GONG_COMPETITORS_FILE', () => {
+    const file = path.join(dir, 'competitors.yaml');
+    fs.writeFileSync(
+      file,
+      ['competitors:', '  - name: Salesloft', '    products: [Cadence]', '  - Clari'].join('\n')
+    );
+
+    expect(loadCompetitors({ GONG_COMPETITORS_FILE: file })).toEqual([
+      { name: 'Salesloft', products: ['Cadence'] },
+      { name: 'Clari' },
+    ]);
+    expect(loadCompetitors({})).toBeNull();
+    const missing = path.join(dir, 'missing.yaml');
+    expect(() => loadCompetitors({ GONG_COMPETITORS_FILE: missing })).toThrow(
+      expect.objectContaining({ category: 'configuration' })
+    );
+  });
+
+  test('resolves the given competitors before the configured file', () => {
+    const file = path.join(dir, 'resolved.json');
+    fs.writeFileSync(file, JSON.stringify({ competitors: ['Clari'] }));
+    const env = { GONG_COMPETITORS_FILE: file };
+
+    expect(resolveCompetitors(['Chorus'], env)).toEqual([{ name: 'Chorus' }]);
+    expect(resolveCompetitors(undefined, env)).toEqual([{ name: 'Clari' }]);
+    expect(() => resolveCompetitors(undefined, {})).toThrow(
+      expect.objectContaining({ category: 'configuration' })
+    );
+  });
+});
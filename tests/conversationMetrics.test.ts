@@ -0,0 +1,102 @@
+import { describe, expect, test } from '@jest/globals';
+import { callMetrics, monologues, repMetrics } from '../src/conversation-metrics.js';
+import { normalizeTranscript } from '../src/transcript.js';
+
+const parties = [
+  { speakerId: '1', name: 'Dana Rep', emailAddress: 'dana@example.com', affiliation: 'Internal' },
+  { speakerId: '2', name: 'Sam Buyer', affiliation: 'External' },
+];
+
+const monologue = (speakerId: string, ...sentences: [number, number, string][]) => ({
+  speakerId,
+  sentences: sentences.map(([start, end, text]) => ({ start, end, text })),
+});
+
+const discovery = normalizeTranscript(
+  {
+    callId: '1',
+    transcript: [
+      monologue('1', [0, 10_000, 'Hi Sam, welcome.'], [10_000, 20_000, 'How is it going?']),
+      monologue('2', [22_000, 52_000, 'Slow, because of the data migration.']),
+      monologue('1', [55_000, 60_000, 'What is blocking it?']),
+      monologue('2', [60_000, 70_000, 'Mostly budget.']),
+      monologue('1', [71_000, 80_000, 'Understood.']),
+    ],
+  },
+  { parties }
+);
+
+describe('conversation metrics', () => {
+  test('measures talk ratio, monologues, interactivity, patience and questions of a call', () => {
+    expect(monologues(discovery).map(m => [m.speaker, m.durationMs, m.sentences])).toEqual([
+      ['Dana Rep', 20_000, 2],
+      ['Sam Buyer', 30_000, 1],
+      ['Dana Rep', 5_000, 1],
+      ['Sam Buyer', 10_000, 1],
+      ['Dana Rep', 9_000, 1],
+    ]);
+
+    const metrics = callMetrics(discovery);
+    expect(metrics).toMatchObject({
+      callId: '1',
+      spanMs: 80_000,
+      rep: { talkMs: 34_000, talkPercent: 45.9, questions: 2, questionsPerHour: 90 },
+      customer: { talkMs: 40_000, talkPercent: 54.1, questions: 0, questionsPerHour: 0 },
+      longestMonologue: { speaker: 'Dana Rep', start: 0, durationMs: 20_000 },
+      longestCustomerStory: { speaker: 'Sam Buyer', start: 22_000, durationMs: 30_000 },
+      // Four switches in 80 seconds
+      interactivity: 3,
+      // Dana answered after 3 s and 1 s
+      patienceMs: 2_000,
+    });
+    expect(metrics.speakers.map(s => [s.name, s.longestMonologueMs, s.patienceMs])).toEqual([
+      ['Sam Buyer', 30_000, 1_000],
+      ['Dana Rep', 20_000, 2_000],
+    ]);
+  });
+
+  test('aggregates reps across calls and handles empty transcripts', () => {
+    const checkIn = normalizeTranscript(
+      {
+        callId: '2',
+        transcript: [
+          monologue('7', [0, 6_000, 'Quick check-in?']),
+          monologue('8', [6_000, 12_000, 'Sure.']),
+        ],
+      },
+      {
+        parties: [
+          {
+            speakerId: '7',
+            name: 'Dana R.',
+            emailAddress: 'Dana@example.com',
+            affiliation: 'Internal',
+          },
+          { speakerId: '8', name: 'Lee Buyer', affiliation: 'External' },
+        ],
+      }
+    );
+
+    const [dana] = repMetrics([callMetrics(discovery), callMetrics(checkIn)]);
+    expect(dana).toMatchObject({
+      name: 'Dana Rep',
+      email: 'dana@example.com',
+      calls: 2,
+      longestMonologueMs: 20_000,
+      averageLongestMonologueMs: 13_000,
+      interactivity: 4,
+      // The check-in has no answer from a rep
+      patienceMs: 2_000,
+      questionsPerHour: 195,
+    });
+    expect(dana.talkPercent).toBeCloseTo(48, 0);
+
+    expect(callMetrics(normalizeTranscript({ callId: '3', transcript: [] }))).toMatchObject({
+      spanMs: 0,
+      interactivity: 0,
+      patienceMs: null,
+      longestMonologue: null,
+      rep: { talkPercent: 0, questionsPerHour: 0 },
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import {
+  HashingEmbeddingProvider,
+  SemanticIndex,
+  chunkTranscript,
+  createEmbeddingProvider,
+  type EmbeddingProvider,
+} from '../src/embeddings.js';
+import { flattenTranscript } from '../src/transcript-index.js';
+
+const parties = [
+  { speakerId: 's1', name: 'Dana Rep', affiliation: 'Internal' },
+  { speakerId: 's2', name: 'Sam Buyer', affiliation: 'External' },
+];
+
+const transcript = (callId: string, started: string, ...monologues: [string, ...string[]][]) => ({
+  call: { metaData: { id: callId, title: `Call ${callId}`, started }, parties },
+  entry: {
+    callId,
+    transcript: monologues.map(([speakerId, ...texts]) => ({
+      speakerId,
+      sentences: texts.map((text, i) => ({ start: i * 5000, text })),
+    })),
+  },
+});
+
+const dot = (a: number[], b: number[]) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+/**
+ * Hashing provider that records how many texts it embedded
+ */
+const countingProvider = () => {
+  const hashing = new HashingEmbeddingProvider(128);
+  const provider = {
+    name: hashing.name,
+    embedded: 0,
+    embed: async (texts: string[]) => {
+      provider.embedded += texts.length;
+      return hashing.embed(texts);
+    },
+  };
+  return provider satisfies EmbeddingProvider;
+};
+
+describe('embeddings', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gong-embeddings-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('hashing embeddings are deterministic unit vectors that favour shared words', async () => {
+    const provider = new HashingEmbeddingProvider();
+    const [query, related, unrelated] = await provider.embed([
+      'pricing is too expensive',
+      'the price is expensive for our budget',
+      'let us schedule the security review',
+    ]);
+
+    expect(await provider.embed(['pricing is too expensive'])).toEqual([query]);
+    expect(dot(query, query)).toBeCloseTo(1);
+    expect(dot(query, related)).toBeGreaterThan(dot(query, unrelated));
+  });
+
+  test('chunks consecutive sentences of the same speaker', () => {
+    const { call, entry } = transcript(
+      '1',
+      '2025-04-01T10:00:00Z',
+      ['s1', 'One.', 'Two.', 'Three.', 'Four.'],
+      ['s2', 'Five.']
+    );
+    const chunks = chunkTranscript(flattenTranscript(call, entry), 3);
+
+    expect(chunks.map(c => [c.speaker, c.text, c.start])).toEqual([
+      ['Dana Rep', 'One. Two. Three.', 0],
+      ['Dana Rep', 'Four.', 15000],
+      ['Sam Buyer', 'Five.', 0],
+    ]);
+  });
+
+  test('ranks snippets by similarity, filters by date and persists vectors', async () => {
+    const provider = countingProvider();
+    const index = SemanticIndex.open(dir, provider);
+    await index.addCalls([
+      transcript('1', '2025-04-01T10:00:00Z', ['s2', 'Honestly the pricing is too expensive for us.']),
+      transcript('2', '2025-04-08T10:00:00Z', ['s1', 'Next step is the security review with IT.']),
+    ]);
+
+    const [best] = await index.search('too expensive pricing');
+    expect(best).toMatchObject({ callId: '1', speaker: 'Sam Buyer', timestamp: '00:00' });
+    expect(best.score).toBeGreaterThan(0.3);
+    expect(
+      await index.search('too expensive pricing', { fromDateTime: '2025-04-05T00:00:00Z' })
+    ).toEqual([]);
+
+    const embedded = provider.embedded;
+    const reopened = SemanticIndex.open(dir, provider);
+    expect(reopened.callCount).toBe(2);
+    expect(await reopened.addCalls([transcript('1', '2025-04-01T10:00:00Z', ['s2', 'Again.'])])).toBe(0);
+    expect(provider.embedded).toBe(embedded);
+    expect(fs.existsSync(path.join(dir, 'embeddings', 'hashing-128.json'))).toBe(true);
+  });
+
+  test('rejects unknown embedding providers', () => {
+    expect(createEmbeddingProvider({}).name).toBe('hashing-512');
+    expect(createEmbeddingProvider({ GONG_EMBEDDINGS_PROVIDER: 'ollama' }).name).toBe(
+      'ollama-nomic-embed-text'
+    );
+    expect(() => createEmbeddingProvider({ GONG_EMBEDDINGS_PROVIDER: 'magic' })).toThrow(
+      'Unknown GONG_EMBEDDINGS_PROVIDER'
+    );
+  });
+});
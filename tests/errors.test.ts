@@ -0,0 +1,73 @@
+import { AxiosError, AxiosHeaders } from 'axios';
+import { z } from 'zod';
+import { describe, expect, test } from '@jest/globals';
+import { ToolError, describeToolError, toToolErrorResult } from '../src/errors.js';
+
+const apiError = (status: number, data: any, config: Record<string, any> = {}, headers = {}) => {
+  const requestConfig = {
+    headers: new AxiosHeaders(),
+    method: 'post',
+    url: '/v2/calls/extensive',
+    ...config,
+  };
+  return new AxiosError('Request failed', 'ERR_BAD_RESPONSE', requestConfig as any, {}, {
+    status,
+    statusText: '',
+    data,
+    headers,
+    config: requestConfig as any,
+  });
+};
+
+describe('describeToolError', () => {
+  test('reports the offending parameter path of a validation failure', () => {
+    const schema = z.object({
+      requestBody: z.object({ filter: z.object({ fromDateTime: z.string() }) }),
+    });
+    const result = schema.safeParse({ requestBody: { filter: { fromDateTime: 5 } } });
+    const payload = describeToolError(result.success ? null : result.error);
+    expect(payload).toMatchObject({
+      category: 'validation',
+      retryable: false,
+      parameterPath: 'requestBody.filter.fromDateTime',
+    });
+  });
+
+  test('classifies rate limits as retryable and keeps the Gong requestId', () => {
+    const payload = describeToolError(
+      apiError(429, { requestId: 'abc123', errors: ['Too many requests'] }, {}, { 'retry-after': '3' })
+    );
+    expect(payload).toMatchObject({
+      category: 'rate_limited',
+      httpStatus: 429,
+      requestId: 'abc123',
+      retryable: true,
+      retryAfterMs: 3000,
+    });
+  });
+
+  test('distinguishes a bad cursor from other bad requests', () => {
+    const payload = describeToolError(
+      apiError(400, { requestId: 'r', errors: ['Invalid cursor'] }, { data: '{"cursor":"x"}' })
+    );
+    expect(payload).toMatchObject({
+      category: 'invalid_cursor',
+      parameterPath: 'requestBody.cursor',
+    });
+    expect(describeToolError(apiError(400, { errors: ['Bad filter'] })).category).toBe('bad_request');
+  });
+
+  test('only marks server errors retryable when the request has no side effects', () => {
+    expect(describeToolError(apiError(503, {})).retryable).toBe(true);
+    expect(describeToolError(apiError(503, {}, { url: '/v2/meetings' })).retryable).toBe(false);
+    expect(describeToolError(apiError(401, {})).category).toBe('authentication');
+  });
+
+  test('wraps errors in an isError tool result with a JSON payload', () => {
+    const result = toToolErrorResult(new ToolError('configuration', 'Missing Gong credentials'));
+    expect(result.isError).toBe(true);
+    expect(JSON.parse(result.content[0].text as string)).toEqual({
+      error: { category: 'configuration', message: 'Missing Gong credentials', retryable: false },
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import {
+  RateLimiter,
+  computeBackoffDelay,
+  createGongClient,
+  getRetryHistory,
+  isRetrySafe,
+  parseRetryAfter,
+} from '../src/gong-client.js';
+
+describe('retry policy', () => {
+  const options = { maxRetries: 3, baseDelayMs: 100, maxDelayMs: 1000 };
+
+  test('honors Retry-After and gives up when it exceeds maxDelayMs', () => {
+    expect(computeBackoffDelay(1, options, 250)).toBe(250);
+    expect(computeBackoffDelay(1, options, 5000)).toBeNull();
+  });
+
+  test('backs off exponentially with jitter, capped at maxDelayMs', () => {
+    expect(computeBackoffDelay(1, options, undefined, () => 0)).toBe(50);
+    expect(computeBackoffDelay(3, options, undefined, () => 1)).toBe(400);
+    expect(computeBackoffDelay(10, options, undefined, () => 1)).toBe(1000);
+  });
+
+  test('parses Retry-After in seconds and as an HTTP date', () => {
+    const now = Date.parse('2025-05-01T00:00:00Z');
+    expect(parseRetryAfter('2', now)).toBe(2000);
+    expect(parseRetryAfter('Thu, 01 May 2025 00:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter(undefined, now)).toBeUndefined();
+  });
+
+  test('only replays requests without side effects', () => {
+    expect(isRetrySafe('get', '/v2/users')).toBe(true);
+    expect(isRetrySafe('post', 'https://api.gong.io/v2/calls/extensive')).toBe(true);
+    expect(isRetrySafe('post', '/v2/stats/interaction')).toBe(true);
+    expect(isRetrySafe('post', '/v2/meetings')).toBe(false);
+  });
+});
+
+describe('createGongClient', () => {
+  let server: http.Server;
+  let baseURL: string;
+  const responses: { status: number; headers?: Record<string, string> }[] = [];
+
+  beforeAll(async () => {
+    server = http.createServer((_req, res) => {
+      const next = responses.shift() ?? { status: 200 };
+      res.writeHead(next.status, { 'Content-Type': 'application/json', ...next.headers });
+      res.end(JSON.stringify({ status: next.status }));
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const client = () =>
+    createGongClient({
+      baseURL,
+      retry: { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 50 },
+      rateLimiter: new RateLimiter(0),
+    });
+
+  test('retries rate-limited and transient failures until the request succeeds', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '0' } }, { status: 503 });
+    const response = await client().post('/v2/calls/extensive', {});
+    expect(response.status).toBe(200);
+  });
+
+  test('records the retry history on the final error', async () => {
+    responses.push({ status: 502 }, { status: 502 }, { status: 502 });
+    const error = await client()
+      .get('/v2/users')
+      .catch(e => e);
+    expect(getRetryHistory(error).map(a => a.status)).toEqual([502, 502, 502]);
+  });
+
+  test('does not replay non-idempotent requests on server errors', async () => {
+    responses.push({ status: 500 });
+    const error = await client()
+      .post('/v2/meetings', {})
+      .catch(e => e);
+    expect(getRetryHistory(error)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * A sentence of a fixture transcript, spoken as a monologue of its own
+ */
+export type FixtureSentence = [speakerId: string, start: number, end: number, text: string];
+
+/**
+ * A call from `/v2/calls/extensive` together with its transcript
+ */
+export interface CallFixture {
+  id: string;
+  started: string;
+  parties: any[];
+  sentences: FixtureSentence[];
+  /**
+   * Further metaData fields, such as duration
+   */
+  metaData?: Record<string, any>;
+  /**
+   * Further call fields, such as content or context
+   */
+  extra?: Record<string, any>;
+}
+
+/**
+ * Builds the calls and transcript entries the analysis modules read
+ *
+ * @param fixtures Calls with their transcripts
+ * @returns Calls and their transcript entries, in the order given
+ */
+export function callFixtures(fixtures: CallFixture[]): { calls: any[]; entries: any[] } {
+  return {
+    calls: fixtures.map(({ id, started, parties, metaData, extra }) => ({
+      metaData: {
+        id,
+        title: `Call ${id}`,
+        started,
+        url: `https://app.gong.io/call?id=${id}`,
+        ...metaData,
+      },
+      parties,
+      ...extra,
+    })),
+    entries: fixtures.map(({ id, sentences }) => ({
+      callId: id,
+      transcript: sentences.map(([speakerId, start, end, text]) => ({
+        speakerId,
+        sentences: [{ start, end, text }],
+      })),
+    })),
+  };
+}
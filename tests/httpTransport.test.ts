@@ -0,0 +1,116 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startHttpTransport, type HttpTransportHandle } from '../src/http-transport.js';
+
+const createServer = () => {
+  const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: 'ping', inputSchema: { type: 'object' } }],
+  }));
+  return server;
+};
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'jest', version: '1.0.0' },
+  },
+};
+
+describe('startHttpTransport', () => {
+  let transport: HttpTransportHandle;
+  let endpoint: string;
+
+  const post = (body: unknown, sessionId?: string) =>
+    fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+
+  /**
+   * Reads the JSON-RPC message from an SSE response body
+   */
+  const readEvent = async (response: Response) => {
+    const text = await response.text();
+    const data = text.split('\n').find(line => line.startsWith('data: '));
+    return JSON.parse(data!.slice('data: '.length));
+  };
+
+  beforeAll(async () => {
+    transport = await startHttpTransport(createServer, { port: 0, host: '127.0.0.1', path: '/mcp' });
+    endpoint = `http://127.0.0.1:${transport.port}/mcp`;
+  });
+
+  afterAll(async () => {
+    await transport.close();
+  });
+
+  test('opens a session on initialize and routes later requests to it', async () => {
+    const init = await post(initialize);
+    const sessionId = init.headers.get('mcp-session-id');
+    expect(init.status).toBe(200);
+    expect(sessionId).toBeTruthy();
+    expect((await readEvent(init)).result.serverInfo.name).toBe('test');
+
+    await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId!);
+    const list = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId!);
+    expect((await readEvent(list)).result.tools.map((t: any) => t.name)).toEqual(['ping']);
+    expect(transport.sessionCount()).toBe(1);
+
+    const closed = await fetch(endpoint, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId! } });
+    expect(closed.status).toBe(200);
+    expect(transport.sessionCount()).toBe(0);
+  });
+
+  test('rejects unknown sessions and requests without a session', async () => {
+    const unknown = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, 'missing');
+    expect(unknown.status).toBe(404);
+
+    const noSession = await post({ jsonrpc: '2.0', id: 4, method: 'tools/list' });
+    expect(noSession.status).toBe(400);
+  });
+
+  test('closes sessions left idle by clients that went away', async () => {
+    const idle = await startHttpTransport(createServer, {
+      port: 0,
+      host: '127.0.0.1',
+      path: '/mcp',
+      idleTimeoutMs: 50,
+    });
+    const idleEndpoint = `http://127.0.0.1:${idle.port}/mcp`;
+    try {
+      const init = await fetch(idleEndpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+        },
+        body: JSON.stringify(initialize),
+      });
+      const sessionId = init.headers.get('mcp-session-id');
+      await init.text();
+      expect(idle.sessionCount()).toBe(1);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      expect(idle.sessionCount()).toBe(0);
+      const stale = await fetch(idleEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Mcp-Session-Id': sessionId! },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 5, method: 'tools/list' }),
+      });
+      expect(stale.status).toBe(404);
+    } finally {
+      await idle.close();
+    }
+  });
+});
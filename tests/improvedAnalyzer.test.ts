@@ -0,0 +1,29 @@
+import { describe, expect, test } from '@jest/globals';
+import { toCallData } from '../src/improved-analyzer.js';
+
+describe('improved analyzer', () => {
+  test('reads the start of calls from calls/extensive', () => {
+    const party = { speakerId: 's', name: 'Sam Buyer', affiliation: 'External' };
+    const call = {
+      metaData: {
+        id: '7782342274025937895',
+        title: 'Acme renewal',
+        started: '2025-06-02T10:00:00-07:00',
+        duration: 1_860,
+      },
+      parties: [party],
+    };
+
+    expect(toCallData(call)).toEqual({
+      id: '7782342274025937895',
+      title: 'Acme renewal',
+      startTime: '2025-06-02T10:00:00-07:00',
+      duration: 1_860,
+      participants: [],
+      parties: [party],
+    });
+    expect(
+      toCallData({ metaData: { id: '1', startTime: '2025-06-01T09:00:00Z' } }).startTime
+    ).toBe('2025-06-01T09:00:00Z');
+  });
+});
@@ -0,0 +1,201 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import type { AddressInfo } from 'net';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import {
+  JobNotifier,
+  callbackHostsFromEnv,
+  toMcpNotification,
+  validateCallback,
+  verifySignature,
+  type DeliveryRecord,
+} from '../src/job-notifier.js';
+import { JobQueue, type JobEvent, type JobRecord } from '../src/job-queue.js';
+
+const job = (callback?: JobRecord['params']['callback']): JobRecord => ({
+  id: 'job_1_abc',
+  status: 'running',
+  params: { account: 'default', query: 'pricing', maxCalls: 10, batchSize: 5, callback },
+  createdAt: '2025-05-01T12:00:00Z',
+  batches: [],
+  processedCalls: 5,
+});
+
+const event = (type: JobEvent['type'], extra: Partial<JobEvent> = {}): JobEvent => ({
+  type,
+  jobId: 'job_1_abc',
+  status: type === 'progress' ? 'running' : (type as JobEvent['status']),
+  progress: 50,
+  processedCalls: 5,
+  occurredAt: '2025-05-01T12:00:00Z',
+  ...extra,
+});
+
+describe('job notifier', () => {
+  let server: http.Server;
+  let baseUrl: string;
+  const received: { headers: http.IncomingHttpHeaders; body: string }[] = [];
+  // Status codes answered in turn; 200 once they run out
+  const answers: number[] = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(answers.shift() ?? 200).end();
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('posts signed events in order and retries transient failures', async () => {
+    received.length = 0;
+    answers.push(503, 200, 200);
+    const deliveries: DeliveryRecord[] = [];
+    const notifier = new JobNotifier({
+      secret: 'shh',
+      retryDelayMs: 1,
+      record: (_id, delivery) => deliveries.push(delivery),
+    });
+
+    notifier.notify(job({ url: `${baseUrl}/hook` }), event('progress', { milestone: 50 }));
+    notifier.notify(job({ url: `${baseUrl}/hook` }), event('completed', { progress: 100 }));
+    await notifier.flush();
+
+    expect(received.map(r => JSON.parse(r.body).type)).toEqual([
+      'progress',
+      'progress',
+      'completed',
+    ]);
+    const [, delivered] = received;
+    expect(JSON.parse(delivered.body)).toMatchObject({ milestone: 50, query: 'pricing' });
+    expect(delivered.headers['x-gong-mcp-event']).toBe('progress');
+    expect(
+      verifySignature(
+        'shh',
+        delivered.headers['x-gong-mcp-timestamp'] as string,
+        delivered.body,
+        delivered.headers['x-gong-mcp-signature'] as string
+      )
+    ).toBe(true);
+    expect(verifySignature('other', 1, delivered.body, 'sha256=00')).toBe(false);
+
+    expect(deliveries.map(d => [d.event, d.attempt, d.outcome, d.httpStatus])).toEqual([
+      ['progress', 1, 'retrying', 503],
+      ['progress', 2, 'delivered', 200],
+      ['completed', 1, 'delivered', 200],
+    ]);
+    expect(deliveries[0].id).toBe(deliveries[1].id);
+  });
+
+  test('gives up on client errors, skips unwanted events and never sends unsigned', async () => {
+    received.length = 0;
+    answers.push(404);
+    const deliveries: DeliveryRecord[] = [];
+    const record = (_id: string, delivery: DeliveryRecord) => deliveries.push(delivery);
+    const notifier = new JobNotifier({ secret: 'shh', retryDelayMs: 1, record });
+    const failedOnly = job({ url: `${baseUrl}/hook`, events: ['failed'] });
+
+    notifier.notify(failedOnly, event('progress'));
+    notifier.notify(failedOnly, event('failed', { error: 'Batch 2 failed' }));
+    await notifier.flush();
+
+    expect(received).toHaveLength(1);
+    expect(deliveries).toMatchObject([{ event: 'failed', outcome: 'failed', httpStatus: 404 }]);
+
+    const unsigned = new JobNotifier({ record });
+    unsigned.notify(job({ url: `${baseUrl}/hook` }), event('completed'));
+    await unsigned.flush();
+    expect(received).toHaveLength(1);
+    expect(deliveries[1]).toMatchObject({
+      outcome: 'failed',
+      error: expect.stringContaining('GONG_WEBHOOK_SECRET'),
+    });
+  });
+
+  test('validates callbacks and shapes MCP notifications', () => {
+    expect(validateCallback('https://example.com/hook', ['completed', 'completed'])).toEqual({
+      url: 'https://example.com/hook',
+      events: ['completed'],
+    });
+    expect(() => validateCallback('file:///etc/passwd')).toThrow('http or https URL');
+    expect(() => validateCallback('https://example.com', ['done'])).toThrow('callbackEvents');
+    for (const url of [
+      'http://localhost:3000/hook',
+      'http://127.0.0.1/hook',
+      'http://2130706433/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'https://10.0.0.5/hook',
+      'https://172.20.1.1/hook',
+      'https://192.168.1.10/hook',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://[fd00::1]/hook',
+    ]) {
+      expect(() => validateCallback(url)).toThrow(
+        expect.objectContaining({
+          category: 'validation',
+          message: expect.stringMatching(/private/),
+        })
+      );
+    }
+    expect(validateCallback('http://localhost:3000/hook', undefined, ['localhost']).url).toBe(
+      'http://localhost:3000/hook'
+    );
+    expect(callbackHostsFromEnv({ GONG_WEBHOOK_ALLOWED_HOSTS: ' Localhost, 10.0.0.5 ' })).toEqual([
+      'localhost',
+      '10.0.0.5',
+    ]);
+
+    expect(toMcpNotification(event('progress'), 'tok')).toEqual({
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: { progressToken: 'tok', progress: 50, total: 100, message: 'Analyzed 5 calls' },
+    });
+    expect(toMcpNotification(event('failed'), 'tok')).toMatchObject({
+      method: 'notifications/message',
+      params: { level: 'error', logger: 'batch-analysis', data: { type: 'failed' } },
+    });
+  });
+
+  test('receives progress milestones and the outcome from the queue', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gong-jobs-'));
+    try {
+      const notifier = new JobNotifier();
+      const queue = new JobQueue({
+        dir,
+        onEvent: (record, e) => notifier.notify(record, e),
+        runBatch: async (_job, batch) => ({
+          result: {},
+          callsAnalyzed: batch.pageSize,
+          totalCalls: 8,
+          ...(batch.index < 4 ? { nextCursor: String(batch.index) } : {}),
+        }),
+      });
+
+      const params = { account: 'default', query: 'q', maxCalls: 8, batchSize: 2 };
+      const submitted = queue.submit(params);
+      const events: JobEvent[] = [];
+      notifier.subscribe(submitted.id, e => events.push(e));
+      await queue.idle();
+
+      expect(events.map(e => [e.type, e.milestone ?? null, e.progress])).toEqual([
+        ['progress', 25, 25],
+        ['progress', 50, 50],
+        ['progress', 75, 75],
+        ['completed', null, 100],
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
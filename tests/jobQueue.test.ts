@@ -0,0 +1,201 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import {
+  JobQueue,
+  mergeBatchResults,
+  type BatchInput,
+  type BatchOutput,
+  type JobRecord,
+} from '../src/job-queue.js';
+
+const params = { account: 'default', query: 'pricing', maxCalls: 5, batchSize: 2 };
+
+/**
+ * Batch runner over `calls` calls that answers with an analyzer-like result and records its
+ * inputs; `fail` decides which attempts throw
+ */
+const pager = (
+  calls: number,
+  fail: (input: BatchInput, attempt: number) => boolean = () => false
+) => {
+  const inputs: BatchInput[] = [];
+  const runBatch = async (_job: JobRecord, input: BatchInput): Promise<BatchOutput> => {
+    inputs.push(input);
+    if (fail(input, inputs.filter(i => i.index === input.index).length)) {
+      throw new Error(`Gong unavailable for batch ${input.index}`);
+    }
+    const start = input.cursor ? Number(input.cursor) : 0;
+    const end = Math.min(start + input.pageSize, calls);
+    return {
+      result: {
+        callsAnalyzed: end - start,
+        analysis: {
+          summary: `Batch ${input.index}`,
+          keyInsights: [{ text: 'Pricing came up', citations: [{ callId: String(start + 1) }] }],
+          participantBreakdown: { unknown: end - start },
+        },
+      },
+      callsAnalyzed: end - start,
+      totalCalls: calls,
+      ...(end < calls ? { nextCursor: String(end) } : {}),
+    };
+  };
+  return { inputs, runBatch };
+};
+
+describe('job queue', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gong-jobs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('walks batches through continuation tokens and merges their results', async () => {
+    const { inputs, runBatch } = pager(7);
+    const queue = new JobQueue({ dir, runBatch, concurrency: 1 });
+
+    const first = queue.submit(params);
+    const second = queue.submit({ ...params, maxCalls: 100 });
+    expect(queue.get(second.id)?.status).toBe('queued');
+    await queue.idle();
+
+    // maxCalls caps the first job at five calls; the second runs only after it
+    expect(inputs.map(i => [i.index, i.cursor, i.pageSize])).toEqual([
+      [1, undefined, 2],
+      [2, '2', 2],
+      [3, '4', 1],
+      [1, undefined, 2],
+      [2, '2', 2],
+      [3, '4', 2],
+      [4, '6', 2],
+    ]);
+    const done = queue.get(first.id)!;
+    expect(done).toMatchObject({ status: 'completed', processedCalls: 5, totalCalls: 7 });
+    expect(queue.describe(done)).toMatchObject({
+      progress: 100,
+      batchesCompleted: 3,
+      estimatedCompletionTime: null,
+    });
+    expect(queue.get(second.id)).toMatchObject({ status: 'completed', processedCalls: 7 });
+
+    const report = mergeBatchResults(done, queue.results(first.id));
+    expect(report).toMatchObject({
+      callsAnalyzed: 5,
+      totalCallsFound: 7,
+      batches: 3,
+      participantBreakdown: { unknown: 5 },
+    });
+    expect(report.keyInsights).toEqual([
+      {
+        text: 'Pricing came up',
+        citations: [{ callId: '1' }, { callId: '3' }, { callId: '5' }],
+      },
+    ]);
+  });
+
+  test('retries failed batches and resumes failed jobs from the first unfinished one', async () => {
+    let down = true;
+    const { inputs, runBatch } = pager(
+      6,
+      (input, attempt) => input.index === 2 && (attempt < 2 || down)
+    );
+    const queue = new JobQueue({ dir, runBatch, maxAttempts: 3, retryDelayMs: 1 });
+
+    const job = queue.submit({ ...params, maxCalls: 10 });
+    await queue.idle();
+
+    const failed = queue.get(job.id)!;
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toBe('Batch 2 failed after 3 attempts: Gong unavailable for batch 2');
+    expect(failed.batches.map(b => [b.index, b.status, b.attempts])).toEqual([
+      [1, 'completed', 1],
+      [2, 'failed', 3],
+    ]);
+
+    down = false;
+    queue.retry(job.id);
+    await queue.idle();
+
+    expect(inputs.slice(4).map(i => [i.index, i.cursor])).toEqual([
+      [2, '2'],
+      [3, '4'],
+    ]);
+    expect(queue.get(job.id)).toMatchObject({ status: 'completed', processedCalls: 6 });
+    expect(() => queue.retry(job.id)).toThrow('only failed or cancelled jobs can be retried');
+  });
+
+  test('cancels jobs and discards the batch in flight', async () => {
+    let release = () => {};
+    const queue = new JobQueue({
+      dir,
+      runBatch: async () => {
+        await new Promise<void>(resolve => (release = resolve));
+        return { result: {}, callsAnalyzed: 2, nextCursor: '2' };
+      },
+    });
+
+    const job = queue.submit(params);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(queue.get(job.id)?.status).toBe('running');
+
+    expect(queue.cancel(job.id).status).toBe('cancelled');
+    expect(() => queue.retry(job.id)).toThrow('still has a batch in flight');
+    release();
+    await queue.idle();
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'cancelled', batches: [] });
+    expect(() => queue.cancel(job.id)).toThrow(`Job ${job.id} is already cancelled`);
+    expect(() => queue.cancel('job_1_ab')).toThrow(
+      expect.objectContaining({ category: 'not_found' })
+    );
+    expect(queue.get('../../etc/passwd')).toBeNull();
+  });
+
+  test('resumes interrupted jobs after a restart and estimates completion', async () => {
+    const now = Date.parse('2025-05-01T12:00:00Z');
+    const interrupted: JobRecord = {
+      id: 'job_1_abc',
+      status: 'running',
+      params: { ...params, maxCalls: 8 },
+      createdAt: '2025-05-01T11:59:00Z',
+      batches: [
+        {
+          index: 1,
+          status: 'completed',
+          attempts: 1,
+          callsAnalyzed: 2,
+          durationMs: 30_000,
+          nextCursor: '2',
+        },
+      ],
+      processedCalls: 2,
+      totalCalls: 8,
+    };
+    fs.mkdirSync(path.join(dir, interrupted.id));
+    fs.writeFileSync(path.join(dir, interrupted.id, 'job.json'), JSON.stringify(interrupted));
+    fs.writeFileSync(path.join(dir, interrupted.id, 'batch_1.json'), '{"callsAnalyzed":2}');
+
+    const { inputs, runBatch } = pager(8);
+    const queue = new JobQueue({ dir, runBatch });
+    expect(queue.describe(queue.get(interrupted.id)!, now)).toMatchObject({
+      progress: 25,
+      totalBatches: 4,
+      estimatedCompletionTime: '2025-05-01T12:01:30.000Z',
+    });
+    const unbounded = { ...interrupted, params: { ...interrupted.params, batchSize: 0 } };
+    expect(queue.describe(unbounded, now).estimatedCompletionTime).toBeNull();
+
+    expect(queue.resume().map(job => job.id)).toEqual([interrupted.id]);
+    await queue.idle();
+
+    expect(inputs.map(i => i.cursor)).toEqual(['2', '4', '6']);
+    expect(queue.get(interrupted.id)).toMatchObject({ status: 'completed', processedCalls: 8 });
+    expect(queue.results(interrupted.id)).toHaveLength(4);
+  });
+});
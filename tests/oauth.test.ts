@@ -0,0 +1,96 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import type { AddressInfo } from 'net';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import {
+  EncryptedTokenStore,
+  GongOAuth,
+  runLocalAuthorization,
+  type GongOAuthConfig,
+} from '../src/oauth.js';
+
+describe('Gong OAuth', () => {
+  let dir: string;
+  let tokenServer: http.Server;
+  let tokenUrl: string;
+  const tokenRequests: URLSearchParams[] = [];
+  let expiresIn = 3600;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gong-oauth-'));
+    tokenServer = http.createServer((req, res) => {
+      const params = new URL(req.url!, 'http://localhost').searchParams;
+      tokenRequests.push(params);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          access_token: `access-${tokenRequests.length}`,
+          refresh_token: params.get('grant_type') === 'authorization_code' ? 'refresh-1' : undefined,
+          expires_in: expiresIn,
+          api_base_url_for_customer: 'https://company-17.api.gong.io/',
+        })
+      );
+    });
+    await new Promise<void>(resolve => tokenServer.listen(0, '127.0.0.1', resolve));
+    tokenUrl = `http://127.0.0.1:${(tokenServer.address() as AddressInfo).port}/token`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => tokenServer.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const config = (name: string, redirectUri = 'http://127.0.0.1:1/callback'): GongOAuthConfig => ({
+    clientId: 'client',
+    clientSecret: 'secret',
+    redirectUri,
+    scopes: ['api:calls:read:basic'],
+    tokenFile: path.join(dir, `${name}.json.enc`),
+    tokenKey: 'passphrase',
+    tokenUrl,
+  });
+
+  test('encrypts stored tokens and refuses the wrong key', () => {
+    const file = path.join(dir, 'store.json.enc');
+    const tokens = { accessToken: 'a', refreshToken: 'super-secret-refresh', expiresAt: 1 };
+    new EncryptedTokenStore(file, 'right').save(tokens);
+
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('super-secret-refresh');
+    expect(new EncryptedTokenStore(file, 'right').load()).toEqual(tokens);
+    expect(() => new EncryptedTokenStore(file, 'wrong').load()).toThrow('GONG_OAUTH_TOKEN_KEY');
+  });
+
+  test('completes the consent flow through the local callback server', async () => {
+    const oauth = new GongOAuth(config('consent', 'http://127.0.0.1:38787/oauth/callback'));
+    const tokens = await runLocalAuthorization(oauth, {
+      openUrl: url => {
+        const state = new URL(url).searchParams.get('state');
+        fetch(`http://127.0.0.1:38787/oauth/callback?code=abc&state=${state}`);
+      },
+    });
+
+    expect(tokens).toMatchObject({
+      refreshToken: 'refresh-1',
+      apiBaseUrl: 'https://company-17.api.gong.io',
+    });
+    expect(tokenRequests.at(-1)!.get('code')).toBe('abc');
+    expect(new GongOAuth(config('consent')).apiBaseUrl()).toBe('https://company-17.api.gong.io');
+  });
+
+  test('refreshes once, shared by concurrent callers, when the token is about to expire', async () => {
+    expiresIn = 60;
+    const oauth = new GongOAuth(config('refresh'));
+    await oauth.exchangeCode('code');
+    const before = tokenRequests.length;
+    expiresIn = 3600;
+
+    const [first, second] = await Promise.all([oauth.accessToken(), oauth.accessToken()]);
+    expect(first).toBe(second);
+    expect(tokenRequests.length).toBe(before + 1);
+    expect(tokenRequests.at(-1)!.get('grant_type')).toBe('refresh_token');
+    expect(tokenRequests.at(-1)!.get('refresh_token')).toBe('refresh-1');
+    expect(await oauth.accessToken()).toBe(first);
+  });
+});
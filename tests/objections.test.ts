@@ -0,0 +1,210 @@
+import { describe, expect, test } from '@jest/globals';
+import { buildObjectionReport, callDeal, findObjections } from '../src/objections.js';
+import { callFixtures } from './helpers/calls.js';
+
+const dana = { speakerId: 'd', name: 'Dana Rep', affiliation: 'Internal' };
+const sam = {
+  speakerId: 's',
+  name: 'Sam Buyer',
+  emailAddress: 'sam@buyer.com',
+  affiliation: 'External',
+};
+const lee = { ...sam, name: 'Lee Buyer', emailAddress: 'lee@other.com' };
+
+const opportunity = (timing: string, stage: string, extra: Record<string, string> = {}) => ({
+  objectType: 'Opportunity',
+  objectId: 'o1',
+  timing,
+  fields: [
+    { name: 'Name', value: 'Buyer Expansion' },
+    { name: 'StageName', value: stage },
+    ...Object.entries(extra).map(([name, value]) => ({ name, value })),
+  ],
+});
+const expansion = [
+  {
+    system: 'Salesforce',
+    objects: [
+      opportunity('TimeOfCall', 'Discovery'),
+      opportunity('Now', 'Closed Won', { IsClosed: 'true', IsWon: 'true' }),
+    ],
+  },
+];
+
+const { calls, entries } = callFixtures([
+  {
+    id: '1',
+    started: '2025-06-02T10:00:00Z',
+    parties: [dana, sam],
+    extra: { context: expansion },
+    sentences: [
+      ['d', 0, 10_000, 'How does the proposal look?'],
+      ['s', 10_000, 15_000, 'Honestly the pricing is too high for our budget.'],
+      ['s', 15_000, 20_000, "We already use Acme, but they're slow."],
+      ['d', 22_000, 30_000, 'What budget did you have in mind?'],
+      ['s', 30_000, 35_000, 'The pricing page looks good though.'],
+    ],
+  },
+  {
+    id: '2',
+    started: '2025-06-09T10:00:00Z',
+    parties: [dana, sam],
+    extra: { context: expansion },
+    sentences: [['s', 0, 5_000, 'Pricing is still not signed off by my CFO.']],
+  },
+  {
+    id: '3',
+    started: '2025-06-05T10:00:00Z',
+    parties: [dana, lee],
+    sentences: [
+      ['s', 0, 5_000, 'Security review with SOC 2 is a blocker for us.'],
+      ['d', 6_000, 9_000, 'We are SOC 2 Type II certified.'],
+    ],
+  },
+  {
+    id: '4',
+    started: '2025-06-20T10:00:00Z',
+    parties: [dana, lee],
+    sentences: [
+      ['s', 0, 3_000, 'Thanks, that answered it.'],
+      ['d', 3_000, 4_000, 'Great.'],
+    ],
+  },
+]);
+const period = { from: '2025-06-01', to: '2025-06-30' };
+
+describe('objection mining', () => {
+  test('finds customer objections with the rep response and what followed', () => {
+    const objections = findObjections(calls, entries);
+
+    expect(objections.map(o => [o.quote.callId, o.category])).toEqual([
+      ['1', 'pricing'],
+      ['1', 'competitor'],
+      ['3', 'security'],
+      ['2', 'pricing'],
+      ['2', 'authority'],
+    ]);
+    expect(objections[0]).toEqual({
+      category: 'pricing',
+      quote: {
+        callId: '1',
+        callTitle: 'Call 1',
+        timestamp: '00:10',
+        url: 'https://app.gong.io/call?id=1',
+        speaker: 'Sam Buyer',
+        text: 'Honestly the pricing is too high for our budget.',
+      },
+      response: {
+        speaker: 'Dana Rep',
+        timestamp: '00:22',
+        pauseMs: 2_000,
+        durationMs: 8_000,
+        askedQuestion: true,
+        text: 'What budget did you have in mind?',
+      },
+      next: {
+        outcome: 'won',
+        deal: {
+          id: 'o1',
+          name: 'Buyer Expansion',
+          stageAtCall: 'Discovery',
+          stage: 'Closed Won',
+          closed: true,
+          won: true,
+        },
+        followUpCalls: 1,
+        nextCall: {
+          callId: '2',
+          callTitle: 'Call 2',
+          started: '2025-06-09T10:00:00Z',
+          url: 'https://app.gong.io/call?id=2',
+        },
+        raisedAgain: true,
+      },
+    });
+
+    const security = objections[2];
+    expect(security.response).toMatchObject({ askedQuestion: false, pauseMs: 1_000 });
+    expect(security.next).toEqual({
+      outcome: 'follow_up',
+      followUpCalls: 1,
+      nextCall: expect.objectContaining({ callId: '4' }),
+      raisedAgain: false,
+    });
+    expect(objections[3].response).toBeNull();
+  });
+
+  test('ignores sentences that name a category without voicing a concern', () => {
+    const quiet = callFixtures([
+      {
+        id: '5',
+        started: '2025-06-03T10:00:00Z',
+        parties: [dana, sam],
+        sentences: [
+          ['s', 0, 3_000, "We don't have questions on pricing."],
+          ['s', 3_000, 6_000, 'Not sure when the security review is.'],
+          ['s', 6_000, 9_000, 'No concerns from our CFO.'],
+          ['s', 9_000, 12_000, "We don't see any risk with SOC 2."],
+          ['s', 12_000, 15_000, "The timeline isn't a problem."],
+        ],
+      },
+    ]);
+
+    expect(findObjections(quiet.calls, quiet.entries)).toEqual([]);
+  });
+
+  test('ranks categories by calls with examples, responses and outcomes', () => {
+    const report = buildObjectionReport(calls, entries, { period });
+
+    expect(report).toMatchObject({ period, calls: 4, callsWithObjections: 3 });
+    expect(report.categories.map(c => [c.category, c.calls, c.objections, c.callShare])).toEqual([
+      ['pricing', 2, 2, 50],
+      ['authority', 1, 1, 25],
+      ['competitor', 1, 1, 25],
+      ['security', 1, 1, 25],
+    ]);
+    const [pricing] = report.categories;
+    expect(pricing.responses).toEqual({
+      answered: 1,
+      askedQuestion: 1,
+      averagePauseMs: 2_000,
+      averageResponseMs: 8_000,
+    });
+    expect(pricing.outcomes).toEqual({
+      won: 2,
+      lost: 0,
+      stage_changed: 0,
+      follow_up: 0,
+      no_follow_up: 0,
+    });
+    expect(pricing.examples.map(o => o.quote.callId)).toEqual(['1', '2']);
+
+    const filtered = buildObjectionReport(calls, entries, { period, categories: ['security'] });
+    expect(filtered.categories.map(c => c.category)).toEqual(['security']);
+    expect(() =>
+      buildObjectionReport(calls, entries, { period, categories: ['legal', 'pricing'] })
+    ).toThrow(
+      expect.objectContaining({ category: 'validation', message: expect.stringMatching(/legal/) })
+    );
+  });
+
+  test('reads the deal stages of HubSpot deals and calls without context', () => {
+    expect(
+      callDeal({
+        context: [
+          {
+            system: 'HubSpot',
+            objects: [
+              {
+                objectType: 'Deal',
+                objectId: 7,
+                fields: [{ name: 'dealstage', value: 'closedlost' }],
+              },
+            ],
+          },
+        ],
+      })
+    ).toEqual({ id: '7', stage: 'closedlost', closed: true, won: false });
+    expect(callDeal({ metaData: { id: '1' } })).toBeUndefined();
+  });
+});
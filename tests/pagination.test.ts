@@ -0,0 +1,90 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  DEFAULT_PAGINATION_LIMITS,
+  PageAccumulator,
+  decodeContinuation,
+  encodeContinuation,
+  extractNextCursor,
+  findRecordArrayKey,
+  resolvePaginationLimits,
+} from '../src/pagination.js';
+
+const page = (ids: string[], cursor?: string) => ({
+  requestId: 'req',
+  records: { totalRecords: 6, currentPageSize: ids.length, cursor },
+  calls: ids.map(id => ({ metaData: { id } })),
+});
+
+describe('pagination helpers', () => {
+  test('reads the Gong records.cursor before legacy cursor fields', () => {
+    expect(extractNextCursor({ records: { cursor: 'abc' }, nextPageCursor: 'old' })).toBe('abc');
+    expect(extractNextCursor({ nextPageCursor: 'old' })).toBe('old');
+    expect(extractNextCursor({ records: {} })).toBeNull();
+  });
+
+  test('round-trips continuation tokens and rejects malformed ones', () => {
+    const state = { source: 'gong' as const, cursor: 'abc', offset: 40, filters: 'f1' };
+    const token = encodeContinuation(state);
+
+    expect(decodeContinuation(token, 'f1')).toEqual(state);
+    expect(() => decodeContinuation(token, 'f2')).toThrow('different query or filter');
+    expect(() => decodeContinuation('abc', 'f1', 'cursor')).toThrow('Invalid continuation token');
+    expect(() => decodeContinuation(`v1.${token.slice(5)}`, 'f1')).toThrow(
+      'Invalid continuation token'
+    );
+  });
+
+  test('finds endpoint-specific record arrays', () => {
+    expect(findRecordArrayKey(page(['1']))).toBe('calls');
+    expect(findRecordArrayKey({ records: {}, usersAggregateActivityStats: [] })).toBe(
+      'usersAggregateActivityStats'
+    );
+    expect(findRecordArrayKey({ requestId: 'x' })).toBeNull();
+  });
+
+  test('resolves limits from arguments, then environment, then defaults', () => {
+    const limits = resolvePaginationLimits({ maxPages: 3 }, { GONG_PAGINATE_MAX_RECORDS: '50' });
+    expect(limits).toEqual({
+      maxPages: 3,
+      maxRecords: 50,
+      maxBytes: DEFAULT_PAGINATION_LIMITS.maxBytes,
+    });
+  });
+});
+
+describe('PageAccumulator', () => {
+  test('merges pages and reports completion', () => {
+    const accumulator = new PageAccumulator({ maxPages: 10, maxRecords: 100, maxBytes: 100_000 });
+    expect(accumulator.add(page(['1', '2'], 'c1'))).toBeNull();
+    expect(accumulator.add(page(['3', '4']))).toBeNull();
+
+    const result = accumulator.finish('complete', null);
+    expect(result.calls.map((c: any) => c.metaData.id)).toEqual(['1', '2', '3', '4']);
+    expect(result._paginationInfo).toMatchObject({
+      hasMorePages: false,
+      totalPages: 2,
+      recordsFetched: 4,
+      totalRecords: 6,
+      stopReason: 'complete',
+      resumeCursor: null,
+    });
+  });
+
+  test('rejects a page that would exceed maxRecords so it can be resumed exactly', () => {
+    const accumulator = new PageAccumulator({ maxPages: 10, maxRecords: 3, maxBytes: 100_000 });
+    expect(accumulator.add(page(['1', '2'], 'c1'))).toBeNull();
+    expect(accumulator.limitReached()).toBeNull();
+    expect(accumulator.add(page(['3', '4'], 'c2'))).toBe('maxRecords');
+
+    const result = accumulator.finish('maxRecords', 'c1');
+    expect(result.calls).toHaveLength(2);
+    expect(result.records.cursor).toBe('c1');
+    expect(result._paginationInfo).toMatchObject({ hasMorePages: true, resumeCursor: 'c1' });
+  });
+
+  test('always accepts the first page and then reports the limit it reached', () => {
+    const accumulator = new PageAccumulator({ maxPages: 1, maxRecords: 1, maxBytes: 10 });
+    expect(accumulator.add(page(['1', '2'], 'c1'))).toBeNull();
+    expect(accumulator.limitReached()).toBe('maxPages');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, expect, test } from '@jest/globals';
+import { ParticipantDirectory, requireUnambiguous } from '../src/participant-resolver.js';
+import { ToolError } from '../src/errors.js';
+
+const users = [
+  { id: 'u1', emailAddress: 'priya.shah@acme.com', firstName: 'Priya', lastName: 'Shah' },
+  { id: 'u2', emailAddress: 'priya.nair@acme.com', firstName: 'Priya', lastName: 'Nair' },
+  { id: 'u3', emailAddress: 'kellan.ross@acme.com', firstName: 'Kellan', lastName: 'Ross' },
+  { id: 'u4', firstName: 'Will', lastName: 'Ortega' },
+];
+
+const calls = [
+  {
+    metaData: { id: 'c1' },
+    parties: [
+      { name: 'Kellan Ross', emailAddress: 'kellan.ross@acme.com', affiliation: 'Internal' },
+      { name: 'Jordan Blake', emailAddress: 'jordan@globex.com', affiliation: 'External' },
+    ],
+  },
+];
+
+describe('participant resolver', () => {
+  const directory = ParticipantDirectory.fromSources(users, calls);
+
+  test('resolves first names, typos and external participants to email filters', () => {
+    const resolution = directory.resolve('How does Kelan handle pricing questions from Jordan?');
+
+    expect(resolution.ambiguous).toEqual([]);
+    expect(resolution.matches.map(m => [m.mention, m.person.name, m.person.affiliation])).toEqual([
+      ['kelan', 'Kellan Ross', 'Internal'],
+      ['jordan', 'Jordan Blake', 'External'],
+    ]);
+    expect(resolution.filter).toEqual({
+      participantsEmails: ['kellan.ross@acme.com', 'jordan@globex.com'],
+    });
+  });
+
+  test('reports names that fit several users unless the full name is given', () => {
+    const ambiguous = directory.resolve('how does priya handle pricing questions');
+    expect(ambiguous.matches).toEqual([]);
+    expect(ambiguous.ambiguous).toEqual([
+      {
+        mention: 'priya',
+        candidates: [
+          expect.objectContaining({ name: 'Priya Shah' }),
+          expect.objectContaining({ name: 'Priya Nair' }),
+        ],
+      },
+    ]);
+    expect(() => requireUnambiguous(ambiguous)).toThrow(ToolError);
+    expect(() => requireUnambiguous(ambiguous)).toThrow(
+      '"priya" matches Priya Shah <priya.shah@acme.com>, Priya Nair <priya.nair@acme.com>'
+    );
+
+    const exact = directory.resolve("What did Priya Nair's prospects ask about?");
+    expect(exact.matches.map(m => [m.mention, m.person.email, m.score])).toEqual([
+      ['priya nair', 'priya.nair@acme.com', 1],
+    ]);
+  });
+
+  test('ignores common words and falls back to host IDs for users without email', () => {
+    expect(directory.resolve('what will the team discuss next week').matches).toEqual([]);
+
+    const resolution = directory.resolve('calls hosted by Will Ortega');
+    expect(resolution.filter).toEqual({ primaryUserIds: ['u4'] });
+  });
+});
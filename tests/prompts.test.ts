@@ -0,0 +1,77 @@
+import { describe, expect, test } from '@jest/globals';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { getPrompt, listPrompts } from '../src/prompts.js';
+
+const now = new Date('2025-04-30T12:00:00Z');
+
+/**
+ * Extracts the JSON arguments of each tool call in a rendered prompt
+ */
+const toolCalls = (text: string) =>
+  [...text.matchAll(/Call `(\w+)` with:\n```json\n([\s\S]*?)\n```/g)].map(([, tool, json]) => ({
+    tool,
+    args: JSON.parse(json),
+  }));
+
+describe('prompts', () => {
+  test('lists the workflow prompts with their arguments', () => {
+    const prompts = listPrompts();
+    expect(prompts.map(p => p.name)).toEqual([
+      'deal-prep',
+      'call-recap',
+      'objection-review',
+      'coaching-feedback',
+      'competitive-mentions',
+    ]);
+    const dealPrep = prompts.find(p => p.name === 'deal-prep');
+    expect(dealPrep?.arguments?.filter(a => a.required).map(a => a.name)).toEqual(['account']);
+  });
+
+  test('pre-wires tool calls with a default date range and the chosen Gong account', () => {
+    const result = getPrompt('deal-prep', { account: 'Acme', repEmail: 'dana@us.com', gongAccount: 'emea' }, now);
+    const text = result.messages[0].content.text as string;
+    const calls = toolCalls(text);
+
+    expect(text).toContain('Prepare me for my next call with Acme.');
+    expect(calls).toHaveLength(1);
+    expect(calls[0]).toEqual({
+      tool: 'postv2callsextensive',
+      args: {
+        requestBody: {
+          filter: {
+            fromDateTime: '2025-01-30T00:00:00Z',
+            toDateTime: '2025-04-30T23:59:59Z',
+            participantsEmails: ['dana@us.com'],
+          },
+        },
+        format: 'compact',
+        paginate: true,
+        maxRecords: 500,
+        account: 'emea',
+      },
+    });
+  });
+
+  test('adds the account brief only when CRM account and workspace are given', () => {
+    const text = getPrompt(
+      'deal-prep',
+      { account: 'Acme', crmAccountId: '001', workspaceId: 'w1', fromDate: '2025-04-01' },
+      now
+    ).messages[0].content.text as string;
+    const brief = toolCalls(text).find(c => c.tool === 'getv2askanythinggeneratebrief');
+
+    expect(brief?.args).toMatchObject({
+      'workspace-id': 'w1',
+      'crm-entity-id': '001',
+      'from-date-time': '2025-04-01T00:00:00Z',
+    });
+    expect(brief?.args).not.toHaveProperty('account');
+  });
+
+  test('rejects unknown prompts and missing required arguments', () => {
+    expect(() => getPrompt('forecast', {})).toThrow(McpError);
+    expect(() => getPrompt('coaching-feedback', { repEmail: ' ' })).toThrow(
+      'Missing required argument(s) for prompt coaching-feedback: repEmail'
+    );
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, test } from '@jest/globals';
+import { ParticipantDirectory } from '../src/participant-resolver.js';
+import { matchesPlan, planQuery } from '../src/query-planner.js';
+
+// Wednesday
+const now = new Date('2025-05-14T15:00:00Z');
+
+const directory = ParticipantDirectory.fromSources(
+  [
+    { id: 'u1', emailAddress: 'priya@acme.com', name: 'Priya Shah', title: 'Account Executive' },
+    { id: 'u2', emailAddress: 'dana@acme.com', name: 'Dana Lee', title: 'Senior AE' },
+    { id: 'u3', emailAddress: 'max@acme.com', name: 'Max Roy', title: 'Product Manager' },
+  ],
+  [{ parties: [{ name: 'Jordan Blake', emailAddress: 'jordan@globex.com', affiliation: 'External' }] }]
+);
+
+const range = (query: string) => {
+  const { timeRange } = planQuery(query, { now });
+  return [timeRange.fromDateTime.slice(0, 10), timeRange.toDateTime.slice(0, 10), timeRange.phrase];
+};
+
+describe('query planner', () => {
+  test('parses relative and absolute dates', () => {
+    expect(range('objections last quarter')).toEqual(['2025-01-01', '2025-03-31', 'last quarter']);
+    expect(range('pricing questions since March')).toEqual(['2025-03-01', '2025-05-14', 'since march']);
+    expect(range('demos in June')).toEqual(['2024-06-01', '2024-06-30', 'in june']);
+    expect(range('calls this week')).toEqual(['2025-05-12', '2025-05-14', 'this week']);
+    expect(range('calls last week')).toEqual(['2025-05-05', '2025-05-11', 'last week']);
+    expect(range('the last 30 days')).toEqual(['2025-04-14', '2025-05-14', 'last 30 days']);
+    expect(range('renewals in Q4')).toEqual(['2024-10-01', '2024-12-31', 'q4']);
+    expect(range('between 2025-02-01 and 2025-02-10')[1]).toBe('2025-02-10');
+
+    const fallback = planQuery('what do customers ask', { now }).timeRange;
+    expect(fallback).toMatchObject({ source: 'default', fromDateTime: '2025-02-13T15:00:00.000Z' });
+
+    const explicit = planQuery('calls last week', {
+      now,
+      timeRange: { start: '2025-01-01T00:00:00Z', end: '2025-01-31T23:59:59Z' },
+    }).timeRange;
+    expect(explicit).toMatchObject({ source: 'request', fromDateTime: '2025-01-01T00:00:00.000Z' });
+  });
+
+  test('plans people, accounts, call types and topics into filters and steps', () => {
+    const plan = planQuery('How does Priya handle pricing objections in demos with Globex last month?', {
+      now,
+      directory,
+    });
+
+    expect(plan.participants.map(p => p.email)).toEqual(['priya@acme.com']);
+    expect(plan.accounts).toEqual(['globex']);
+    expect(plan.callTypes).toEqual(['demo']);
+    expect(plan.topics).toEqual(['pricing', 'objections']);
+    expect(plan.needsTranscripts).toBe(true);
+    expect(plan.filter).toEqual({
+      fromDateTime: '2025-04-01T00:00:00.000Z',
+      toDateTime: '2025-04-30T23:59:59.999Z',
+      participantsEmails: ['priya@acme.com'],
+    });
+    expect(plan.steps).toEqual([
+      'GET /v2/users to resolve people and roles',
+      'POST /v2/calls/extensive from 2025-04-01T00:00:00.000Z to 2025-04-30T23:59:59.999Z with 1 participant email(s)',
+      'Keep account globex and demo calls',
+      'POST /v2/calls/transcript for the calls kept',
+    ]);
+
+    const demo = { metaData: { title: 'Product demo' }, parties: [{ emailAddress: 'jo@globex.com' }] };
+    expect(matchesPlan(demo, plan)).toBe(true);
+    expect(matchesPlan({ ...demo, metaData: { title: 'Discovery' } }, plan)).toBe(false);
+    expect(matchesPlan({ ...demo, parties: [{ emailAddress: 'jo@initech.com' }] }, plan)).toBe(false);
+  });
+
+  test('selects role members when nobody is named and skips transcripts for counts', () => {
+    const plan = planQuery('How many calls did our AEs have with Initech this year?', {
+      now,
+      directory,
+    });
+
+    expect(plan.roles).toEqual(['Account Executive']);
+    expect(plan.participants.map(p => p.email)).toEqual(['priya@acme.com', 'dana@acme.com']);
+    expect(plan.accounts).toEqual(['Initech']);
+    expect(plan.needsTranscripts).toBe(false);
+    expect(plan.timeRange.fromDateTime).toBe('2025-01-01T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, expect, test } from '@jest/globals';
+import { buildRepScorecard } from '../src/rep-scorecard.js';
+import { callFixtures, type CallFixture } from './helpers/calls.js';
+
+const dana = {
+  speakerId: 'd',
+  name: 'Dana Rep',
+  emailAddress: 'dana@example.com',
+  userId: '100',
+  affiliation: 'Internal',
+};
+const teammate = (speakerId: string, name: string) => ({
+  speakerId,
+  name,
+  emailAddress: `${name.split(' ')[0].toLowerCase()}@example.com`,
+  affiliation: 'Internal',
+});
+const ben = teammate('b', 'Ben Rep');
+const cara = teammate('c', 'Cara Rep');
+const buyer = { speakerId: 'x', name: 'Sam Buyer', affiliation: 'External' };
+
+/**
+ * A call in which the rep opens for `openMs`, the buyer answers for 20 s and the rep replies after
+ * `pauseMs`
+ */
+const fixture = (
+  id: string,
+  started: string,
+  rep: any,
+  openMs: number,
+  pauseMs: number,
+  ask: boolean
+): CallFixture => ({
+  id,
+  started,
+  parties: [rep, buyer],
+  metaData: { duration: 600 },
+  extra: {
+    content: {
+      topics: [{ name: 'Pricing', duration: rep === dana ? 0 : 30 }],
+      trackers: [
+        {
+          name: 'Competitors',
+          count: 2,
+          occurrences: [{ startTime: 1, speakerId: rep.speakerId }],
+        },
+      ],
+    },
+  },
+  sentences: [
+    [rep.speakerId, 0, openMs, ask ? 'What matters most to you?' : 'Let me show you.'],
+    ['x', openMs, openMs + 20_000, 'We need better reporting.'],
+    [rep.speakerId, openMs + 20_000 + pauseMs, openMs + 30_000 + pauseMs, 'Got it.'],
+  ],
+});
+
+const { calls, entries } = callFixtures([
+  fixture('1', '2025-05-05T10:00:00Z', dana, 120_000, 500, true),
+  fixture('2', '2025-05-14T10:00:00Z', dana, 120_000, 500, true),
+  fixture('3', '2025-05-06T10:00:00Z', ben, 20_000, 2_000, false),
+  fixture('4', '2025-05-07T10:00:00Z', cara, 30_000, 3_000, false),
+]);
+const period = { from: '2025-05-01', to: '2025-05-31' };
+
+describe('rep scorecard', () => {
+  test('places the rep among the team and backs findings with call moments', () => {
+    const scorecard = buildRepScorecard(calls, entries, 'Dana@example.com', period);
+
+    expect(scorecard.rep).toEqual({ name: 'Dana Rep', email: 'dana@example.com', userId: '100' });
+    expect(scorecard.callVolume).toEqual({ calls: 2, totalDurationSeconds: 1200, teamCalls: 4 });
+    expect(scorecard.metrics.find(m => m.metric === 'talkPercent')).toMatchObject({
+      value: 86.7,
+      team: { reps: 3, median: 66.7 },
+      percentile: 83,
+      standing: 17,
+      trend: 'steady',
+    });
+
+    expect(scorecard.strengths.map(f => f.metric)).toEqual(['callVolume', 'questionsPerHour']);
+    expect(scorecard.improvementAreas.map(f => f.metric).sort()).toEqual([
+      'interactivity',
+      'longestMonologueMs',
+      'patienceMs',
+      'talkPercent',
+    ]);
+
+    const questions = scorecard.strengths.find(f => f.metric === 'questionsPerHour')!;
+    expect(questions.summary).toMatch(/^Question rate .*better than 83% of the team$/);
+    expect(questions.evidence[0]).toEqual({
+      callId: expect.stringMatching(/^[12]$/),
+      callTitle: expect.any(String),
+      timestamp: '00:00',
+      url: expect.stringContaining('app.gong.io/call?id='),
+      speaker: 'Dana Rep',
+      text: 'What matters most to you?',
+    });
+    const patience = scorecard.improvementAreas.find(f => f.metric === 'patienceMs')!;
+    expect(patience.evidence[0]).toMatchObject({ timestamp: '02:20', text: 'Got it.' });
+  });
+
+  test('reports weekly trends, topic coverage and tracker hits', () => {
+    const scorecard = buildRepScorecard(calls, entries, '100', period);
+
+    expect(scorecard.trend.map(w => [w.weekStart, w.calls, w.talkPercent])).toEqual([
+      ['2025-05-05', 1, 86.7],
+      ['2025-05-12', 1, 86.7],
+    ]);
+    expect(scorecard.topics).toEqual([{ name: 'Pricing', repCoverage: 0, teamCoverage: 50 }]);
+    expect(scorecard.trackers).toEqual([
+      {
+        name: 'Competitors',
+        repHitsPerCall: 2,
+        teamHitsPerCall: 2,
+        evidence: [
+          expect.objectContaining({ callId: '1', timestamp: '00:01', speaker: 'Dana Rep' }),
+          expect.objectContaining({ callId: '2', timestamp: '00:01' }),
+        ],
+      },
+    ]);
+  });
+
+  test('names no findings for small teams and rejects unknown reps', () => {
+    const small = buildRepScorecard(calls.slice(0, 3), entries, 'dana@example.com', period);
+    expect(small.metrics.find(m => m.metric === 'callVolume')?.team.reps).toBe(2);
+    expect(small.strengths).toEqual([]);
+    expect(small.improvementAreas).toEqual([]);
+
+    expect(() => buildRepScorecard(calls, entries, 'sam@example.com', period)).toThrow(
+      expect.objectContaining({ category: 'not_found' })
+    );
+    expect(() => buildRepScorecard(calls, entries, ' ', period)).toThrow('rep must be');
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, test } from '@jest/globals';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import {
+  listRecentCallResources,
+  parseGongResourceUri,
+  readGongResource,
+  toGongResourceUri,
+} from '../src/resources.js';
+
+const call = (id: string, started: string) => ({
+  metaData: { id, title: `Call ${id}`, started, duration: 1800 },
+  parties: [
+    { speakerId: 's1', name: 'Dana Rep', affiliation: 'Internal' },
+    { speakerId: 's2', name: 'Sam Buyer', affiliation: 'External' },
+  ],
+});
+
+/**
+ * Minimal stand-in for a Gong axios client answering from fixed pages
+ */
+const fakeClient = (pages: Record<string, any[]>) => {
+  const requests: { url: string; body: any }[] = [];
+  const respond = async (url: string, body?: any) => {
+    requests.push({ url, body });
+    const queue = pages[url];
+    if (!queue?.length) throw new Error(`Unexpected request to ${url}`);
+    return { data: queue.length > 1 ? queue.shift() : queue[0] };
+  };
+  return { requests, get: respond, post: respond } as any;
+};
+
+describe('gong:// resources', () => {
+  test('parses and builds call, transcript and user URIs', () => {
+    expect(parseGongResourceUri('gong://calls/123')).toEqual({ kind: 'call', id: '123' });
+    expect(parseGongResourceUri('gong://calls/123/transcript?account=emea')).toEqual({
+      kind: 'transcript',
+      id: '123',
+      account: 'emea',
+    });
+    expect(parseGongResourceUri('gong://users/9')).toEqual({ kind: 'user', id: '9' });
+    expect(parseGongResourceUri('gong://users/9/transcript')).toBeNull();
+    expect(toGongResourceUri({ kind: 'transcript', id: '123', account: 'emea' })).toBe(
+      'gong://calls/123/transcript?account=emea'
+    );
+  });
+
+  test('lists the most recent calls across pages, newest first', async () => {
+    const client = fakeClient({
+      '/v2/calls/extensive': [
+        { calls: [call('1', '2025-04-01T10:00:00Z')], records: { cursor: 'next' } },
+        { calls: [call('2', '2025-04-03T10:00:00Z'), call('3', '2025-04-02T10:00:00Z')], records: {} },
+      ],
+    });
+    const resources = await listRecentCallResources(client, {
+      days: 7,
+      limit: 2,
+      now: new Date('2025-04-04T00:00:00Z'),
+    });
+
+    expect(resources.map(r => r.uri)).toEqual([
+      'gong://calls/2',
+      'gong://calls/2/transcript',
+      'gong://calls/3',
+      'gong://calls/3/transcript',
+    ]);
+    expect(resources[0]).toMatchObject({ name: 'Call 2', description: 'Call on 2025-04-03, 30 min' });
+    expect(client.requests[1].body.cursor).toBe('next');
+  });
+
+  test('reads a transcript with speaker names and timestamps', async () => {
+    const client = fakeClient({
+      '/v2/calls/extensive': [{ calls: [call('1', '2025-04-01T10:00:00Z')] }],
+      '/v2/calls/transcript': [
+        {
+          callTranscripts: [
+            {
+              callId: '1',
+              transcript: [
+                { speakerId: 's1', sentences: [{ start: 65000, text: 'Thanks for joining.' }] },
+                { speakerId: 's2', sentences: [{ start: 70000, text: 'Happy to.' }, { text: 'Go ahead.' }] },
+              ],
+            },
+          ],
+        },
+      ],
+    });
+    const result = await readGongResource('gong://calls/1/transcript', { client: () => client } as any);
+
+    expect(result.contents[0].text).toBe(
+      [
+        '# Call 1 (2025-04-01T10:00:00Z)',
+        '',
+        '[01:05] Dana Rep (Internal): Thanks for joining.',
+        '[01:10] Sam Buyer (External): Happy to. Go ahead.',
+      ].join('\n')
+    );
+  });
+
+  test('rejects unknown URIs and missing calls as invalid params', async () => {
+    const client = fakeClient({ '/v2/calls/extensive': [{ calls: [] }] });
+    const accounts = { client: () => client } as any;
+    await expect(readGongResource('gong://meetings/1', accounts)).rejects.toBeInstanceOf(McpError);
+    await expect(readGongResource('gong://calls/404', accounts)).rejects.toThrow('Call 404 not found');
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  compactCall,
+  parseFieldSelectors,
+  projectFields,
+  shapeResponse,
+} from '../src/response-shaping.js';
+
+const call = {
+  metaData: {
+    id: '123',
+    title: 'Acme | Discovery',
+    started: '2025-04-01T15:00:00Z',
+    duration: 1800,
+    primaryUserId: 'u1',
+    url: 'https://app.gong.io/call?id=123',
+  },
+  parties: [
+    { userId: 'u1', name: 'Dana Rep', emailAddress: 'dana@us.com', affiliation: 'Internal', phoneNumber: '1' },
+    { name: 'Sam Buyer', emailAddress: 'sam@acme.com', affiliation: 'External', phoneNumber: '2' },
+  ],
+  content: {
+    topics: [
+      { name: 'Pricing', duration: 120 },
+      { name: 'Small Talk', duration: 0 },
+    ],
+  },
+  interaction: { speakers: [{ id: 'x', talkTime: 900 }] },
+};
+
+const response = {
+  requestId: 'r',
+  records: { totalRecords: 1, currentPageSize: 1 },
+  calls: [call],
+};
+
+describe('response shaping', () => {
+  test('compacts a call to id, title, time, duration, primary user, participants and topics', () => {
+    expect(compactCall(call)).toEqual({
+      id: '123',
+      title: 'Acme | Discovery',
+      started: '2025-04-01T15:00:00Z',
+      duration: 1800,
+      primaryUser: { id: 'u1', name: 'Dana Rep', email: 'dana@us.com' },
+      participants: [
+        { name: 'Dana Rep', email: 'dana@us.com', affiliation: 'Internal' },
+        { name: 'Sam Buyer', email: 'sam@acme.com', affiliation: 'External' },
+      ],
+      topics: ['Pricing'],
+    });
+  });
+
+  test('includes and excludes JSONPath-like field paths, traversing arrays', () => {
+    const selectors = parseFieldSelectors([
+      '$.metaData.id',
+      'parties[*]',
+      '-parties[*].phoneNumber',
+    ]);
+    expect(projectFields(call, selectors)).toEqual({
+      metaData: { id: '123' },
+      parties: [
+        { userId: 'u1', name: 'Dana Rep', emailAddress: 'dana@us.com', affiliation: 'Internal' },
+        { name: 'Sam Buyer', emailAddress: 'sam@acme.com', affiliation: 'External' },
+      ],
+    });
+  });
+
+  test('defaults to the compact view and keeps pagination metadata', () => {
+    const shaped = JSON.parse(shapeResponse(response, 'call', {}));
+    expect(shaped.records).toEqual(response.records);
+    expect(shaped.calls[0]).not.toHaveProperty('interaction');
+    expect(shaped.calls[0].primaryUser.name).toBe('Dana Rep');
+
+    const projected = JSON.parse(shapeResponse(response, 'call', { fields: ['interaction'] }));
+    expect(projected.calls[0]).toEqual({ interaction: call.interaction });
+  });
+
+  test('renders a Markdown table with escaped cells', () => {
+    const table = shapeResponse(response, 'call', { format: 'table', fields: ['-participants'] });
+    const [header, , row] = table.split('\n');
+    expect(header).toBe(
+      '| id | title | started | duration | primaryUser.id | primaryUser.name | primaryUser.email | topics |'
+    );
+    expect(row).toContain('Acme \\| Discovery');
+    expect(table).toContain('"totalRecords": 1');
+  });
+});
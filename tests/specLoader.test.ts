@@ -0,0 +1,96 @@
+import path from 'path';
+import { describe, expect, test } from '@jest/globals';
+import { buildToolDefinitions, loadOpenApiSpec, toToolName } from '../src/spec-loader.js';
+
+const SPEC_PATH = path.resolve(process.cwd(), 'spec', 'gong.yaml');
+
+describe('spec loader', () => {
+  test('derives tool names from method and path', () => {
+    expect(toToolName('get', '/v2/calls/{id}')).toBe('getv2callsbyid');
+    expect(toToolName('get', '/v2/askanything/generate-brief')).toBe(
+      'getv2askanythinggeneratebrief'
+    );
+  });
+
+  test('loads every operation from spec/gong.yaml', () => {
+    const spec = loadOpenApiSpec(SPEC_PATH);
+    expect(spec.baseUrl).toBe('https://api.gong.io');
+    expect(spec.securitySchemes).toHaveProperty('basicAuth');
+    expect(spec.securitySchemes.gongOAuth.flows).toHaveProperty('authorizationCode');
+    expect(spec.tools.get('getv2callsbyid')).toEqual({
+      name: 'getv2callsbyid',
+      description: 'Retrieve a single call',
+      inputSchema: {
+        type: 'object',
+        properties: { id: { type: 'string' } },
+        required: ['id'],
+      },
+      method: 'get',
+      pathTemplate: '/v2/calls/{id}',
+      executionParameters: [{ name: 'id', in: 'path' }],
+      requestBodyContentType: undefined,
+      securityRequirements: [{ basicAuth: [] }, { gongOAuth: [] }],
+    });
+  });
+
+  test('inlines $ref request bodies and injects paginate on cursor-bearing operations', () => {
+    const { tools } = loadOpenApiSpec(SPEC_PATH);
+    const extensive = tools.get('postv2callsextensive')!;
+    expect(extensive.requestBodyContentType).toBe('application/json');
+    expect(extensive.inputSchema.required).toEqual(['requestBody']);
+    expect(extensive.inputSchema.properties.requestBody.properties.filter.properties).toHaveProperty(
+      'fromDateTime'
+    );
+    expect(extensive.inputSchema.properties).toHaveProperty('paginate');
+    expect(extensive.recordShape).toBe('call');
+    expect(extensive.inputSchema.properties.format.enum).toEqual(['full', 'compact', 'table']);
+
+    const users = tools.get('getv2users')!;
+    expect(users.executionParameters).toEqual([{ name: 'cursor', in: 'query' }]);
+    expect(users.inputSchema.properties).toHaveProperty('paginate');
+
+    expect(tools.get('getv2askanythinggeneratebrief')!.inputSchema.properties).not.toHaveProperty(
+      'paginate'
+    );
+  });
+
+  test('covers the stats, library, settings, users, flows and meetings endpoints', () => {
+    const { tools } = loadOpenApiSpec(SPEC_PATH);
+    for (const name of [
+      'postv2statsactivityaggregate',
+      'postv2statsactivityaggregatebyperiod',
+      'postv2statsactivitydaybyday',
+      'postv2statsactivityscorecards',
+      'postv2statsinteraction',
+      'postv2usersextensive',
+      'getv2flows',
+    ]) {
+      expect(tools.get(name)?.inputSchema.properties).toHaveProperty('paginate');
+    }
+    for (const name of [
+      'getv2libraryfolders',
+      'getv2libraryfoldercontent',
+      'getv2settingstrackers',
+      'getv2settingsscorecards',
+      'getv2usersbyid',
+      'postv2meetings',
+      'putv2meetingsbymeetingid',
+      'deletev2meetingsbymeetingid',
+    ]) {
+      expect(tools.get(name)?.inputSchema.properties).not.toHaveProperty('paginate');
+    }
+    expect(tools.get('getv2flows')!.inputSchema.required).toEqual(['flowOwnerEmail']);
+  });
+
+  test('prefers operation-level security over the document default', () => {
+    const tools = buildToolDefinitions({
+      security: [{ basicAuth: [] }],
+      paths: {
+        '/v2/things': {
+          get: { summary: 'List things', security: [] },
+        },
+      },
+    });
+    expect(tools.get('getv2things')!.securityRequirements).toEqual([]);
+  });
+});
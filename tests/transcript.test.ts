@@ -0,0 +1,141 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  normalizeTranscript,
+  normalizeTranscripts,
+  speakerTotals,
+} from '../src/transcript.js';
+
+const call = (id: string, parties: any[]) => ({ metaData: { id, title: `Call ${id}` }, parties });
+
+const dana = {
+  speakerId: '11',
+  name: 'Dana Rep',
+  emailAddress: 'dana@example.com',
+  userId: '501',
+  title: 'Account Executive',
+  affiliation: 'Internal',
+};
+const sam = { speakerId: '22', name: 'Sam Buyer', affiliation: 'External' };
+
+describe('transcript normalizer', () => {
+  test('resolves monologue speaker IDs through the call parties', () => {
+    const transcript = normalizeTranscript(
+      {
+        callId: '1',
+        transcript: [
+          {
+            speakerId: '11',
+            topic: 'Pricing',
+            sentences: [
+              { start: 0, end: 4000, text: 'Shall we look at pricing?' },
+              { start: 4000, end: 5000, text: '' },
+            ],
+          },
+          { speakerId: '22', sentences: [{ start: 5000, end: 9000, text: 'Sure.' }] },
+          { speakerId: '33', sentences: [{ start: 9000, end: 10000, text: 'Hi all.' }] },
+        ],
+      },
+      call('1', [dana, sam])
+    );
+
+    expect(transcript.sentences).toEqual([
+      {
+        speakerId: '11',
+        speaker: 'Dana Rep',
+        speakerEmail: 'dana@example.com',
+        affiliation: 'Internal',
+        start: 0,
+        end: 4000,
+        text: 'Shall we look at pricing?',
+        topic: 'Pricing',
+      },
+      {
+        speakerId: '22',
+        speaker: 'Sam Buyer',
+        affiliation: 'External',
+        start: 5000,
+        end: 9000,
+        text: 'Sure.',
+      },
+      {
+        speakerId: '33',
+        speaker: 'Speaker 33',
+        affiliation: 'Unknown',
+        start: 9000,
+        end: 10000,
+        text: 'Hi all.',
+      },
+    ]);
+    expect(transcript.speakers[0]).toEqual({
+      speakerId: '11',
+      name: 'Dana Rep',
+      email: 'dana@example.com',
+      userId: '501',
+      title: 'Account Executive',
+      affiliation: 'Internal',
+    });
+    expect(transcript.speakers.map(s => s.name)).toEqual(['Dana Rep', 'Sam Buyer', 'Speaker 33']);
+  });
+
+  test('accepts flat sentences timed in seconds', () => {
+    const transcript = normalizeTranscript({
+      callId: '2',
+      sentences: [
+        { speaker: { name: 'Lee' }, startTime: 1.5, endTime: 3, text: 'Hello?' },
+        { speaker: 'Kim', start: 3000, end: 4000, text: 'Hi.' },
+        { startTime: 4, text: 'Anyone?' },
+      ],
+    });
+
+    expect(transcript.sentences.map(s => [s.speaker, s.start, s.end, s.affiliation])).toEqual([
+      ['Lee', 1500, 3000, 'Unknown'],
+      ['Kim', 3000, 4000, 'Unknown'],
+      ['Unknown', 4000, 4000, 'Unknown'],
+    ]);
+    expect(transcript.speakers.map(s => s.name)).toEqual(['Lee', 'Kim', 'Unknown']);
+  });
+
+  test('totals talk time and questions per speaker across calls', () => {
+    const transcripts = normalizeTranscripts(
+      [call('1', [dana, sam]), call('2', [{ ...dana, speakerId: '7' }])],
+      [
+        {
+          callId: '1',
+          transcript: [
+            { speakerId: '11', sentences: [{ start: 0, end: 3000, text: 'Questions so far?' }] },
+            { speakerId: '22', sentences: [{ start: 3000, end: 4000, text: 'No.' }] },
+          ],
+        },
+        {
+          callId: '2',
+          transcript: [{ speakerId: '7', sentences: [{ start: 0, end: 4000, text: 'Hi again.' }] }],
+        },
+      ]
+    );
+
+    expect(speakerTotals(transcripts)).toEqual([
+      {
+        name: 'Dana Rep',
+        email: 'dana@example.com',
+        title: 'Account Executive',
+        affiliation: 'Internal',
+        calls: 2,
+        sentences: 2,
+        words: 5,
+        questions: 1,
+        talkMs: 7000,
+        talkPercent: 87.5,
+      },
+      {
+        name: 'Sam Buyer',
+        affiliation: 'External',
+        calls: 1,
+        sentences: 1,
+        words: 1,
+        questions: 0,
+        talkMs: 1000,
+        talkPercent: 12.5,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, test } from '@jest/globals';
+import { CallStore } from '../src/call-store.js';
+import { TranscriptIndex, parseSearchQuery } from '../src/transcript-index.js';
+
+const parties = [
+  { speakerId: 's1', name: 'Dana Rep', emailAddress: 'dana@us.com', affiliation: 'Internal' },
+  { speakerId: 's2', name: 'Sam Buyer', emailAddress: 'sam@acme.com', affiliation: 'External' },
+];
+
+const monologue = (speakerId: string, ...sentences: [number, string][]) => ({
+  speakerId,
+  sentences: sentences.map(([start, text]) => ({ start, text })),
+});
+
+const buildIndex = () => {
+  const index = new TranscriptIndex();
+  index.addCall(
+    { metaData: { id: '1', title: 'Acme | Discovery', started: '2025-04-01T10:00:00Z' }, parties },
+    {
+      callId: '1',
+      transcript: [
+        monologue('s1', [0, 'Thanks for joining.'], [4000, 'How do you handle pricing today?']),
+        monologue('s2', [9000, 'Honestly the price is too high for us.'], [15000, 'We also looked at Globex.']),
+        monologue('s1', [21000, 'Understood, let us talk about the discount.']),
+      ],
+    }
+  );
+  index.addCall(
+    { metaData: { id: '2', title: 'Acme | Pricing', started: '2025-04-08T10:00:00Z' }, parties },
+    {
+      callId: '2',
+      transcript: [monologue('s2', [65000, 'Pricing is fine if the discount holds.'])],
+    }
+  );
+  return index;
+};
+
+describe('transcript index', () => {
+  let dir: string | undefined;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = undefined;
+  });
+
+  test('parses phrases, boolean operators, negation and prefixes', () => {
+    expect(parseSearchQuery('"too high" OR -(price* globex)')).toEqual({
+      type: 'or',
+      nodes: [
+        { type: 'phrase', terms: ['too', 'high'] },
+        {
+          type: 'not',
+          node: {
+            type: 'and',
+            nodes: [
+              { type: 'term', value: 'price', prefix: true },
+              { type: 'term', value: 'globex', prefix: false },
+            ],
+          },
+        },
+      ],
+    });
+    expect(() => parseSearchQuery('"unbalanced')).toThrow('unbalanced quotes');
+    expect(() => parseSearchQuery('(pricing')).toThrow('missing closing parenthesis');
+    expect(() => parseSearchQuery('AND')).toThrow('no search terms');
+  });
+
+  test('finds terms and phrases with speaker, timestamp and context, newest call first', () => {
+    const result = buildIndex().search('pricing OR "too high"', { contextSentences: 1 });
+
+    expect(result.totalHits).toBe(3);
+    expect(result.hits.map(h => [h.callId, h.timestamp])).toEqual([
+      ['2', '01:05'],
+      ['1', '00:04'],
+      ['1', '00:09'],
+    ]);
+    expect(result.hits[2]).toMatchObject({
+      speaker: 'Sam Buyer',
+      affiliation: 'External',
+      text: 'Honestly the price is too high for us.',
+      context: {
+        before: [{ speaker: 'Dana Rep', timestamp: '00:04', text: 'How do you handle pricing today?' }],
+        after: [{ speaker: 'Sam Buyer', timestamp: '00:15', text: 'We also looked at Globex.' }],
+      },
+    });
+  });
+
+  test('applies boolean operators within a sentence and filters by speaker and date', () => {
+    const index = buildIndex();
+
+    expect(index.search('discount -pricing').hits.map(h => h.callId)).toEqual(['1']);
+    expect(index.search('discount', { speaker: 'sam@' }).hits.map(h => h.callId)).toEqual(['2']);
+    expect(index.search('discount', { affiliation: 'internal' }).hits.map(h => h.callId)).toEqual(['1']);
+    expect(
+      index.search('pric*', { toDateTime: '2025-04-02T00:00:00Z' }).hits.map(h => h.timestamp)
+    ).toEqual(['00:04', '00:09']);
+  });
+
+  test('indexes stored transcripts and persists the index next to the store', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gong-transcript-index-'));
+    const store = new CallStore(dir);
+    store.putCall({ metaData: { id: '7', started: '2025-04-01T10:00:00Z' }, parties });
+    store.putTranscript({ callId: '7', transcript: [monologue('s2', [0, 'Security review is next.'])] });
+
+    const index = TranscriptIndex.open(store);
+    expect(index.search('security').hits[0]).toMatchObject({ callId: '7', speaker: 'Sam Buyer' });
+    expect(fs.existsSync(path.join(dir, 'transcript-index.json'))).toBe(true);
+
+    store.putTranscript({ callId: '8', transcript: [monologue('s9', [0, 'Security is covered.'])] });
+    expect(index.refresh(store)).toBe(1);
+    expect(TranscriptIndex.open(store).search('security').totalHits).toBe(2);
+  });
+});
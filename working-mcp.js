@@ -1,6 +1,8 @@
 import express from 'express';
-import axios from 'axios';
+import { createGongClient } from './build/gong-client.js';
 import cors from 'cors';
+import { toToolErrorResult } from './build/errors.js';
+import { normalizeTranscript } from './build/transcript.js';
 
 const app = express();
 app.use(express.json());
@@ -134,7 +136,7 @@ app.post('/api/mcp', async (req, res) => {
       }
 
       // Create Gong API client
-      const gongClient = axios.create({
+      const gongClient = createGongClient({
         baseURL: GONG_API_URL,
         auth: {
           username: process.env.GONG_ACCESS_KEY,
@@ -228,9 +230,9 @@ app.post('/api/mcp', async (req, res) => {
               }
             });
 
-            const transcripts = response.data.transcripts || [];
+            const entry = response.data.callTranscripts?.[0];
             
-            if (transcripts.length === 0) {
+            if (!entry) {
               return res.json({
                 jsonrpc: '2.0',
                 id: body.id,
@@ -243,14 +245,20 @@ app.post('/api/mcp', async (req, res) => {
               });
             }
 
-            // Format transcript
-            const transcript = transcripts[0];
+            const callResponse = await gongClient.post('/v2/calls/extensive', {
+              filter: { callIds: [callId] },
+              contentSelector: { exposedFields: { parties: true } }
+            });
+            const call = callResponse.data.calls?.[0];
+            const transcript = normalizeTranscript(entry, call);
             const formattedTranscript = {
               callId,
-              title: transcript.title || 'Unknown',
+              title: call?.metaData?.title || 'Unknown',
+              speakers: transcript.speakers,
               transcript: transcript.sentences.map(s => ({
-                time: formatTime(s.startTime),
-                speaker: s.speaker?.name || 'Unknown',
+                time: formatTime(s.start / 1000),
+                speaker: s.speaker,
+                affiliation: s.affiliation,
                 text: s.text
               }))
             };
@@ -343,21 +351,12 @@ app.post('/api/mcp', async (req, res) => {
   }
 });
 
-// Helper function to handle API errors
+// Helper function to handle API errors as structured MCP error results
 function handleApiError(res, id, error) {
-  const errorMessage = error.response
-    ? `API Error: ${error.response.status} - ${JSON.stringify(error.response.data || {}).substring(0, 200)}`
-    : `Error: ${error.message}`;
-  
   return res.json({
     jsonrpc: '2.0',
     id: id,
-    result: {
-      content: [{
-        type: 'text',
-        text: errorMessage
-      }]
-    }
+    result: toToolErrorResult(error)
   });
 }
 